@@ -0,0 +1,727 @@
+/**
+ * @format
+ */
+
+import {Buffer} from 'buffer';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nacl from 'tweetnacl';
+import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+
+const mockKeychainStore = new Map();
+const mockIdentity = {deviceId: 'payer-device-0001', deviceName: 'Payer Phone'};
+
+// In-memory stand-in for the SQLite ledger
+const mockLedger = [];
+
+// Each device keeps its own keychain, so every wallet has its own key
+const mockKeychainKey = (service) => `${mockIdentity.deviceId}/${service}`;
+
+jest.mock('react-native-keychain', () => ({
+  ACCESSIBLE: {WHEN_UNLOCKED_THIS_DEVICE_ONLY: 'WHEN_UNLOCKED_THIS_DEVICE_ONLY'},
+  getGenericPassword: jest.fn(async ({service}) => mockKeychainStore.get(mockKeychainKey(service)) || false),
+  setGenericPassword: jest.fn(async (username, password, {service}) => {
+    mockKeychainStore.set(mockKeychainKey(service), {username, password});
+    return {service};
+  }),
+  hasGenericPassword: jest.fn(async ({service}) => mockKeychainStore.has(mockKeychainKey(service))),
+  resetGenericPassword: jest.fn(async ({service}) => mockKeychainStore.delete(mockKeychainKey(service))),
+}));
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({...mockIdentity})),
+}));
+
+jest.mock('../src/modules/sqliteWallet', () => ({
+  SYNC_VERDICT: {
+    SETTLED: 'settled',
+    REJECTED: 'rejected',
+    COUNTER_REUSE: 'counter_reuse',
+  },
+  getUnsyncedLedgerEntries: jest.fn(async (afterId, limit) =>
+    mockLedger
+      .filter((entry) => entry.sync_state === 'unsynced' && entry.id > afterId)
+      .slice(0, limit)
+  ),
+  applySyncVerdicts: jest.fn(async (verdicts) => {
+    for (const {entryId, verdict} of verdicts) {
+      Object.assign(mockLedger.find((entry) => entry.id === entryId), {
+        sync_state: 'synced',
+        verdict,
+      });
+    }
+    return {settled: 0, reversed: 0, balance: 0};
+  }),
+}));
+
+import {
+  createBankServer,
+  getRegistrationMessage,
+  getMerchantEnrollmentMessage,
+} from '../server/bankServer';
+import {verifyTokenSignature} from '../server/bankCrypto';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import Config from '../src/modules/config';
+import {canonicalBytes} from '../src/modules/canonicalJson';
+import {
+  generateToken,
+  serializeToken,
+  getPublicKey,
+  signWithWalletKey,
+  storePayerCertificate,
+  verifyToken,
+  rotateWalletKey,
+  getKeyId,
+} from '../src/modules/offlineToken';
+import {sendTokenViaRelay, fetchRelayMessages} from '../src/modules/relayTransport';
+import {syncLedger} from '../src/modules/syncEngine';
+import {
+  requestTopupVoucher,
+  fetchSpendingPolicy,
+  registerDevice,
+  fetchRevocationList,
+  signBankRequest,
+} from '../src/modules/bankClient';
+import {installRevocationList, getRevokedKeys} from '../src/modules/keyRevocation';
+import {verifyTopupVoucher} from '../src/modules/topupVoucher';
+import {installSpendingPolicy, getSpendingPolicy} from '../src/modules/spendingPolicy';
+import {enrollMerchant, getMerchantSigner} from '../src/modules/merchantProfile';
+import {generateReceiveQR, verifyReceiveQR} from '../src/modules/qrGenerator';
+import {openReceiverSession} from '../src/modules/secureChannel';
+import {getSessionServiceUuid} from '../src/modules/bleProtocol';
+
+const PAYER_ID = 'payer-device-0001';
+const MERCHANT_ID = 'merchant-device-0001';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Ed25519 group order L, little-endian; tweetnacl accepts S + L in place of S
+const ED25519_ORDER = Buffer.from('edd3f55c1a631258d69cf7a2def9de1400000000000000000000000000000010', 'hex');
+
+let storeDir;
+let storePath;
+let bank;
+let endpoint;
+let clock;
+
+const startBank = async () => {
+  bank = createBankServer({storePath, spendingLimits: {daily_limit: 150000}, now: () => clock});
+  await new Promise((resolve) => bank.server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${bank.server.address().port}`;
+  Config.RELAY_ENDPOINT = endpoint;
+  Config.BACKEND_ENDPOINT = endpoint;
+};
+
+const stopBank = () => new Promise((resolve) => bank.server.close(resolve));
+
+const api = async (method, route, body) => {
+  const response = await fetch(`${endpoint}${route}`, {
+    method,
+    headers: {'Content-Type': 'application/json'},
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return {status: response.status, body: await response.json()};
+};
+
+const actAs = (deviceId) => {
+  mockIdentity.deviceId = deviceId;
+};
+
+const registerWallet = async () => {
+  const walletPubkey = await getPublicKey();
+  const {signature} = await signWithWalletKey(
+    canonicalBytes(getRegistrationMessage(mockIdentity.deviceId, walletPubkey))
+  );
+  return api('POST', '/api/devices', {
+    device_id: mockIdentity.deviceId,
+    wallet_pubkey: walletPubkey,
+    signature,
+  });
+};
+
+// Register and keep the payer certificate the bank returns, which tokens carry
+const certifyWallet = async () => {
+  const registered = await registerWallet();
+  expect(await storePayerCertificate(registered.body.certificate)).toBe(true);
+  return registered;
+};
+
+// Top-ups are requested in a request signed by the wallet key
+const requestTopup = async (amount) =>
+  api('POST', '/api/topups', await signBankRequest('/api/topups', {device_id: mockIdentity.deviceId, amount}));
+
+const recordInLedger = (type, token, status = 'acked') => {
+  mockLedger.push({
+    id: mockLedger.length + 1,
+    type,
+    amount: token.amount,
+    status,
+    channel: 'ble',
+    counterparty_device_id: type === 'credit' ? token.payer_device_id : token.merchant_id,
+    counterparty_pubkey: null,
+    token_id: token.signature,
+    token: serializeToken(token),
+    timestamp: '2026-01-01 10:00:00',
+    sync_state: 'unsynced',
+  });
+  return mockLedger[mockLedger.length - 1];
+};
+
+// Uploads are signed, so the uploading device registers its key first
+const sync = async () => {
+  if (!bank.store.read().devices[mockIdentity.deviceId]) {
+    await registerWallet();
+  }
+  return syncLedger({endpoint, maxAttempts: 1});
+};
+
+// Re-encode an Ed25519 signature as its malleable twin (S + L, same R)
+const malleateSignature = (signature) => {
+  const bytes = new Uint8Array(decodeBase64(signature));
+  let carry = 0;
+  for (let i = 0; i < 32; i++) {
+    const sum = bytes[32 + i] + ED25519_ORDER[i] + carry;
+    bytes[32 + i] = sum % 256;
+    carry = sum >= 256 ? 1 : 0;
+  }
+  return encodeBase64(bytes.buffer);
+};
+
+beforeEach(async () => {
+  mockKeychainStore.clear();
+  mockLedger.length = 0;
+  await AsyncStorage.clear();
+  actAs(PAYER_ID);
+  clock = Date.now();
+  storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tokpay-bank-'));
+  storePath = path.join(storeDir, 'bank.json');
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await startBank();
+});
+
+afterEach(async () => {
+  await stopBank();
+  fs.rmSync(storeDir, {recursive: true, force: true});
+  jest.restoreAllMocks();
+});
+
+describe('mock bank backend', () => {
+  test('registers a wallet key once, with proof of possession', async () => {
+    const registered = await registerWallet();
+    expect(registered.status).toBe(201);
+    expect(await registerWallet()).toMatchObject({status: 200});
+
+    const walletPubkey = await getPublicKey();
+    const lookup = await api('GET', `/api/pubkeys/${encodeURIComponent(walletPubkey)}`);
+    expect(lookup.body).toEqual({wallet_pubkey: walletPubkey, device_id: PAYER_ID, flagged: false});
+
+    // A registration signature only covers the device it was made for
+    const {signature} = await signWithWalletKey(
+      canonicalBytes(getRegistrationMessage(PAYER_ID, walletPubkey))
+    );
+    const replayed = await api('POST', '/api/devices', {
+      device_id: 'thief-device',
+      wallet_pubkey: walletPubkey,
+      signature,
+    });
+    expect(replayed.status).toBe(400);
+  });
+
+  test('records whether the wallet key came with a valid attestation', async () => {
+    const walletPubkey = await getPublicKey();
+    const {signature} = await signWithWalletKey(
+      canonicalBytes(getRegistrationMessage(PAYER_ID, walletPubkey))
+    );
+    const forged = await api('POST', '/api/devices', {
+      device_id: PAYER_ID,
+      wallet_pubkey: walletPubkey,
+      signature,
+      attestation: ['bm90IGEgY2VydGlmaWNhdGU='],
+    });
+    expect(forged.status).toBe(400);
+
+    // Software test keys have no attestation
+    expect((await registerWallet()).body).toMatchObject({key_attested: false});
+  });
+
+  test('certifies registered wallet keys for offline payments', async () => {
+    const uncertified = await generateToken(2500, MERCHANT_ID);
+    expect(await verifyToken(uncertified)).toBe(false);
+
+    const {body} = await registerWallet();
+    expect(body.certificate).toMatchObject({role: 'payer', subject_id: PAYER_ID, offline_limit: 200000});
+    expect(await storePayerCertificate(body.certificate)).toBe(true);
+    expect(await verifyToken(await generateToken(2500, MERCHANT_ID))).toBe(true);
+  });
+
+  test('issues top-up vouchers signed by the bank key', async () => {
+    await registerWallet();
+
+    const {status, body: voucher} = await requestTopup(50000);
+    const bankKey = await api('GET', '/api/bank-key');
+
+    expect(status).toBe(201);
+    expect(voucher).toMatchObject({device_id: PAYER_ID, wallet_pubkey: await getPublicKey(), amount: 50000});
+    const {signature, ...unsigned} = voucher;
+    expect(
+      nacl.sign.detached.verify(
+        canonicalBytes(unsigned),
+        new Uint8Array(decodeBase64(signature)),
+        new Uint8Array(decodeBase64(bankKey.body.public_key))
+      )
+    ).toBe(true);
+
+    actAs('nobody');
+    expect((await requestTopup(50000)).status).toBe(404);
+  });
+
+  test('issues top-ups only to the wallet asking, within its offline balance cap', async () => {
+    await certifyWallet();
+    expect((await api('POST', '/api/topups', {device_id: PAYER_ID, amount: 50000})).status).toBe(401);
+
+    // Another device cannot draw funds into this wallet
+    actAs(MERCHANT_ID);
+    await registerWallet();
+    const forged = await signBankRequest('/api/topups', {device_id: PAYER_ID, amount: 50000});
+    expect((await api('POST', '/api/topups', forged)).status).toBe(401);
+
+    actAs(PAYER_ID);
+    expect((await requestTopup(150000)).status).toBe(201);
+    expect((await requestTopup(60000)).status).toBe(400);
+
+    // Money the bank has seen leave the wallet frees room under the cap
+    const token = await generateToken(20000, MERCHANT_ID);
+    recordInLedger('debit', token);
+    await sync();
+    expect((await requestTopup(60000)).status).toBe(201);
+    expect(bank.store.read().accounts[PAYER_ID]).toMatchObject({topped_up: 210000, settled_out: 20000});
+  });
+
+  test('wallet registers itself and gets a voucher it accepts', async () => {
+    const voucher = await requestTopupVoucher(50000);
+
+    expect(await verifyTopupVoucher(voucher)).toEqual({valid: true, error: ''});
+    expect(bank.store.read().devices[PAYER_ID].wallet_pubkey).toBe(await getPublicKey());
+  });
+
+  test('delivers signed spending limits and caps top-ups', async () => {
+    const {success} = await installSpendingPolicy(await fetchSpendingPolicy());
+
+    expect(success).toBe(true);
+    expect(await getSpendingPolicy()).toMatchObject({daily_limit: 150000, max_offline_balance: 200000});
+    expect((await requestTopup(200001)).status).toBe(400);
+  });
+
+  test('certifies a merchant key for the QR codes it signs', async () => {
+    actAs(MERCHANT_ID);
+    expect(await getMerchantSigner()).toBeNull();
+
+    const enrollment = await enrollMerchant('Chai Stall');
+    expect(enrollment).toMatchObject({success: true, profile: {merchantId: MERCHANT_ID, merchantName: 'Chai Stall'}});
+
+    const session = openReceiverSession();
+    const qrString = generateReceiveQR({
+      deviceId: MERCHANT_ID,
+      deviceName: 'Merchant Phone',
+      sessionPublicKey: session.publicKey,
+      serviceUuid: getSessionServiceUuid(session.sessionId),
+      merchant: await getMerchantSigner(),
+    });
+    expect(verifyReceiveQR(qrString).merchant).toEqual({merchantId: MERCHANT_ID, merchantName: 'Chai Stall'});
+  });
+
+  test('only certifies a merchant key for the device asking', async () => {
+    await registerWallet();
+    const merchantKeys = nacl.sign.keyPair();
+    const merchantPubkey = encodeBase64(merchantKeys.publicKey.slice().buffer);
+    const message = canonicalBytes(getMerchantEnrollmentMessage(PAYER_ID, 'Fake Shop', merchantPubkey));
+
+    // Holds a merchant key, but not the payer's wallet key
+    const result = await api('POST', '/api/merchants', {
+      device_id: PAYER_ID,
+      merchant_name: 'Fake Shop',
+      merchant_pubkey: merchantPubkey,
+      wallet_signature: encodeBase64(nacl.sign.detached(message, merchantKeys.secretKey).slice().buffer),
+      merchant_signature: encodeBase64(nacl.sign.detached(message, merchantKeys.secretKey).slice().buffer),
+    });
+    expect(result.status).toBe(400);
+  });
+
+  test('relays tokens to the recipient inbox', async () => {
+    const token = await generateToken(1500, MERCHANT_ID);
+    await sendTokenViaRelay(token, MERCHANT_ID);
+
+    // Only the recipient's own wallet key opens the inbox
+    expect((await api('GET', `/api/relay/${MERCHANT_ID}`)).status).toBe(404);
+    actAs(MERCHANT_ID);
+    await registerWallet();
+    expect((await api('GET', `/api/relay/${MERCHANT_ID}`)).status).toBe(401);
+    actAs(PAYER_ID);
+    await registerWallet();
+    const {signed_at: signedAt, nonce, signature} = await signBankRequest(`/api/relay/${MERCHANT_ID}`, {
+      device_id: MERCHANT_ID,
+    });
+    const query = `signed_at=${signedAt}&nonce=${encodeURIComponent(nonce)}&signature=${encodeURIComponent(signature)}`;
+    expect((await api('GET', `/api/relay/${MERCHANT_ID}?${query}`)).status).toBe(401);
+
+    actAs(MERCHANT_ID);
+    const messages = await fetchRelayMessages();
+    expect(messages).toHaveLength(1);
+    expect(messages[0].payload).toBe(serializeToken(token));
+    expect(await fetchRelayMessages()).toEqual([]);
+  });
+
+  test('takes uploads only when signed by the uploader wallet key', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+    actAs(MERCHANT_ID);
+    await registerWallet();
+    const entries = [
+      {token_id: token.signature, type: 'credit', status: 'acked', token: serializeToken(token)},
+    ];
+
+    const unsigned = await api('POST', '/api/sync', {version: 1, device_id: MERCHANT_ID, entries});
+    expect(unsigned.status).toBe(401);
+
+    // Signed by the payer's key in the merchant's name
+    actAs(PAYER_ID);
+    const impersonated = await signBankRequest('/api/sync', {version: 1, device_id: MERCHANT_ID, entries});
+    expect((await api('POST', '/api/sync', impersonated)).status).toBe(401);
+
+    actAs(MERCHANT_ID);
+    const signed = await signBankRequest('/api/sync', {version: 1, device_id: MERCHANT_ID, entries});
+    const accepted = await api('POST', '/api/sync', signed);
+    expect(accepted.body.results).toEqual([{token_id: token.signature, verdict: 'settled'}]);
+    expect((await api('POST', '/api/sync', signed)).status).toBe(401);
+
+    // A request signed too long ago is refused, even with a nonce the bank never saw
+    const stale = await signBankRequest('/api/sync', {version: 1, device_id: MERCHANT_ID, entries});
+    clock += 10 * 60 * 1000;
+    expect((await api('POST', '/api/sync', stale)).status).toBe(401);
+  });
+
+  test('settles a token uploaded by the merchant and by the payer alike', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+
+    actAs(MERCHANT_ID);
+    const credit = recordInLedger('credit', token);
+    await sync();
+
+    actAs(PAYER_ID);
+    const debit = recordInLedger('debit', token);
+    await sync();
+
+    expect(credit.verdict).toBe('settled');
+    expect(debit.verdict).toBe('settled');
+    expect(bank.store.read().accounts[MERCHANT_ID].settled_in).toBe(2500);
+    expect(bank.store.read().accounts[PAYER_ID].settled_out).toBe(2500);
+  });
+
+  test('detects counter reuse and flags the payer', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+
+    // Same counter, different payment: what a cloned or rolled-back wallet emits
+    const replayFields = {
+      amount: 9900,
+      counter: token.counter,
+      kid: token.kid,
+      merchant_id: MERCHANT_ID,
+      nonce: 'AAAAAAAAAAAAAAAAAAAAAA==',
+      payer_pubkey: token.payer_pubkey,
+      timestamp: token.timestamp,
+      version: token.version,
+    };
+    const {signature} = await signWithWalletKey(canonicalBytes(replayFields));
+    const reused = {...replayFields, payer_device_id: PAYER_ID, payer_cert: token.payer_cert, signature};
+
+    actAs(MERCHANT_ID);
+    const first = recordInLedger('credit', token);
+    const second = recordInLedger('credit', reused);
+    await sync();
+
+    expect(first.verdict).toBe('settled');
+    expect(second.verdict).toBe('counter_reuse');
+    const payer = await api('GET', `/api/devices/${PAYER_ID}`);
+    expect(payer.body.flagged).toBe(true);
+    actAs(PAYER_ID);
+    expect((await requestTopup(100)).status).toBe(403);
+
+    // A flagged wallet gets no fresh certificate
+    expect((await registerWallet()).status).toBe(403);
+
+    // and its key is revoked outright
+    const revocations = await api('GET', '/api/revocations');
+    expect(revocations.body.entries).toEqual([
+      expect.objectContaining({kid: token.kid, reason: 'compromised'}),
+    ]);
+  });
+
+  test('treats a re-encoded signature over the same payment as the same token', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+    const twin = {...token, signature: malleateSignature(token.signature)};
+    expect(twin.signature).not.toBe(token.signature);
+    expect(verifyTokenSignature(twin)).toBe(true);
+
+    actAs(PAYER_ID);
+    const debit = recordInLedger('debit', token);
+    await sync();
+
+    // A payee re-uploading the altered twin must not frame the payer
+    actAs(MERCHANT_ID);
+    const credit = recordInLedger('credit', twin);
+    await sync();
+
+    expect(debit.verdict).toBe('settled');
+    expect(credit.verdict).toBe('settled');
+    expect((await api('GET', `/api/devices/${PAYER_ID}`)).body.flagged).toBe(false);
+    expect(bank.store.read().accounts[MERCHANT_ID].settled_in).toBe(2500);
+  });
+
+  test('follows a key rotation when the wallet registers again', async () => {
+    await certifyWallet();
+    const oldPubkey = await getPublicKey();
+    const oldSecretKey = mockKeychainStore.get(`${PAYER_ID}/com.tokpay.wallet.keypair`).password;
+    const beforeRotation = await generateToken(2500, MERCHANT_ID);
+
+    const rotation = await rotateWalletKey();
+    clock = Date.now();
+    // Without the rotation the bank cannot tell the new key is this wallet's
+    expect((await registerWallet()).status).toBe(409);
+
+    const {certificate} = await registerDevice();
+    expect(certificate.public_key).toBe(rotation.new_pubkey);
+    expect(await storePayerCertificate(certificate)).toBe(true);
+    const device = bank.store.read().devices[PAYER_ID];
+    expect(device).toMatchObject({wallet_pubkey: rotation.new_pubkey, key_version: 2});
+    expect(device.retired_keys).toEqual([
+      {key_version: 1, kid: getKeyId(oldPubkey), public_key: oldPubkey, retired_at: rotation.rotated_at},
+    ]);
+    const lookup = await api('GET', `/api/pubkeys/${encodeURIComponent(oldPubkey)}`);
+    expect(lookup.body.device_id).toBe(PAYER_ID);
+
+    // Registering again does not replay the rotation
+    expect((await registerDevice()).certificate.public_key).toBe(rotation.new_pubkey);
+
+    // Receivers learn the old key is superseded
+    expect((await installRevocationList(await fetchRevocationList())).success).toBe(true);
+    expect(await getRevokedKeys()).toEqual([
+      {kid: getKeyId(oldPubkey), reason: 'superseded', revoked_at: rotation.rotated_at},
+    ]);
+
+    // Tokens from the old key settle if they predate the rotation
+    const fields = {
+      amount: 2500,
+      counter: 99,
+      kid: getKeyId(oldPubkey),
+      merchant_id: MERCHANT_ID,
+      nonce: 'AAAAAAAAAAAAAAAAAAAAAA==',
+      payer_pubkey: oldPubkey,
+      timestamp: rotation.rotated_at + 60,
+      version: beforeRotation.version,
+    };
+    const signature = encodeBase64(
+      nacl.sign.detached(canonicalBytes(fields), new Uint8Array(decodeBase64(oldSecretKey))).slice().buffer
+    );
+    actAs(MERCHANT_ID);
+    const settled = recordInLedger('credit', beforeRotation);
+    const late = recordInLedger('credit', {
+      ...fields,
+      payer_device_id: PAYER_ID,
+      payer_cert: beforeRotation.payer_cert,
+      signature,
+    });
+    await sync();
+
+    expect(settled.verdict).toBe('settled');
+    expect(late.verdict).toBe('rejected');
+  });
+
+  test('refuses key rotations the old key did not sign', async () => {
+    await registerWallet();
+    const rotation = await rotateWalletKey();
+    const walletPubkey = await getPublicKey();
+    const {signature} = await signWithWalletKey(
+      canonicalBytes(getRegistrationMessage(PAYER_ID, walletPubkey))
+    );
+
+    const forged = await api('POST', '/api/devices', {
+      device_id: PAYER_ID,
+      wallet_pubkey: walletPubkey,
+      signature,
+      key_rotations: [{...rotation, old_signature: rotation.new_signature}],
+    });
+    expect(forged.status).toBe(400);
+    expect(bank.store.read().devices[PAYER_ID].key_version).toBe(1);
+  });
+
+  test('rejects forged tokens and tokens addressed to someone else', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+
+    actAs(MERCHANT_ID);
+    const forged = recordInLedger('credit', {...token, amount: 250000});
+    await sync();
+
+    actAs('other-merchant');
+    const misdirected = recordInLedger('credit', token);
+    await sync();
+
+    expect(forged.verdict).toBe('rejected');
+    expect(misdirected.verdict).toBe('rejected');
+  });
+
+  test('rejects tokens from a self-signed payer key', async () => {
+    const keys = nacl.sign.keyPair();
+    const payerPubkey = encodeBase64(keys.publicKey.slice().buffer);
+    const sign = (value) => encodeBase64(nacl.sign.detached(canonicalBytes(value), keys.secretKey).slice().buffer);
+    const certificate = {
+      version: 1,
+      role: 'payer',
+      subject_id: 'forger-device',
+      public_key: payerPubkey,
+      offline_limit: 200000,
+      issued_at: Math.floor(clock / 1000) - 60,
+      expires_at: Math.floor(clock / 1000) + 3600,
+    };
+    const fields = {
+      amount: 2500,
+      counter: 1,
+      kid: getKeyId(payerPubkey),
+      merchant_id: MERCHANT_ID,
+      nonce: 'AAAAAAAAAAAAAAAAAAAAAA==',
+      payer_pubkey: payerPubkey,
+      timestamp: Math.floor(clock / 1000),
+      version: 4,
+    };
+    const token = {
+      ...fields,
+      payer_device_id: 'forger-device',
+      payer_cert: {...certificate, signature: sign(certificate)},
+      signature: sign(fields),
+    };
+    expect(verifyTokenSignature(token)).toBe(true);
+
+    actAs(MERCHANT_ID);
+    const credit = recordInLedger('credit', token);
+    await sync();
+
+    actAs('forger-device');
+    const debit = recordInLedger('debit', token);
+    await sync();
+
+    expect(credit.verdict).toBe('rejected');
+    expect(debit.verdict).toBe('rejected');
+    expect(bank.store.read().accounts[MERCHANT_ID]).toBeUndefined();
+  });
+
+  test('rejects tokens without the bank certificate for the payer key', async () => {
+    const {body} = await registerWallet();
+    const uncertified = await generateToken(2500, MERCHANT_ID);
+    expect(uncertified).not.toHaveProperty('payer_cert');
+
+    // Nor does a certificate the payer raised its own limit on
+    const tampered = await generateToken(2500, MERCHANT_ID);
+    tampered.payer_cert = {...body.certificate, offline_limit: 9000000};
+
+    actAs(MERCHANT_ID);
+    const credit = recordInLedger('credit', uncertified);
+    const tamperedCredit = recordInLedger('credit', tampered);
+    await sync();
+
+    expect(credit.verdict).toBe('rejected');
+    expect(tamperedCredit.verdict).toBe('rejected');
+  });
+
+  test('stops settling the tokens of a flagged payer', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+    const later = await generateToken(1500, MERCHANT_ID);
+    const replayFields = {
+      amount: 9900,
+      counter: token.counter,
+      kid: token.kid,
+      merchant_id: MERCHANT_ID,
+      nonce: 'AAAAAAAAAAAAAAAAAAAAAA==',
+      payer_pubkey: token.payer_pubkey,
+      timestamp: token.timestamp,
+      version: token.version,
+    };
+    const {signature} = await signWithWalletKey(canonicalBytes(replayFields));
+
+    actAs(MERCHANT_ID);
+    recordInLedger('credit', token);
+    recordInLedger('credit', {...replayFields, payer_device_id: PAYER_ID, payer_cert: token.payer_cert, signature});
+    await sync();
+    expect((await api('GET', `/api/devices/${PAYER_ID}`)).body.flagged).toBe(true);
+
+    const flagged = recordInLedger('credit', later);
+    await sync();
+
+    // What settled before the flag stays settled
+    actAs(PAYER_ID);
+    const debit = recordInLedger('debit', token);
+    await sync();
+
+    expect(flagged.verdict).toBe('rejected');
+    expect(debit.verdict).toBe('settled');
+    expect(bank.store.read().accounts[MERCHANT_ID].settled_in).toBe(2500);
+  });
+
+  test('keeps a pending payment undecided until the merchant uploads it', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+    const pending = recordInLedger('debit', token, 'pending');
+
+    await sync();
+    expect(pending.sync_state).toBe('unsynced');
+
+    actAs(MERCHANT_ID);
+    recordInLedger('credit', token);
+    await sync();
+
+    actAs(PAYER_ID);
+    await sync();
+    expect(pending.verdict).toBe('settled');
+  });
+
+  test('voids a pending payment nobody claimed within the settlement window', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+    const pending = recordInLedger('debit', token, 'pending');
+
+    clock += 4 * DAY_MS;
+    jest.spyOn(Date, 'now').mockReturnValue(clock);
+    await sync();
+    expect(pending.verdict).toBe('rejected');
+
+    // Backend wins: a late upload by the merchant gets the same verdict
+    actAs(MERCHANT_ID);
+    const late = recordInLedger('credit', token);
+    await sync();
+    expect(late.verdict).toBe('rejected');
+  });
+
+  test('keeps its state on disk across restarts', async () => {
+    await certifyWallet();
+    const token = await generateToken(2500, MERCHANT_ID);
+    actAs(MERCHANT_ID);
+    recordInLedger('credit', token);
+    await sync();
+
+    await stopBank();
+    await startBank();
+
+    expect((await api('GET', `/api/devices/${PAYER_ID}`)).status).toBe(200);
+    const reupload = recordInLedger('credit', token);
+    await sync();
+    expect(reupload.verdict).toBe('settled');
+    expect(bank.store.read().accounts[MERCHANT_ID].settled_in).toBe(2500);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @format
+ */
+
+import fc from 'fast-check';
+import {encodeUtf8, decodeUtf8} from '../src/modules/textEncoding';
+import {
+  crc32,
+  encodeFrame,
+  decodeFrame,
+  fragmentMessage,
+  createFrameAssembler,
+  getMaxFrameBytes,
+  getMaxStatusRanges,
+  FRAME_TYPE,
+  TRANSFER_STATUS,
+  MIN_FRAME_BYTES,
+  DATA_FRAME_OVERHEAD,
+} from '../src/modules/bleFraming';
+
+// A message, the frames of its transfer and an arrival order for its DATA frames
+const transferArb = fc
+  .record({
+    message: fc.uint8Array({maxLength: 2048}),
+    maxFrameBytes: fc.integer({min: MIN_FRAME_BYTES, max: 514}),
+    transferId: fc.integer({min: 0, max: 0xffffffff}),
+  })
+  .chain(({message, maxFrameBytes, transferId}) => {
+    const transfer = fragmentMessage(message, maxFrameBytes, transferId);
+    const seqs = transfer.dataFrames.map((frame, seq) => seq);
+    return fc.record({
+      message: fc.constant(message),
+      maxFrameBytes: fc.constant(maxFrameBytes),
+      transfer: fc.constant(transfer),
+      order: fc.shuffledSubarray(seqs, {minLength: seqs.length, maxLength: seqs.length}),
+      duplicates: fc.subarray(seqs),
+      dropped: fc.subarray(seqs),
+    });
+  });
+
+describe('frame codec', () => {
+  test('crc32 matches the standard check value', () => {
+    expect(crc32(encodeUtf8('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('round-trips every frame type', () => {
+    const frames = [
+      {type: FRAME_TYPE.DATA, transferId: 0xdeadbeef, seq: 513, payload: new Uint8Array([1, 2, 3])},
+      {type: FRAME_TYPE.END, transferId: 7, count: 12, digest: new Uint8Array(8).fill(9)},
+      {
+        type: FRAME_TYPE.STATUS,
+        transferId: 7,
+        code: TRANSFER_STATUS.MISSING,
+        missing: [
+          {start: 0, length: 2},
+          {start: 5, length: 1},
+        ],
+      },
+    ];
+    for (const frame of frames) {
+      expect(decodeFrame(encodeFrame(frame))).toEqual(frame);
+    }
+  });
+
+  test('rejects frames of an unknown version and truncated frames', () => {
+    const frame = encodeFrame({type: FRAME_TYPE.DATA, transferId: 1, seq: 0, payload: new Uint8Array([42])});
+    const future = frame.slice();
+    future[0] = (2 << 4) | FRAME_TYPE.DATA;
+    new DataView(future.buffer).setUint32(future.length - 4, crc32(future.subarray(0, future.length - 4)));
+
+    expect(decodeFrame(future)).toBeNull();
+    expect(decodeFrame(new Uint8Array(3))).toBeNull();
+  });
+
+  test('sizes frames from the negotiated MTU', () => {
+    expect(getMaxFrameBytes(517)).toBe(514);
+    expect(getMaxFrameBytes(23)).toBe(MIN_FRAME_BYTES);
+    expect(getMaxFrameBytes(undefined)).toBe(MIN_FRAME_BYTES);
+    expect(getMaxStatusRanges(MIN_FRAME_BYTES)).toBe(2);
+    expect(() => fragmentMessage(new Uint8Array(4), DATA_FRAME_OVERHEAD)).toThrow();
+  });
+});
+
+describe('fragmentation and reassembly', () => {
+  test('messages containing the old chunk separators survive intact', () => {
+    const message = encodeUtf8('0/2:{"note":"a:b/c"}:1/2:');
+    const {dataFrames, endFrame} = fragmentMessage(message, MIN_FRAME_BYTES);
+    const assembler = createFrameAssembler();
+    dataFrames.forEach((frame) => assembler.push(decodeFrame(frame)));
+
+    const result = assembler.push(decodeFrame(endFrame));
+    expect(result.status).toBe('complete');
+    expect(decodeUtf8(result.message)).toBe('0/2:{"note":"a:b/c"}:1/2:');
+  });
+
+  test('every frame fits the link and carries as much as it can', () => {
+    fc.assert(
+      fc.property(transferArb, ({message, maxFrameBytes, transfer}) => {
+        const frames = [...transfer.dataFrames, transfer.endFrame];
+        expect(frames.every((frame) => frame.length <= maxFrameBytes)).toBe(true);
+        const payloadBytes = maxFrameBytes - DATA_FRAME_OVERHEAD;
+        expect(transfer.dataFrames).toHaveLength(Math.max(1, Math.ceil(message.length / payloadBytes)));
+      }),
+    );
+  });
+
+  test('reassembles any message from frames in any order, with duplicates', () => {
+    fc.assert(
+      fc.property(transferArb, ({message, transfer, order, duplicates}) => {
+        const assembler = createFrameAssembler();
+        for (const seq of [...order, ...duplicates]) {
+          expect(assembler.push(decodeFrame(transfer.dataFrames[seq]))).toEqual({status: 'pending'});
+        }
+
+        const result = assembler.push(decodeFrame(transfer.endFrame));
+        expect(result).toEqual({status: 'complete', message});
+        expect(assembler.receivedFrames).toBe(0);
+      }),
+    );
+  });
+
+  test('reports exactly the frames that were lost', () => {
+    fc.assert(
+      fc.property(transferArb, ({message, transfer, order, dropped}) => {
+        fc.pre(dropped.length > 0);
+        const assembler = createFrameAssembler();
+        order.filter((seq) => !dropped.includes(seq)).forEach((seq) => assembler.push(decodeFrame(transfer.dataFrames[seq])));
+
+        const result = assembler.push(decodeFrame(transfer.endFrame));
+        expect(result.status).toBe('missing');
+        const missing = result.missing.flatMap(({start, length}) => Array.from({length}, (_, i) => start + i));
+        expect(missing).toEqual([...dropped].sort((a, b) => a - b));
+
+        // Resending the lost frames completes the transfer
+        dropped.forEach((seq) => assembler.push(decodeFrame(transfer.dataFrames[seq])));
+        expect(assembler.push(decodeFrame(transfer.endFrame))).toEqual({status: 'complete', message});
+      }),
+    );
+  });
+
+  test('rejects any frame with a corrupted byte', () => {
+    fc.assert(
+      fc.property(transferArb, fc.nat(), fc.nat(), fc.integer({min: 1, max: 255}), ({transfer}, which, at, mask) => {
+        const frames = [...transfer.dataFrames, transfer.endFrame];
+        const corrupted = frames[which % frames.length].slice();
+        corrupted[at % corrupted.length] ^= mask;
+        expect(decodeFrame(corrupted)).toBeNull();
+      }),
+    );
+  });
+
+  test('a frame of another transfer drops the partial one', () => {
+    fc.assert(
+      fc.property(transferArb, transferArb, (first, second) => {
+        fc.pre(first.transfer.transferId !== second.transfer.transferId);
+        const assembler = createFrameAssembler();
+        first.order.forEach((seq) => assembler.push(decodeFrame(first.transfer.dataFrames[seq])));
+        second.order.forEach((seq) => assembler.push(decodeFrame(second.transfer.dataFrames[seq])));
+
+        expect(assembler.push(decodeFrame(second.transfer.endFrame))).toEqual({
+          status: 'complete',
+          message: second.message,
+        });
+        expect(assembler.push(decodeFrame(first.transfer.endFrame)).status).toBe('missing');
+      }),
+    );
+  });
+
+  test('detects a message that does not match its digest', () => {
+    const {dataFrames, endFrame} = fragmentMessage(encodeUtf8('pay 100'), MIN_FRAME_BYTES, 9);
+    const forged = fragmentMessage(encodeUtf8('pay 999'), MIN_FRAME_BYTES, 9);
+    const assembler = createFrameAssembler();
+    assembler.push(decodeFrame(forged.dataFrames[0]));
+    dataFrames.slice(1).forEach((frame) => assembler.push(decodeFrame(frame)));
+
+    expect(assembler.push(decodeFrame(endFrame))).toEqual({status: 'corrupt'});
+  });
+});
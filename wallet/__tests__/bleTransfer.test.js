@@ -0,0 +1,171 @@
+/**
+ * @format
+ */
+
+import nacl from 'tweetnacl';
+import {encodeUtf8} from '../src/modules/textEncoding';
+import {createStatusQueue, createReassembler, createFrameHandler, sendTransfer} from '../src/modules/bleTransfer';
+import {decodeFrame, fragmentMessage, FRAME_TYPE, TRANSFER_STATUS, MIN_FRAME_BYTES} from '../src/modules/bleFraming';
+
+// Short timeouts keep the lossy-link tests fast
+const STATUS_TIMEOUT_MS = 30;
+
+/**
+ * In-memory BLE link between a sender and a receiver
+ * tamper(frame, index) may return null (frame lost), other bytes (corrupted)
+ * or an array of frames (duplicated); index counts frames written by the sender.
+ */
+const createLink = ({tamper = (frame) => frame, tamperStatus = (frame) => frame, timeoutMs} = {}) => {
+  const received = [];
+  const written = [];
+  const statuses = createStatusQueue();
+  const toSender = createFrameHandler({
+    reassembler: createReassembler({onMessage: () => {}, sendStatus: async () => {}}),
+    statuses,
+  });
+
+  const reassembler = createReassembler({
+    onMessage: (message) => received.push(message),
+    sendStatus: async (frame) => {
+      const delivered = tamperStatus(frame);
+      if (delivered) {
+        toSender(delivered);
+      }
+    },
+    timeoutMs,
+  });
+  const toReceiver = createFrameHandler({reassembler, statuses: createStatusQueue()});
+
+  const writeFrame = async (frame) => {
+    const index = written.length;
+    written.push(decodeFrame(frame));
+    const delivered = tamper(frame, index);
+    for (const copy of Array.isArray(delivered) ? delivered : [delivered]) {
+      if (copy) {
+        toReceiver(copy);
+      }
+    }
+  };
+
+  const send = (message, maxFrameBytes = MIN_FRAME_BYTES) =>
+    sendTransfer(message, {maxFrameBytes, writeFrame, statuses, statusTimeoutMs: STATUS_TIMEOUT_MS});
+
+  return {send, received, written, toReceiver};
+};
+
+const message = encodeUtf8('eyJ2IjoxLCJzaWQiOiJzZXNzaW9uIiwiY3QiOiJzZWFsZWQgdG9rZW4gZW52ZWxvcGUifQ=='.repeat(3));
+
+const dataSeqs = (frames) => frames.filter((frame) => frame.type === FRAME_TYPE.DATA).map((frame) => frame.seq);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('reliable transfer', () => {
+  test('delivers a message over a clean link in one round', async () => {
+    const link = createLink();
+    const result = await link.send(message, 185);
+
+    expect(result.rounds).toBe(1);
+    expect(link.received).toEqual([message]);
+  });
+
+  test('resends only the frames that were lost', async () => {
+    const link = createLink({tamper: (frame, index) => (index === 1 || index === 3 ? null : frame)});
+    const result = await link.send(message);
+
+    expect(link.received).toEqual([message]);
+    expect(result.rounds).toBe(2);
+    const firstRound = result.frames + 1;
+    expect(dataSeqs(link.written.slice(firstRound))).toEqual([1, 3]);
+  });
+
+  test('treats corrupted frames as lost', async () => {
+    const link = createLink({
+      tamper: (frame, index) => {
+        if (index !== 2) {
+          return frame;
+        }
+        const corrupted = frame.slice();
+        corrupted[8] ^= 0xff;
+        return corrupted;
+      },
+    });
+    await link.send(message);
+
+    expect(link.received).toEqual([message]);
+  });
+
+  test('delivers duplicated and reordered frames once', async () => {
+    let held = null;
+    const link = createLink({
+      tamper: (frame, index) => {
+        if (index === 0) {
+          held = frame;
+          return [frame, frame];
+        }
+        if (index === 4) {
+          return [frame, held];
+        }
+        return frame;
+      },
+    });
+    const result = await link.send(message);
+
+    expect(result.rounds).toBe(1);
+    expect(link.received).toEqual([message]);
+  });
+
+  test('asks again when the END frame or its answer is lost', async () => {
+    const frames = fragmentMessage(message, MIN_FRAME_BYTES).dataFrames.length;
+    const lostEnd = createLink({tamper: (frame, index) => (index === frames ? null : frame)});
+    expect((await lostEnd.send(message)).rounds).toBe(2);
+    expect(lostEnd.received).toEqual([message]);
+
+    // COMPLETE lost: the receiver remembers the transfer and does not deliver it twice
+    let statusesSent = 0;
+    const lostComplete = createLink({tamperStatus: (frame) => (statusesSent++ === 0 ? null : frame)});
+    expect((await lostComplete.send(message)).rounds).toBe(2);
+    expect(lostComplete.received).toEqual([message]);
+  });
+
+  test('a partial transfer from an earlier sender cannot poison the next one', async () => {
+    const stale = fragmentMessage(nacl.randomBytes(message.length), MIN_FRAME_BYTES);
+    const link = createLink();
+    stale.dataFrames.slice(0, 3).forEach((frame) => link.toReceiver(frame));
+
+    const result = await link.send(message);
+    expect(result.rounds).toBe(1);
+    expect(link.received).toEqual([message]);
+  });
+
+  test('drops a partial transfer after the reassembly timeout', async () => {
+    const {dataFrames, endFrame} = fragmentMessage(message, MIN_FRAME_BYTES);
+    const received = [];
+    const statuses = [];
+    const reassembler = createReassembler({
+      onMessage: (bytes) => received.push(bytes),
+      sendStatus: async (frame) => statuses.push(decodeFrame(frame)),
+      timeoutMs: 10,
+    });
+    dataFrames.slice(0, 2).forEach((frame) => reassembler.handleFrame(decodeFrame(frame)));
+    await new Promise((resolve) => setTimeout(resolve, 30));
+    dataFrames.slice(2).forEach((frame) => reassembler.handleFrame(decodeFrame(frame)));
+    reassembler.handleFrame(decodeFrame(endFrame));
+
+    expect(statuses).toEqual([
+      expect.objectContaining({code: TRANSFER_STATUS.MISSING, missing: [{start: 0, length: 2}]}),
+    ]);
+    expect(received).toEqual([]);
+  });
+
+  test('gives up when the receiver never confirms', async () => {
+    const link = createLink({tamper: () => null});
+    await expect(link.send(message)).rejects.toThrow('Receiver did not confirm the transfer after 8 attempts');
+  });
+});
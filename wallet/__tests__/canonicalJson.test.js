@@ -0,0 +1,142 @@
+/**
+ * @format
+ */
+
+import {canonicalize, canonicalBytes} from '../src/modules/canonicalJson';
+import {verifyQRSignature} from '../src/modules/cryptoUtils';
+import {verifyToken} from '../src/modules/offlineToken';
+import {createBankKeypair, signCanonical} from '../server/bankCrypto';
+
+jest.mock('react-native-keychain', () => ({}));
+jest.mock('../src/modules/deviceIdentity', () => ({}));
+
+// Expected signatures below were produced with Node's built-in Ed25519
+// (OpenSSL), independently of tweetnacl, from this 32-byte seed: 0x01..0x20
+const VECTOR_PUBLIC_KEY = 'ebVWLo/mVPlAeLES6KmLp5AfhTrmlb7X4OORC60ElmQ=';
+
+// Bank certificate for the vector key, signed with the development bank key
+const vectorCertificate = {
+  version: 1,
+  role: 'payer',
+  subject_id: 'vector-payer',
+  public_key: VECTOR_PUBLIC_KEY,
+  offline_limit: 200000,
+  issued_at: 1767225000,
+  expires_at: 1769817600,
+};
+const VECTOR_PAYER_CERT = {
+  ...vectorCertificate,
+  signature: signCanonical(vectorCertificate, createBankKeypair().secretKey),
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('canonicalize (RFC 8785 vectors)', () => {
+  test('serializes numbers, strings and literals (RFC 8785 §3.2.2)', () => {
+    const input = {
+      numbers: [333333333.33333329, 1e30, 4.5, 2e-3, 0.000000000000000000000000001],
+      string: '€$\u000F\u000aA\'B"\\\\"/',
+      literals: [null, true, false],
+    };
+    expect(canonicalize(input)).toBe(
+      '{"literals":[null,true,false],"numbers":[333333333.3333333,1e+30,4.5,0.002,1e-27],' +
+        '"string":"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"}',
+    );
+  });
+
+  test('sorts keys by UTF-16 code units (RFC 8785 §3.2.3)', () => {
+    const input = {
+      '€': 'Euro Sign',
+      '\r': 'Carriage Return',
+      'דּ': 'Hebrew Letter Dalet With Dagesh',
+      1: 'One',
+      '😀': 'Emoji: Grinning Face',
+      '\u0080': 'Control',
+      'ö': 'Latin Small Letter O With Diaeresis',
+    };
+    expect(canonicalize(input)).toBe(
+      '{"\\r":"Carriage Return","1":"One","\u0080":"Control",' +
+        '"ö":"Latin Small Letter O With Diaeresis","€":"Euro Sign",' +
+        '"😀":"Emoji: Grinning Face","דּ":"Hebrew Letter Dalet With Dagesh"}',
+    );
+  });
+
+  test('is independent of key insertion order and number spelling', () => {
+    expect(canonicalize({b: 100.0, a: {d: -0, c: [1.50]}})).toBe(
+      canonicalize({a: {c: [1.5], d: 0}, b: 100}),
+    );
+    expect(canonicalize({b: 100.0, a: 1})).toBe('{"a":1,"b":100}');
+  });
+
+  test('omits undefined properties and rejects non-JSON values', () => {
+    expect(canonicalize({a: undefined, b: 1})).toBe('{"b":1}');
+    expect(() => canonicalize({a: NaN})).toThrow();
+    expect(() => canonicalize([Infinity])).toThrow();
+    expect(() => canonicalize([undefined])).toThrow();
+    expect(() => canonicalize({f: () => {}})).toThrow();
+  });
+
+  test('encodes the canonical text as UTF-8', () => {
+    expect(Array.from(canonicalBytes({name: 'ä€'}))).toEqual([
+      0x7b, 0x22, 0x6e, 0x61, 0x6d, 0x65, 0x22, 0x3a, 0x22, 0xc3, 0xa4, 0xe2, 0x82, 0xac, 0x22, 0x7d,
+    ]);
+  });
+});
+
+describe('cross-implementation signing vectors', () => {
+  test('frozen token signature verifies regardless of field order', async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1767225600000);
+
+    const token = {
+      signature:
+        'Z59iTgeR6wJtE3Ai0fTiyCGqlDTdx2r01kf/CCawuQQl1qkoBXC91YV6bUzujbInn/PqKkNqhggV+nWhV7rjDQ==',
+      timestamp: 1767225600,
+      nonce: 'q6urq6urq6urq6urq6urqw==',
+      counter: 42,
+      payer_device_id: 'vector-payer',
+      payer_pubkey: VECTOR_PUBLIC_KEY,
+      merchant_id: 'merchant-0001',
+      amount: 150.5,
+      version: 2,
+      payer_cert: VECTOR_PAYER_CERT,
+    };
+
+    expect(await verifyToken(token)).toBe(true);
+    expect(await verifyToken({...token, amount: 150.51})).toBe(false);
+  });
+
+  test('receive QR signature verifies regardless of field order', () => {
+    const payload = {
+      signature:
+        'Fcho/iZnu/vEq0hLNCCaUwh/DLDrepa+lkpwdzlpas3MRckLG6O7QDVxbpvhi0EAQA4mMuqySrI1Vb7K6cs2Dg==',
+      tx: {
+        timestamp: 1767225600000,
+        nonce: 'zc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc0=',
+        intent: 'receive',
+      },
+      version: '2.1',
+      conn: {
+        ephemeral_public_key: VECTOR_PUBLIC_KEY,
+        device_name: 'Shop Counter',
+        device_id: '3f1c2a9e-0000-4000-8000-000000000001',
+        ble_service_uuid: '0000ffe0-0000-1000-8000-00805f9b34fb',
+      },
+    };
+
+    expect(verifyQRSignature(payload, payload.signature, VECTOR_PUBLIC_KEY)).toBe(true);
+    expect(
+      verifyQRSignature(
+        {...payload, tx: {...payload.tx, intent: 'send'}},
+        payload.signature,
+        VECTOR_PUBLIC_KEY,
+      ),
+    ).toBe(false);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * @format
+ */
+
+import fc from 'fast-check';
+import {encode as encodeBase64} from 'base64-arraybuffer';
+import {createByteWriter, createByteReader} from '../src/modules/compactEncoding';
+
+const roundTrip = (write, read) => {
+  const writer = createByteWriter();
+  write(writer);
+  const reader = createByteReader(writer.finish());
+  const value = read(reader);
+  reader.end();
+  return value;
+};
+
+describe('compact encoding', () => {
+  test('round-trips every field type', () => {
+    fc.assert(
+      fc.property(
+        fc.maxSafeNat(),
+        fc.string(),
+        fc.uint8Array(),
+        fc.option(fc.fullUnicodeString(), {nil: null}),
+        (number, text, bytes, maybe) => {
+          const base64 = encodeBase64(bytes.slice().buffer);
+          const decoded = roundTrip(
+            writer => {
+              writer.uint(number);
+              writer.text(text);
+              writer.base64(base64);
+              writer.optional(maybe, writer.text);
+              writer.blob(bytes);
+            },
+            reader => [reader.uint(), reader.text(), reader.base64(), reader.optional(reader.text), reader.blob()],
+          );
+          expect(decoded).toEqual([number, text, base64, maybe, bytes]);
+        },
+      ),
+    );
+  });
+
+  test('uses one byte for small integers and minimal encodings only', () => {
+    const writer = createByteWriter();
+    writer.uint(127);
+    writer.uint(128);
+    expect(Array.from(writer.finish())).toEqual([0x7f, 0x80, 0x01]);
+
+    expect(() => createByteReader(Uint8Array.of(0x80, 0x00)).uint()).toThrow('Non-minimal');
+    expect(() => createByteReader(new Uint8Array(9).fill(0xff)).uint()).toThrow('out of range');
+  });
+
+  test('refuses values a field cannot carry exactly', () => {
+    const writer = createByteWriter();
+    expect(() => writer.uint(-1)).toThrow();
+    expect(() => writer.uint(1.5)).toThrow();
+    expect(() => writer.uint(2 ** 53)).toThrow();
+    expect(() => writer.base64('bm9uY2U')).toThrow('Not canonical base64');
+    expect(() => writer.text(42)).toThrow();
+  });
+
+  test('rejects truncated and trailing input', () => {
+    expect(() => createByteReader(Uint8Array.of(5, 1, 2)).blob()).toThrow('Truncated');
+    expect(() => createByteReader(Uint8Array.of(2)).optional(() => null)).toThrow('presence flag');
+
+    const reader = createByteReader(Uint8Array.of(1, 2));
+    reader.u8();
+    expect(() => reader.end()).toThrow('Trailing bytes');
+  });
+});
@@ -0,0 +1,251 @@
+/**
+ * @format
+ */
+
+import {Buffer} from 'buffer';
+import crypto from 'crypto';
+import {Platform} from 'react-native';
+import {p256} from '@noble/curves/p256';
+
+const mockKeychainStore = new Map();
+
+// Stand-in for the native TokpayKeystore module: P-256 keys that stay in this
+// map, DER signatures like the Android Keystore returns
+const mockHardwareKeys = new Map();
+const mockKeystore = {
+  getOrCreateKey: jest.fn(async (alias) => {
+    if (!mockHardwareKeys.has(alias)) {
+      mockHardwareKeys.set(alias, crypto.generateKeyPairSync('ec', {namedCurve: 'P-256'}));
+    }
+    const {x, y} = mockHardwareKeys.get(alias).publicKey.export({format: 'jwk'});
+    const point = Buffer.concat([Buffer.from([4]), Buffer.from(x, 'base64url'), Buffer.from(y, 'base64url')]);
+    return {publicKey: point.toString('base64'), securityLevel: 'strongbox'};
+  }),
+  sign: jest.fn(async (alias, messageBase64) =>
+    crypto
+      .sign('sha256', Buffer.from(messageBase64, 'base64'), mockHardwareKeys.get(alias).privateKey)
+      .toString('base64'),
+  ),
+  getAttestation: jest.fn(async () => []),
+  deleteKey: jest.fn(async (alias) => mockHardwareKeys.delete(alias)),
+};
+
+jest.mock('react-native-keychain', () => ({
+  ACCESSIBLE: {WHEN_UNLOCKED_THIS_DEVICE_ONLY: 'WHEN_UNLOCKED_THIS_DEVICE_ONLY'},
+  getGenericPassword: jest.fn(async ({service}) => mockKeychainStore.get(service) || false),
+  setGenericPassword: jest.fn(async (username, password, {service}) => {
+    mockKeychainStore.set(service, {username, password});
+    return {service};
+  }),
+  hasGenericPassword: jest.fn(async ({service}) => mockKeychainStore.has(service)),
+  resetGenericPassword: jest.fn(async ({service}) => mockKeychainStore.delete(service)),
+}));
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({
+    deviceId: 'payer-device-0001',
+    deviceName: 'Payer Phone',
+  })),
+}));
+
+const {createBankKeypair, signCanonical, verifyCanonical, verifyTokenSignature, verifyKeyAttestation} =
+  require('../server/bankCrypto');
+
+// The other valid ECDSA encoding of the same signature: (r, n - s)
+const flipS = (signature) => new p256.Signature(signature.r, p256.Point.CURVE().n - signature.s);
+
+// Development bank key, pinned in Config.BANK_PUBLIC_KEY
+const bankKeys = createBankKeypair();
+
+const issuePayerCertificate = (publicKey) => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const certificate = {
+    version: 1,
+    role: 'payer',
+    subject_id: 'payer-device-0001',
+    public_key: publicKey,
+    offline_limit: 200000,
+    issued_at: nowSeconds - 60,
+    expires_at: nowSeconds + 30 * 24 * 60 * 60,
+  };
+  return {...certificate, signature: signCanonical(certificate, bankKeys.secretKey)};
+};
+
+// Load the app modules as an Android build with (or without) the native keystore
+const loadModules = ({hardware = true, nodeEnv = 'test'} = {}) => {
+  const previousNodeEnv = process.env.NODE_ENV;
+  process.env.NODE_ENV = nodeEnv;
+  let modules;
+  try {
+    jest.isolateModules(() => {
+      require('react-native').NativeModules.TokpayKeystore = hardware ? mockKeystore : undefined;
+      modules = {
+        offlineToken: require('../src/modules/offlineToken'),
+        paymentAck: require('../src/modules/paymentAck'),
+        canonicalJson: require('../src/modules/canonicalJson'),
+        secureChannel: require('../src/modules/secureChannel'),
+        bleFraming: require('../src/modules/bleFraming'),
+      };
+    });
+  } finally {
+    process.env.NODE_ENV = previousNodeEnv;
+  }
+  return modules;
+};
+
+beforeEach(() => {
+  Platform.OS = 'android';
+  mockKeychainStore.clear();
+  mockHardwareKeys.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hardware-backed wallet key', () => {
+  test('signs tokens by handle with a P-256 key that never reaches JS', async () => {
+    const {offlineToken} = loadModules();
+    const payerPubkey = await offlineToken.getPublicKey();
+    expect(Buffer.from(payerPubkey, 'base64')).toHaveLength(65);
+    expect(await offlineToken.storePayerCertificate(issuePayerCertificate(payerPubkey))).toBe(true);
+
+    const token = await offlineToken.generateToken(2500, 'merchant-device-0001');
+    expect(token.payer_pubkey).toBe(payerPubkey);
+    expect(Buffer.from(token.signature, 'base64')).toHaveLength(64);
+    expect(await offlineToken.verifyToken(token)).toBe(true);
+    expect(await offlineToken.verifyToken({...token, amount: 25000})).toBe(false);
+
+    // The private key only exists in the (mock) keystore
+    expect([...mockKeychainStore.keys()]).not.toContain('com.tokpay.wallet.keypair');
+    expect(mockKeystore.sign).toHaveBeenCalledWith('com.tokpay.wallet.signing', expect.any(String));
+  });
+
+  test('P-256 signatures verify in the app and at the bank alike', async () => {
+    const {offlineToken, paymentAck, canonicalJson} = loadModules();
+    const message = {purpose: 'tokpay-device-registration', device_id: 'payer-device-0001'};
+    const {publicKey, signature} = await offlineToken.signWithWalletKey(canonicalJson.canonicalBytes(message));
+
+    expect(offlineToken.verifyWalletSignature(canonicalJson.canonicalBytes(message), signature, publicKey)).toBe(
+      true,
+    );
+    expect(verifyCanonical(message, signature, publicKey)).toBe(true);
+    expect(verifyCanonical({...message, device_id: 'thief-device'}, signature, publicKey)).toBe(false);
+
+    await offlineToken.storePayerCertificate(issuePayerCertificate(publicKey));
+    const token = await offlineToken.generateToken(1000, 'merchant-device-0001');
+    expect(verifyTokenSignature(token)).toBe(true);
+
+    const ack = await paymentAck.createPaymentAck(token, {credited: true});
+    expect(paymentAck.verifyPaymentAck(ack, token)).toBe(true);
+    expect(paymentAck.verifyPaymentAck({...ack, status: 'nack'}, token)).toBe(false);
+  });
+
+  test('normalizes P-256 signatures to low-S and rejects high-S twins', async () => {
+    const {offlineToken, canonicalJson} = loadModules();
+    const message = {purpose: 'tokpay-device-registration', device_id: 'payer-device-0001'};
+    const messageBytes = canonicalJson.canonicalBytes(message);
+
+    // The keystore may return either s; this one always returns the high one
+    mockKeystore.sign.mockImplementationOnce(async (alias, messageBase64) => {
+      const der = crypto.sign('sha256', Buffer.from(messageBase64, 'base64'), mockHardwareKeys.get(alias).privateKey);
+      const signature = p256.Signature.fromDER(new Uint8Array(der));
+      return Buffer.from((signature.hasHighS() ? signature : flipS(signature)).toDERRawBytes()).toString('base64');
+    });
+    const {publicKey, signature} = await offlineToken.signWithWalletKey(messageBytes);
+    const lowS = p256.Signature.fromCompact(new Uint8Array(Buffer.from(signature, 'base64')));
+    expect(lowS.hasHighS()).toBe(false);
+    expect(offlineToken.verifyWalletSignature(messageBytes, signature, publicKey)).toBe(true);
+
+    const twin = Buffer.from(flipS(lowS).toCompactRawBytes()).toString('base64');
+    expect(offlineToken.verifyWalletSignature(messageBytes, twin, publicKey)).toBe(false);
+    expect(verifyCanonical(message, twin, publicKey)).toBe(false);
+
+    await offlineToken.storePayerCertificate(issuePayerCertificate(publicKey));
+    const token = await offlineToken.generateToken(1000, 'merchant-device-0001');
+    const twinToken = {
+      ...token,
+      signature: Buffer.from(
+        flipS(p256.Signature.fromCompact(new Uint8Array(Buffer.from(token.signature, 'base64')))).toCompactRawBytes(),
+      ).toString('base64'),
+    };
+    expect(verifyTokenSignature(token)).toBe(true);
+    expect(verifyTokenSignature(twinToken)).toBe(false);
+    expect(await offlineToken.verifyToken(twinToken)).toBe(false);
+  });
+
+  test('a sealed token fits in two BLE frames at the usual Android MTU', async () => {
+    const {offlineToken, secureChannel, bleFraming} = loadModules();
+    await offlineToken.storePayerCertificate(issuePayerCertificate(await offlineToken.getPublicKey()));
+    const token = await offlineToken.generateToken(2500, 'merchant-device-0001');
+
+    const receiver = secureChannel.openReceiverSession();
+    const sender = secureChannel.startSenderSession(receiver.publicKey, 'zc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc0=');
+    const envelope = secureChannel.sealMessage(sender, offlineToken.encodeTokenBytes(token));
+    const {dataFrames} = bleFraming.fragmentMessage(envelope, bleFraming.getMaxFrameBytes(517));
+    expect(dataFrames.length).toBeLessThanOrEqual(2);
+
+    // The receiver accepts the token only after answering the sender's hello
+    const hello = secureChannel.acceptSenderMessage(secureChannel.createHello(sender).envelope);
+    secureChannel.answerHello(hello.session, hello.data);
+    const opened = secureChannel.acceptSenderMessage(envelope);
+    expect(offlineToken.decodeTokenBytes(opened.data)).toEqual(token);
+  });
+
+  test('replaces a software keypair left by an older build', async () => {
+    const legacy = loadModules({hardware: false});
+    const legacyPubkey = await legacy.offlineToken.getPublicKey();
+    await legacy.offlineToken.generateToken(1000, 'merchant-device-0001');
+    expect(mockKeychainStore.has('com.tokpay.wallet.keypair')).toBe(true);
+
+    const {offlineToken} = loadModules();
+    const token = await offlineToken.generateToken(1000, 'merchant-device-0001');
+    expect(token.payer_pubkey).not.toBe(legacyPubkey);
+    expect(token.counter).toBe(2);
+    expect(mockKeychainStore.has('com.tokpay.wallet.keypair')).toBe(false);
+  });
+
+  test('resetKeypair deletes the hardware key', async () => {
+    const {offlineToken} = loadModules();
+    const before = await offlineToken.getPublicKey();
+    expect(await offlineToken.resetKeypair()).toBe(true);
+    expect(mockKeystore.deleteKey).toHaveBeenCalledWith('com.tokpay.wallet.signing');
+    expect(await offlineToken.getPublicKey()).not.toBe(before);
+  });
+
+  test('rotates to a new keystore alias and deletes the old key', async () => {
+    const {offlineToken} = loadModules();
+    const oldPubkey = await offlineToken.getPublicKey();
+
+    const rotation = await offlineToken.rotateWalletKey();
+    const {old_signature: oldSignature, new_signature: newSignature, ...statement} = rotation;
+    expect(verifyCanonical(statement, oldSignature, oldPubkey)).toBe(true);
+    expect(verifyCanonical(statement, newSignature, rotation.new_pubkey)).toBe(true);
+    expect(mockKeystore.deleteKey).toHaveBeenCalledWith('com.tokpay.wallet.signing');
+    expect([...mockHardwareKeys.keys()]).toEqual(['com.tokpay.wallet.signing.v2']);
+
+    await offlineToken.storePayerCertificate(issuePayerCertificate(rotation.new_pubkey));
+    const token = await offlineToken.generateToken(1000, 'merchant-device-0001');
+    expect(token.payer_pubkey).toBe(rotation.new_pubkey);
+    expect(verifyTokenSignature(token)).toBe(true);
+
+    expect(await offlineToken.resetKeypair()).toBe(true);
+    expect(mockHardwareKeys.size).toBe(0);
+  });
+
+  test('refuses software keys outside tests', async () => {
+    const {offlineToken} = loadModules({hardware: false, nodeEnv: 'production'});
+    await expect(offlineToken.getPublicKey()).rejects.toThrow('Failed to initialize cryptographic keys');
+    await expect(offlineToken.generateToken(1000, 'merchant-device-0001')).rejects.toThrow();
+    expect(mockKeychainStore.size).toBe(0);
+  });
+
+  test('bank rejects attestation chains that do not certify the wallet key', async () => {
+    const {offlineToken} = loadModules();
+    const walletPubkey = await offlineToken.getPublicKey();
+    expect(verifyKeyAttestation([], walletPubkey)).toBe(false);
+    expect(verifyKeyAttestation(['bm90IGEgY2VydGlmaWNhdGU='], walletPubkey)).toBe(false);
+  });
+});
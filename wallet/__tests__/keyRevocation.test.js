@@ -0,0 +1,86 @@
+/**
+ * @format
+ */
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({deviceId: 'merchant-device-0001', deviceName: 'Merchant Phone'})),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import nacl from 'tweetnacl';
+import {createBankKeypair, signCanonical, getKeyId} from '../server/bankCrypto';
+import {
+  verifyRevocationList,
+  installRevocationList,
+  getRevokedKeys,
+  REVOCATION_LIST_VERSION,
+} from '../src/modules/keyRevocation';
+
+const bankKeys = createBankKeypair();
+
+const OLD_KID = getKeyId('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=');
+const FLAGGED_KID = getKeyId('AQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQEBAQE=');
+
+const issueList = (overrides = {}, secretKey = bankKeys.secretKey) => {
+  const unsigned = {
+    version: REVOCATION_LIST_VERSION,
+    issued_at: 1767225600,
+    entries: [
+      {kid: OLD_KID, reason: 'superseded', revoked_at: 1767220000},
+      {kid: FLAGGED_KID, reason: 'compromised', revoked_at: 1767210000},
+    ],
+    ...overrides,
+  };
+  return {...unsigned, signature: signCanonical(unsigned, secretKey)};
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('key revocation list', () => {
+  test('is empty until the bank delivers a list', async () => {
+    expect(await getRevokedKeys()).toEqual([]);
+  });
+
+  test('installs a list signed by the bank', async () => {
+    const list = issueList();
+    expect(await installRevocationList(list)).toEqual({success: true, message: 'Revocation list updated (2 keys)'});
+    expect(await getRevokedKeys()).toEqual(list.entries);
+  });
+
+  test('rejects lists that are unsigned, altered or malformed', () => {
+    expect(verifyRevocationList(issueList({}, nacl.sign.keyPair().secretKey)).valid).toBe(false);
+    expect(verifyRevocationList({...issueList(), entries: []}).valid).toBe(false);
+    expect(verifyRevocationList(issueList({entries: [{kid: OLD_KID, reason: 'lost', revoked_at: 1}]})).error).toBe(
+      'Revocation list is malformed'
+    );
+    expect(verifyRevocationList(issueList({version: 2})).error).toBe('Unsupported revocation list');
+  });
+
+  test('refuses to roll back to an older, shorter list', async () => {
+    await installRevocationList(issueList());
+    const older = issueList({issued_at: 1767200000, entries: []});
+
+    expect((await installRevocationList(older)).success).toBe(false);
+    expect(await getRevokedKeys()).toHaveLength(2);
+  });
+
+  test('ignores a stored list that was edited in place', async () => {
+    await installRevocationList(issueList());
+    const stored = JSON.parse(await AsyncStorage.getItem('@tokpay:revocation_list'));
+    await AsyncStorage.setItem('@tokpay:revocation_list', JSON.stringify({...stored, entries: []}));
+
+    expect(await getRevokedKeys()).toEqual([]);
+    expect(await installRevocationList(issueList())).toMatchObject({success: true});
+  });
+});
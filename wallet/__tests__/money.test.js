@@ -0,0 +1,79 @@
+/**
+ * @format
+ */
+
+import {
+  MAX_AMOUNT_PAISE,
+  isValidPaise,
+  parseRupeesToPaise,
+  rupeesToPaise,
+  formatRupees,
+} from '../src/modules/money';
+
+describe('parseRupeesToPaise', () => {
+  test.each([
+    ['1', 100],
+    ['0.1', 10],
+    ['0.01', 1],
+    ['12.5', 1250],
+    ['12.50', 1250],
+    ['12.', 1200],
+    [' 99.99 ', 9999],
+    ['100000', MAX_AMOUNT_PAISE],
+  ])('parses "%s" as %i paise', (input, paise) => {
+    expect(parseRupeesToPaise(input)).toEqual({valid: true, paise, error: ''});
+  });
+
+  test('rejects more than 2 decimal places', () => {
+    const result = parseRupeesToPaise('10.123456');
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/2 decimal places/);
+  });
+
+  test.each(['', '   ', 'abc', '-5', '1e3', '1,000', '.5', 'Infinity', '0x10'])(
+    'rejects "%s"',
+    (input) => {
+      expect(parseRupeesToPaise(input).valid).toBe(false);
+    },
+  );
+
+  test('rejects zero and amounts above the maximum', () => {
+    expect(parseRupeesToPaise('0').valid).toBe(false);
+    expect(parseRupeesToPaise('0.00').valid).toBe(false);
+    expect(parseRupeesToPaise('100000.01').valid).toBe(false);
+    expect(parseRupeesToPaise('9'.repeat(400)).valid).toBe(false);
+  });
+});
+
+describe('paise helpers', () => {
+  test('sums stay exact in paise', () => {
+    const a = parseRupeesToPaise('0.1').paise;
+    const b = parseRupeesToPaise('0.2').paise;
+    expect(a + b).toBe(parseRupeesToPaise('0.3').paise);
+    expect(formatRupees(a + b)).toBe('₹0.30');
+  });
+
+  test('converts rupee numbers from older tokens and rows', () => {
+    expect(rupeesToPaise(150.5)).toBe(15050);
+    expect(rupeesToPaise(1.1)).toBe(110);
+    expect(rupeesToPaise(0.1 + 0.2)).toBe(30);
+    expect(rupeesToPaise(10.123456)).toBeNull();
+    expect(rupeesToPaise(NaN)).toBeNull();
+    expect(rupeesToPaise('10')).toBeNull();
+  });
+
+  test('validates paise amounts', () => {
+    expect(isValidPaise(1)).toBe(true);
+    expect(isValidPaise(MAX_AMOUNT_PAISE)).toBe(true);
+    expect(isValidPaise(0)).toBe(false);
+    expect(isValidPaise(10.5)).toBe(false);
+    expect(isValidPaise(MAX_AMOUNT_PAISE + 1)).toBe(false);
+  });
+
+  test('formats paise for display', () => {
+    expect(formatRupees(0)).toBe('₹0.00');
+    expect(formatRupees(5)).toBe('₹0.05');
+    expect(formatRupees(123450)).toBe('₹1234.50');
+    expect(formatRupees(-250)).toBe('-₹2.50');
+  });
+});
@@ -0,0 +1,476 @@
+/**
+ * @format
+ */
+
+const mockKeychainStore = new Map();
+
+jest.mock('react-native-keychain', () => ({
+  ACCESSIBLE: {WHEN_UNLOCKED_THIS_DEVICE_ONLY: 'WHEN_UNLOCKED_THIS_DEVICE_ONLY'},
+  getGenericPassword: jest.fn(async ({service}) => mockKeychainStore.get(service) || false),
+  setGenericPassword: jest.fn(async (username, password, {service}) => {
+    mockKeychainStore.set(service, {username, password});
+    return {service};
+  }),
+  hasGenericPassword: jest.fn(async ({service}) => mockKeychainStore.has(service)),
+  resetGenericPassword: jest.fn(async ({service}) => mockKeychainStore.delete(service)),
+}));
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({
+    deviceId: 'payer-device-0001',
+    deviceName: 'Payer Phone',
+  })),
+}));
+
+const {createBankKeypair, signCanonical} = require('../server/bankCrypto');
+
+// Development bank key, pinned in Config.BANK_PUBLIC_KEY
+const bankKeys = createBankKeypair();
+
+const issuePayerCertificate = (publicKey, deviceId, overrides = {}) => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const certificate = {
+    version: 1,
+    role: 'payer',
+    subject_id: deviceId,
+    public_key: publicKey,
+    offline_limit: 200000,
+    issued_at: nowSeconds - 60,
+    expires_at: nowSeconds + 30 * 24 * 60 * 60,
+    ...overrides,
+  };
+  return {...certificate, signature: signCanonical(certificate, bankKeys.secretKey)};
+};
+
+// Certify the wallet key the way device registration does
+const certifyWallet = async (mod, overrides) =>
+  mod.storePayerCertificate(
+    issuePayerCertificate(await mod.getPublicKey(), 'payer-device-0001', overrides),
+  );
+
+// Re-require the module to simulate an app restart (module state is lost)
+const loadOfflineToken = () => {
+  let mod;
+  jest.isolateModules(() => {
+    mod = require('../src/modules/offlineToken');
+  });
+  return mod;
+};
+
+beforeEach(() => {
+  mockKeychainStore.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('token counter', () => {
+  test('starts at 1 for a new keypair and survives restarts', async () => {
+    const first = loadOfflineToken();
+    const a = await first.generateToken(10, 'payee-device-0001');
+    const b = await first.generateToken(10, 'payee-device-0001');
+    expect([a.counter, b.counter]).toEqual([1, 2]);
+
+    const restarted = loadOfflineToken();
+    expect(await restarted.getCurrentCounter()).toBe(2);
+    const c = await restarted.generateToken(10, 'payee-device-0001');
+    expect(c.counter).toBe(3);
+  });
+
+  test('concurrent reservations never share a value', async () => {
+    const {generateToken, getCurrentCounter} = loadOfflineToken();
+    const tokens = await Promise.all(
+      Array.from({length: 5}, () => generateToken(1, 'payee-device-0001')),
+    );
+    const counters = tokens.map(token => token.counter).sort((x, y) => x - y);
+    expect(counters).toEqual([1, 2, 3, 4, 5]);
+    expect(await getCurrentCounter()).toBe(5);
+  });
+
+  test('seeds legacy installs above any in-memory counter value', async () => {
+    // Keypair from an older build, but no persisted counter record
+    const {getPublicKey} = loadOfflineToken();
+    await getPublicKey();
+    mockKeychainStore.delete('com.tokpay.wallet.counter');
+
+    const now = 1767225600000;
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    const {generateToken} = loadOfflineToken();
+    const token = await generateToken(5, 'payee-device-0001');
+    expect(token.counter).toBe(now / 1000 + 1);
+  });
+
+  test('reserves the counter before signing', async () => {
+    let nacl;
+    let offlineToken;
+    jest.isolateModules(() => {
+      nacl = require('tweetnacl');
+      offlineToken = require('../src/modules/offlineToken');
+    });
+    const {generateToken, getCurrentCounter} = offlineToken;
+    await generateToken(1, 'payee-device-0001');
+
+    jest.spyOn(nacl.sign, 'detached').mockImplementation(() => {
+      throw new Error('crash while signing');
+    });
+
+    await expect(generateToken(1, 'payee-device-0001')).rejects.toThrow();
+    expect(await getCurrentCounter()).toBe(2);
+  });
+});
+
+describe('token format', () => {
+  const nacl = require('tweetnacl');
+  const {encode: encodeBase64, decode: decodeBase64} = require('base64-arraybuffer');
+  const {encodeUtf8: utf8} = require('../src/modules/textEncoding');
+
+  const b64 = bytes => encodeBase64(bytes.slice().buffer);
+
+  // Sign a token the way wallets built before the frozen format did
+  const makeLegacyToken = (overrides = {}) => {
+    const keypair = nacl.sign.keyPair();
+    const token = {
+      payer_pubkey: b64(keypair.publicKey),
+      amount: 25,
+      payee_device_id: 'payee-device-0001',
+      timestamp: Date.now(),
+      counter: 7,
+      payer_device_id: 'legacy-payer',
+      ...overrides,
+    };
+    token.payer_cert = issuePayerCertificate(token.payer_pubkey, token.payer_device_id);
+    const message = JSON.stringify({
+      payer_pubkey: token.payer_pubkey,
+      amount: token.amount,
+      payee_device_id: token.payee_device_id,
+      timestamp: token.timestamp,
+      counter: token.counter,
+    });
+    token.signature = b64(nacl.sign.detached(utf8(message), keypair.secretKey));
+    return token;
+  };
+
+  test('generateToken emits the frozen fields', async () => {
+    const {generateToken, TOKEN_VERSION} = loadOfflineToken();
+    const before = Math.floor(Date.now() / 1000);
+    const token = await generateToken(42, 'merchant-0001');
+
+    expect(token.version).toBe(TOKEN_VERSION);
+    expect(token.merchant_id).toBe('merchant-0001');
+    expect(token).not.toHaveProperty('payee_device_id');
+    expect(decodeBase64(token.nonce).byteLength).toBe(16);
+    expect(Number.isInteger(token.timestamp)).toBe(true);
+    expect(token.timestamp).toBeGreaterThanOrEqual(before);
+    expect(token.timestamp).toBeLessThan(before + 5);
+  });
+
+  test('nonces are unique per token', async () => {
+    const {generateToken} = loadOfflineToken();
+    const a = await generateToken(1, 'merchant-0001');
+    const b = await generateToken(1, 'merchant-0001');
+    expect(a.nonce).not.toBe(b.nonce);
+  });
+
+  test('verifyToken accepts a frozen token', async () => {
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const token = await offlineToken.generateToken(42, 'merchant-0001');
+    expect(await offlineToken.verifyToken(token)).toBe(true);
+  });
+
+  test('verifyToken rejects a tampered frozen token', async () => {
+    const {generateToken, verifyToken} = loadOfflineToken();
+    const token = await generateToken(42, 'merchant-0001');
+    expect(await verifyToken({...token, amount: 4200})).toBe(false);
+    expect(await verifyToken({...token, merchant_id: 'merchant-0002'})).toBe(false);
+    expect(await verifyToken({...token, nonce: b64(nacl.randomBytes(16))})).toBe(false);
+  });
+
+  test('verifyToken rejects frozen tokens with a malformed nonce or unknown version', async () => {
+    const {generateToken, verifyToken} = loadOfflineToken();
+    const token = await generateToken(42, 'merchant-0001');
+    expect(await verifyToken({...token, nonce: b64(nacl.randomBytes(8))})).toBe(false);
+    expect(await verifyToken({...token, version: 99})).toBe(false);
+  });
+
+  test('verifyToken rejects an expired frozen token', async () => {
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const {generateToken, verifyToken} = offlineToken;
+    const token = await generateToken(42, 'merchant-0001');
+    expect(await verifyToken(token)).toBe(true);
+    jest.spyOn(Date, 'now').mockReturnValue((token.timestamp + 25 * 60 * 60) * 1000);
+    expect(await verifyToken(token)).toBe(false);
+  });
+
+  test('verifyToken rejects a frozen token dated beyond the clock skew tolerance', async () => {
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const token = await offlineToken.generateToken(42, 'merchant-0001');
+
+    // Issued by a payer whose clock runs ahead of ours
+    jest.spyOn(Date, 'now').mockReturnValue(token.timestamp * 1000 - 4 * 1000);
+    expect(await offlineToken.verifyToken(token)).toBe(true);
+    jest.spyOn(Date, 'now').mockReturnValue(token.timestamp * 1000 - 60 * 1000);
+    expect(await offlineToken.verifyToken(token)).toBe(false);
+  });
+
+  test('frozen tokens carry whole paise', async () => {
+    const {generateToken, verifyToken, getTokenAmountPaise} = loadOfflineToken();
+    await expect(generateToken(10.5, 'merchant-0001')).rejects.toThrow();
+    await expect(generateToken(0, 'merchant-0001')).rejects.toThrow();
+
+    const token = await generateToken(1250, 'merchant-0001');
+    expect(getTokenAmountPaise(token)).toBe(1250);
+    // Re-signed fractional amounts are still rejected
+    expect(await verifyToken({...token, amount: 12.5})).toBe(false);
+  });
+
+  test('older token amounts are read as rupees', async () => {
+    const {getTokenAmountPaise} = loadOfflineToken();
+    expect(getTokenAmountPaise({version: 2, amount: 150.5})).toBe(15050);
+    expect(getTokenAmountPaise({version: 2, amount: 10.123456})).toBeNull();
+    expect(getTokenAmountPaise(makeLegacyToken({amount: 25}))).toBe(2500);
+  });
+
+  test('verifyToken rejects legacy tokens, even correctly signed ones', async () => {
+    const {verifyToken, isLegacyToken} = loadOfflineToken();
+    const token = makeLegacyToken();
+    expect(isLegacyToken(token)).toBe(true);
+    expect(await verifyToken(token)).toBe(false);
+    expect(await verifyToken({...token, amount: 2500})).toBe(false);
+  });
+});
+
+describe('payer certificate', () => {
+  test('travels in the token once the wallet is certified', async () => {
+    const offlineToken = loadOfflineToken();
+    const uncertified = await offlineToken.generateToken(42, 'merchant-0001');
+    expect(uncertified).not.toHaveProperty('payer_cert');
+    expect(await offlineToken.verifyToken(uncertified)).toBe(false);
+
+    expect(await certifyWallet(offlineToken)).toBe(true);
+    const token = await offlineToken.generateToken(42, 'merchant-0001');
+    expect(token.payer_cert).toMatchObject({
+      role: 'payer',
+      subject_id: 'payer-device-0001',
+      public_key: token.payer_pubkey,
+    });
+    expect(await offlineToken.verifyToken(token)).toBe(true);
+  });
+
+  test('a fresh keypair cannot borrow another wallet certificate', async () => {
+    const nacl = require('tweetnacl');
+    const {encode: encodeBase64} = require('base64-arraybuffer');
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const token = await offlineToken.generateToken(42, 'merchant-0001');
+
+    // Re-signed with a key the bank never saw, carrying the genuine certificate
+    const {canonicalBytes} = require('../src/modules/canonicalJson');
+    const keypair = nacl.sign.keyPair();
+    const forged = {...token, payer_pubkey: encodeBase64(keypair.publicKey.slice().buffer)};
+    const message = canonicalBytes({
+      amount: forged.amount,
+      counter: forged.counter,
+      merchant_id: forged.merchant_id,
+      nonce: forged.nonce,
+      payer_pubkey: forged.payer_pubkey,
+      timestamp: forged.timestamp,
+      version: forged.version,
+    });
+    forged.signature = encodeBase64(nacl.sign.detached(message, keypair.secretKey).slice().buffer);
+
+    expect(await offlineToken.verifyToken(forged)).toBe(false);
+    expect(await offlineToken.verifyToken({...token, payer_device_id: 'other-device'})).toBe(false);
+  });
+
+  test('rejects certificates that are self-issued or expired', async () => {
+    const nacl = require('tweetnacl');
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const token = await offlineToken.generateToken(42, 'merchant-0001');
+
+    const selfIssued = {...token.payer_cert, offline_limit: 9000000};
+    selfIssued.signature = signCanonical(
+      {...selfIssued, signature: undefined},
+      nacl.sign.keyPair().secretKey,
+    );
+    expect(await offlineToken.verifyToken({...token, payer_cert: selfIssued})).toBe(false);
+
+    jest.spyOn(Date, 'now').mockReturnValue((token.payer_cert.expires_at + 3600) * 1000);
+    expect(await offlineToken.verifyToken(token)).toBe(false);
+    expect(await offlineToken.getPayerCertificate()).toBeNull();
+  });
+
+  test('caps the amount at the certified offline limit', async () => {
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken, {offline_limit: 5000});
+
+    expect(await offlineToken.verifyToken(await offlineToken.generateToken(5000, 'merchant-0001'))).toBe(true);
+    expect(await offlineToken.verifyToken(await offlineToken.generateToken(5001, 'merchant-0001'))).toBe(false);
+  });
+
+  test('is only stored for this wallet key and reset with it', async () => {
+    const offlineToken = loadOfflineToken();
+    const foreign = issuePayerCertificate('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=', 'payer-device-0001');
+
+    expect(await offlineToken.storePayerCertificate(foreign)).toBe(false);
+    expect(await offlineToken.getPayerCertificate()).toBeNull();
+
+    await certifyWallet(offlineToken);
+    expect(await offlineToken.getPayerCertificate()).not.toBeNull();
+    await offlineToken.resetKeypair();
+    expect(await offlineToken.getPayerCertificate()).toBeNull();
+  });
+});
+
+describe('key rotation', () => {
+  const {verifyCanonical, getKeyId} = require('../server/bankCrypto');
+
+  test('tokens name their signing key, and the kid is signed', async () => {
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const token = await offlineToken.generateToken(42, 'merchant-0001');
+
+    expect(token.kid).toBe(offlineToken.getKeyId(token.payer_pubkey));
+    expect(token.kid).toBe(getKeyId(token.payer_pubkey));
+    expect(await offlineToken.verifyToken({...token, kid: getKeyId('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=')})).toBe(
+      false,
+    );
+  });
+
+  test('signs the new key with the old one and keeps the retired public key', async () => {
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const oldPubkey = await offlineToken.getPublicKey();
+    await offlineToken.generateToken(42, 'merchant-0001');
+
+    const rotation = await offlineToken.rotateWalletKey();
+    const {old_signature: oldSignature, new_signature: newSignature, ...statement} = rotation;
+    expect(statement).toMatchObject({
+      purpose: 'tokpay-key-rotation',
+      device_id: 'payer-device-0001',
+      key_version: 2,
+      old_pubkey: oldPubkey,
+      old_kid: getKeyId(oldPubkey),
+    });
+    expect(verifyCanonical(statement, oldSignature, oldPubkey)).toBe(true);
+    expect(verifyCanonical(statement, newSignature, rotation.new_pubkey)).toBe(true);
+
+    // The certificate named the old key; the counter carries on
+    expect(await offlineToken.getPayerCertificate()).toBeNull();
+    const token = await offlineToken.generateToken(42, 'merchant-0001');
+    expect(token.payer_pubkey).toBe(rotation.new_pubkey);
+    expect(token.counter).toBe(2);
+
+    const restarted = loadOfflineToken();
+    const ring = await restarted.getWalletKeyRing();
+    expect(ring).toMatchObject({keyVersion: 2, publicKey: rotation.new_pubkey, rotations: [rotation]});
+    expect(ring.retired).toEqual([
+      {key_version: 1, kid: rotation.old_kid, public_key: oldPubkey, retired_at: rotation.rotated_at},
+    ]);
+    expect(await restarted.isOwnWalletKey(oldPubkey)).toBe(true);
+    expect(await restarted.isOwnWalletKey('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA=')).toBe(false);
+  });
+
+  test('receivers refuse tokens from revoked keys', async () => {
+    const {KEY_REVOCATION_REASON, ...offlineToken} = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const token = await offlineToken.generateToken(42, 'merchant-0001');
+    const revoke = (reason, revokedAt) => ({revokedKeys: [{kid: token.kid, reason, revoked_at: revokedAt}]});
+
+    // Superseded keys stay good for the tokens they signed before the rotation
+    expect(await offlineToken.verifyToken(token, revoke(KEY_REVOCATION_REASON.SUPERSEDED, token.timestamp))).toBe(
+      true,
+    );
+    expect(await offlineToken.verifyToken(token, revoke(KEY_REVOCATION_REASON.SUPERSEDED, token.timestamp - 1))).toBe(
+      false,
+    );
+    expect(
+      await offlineToken.verifyToken(token, revoke(KEY_REVOCATION_REASON.COMPROMISED, token.timestamp + 3600)),
+    ).toBe(false);
+    expect(
+      await offlineToken.verifyToken(token, {
+        revokedKeys: [{kid: getKeyId('AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA='), reason: 'compromised', revoked_at: 0}],
+      }),
+    ).toBe(true);
+  });
+
+  test('resetKeypair forgets the key ring', async () => {
+    const offlineToken = loadOfflineToken();
+    await offlineToken.rotateWalletKey();
+    await offlineToken.resetKeypair();
+    expect(await offlineToken.getWalletKeyRing()).toMatchObject({keyVersion: 1, retired: [], rotations: []});
+  });
+});
+
+describe('token encoding', () => {
+  const {encode: encodeBase64} = require('base64-arraybuffer');
+  const {encodeUtf8} = require('../src/modules/textEncoding');
+  const {parseToken} = require('../server/bankCrypto');
+
+  const jsonSerialized = token => encodeBase64(encodeUtf8(JSON.stringify(token)).slice().buffer);
+
+  test('encodes signed tokens compactly and losslessly', async () => {
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const token = await offlineToken.generateToken(4200, 'merchant-0001');
+
+    const bytes = offlineToken.encodeTokenBytes(token);
+    expect(bytes[0]).toBe(offlineToken.COMPACT_TOKEN_ENCODING);
+    expect(bytes.length * 2).toBeLessThan(encodeUtf8(JSON.stringify(token)).length);
+
+    const decoded = offlineToken.decodeTokenBytes(bytes);
+    expect(decoded).toEqual(token);
+    expect(await offlineToken.verifyToken(decoded)).toBe(true);
+    expect(offlineToken.deserializeToken(offlineToken.serializeToken(token))).toEqual(token);
+    expect(parseToken(offlineToken.serializeToken(token))).toEqual(token);
+  });
+
+  test('still reads base64 JSON tokens from older wallets', async () => {
+    const offlineToken = loadOfflineToken();
+    await certifyWallet(offlineToken);
+    const token = await offlineToken.generateToken(4200, 'merchant-0001');
+
+    expect(offlineToken.deserializeToken(jsonSerialized(token))).toEqual(token);
+    expect(parseToken(jsonSerialized(token))).toEqual(token);
+  });
+
+  test('falls back to JSON for tokens the compact layout cannot carry', async () => {
+    const offlineToken = loadOfflineToken();
+    const token = await offlineToken.generateToken(4200, 'merchant-0001');
+    const unusual = [
+      {...token, memo: 'not in the layout'},
+      {...token, version: 2, amount: 42.5},
+      {...token, nonce: 'bm9uY2U'},
+      {payer_pubkey: token.payer_pubkey, amount: 25, timestamp: Date.now(), counter: 1, signature: 'c2ln'},
+    ];
+
+    for (const candidate of unusual) {
+      const bytes = offlineToken.encodeTokenBytes(candidate);
+      expect(String.fromCharCode(bytes[0])).toBe('{');
+      expect(offlineToken.decodeTokenBytes(bytes)).toEqual(candidate);
+      expect(parseToken(offlineToken.serializeToken(candidate))).toEqual(candidate);
+    }
+  });
+
+  test('rejects truncated or padded compact tokens', async () => {
+    const offlineToken = loadOfflineToken();
+    const bytes = offlineToken.encodeTokenBytes(await offlineToken.generateToken(4200, 'merchant-0001'));
+
+    const padded = new Uint8Array(bytes.length + 1);
+    padded.set(bytes);
+    for (const corrupt of [bytes.subarray(0, bytes.length - 1), padded]) {
+      expect(() => offlineToken.decodeTokenBytes(corrupt)).toThrow();
+      expect(() => offlineToken.deserializeToken(encodeBase64(corrupt.slice().buffer))).toThrow(
+        'Failed to deserialize token',
+      );
+      expect(parseToken(encodeBase64(corrupt.slice().buffer))).toBeNull();
+    }
+  });
+});
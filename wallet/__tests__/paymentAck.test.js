@@ -0,0 +1,108 @@
+/**
+ * @format
+ */
+
+const mockKeychainStore = new Map();
+
+jest.mock('react-native-keychain', () => ({
+  ACCESSIBLE: {WHEN_UNLOCKED_THIS_DEVICE_ONLY: 'WHEN_UNLOCKED_THIS_DEVICE_ONLY'},
+  getGenericPassword: jest.fn(async ({service}) => mockKeychainStore.get(service) || false),
+  setGenericPassword: jest.fn(async (username, password, {service}) => {
+    mockKeychainStore.set(service, {username, password});
+    return {service};
+  }),
+  hasGenericPassword: jest.fn(async ({service}) => mockKeychainStore.has(service)),
+  resetGenericPassword: jest.fn(async ({service}) => mockKeychainStore.delete(service)),
+}));
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({
+    deviceId: 'receiver-device-0001',
+    deviceName: 'Receiver Phone',
+  })),
+}));
+
+import {generateToken} from '../src/modules/offlineToken';
+import {
+  ACK_STATUS,
+  createPaymentAck,
+  verifyPaymentAck,
+  serializeAck,
+  deserializeAck,
+  encodeAckBytes,
+  decodeAckBytes,
+  COMPACT_ACK_ENCODING,
+} from '../src/modules/paymentAck';
+import {encode as encodeBase64} from 'base64-arraybuffer';
+import {encodeUtf8} from '../src/modules/textEncoding';
+
+beforeEach(() => {
+  mockKeychainStore.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('payment ACK', () => {
+  test('a credited token yields an ACK that verifies after transfer', async () => {
+    const token = await generateToken(42, 'merchant-0001');
+    const ack = await createPaymentAck(token, {credited: true});
+    const received = deserializeAck(serializeAck(ack));
+
+    expect(received.status).toBe(ACK_STATUS.ACK);
+    expect(verifyPaymentAck(received, token)).toBe(true);
+  });
+
+  test('a refused token yields a NACK carrying the result code', async () => {
+    const token = await generateToken(42, 'merchant-0001');
+    const nack = await createPaymentAck(token, {credited: false, code: 'INVALID_TOKEN'});
+
+    expect(nack.status).toBe(ACK_STATUS.NACK);
+    expect(nack.code).toBe('INVALID_TOKEN');
+    expect(verifyPaymentAck(nack, token)).toBe(true);
+  });
+
+  test('rejects an ACK for a different token', async () => {
+    const token = await generateToken(42, 'merchant-0001');
+    const other = await generateToken(42, 'merchant-0001');
+    const ack = await createPaymentAck(other, {credited: true});
+
+    expect(verifyPaymentAck(ack, token)).toBe(false);
+  });
+
+  test('rejects a NACK rewritten as an ACK', async () => {
+    const token = await generateToken(42, 'merchant-0001');
+    const nack = await createPaymentAck(token, {credited: false, code: 'INVALID_TOKEN'});
+
+    expect(verifyPaymentAck({...nack, status: ACK_STATUS.ACK, code: null}, token)).toBe(false);
+    expect(verifyPaymentAck({...nack, version: 2}, token)).toBe(false);
+    expect(verifyPaymentAck(null, token)).toBe(false);
+  });
+
+  test('ACKs and NACKs travel in the compact encoding', async () => {
+    const token = await generateToken(42, 'merchant-0001');
+    for (const outcome of [{credited: true}, {credited: false, code: 'TOKEN_REPLAYED'}]) {
+      const ack = await createPaymentAck(token, outcome);
+      const bytes = encodeAckBytes(ack);
+
+      expect(bytes[0]).toBe(COMPACT_ACK_ENCODING);
+      expect(bytes.length * 2).toBeLessThan(encodeUtf8(JSON.stringify(ack)).length);
+      expect(decodeAckBytes(bytes)).toEqual(ack);
+      expect(verifyPaymentAck(decodeAckBytes(bytes), token)).toBe(true);
+    }
+  });
+
+  test('still reads JSON ACKs, and sends unknown statuses as JSON', async () => {
+    const token = await generateToken(42, 'merchant-0001');
+    const ack = await createPaymentAck(token, {credited: true});
+    expect(deserializeAck(encodeBase64(encodeUtf8(JSON.stringify(ack)).slice().buffer))).toEqual(ack);
+
+    const pending = {...ack, status: 'pending'};
+    expect(String.fromCharCode(encodeAckBytes(pending)[0])).toBe('{');
+    expect(decodeAckBytes(encodeAckBytes(pending))).toEqual(pending);
+    expect(() => decodeAckBytes(encodeAckBytes(ack).subarray(0, 10))).toThrow();
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @format
+ */
+
+import {
+  QR_TTL_MIN_MS,
+  QR_TTL_MAX_MS,
+  getQrTtl,
+  setQrTtl,
+  getClockSkewTolerance,
+  setClockSkewTolerance,
+  computeQrExpiry,
+  getQrExpiresAt,
+  isQrExpired,
+  getQrTimeRemaining,
+} from '../src/modules/qrExpiryPolicy';
+
+const ISSUED_AT = 1767225600000;
+
+afterEach(() => {
+  setQrTtl(QR_TTL_MAX_MS);
+  setClockSkewTolerance(5000);
+});
+
+describe('QR expiry policy', () => {
+  test('TTL is configurable only within the 15–20 second window', () => {
+    setQrTtl(QR_TTL_MIN_MS);
+    expect(getQrTtl()).toBe(15000);
+
+    expect(() => setQrTtl(14999)).toThrow();
+    expect(() => setQrTtl(20001)).toThrow();
+    expect(() => setQrTtl(5 * 60 * 1000)).toThrow();
+    expect(getQrTtl()).toBe(15000);
+  });
+
+  test('embeds expiry as unix seconds after the TTL', () => {
+    setQrTtl(15000);
+    expect(computeQrExpiry(ISSUED_AT)).toBe(ISSUED_AT / 1000 + 15);
+  });
+
+  test('accepts within TTL plus skew tolerance and rejects after', () => {
+    const expiry = computeQrExpiry(ISSUED_AT);
+    expect(isQrExpired(ISSUED_AT, expiry, ISSUED_AT + 20000)).toBe(false);
+    expect(isQrExpired(ISSUED_AT, expiry, ISSUED_AT + 25000)).toBe(false);
+    expect(isQrExpired(ISSUED_AT, expiry, ISSUED_AT + 25001)).toBe(true);
+
+    setClockSkewTolerance(0);
+    expect(getClockSkewTolerance()).toBe(0);
+    expect(isQrExpired(ISSUED_AT, expiry, ISSUED_AT + 20001)).toBe(true);
+  });
+
+  test('rejects QRs issued in the future beyond the skew tolerance', () => {
+    const expiry = computeQrExpiry(ISSUED_AT);
+    expect(isQrExpired(ISSUED_AT, expiry, ISSUED_AT - 5000)).toBe(false);
+    expect(isQrExpired(ISSUED_AT, expiry, ISSUED_AT - 5001)).toBe(true);
+  });
+
+  test('caps a claimed expiry at the maximum TTL', () => {
+    const farFuture = ISSUED_AT / 1000 + 3600;
+    expect(getQrExpiresAt(ISSUED_AT, farFuture)).toBe(ISSUED_AT + QR_TTL_MAX_MS);
+    expect(isQrExpired(ISSUED_AT, farFuture, ISSUED_AT + 60000)).toBe(true);
+  });
+
+  test('falls back to issue time plus TTL when no expiry is embedded', () => {
+    expect(getQrExpiresAt(ISSUED_AT)).toBe(ISSUED_AT + getQrTtl());
+    expect(isQrExpired(ISSUED_AT, undefined, ISSUED_AT + 60000)).toBe(true);
+    expect(isQrExpired(NaN)).toBe(true);
+  });
+
+  test('reports remaining time for the countdown', () => {
+    const expiresAt = getQrExpiresAt(ISSUED_AT, computeQrExpiry(ISSUED_AT));
+    expect(getQrTimeRemaining(expiresAt, ISSUED_AT + 5000)).toBe(15000);
+    expect(getQrTimeRemaining(expiresAt, ISSUED_AT + 60000)).toBe(0);
+  });
+
+  test('rejects an out-of-range clock skew tolerance', () => {
+    expect(() => setClockSkewTolerance(-1)).toThrow();
+    expect(() => setClockSkewTolerance(60000)).toThrow();
+  });
+});
@@ -0,0 +1,375 @@
+/**
+ * @format
+ */
+
+import nacl from 'tweetnacl';
+import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+import {generateReceiveQR, verifyReceiveQR} from '../src/modules/qrGenerator';
+import {signQRPayload, getEphemeralPublicKey, encodeQRSigningMessage} from '../src/modules/cryptoUtils';
+import {canonicalize, canonicalBytes} from '../src/modules/canonicalJson';
+import {openReceiverSession} from '../src/modules/secureChannel';
+import {getSessionServiceUuid, isSessionServiceUuid, TOKPAY_SESSION_UUID_PREFIX} from '../src/modules/bleProtocol';
+import {createBankKeypair, signCanonical} from '../server/bankCrypto';
+
+const DEVICE_ID = '3f1c2a9e-0000-4000-8000-000000000001';
+const SERVICE_UUID = '0000ffe0-0000-1000-8000-00805f9b34fb';
+
+const MULTILINGUAL_NAMES = [
+  'राम की दुकान', // Hindi
+  'Café Zoë', // accented Latin
+  'Chai ☕ Stall 🚀', // emoji (surrogate pairs)
+  'চায়ের দোকান', // Bengali
+  'மளிகை கடை', // Tamil
+];
+
+const b64 = bytes => encodeBase64(bytes.slice().buffer);
+
+// Development bank key, pinned in Config.BANK_PUBLIC_KEY
+const bankKeys = createBankKeypair();
+
+const issueCertificate = (fields, issuerSecretKey = bankKeys.secretKey) => {
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const certificate = {
+    version: 1,
+    role: 'merchant',
+    subject_id: DEVICE_ID,
+    subject_name: 'Chai Stall',
+    issued_at: nowSeconds - 60,
+    expires_at: nowSeconds + 90 * 24 * 60 * 60,
+    ...fields,
+  };
+  return {...certificate, signature: signCanonical(certificate, issuerSecretKey)};
+};
+
+// Merchant signer as returned by merchantProfile.getMerchantSigner
+const createMerchant = (certFields = {}, issuerSecretKey) => {
+  const keypair = nacl.sign.keyPair();
+  const leaf = issueCertificate({public_key: b64(keypair.publicKey), ...certFields}, issuerSecretKey);
+  return {
+    merchantId: DEVICE_ID,
+    merchantName: leaf.subject_name,
+    certChain: [leaf],
+    sign: message => b64(nacl.sign.detached(message, keypair.secretKey)),
+  };
+};
+
+const generateQR = (deviceName, merchant = createMerchant()) => {
+  const {sessionId, publicKey} = openReceiverSession();
+  return generateReceiveQR({
+    deviceId: DEVICE_ID,
+    deviceName,
+    sessionPublicKey: publicKey,
+    serviceUuid: getSessionServiceUuid(sessionId),
+    merchant,
+  });
+};
+
+// Bytes as produced by QR versions before 2.2 (low 8 bits of each code unit)
+const truncatedBytes = str => Uint8Array.from(str.split(''), ch => ch.charCodeAt(0) % 256);
+
+// Replace each character with another that truncates to the same byte
+const collidingName = name =>
+  name
+    .split('')
+    .map(ch => String.fromCharCode(ch.charCodeAt(0) % 256))
+    .join('');
+
+// Names outside Latin-1 were ambiguous under the old 8-bit encoding
+const NON_LATIN1_NAMES = MULTILINGUAL_NAMES.filter(name =>
+  name.split('').some(ch => ch.charCodeAt(0) > 0xff),
+);
+
+const buildLegacyQR = (version, deviceName, serialize) => {
+  const keypair = nacl.sign.keyPair();
+  const payload = {
+    version,
+    conn: {
+      device_id: DEVICE_ID,
+      device_name: deviceName,
+      ble_service_uuid: SERVICE_UUID,
+      ephemeral_public_key: b64(keypair.publicKey),
+    },
+    tx: {
+      intent: 'receive',
+      timestamp: Date.now(),
+      nonce: b64(nacl.randomBytes(32)),
+    },
+  };
+  const message = truncatedBytes(serialize(payload));
+  const signature = b64(nacl.sign.detached(message, keypair.secretKey));
+  return JSON.stringify({...payload, signature});
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('receive QR with multilingual device names', () => {
+  test.each(MULTILINGUAL_NAMES)('round-trips "%s"', deviceName => {
+    const qrString = generateQR(deviceName);
+    const result = verifyReceiveQR(qrString);
+
+    expect(result.success).toBe(true);
+    expect(result.payload.version).toBe('2.7');
+    expect(result.payload.conn.device_name).toBe(deviceName);
+  });
+
+  test.each(NON_LATIN1_NAMES)('rejects a name that only matches after truncation: "%s"', deviceName => {
+    const payload = JSON.parse(generateQR(deviceName));
+    const forged = {...payload, conn: {...payload.conn, device_name: collidingName(deviceName)}};
+
+    expect(forged.conn.device_name).not.toBe(deviceName);
+    expect(verifyReceiveQR(JSON.stringify(forged)).success).toBe(false);
+  });
+
+  test('signs UTF-8 bytes of the canonical payload', () => {
+    const payload = {version: '2.2', conn: {device_name: 'राम'}};
+    const signature = new Uint8Array(decodeBase64(signQRPayload(payload)));
+    const publicKey = new Uint8Array(decodeBase64(getEphemeralPublicKey()));
+
+    expect(nacl.sign.detached.verify(canonicalBytes(payload), signature, publicKey)).toBe(true);
+  });
+});
+
+describe('older QR versions still verify', () => {
+  test.each(MULTILINGUAL_NAMES)('2.0 (JSON.stringify, 8-bit bytes): "%s"', deviceName => {
+    const qrString = buildLegacyQR('2.0', deviceName, JSON.stringify);
+    expect(verifyReceiveQR(qrString).success).toBe(true);
+  });
+
+  test.each(MULTILINGUAL_NAMES)('2.1 (canonical JSON, 8-bit bytes): "%s"', deviceName => {
+    const qrString = buildLegacyQR('2.1', deviceName, canonicalize);
+    expect(verifyReceiveQR(qrString).success).toBe(true);
+  });
+
+  test('a 2.0 QR cannot be relabelled as 2.2', () => {
+    const payload = JSON.parse(buildLegacyQR('2.0', 'Café Zoë', JSON.stringify));
+    expect(verifyReceiveQR(JSON.stringify({...payload, version: '2.2'})).success).toBe(false);
+  });
+});
+
+describe('receive QR session key', () => {
+  test('is covered by the signature', () => {
+    const payload = JSON.parse(generateQR('Shop Counter'));
+    const swapped = {
+      ...payload,
+      conn: {...payload.conn, session_public_key: openReceiverSession().publicKey},
+    };
+
+    expect(verifyReceiveQR(JSON.stringify(payload)).success).toBe(true);
+    expect(verifyReceiveQR(JSON.stringify(swapped)).success).toBe(false);
+  });
+
+  test('is required from version 2.3', () => {
+    expect(() =>
+      generateReceiveQR({
+        deviceId: DEVICE_ID,
+        deviceName: 'Shop',
+        sessionPublicKey: '',
+        merchant: createMerchant(),
+      }),
+    ).toThrow();
+
+    // Correctly signed, but without the session key
+    const payload = JSON.parse(generateQR('Shop Counter'));
+    delete payload.signature;
+    delete payload.conn.session_public_key;
+    const signed = {...payload, signature: signQRPayload(payload)};
+    expect(verifyReceiveQR(JSON.stringify(signed)).message).toMatch(/session_public_key/);
+  });
+});
+
+describe('receive QR service UUID', () => {
+  // Sign a modified payload with the QR's own certified merchant key
+  const resign = (payload, merchant) => {
+    const {signature, ...unsigned} = payload;
+    return JSON.stringify({...unsigned, signature: merchant.sign(encodeQRSigningMessage(unsigned))});
+  };
+
+  test('is derived from the session and carries the TokPay prefix', () => {
+    const {sessionId, publicKey} = openReceiverSession();
+    const serviceUuid = getSessionServiceUuid(sessionId);
+    const qrString = generateReceiveQR({
+      deviceId: DEVICE_ID,
+      deviceName: 'Shop Counter',
+      sessionPublicKey: publicKey,
+      serviceUuid,
+      merchant: createMerchant(),
+    });
+
+    expect(serviceUuid.startsWith(TOKPAY_SESSION_UUID_PREFIX)).toBe(true);
+    expect(isSessionServiceUuid(serviceUuid)).toBe(true);
+    expect(getSessionServiceUuid(openReceiverSession().sessionId)).not.toBe(serviceUuid);
+    expect(JSON.parse(qrString).conn.ble_service_uuid).toBe(serviceUuid);
+    expect(verifyReceiveQR(qrString).success).toBe(true);
+  });
+
+  test('must be a per-session UUID when generating', () => {
+    expect(() =>
+      generateReceiveQR({
+        deviceId: DEVICE_ID,
+        deviceName: 'Shop',
+        sessionPublicKey: openReceiverSession().publicKey,
+        serviceUuid: SERVICE_UUID,
+        merchant: createMerchant(),
+      }),
+    ).toThrow();
+  });
+
+  test('is checked against the prefix, not one fixed UUID', () => {
+    const merchant = createMerchant();
+    const payload = JSON.parse(generateQR('Shop Counter', merchant));
+    const withUuid = uuid => resign({...payload, conn: {...payload.conn, ble_service_uuid: uuid}}, merchant);
+
+    expect(verifyReceiveQR(withUuid(`${TOKPAY_SESSION_UUID_PREFIX}0000-1111-2222-333344445555`)).success).toBe(true);
+    for (const uuid of [SERVICE_UUID, '00001234-0000-1000-8000-00805f9b34fb', `${TOKPAY_SESSION_UUID_PREFIX}0000`]) {
+      expect(verifyReceiveQR(withUuid(uuid))).toMatchObject({success: false, message: 'Invalid BLE service UUID'});
+    }
+  });
+});
+
+describe('receive QR expiry', () => {
+  // Sign a modified payload with the QR's own certified merchant key
+  const resign = (payload, merchant) => {
+    const {signature, ...unsigned} = payload;
+    return JSON.stringify({...unsigned, signature: merchant.sign(encodeQRSigningMessage(unsigned))});
+  };
+
+  test('carries the issue time in unix seconds, like the expiry', () => {
+    const before = Math.floor(Date.now() / 1000);
+    const {tx} = JSON.parse(generateQR('Shop Counter'));
+
+    expect(Number.isInteger(tx.timestamp)).toBe(true);
+    expect(tx.timestamp).toBeGreaterThanOrEqual(before);
+    expect(tx.timestamp).toBeLessThanOrEqual(Math.floor(Date.now() / 1000));
+  });
+
+  test('embeds a signed expiry within the policy window', () => {
+    const {tx} = JSON.parse(generateQR('Shop Counter'));
+    const ttlSeconds = tx.expiry - tx.timestamp;
+
+    expect(Number.isInteger(tx.expiry)).toBe(true);
+    expect(ttlSeconds).toBeGreaterThanOrEqual(14);
+    expect(ttlSeconds).toBeLessThanOrEqual(20);
+  });
+
+  test('is rejected once expired, allowing for clock skew', () => {
+    const qrString = generateQR('Shop Counter');
+    const {tx} = JSON.parse(qrString);
+    const now = jest.spyOn(Date, 'now');
+
+    now.mockReturnValue(tx.expiry * 1000 + 4000);
+    expect(verifyReceiveQR(qrString).success).toBe(true);
+
+    now.mockReturnValue(tx.expiry * 1000 + 6000);
+    expect(verifyReceiveQR(qrString).success).toBe(false);
+  });
+
+  test('rejects a 2.7 issue time that is not whole unix seconds', () => {
+    const merchant = createMerchant();
+    const payload = JSON.parse(generateQR('Shop Counter', merchant));
+    const fractional = resign({...payload, tx: {...payload.tx, timestamp: payload.tx.timestamp + 0.5}}, merchant);
+    const inMs = resign({...payload, tx: {...payload.tx, timestamp: Date.now()}}, merchant);
+
+    expect(verifyReceiveQR(fractional)).toMatchObject({
+      success: false,
+      message: 'Missing or invalid tx field: tx.timestamp',
+    });
+    expect(verifyReceiveQR(inMs).success).toBe(false);
+  });
+
+  test('reads a 2.6 issue time as milliseconds', () => {
+    const merchant = createMerchant();
+    const payload = JSON.parse(generateQR('Shop Counter', merchant));
+    const now = Date.now();
+    const asV26 = issuedAt => resign({...payload, version: '2.6', tx: {...payload.tx, timestamp: issuedAt}}, merchant);
+
+    expect(verifyReceiveQR(asV26(now)).success).toBe(true);
+    // The same value read as seconds would be far in the future
+    expect(verifyReceiveQR(asV26(Math.floor(now / 1000))).success).toBe(false);
+  });
+
+  test('cannot be extended by editing the expiry', () => {
+    const payload = JSON.parse(generateQR('Shop Counter'));
+    const extended = {...payload, tx: {...payload.tx, expiry: payload.tx.expiry + 3600}};
+    expect(verifyReceiveQR(JSON.stringify(extended)).success).toBe(false);
+  });
+});
+
+describe('receive QR merchant certificate', () => {
+  test('carries the merchant certified by the bank', () => {
+    const result = verifyReceiveQR(generateQR('Counter 2'));
+
+    expect(result.success).toBe(true);
+    expect(result.merchant).toEqual({merchantId: DEVICE_ID, merchantName: 'Chai Stall'});
+  });
+
+  test('rejects a merchant key certified by anyone but the bank', () => {
+    const impostor = nacl.sign.keyPair();
+    const result = verifyReceiveQR(generateQR('Counter 2', createMerchant({}, impostor.secretKey)));
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/merchant certificate/);
+  });
+
+  test('rejects a QR signed with a key other than the certified one', () => {
+    const merchant = createMerchant();
+    const other = nacl.sign.keyPair();
+    const qrString = generateQR('Counter 2', {
+      ...merchant,
+      sign: message => b64(nacl.sign.detached(message, other.secretKey)),
+    });
+
+    expect(verifyReceiveQR(qrString)).toMatchObject({success: false, message: 'Invalid signature'});
+  });
+
+  test('rejects a certificate issued to another merchant or relabelled', () => {
+    const otherMerchant = createMerchant({subject_id: 'another-merchant'});
+    expect(() => generateQR('Counter 2', {...otherMerchant, merchantId: 'another-merchant'})).toThrow();
+
+    const forged = generateQR('Counter 2', {...otherMerchant, merchantId: DEVICE_ID});
+    expect(verifyReceiveQR(forged).message).toBe('Merchant certificate does not match this QR');
+
+    const payload = JSON.parse(generateQR('Counter 2'));
+    const renamed = {...payload, merchant: {...payload.merchant, merchant_name: 'Big Bank Branch'}};
+    expect(verifyReceiveQR(JSON.stringify(renamed)).success).toBe(false);
+  });
+
+  test('rejects an expired certificate', () => {
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    const expired = createMerchant({issued_at: nowSeconds - 100 * 86400, expires_at: nowSeconds - 86400});
+
+    expect(verifyReceiveQR(generateQR('Counter 2', expired)).message).toMatch(/expired/);
+  });
+
+  test('accepts a chain through an intermediate issuer', () => {
+    const issuerKeys = nacl.sign.keyPair();
+    const issuer = issueCertificate({
+      role: 'issuer',
+      subject_id: 'acquirer-01',
+      subject_name: 'Acquirer',
+      public_key: b64(issuerKeys.publicKey),
+    });
+    const merchant = createMerchant({}, issuerKeys.secretKey);
+
+    const result = verifyReceiveQR(generateQR('Counter 2', {...merchant, certChain: [issuer, ...merchant.certChain]}));
+    expect(result.success).toBe(true);
+
+    // A merchant certificate cannot act as an issuer
+    const asIssuer = createMerchant({}, issuerKeys.secretKey);
+    const chain = [{...issuer, role: 'merchant'}, ...asIssuer.certChain];
+    expect(verifyReceiveQR(generateQR('Counter 2', {...asIssuer, certChain: chain})).success).toBe(false);
+  });
+
+  test('older QRs verify without a certified merchant', () => {
+    const result = verifyReceiveQR(buildLegacyQR('2.0', 'Café Zoë', JSON.stringify));
+
+    expect(result.success).toBe(true);
+    expect(result.merchant).toBeUndefined();
+  });
+});
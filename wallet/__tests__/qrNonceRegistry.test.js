@@ -0,0 +1,69 @@
+/**
+ * @format
+ */
+
+import {
+  registerQrNonce,
+  consumeQrNonce,
+  isQrNonceOutstanding,
+  clearQrNonces,
+} from '../src/modules/qrNonceRegistry';
+import {QR_ACCEPTANCE_WINDOW_MS} from '../src/modules/qrExpiryPolicy';
+
+beforeEach(() => {
+  clearQrNonces();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('QR nonce registry', () => {
+  test('accepts each nonce exactly once', () => {
+    registerQrNonce('nonce-a', 'session-a');
+
+    expect(consumeQrNonce('nonce-a', 'session-a')).toBe(true);
+    expect(consumeQrNonce('nonce-a', 'session-a')).toBe(false);
+  });
+
+  test('a handshake can check a nonce without using it up', () => {
+    registerQrNonce('nonce-a', 'session-a');
+
+    expect(isQrNonceOutstanding('nonce-a', 'session-b')).toBe(false);
+    expect(isQrNonceOutstanding('nonce-a', 'session-a')).toBe(true);
+    expect(consumeQrNonce('nonce-a', 'session-a')).toBe(true);
+    expect(isQrNonceOutstanding('nonce-a', 'session-a')).toBe(false);
+  });
+
+  test('rejects nonces this device never issued', () => {
+    registerQrNonce('nonce-a', 'session-a');
+    expect(consumeQrNonce('nonce-b', 'session-a')).toBe(false);
+  });
+
+  test('rejects a nonce presented on another QR session', () => {
+    registerQrNonce('nonce-a', 'session-a');
+    registerQrNonce('nonce-b', 'session-b');
+
+    expect(consumeQrNonce('nonce-a', 'session-b')).toBe(false);
+    // A mismatched attempt does not burn the nonce for its own session
+    expect(consumeQrNonce('nonce-a', 'session-a')).toBe(true);
+  });
+
+  test('forgets nonces after the acceptance window', () => {
+    const issuedAt = Date.now();
+    registerQrNonce('nonce-a', 'session-a', issuedAt);
+    registerQrNonce('nonce-b', 'session-b', issuedAt);
+
+    jest.spyOn(Date, 'now').mockReturnValue(issuedAt + QR_ACCEPTANCE_WINDOW_MS - 1);
+    expect(consumeQrNonce('nonce-a', 'session-a')).toBe(true);
+
+    Date.now.mockReturnValue(issuedAt + QR_ACCEPTANCE_WINDOW_MS + 1);
+    expect(consumeQrNonce('nonce-b', 'session-b')).toBe(false);
+  });
+
+  test('forgets all nonces when receive mode ends', () => {
+    registerQrNonce('nonce-a', 'session-a');
+    clearQrNonces();
+    expect(consumeQrNonce('nonce-a', 'session-a')).toBe(false);
+  });
+});
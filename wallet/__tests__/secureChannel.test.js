@@ -0,0 +1,185 @@
+/**
+ * @format
+ */
+
+import {
+  openReceiverSession,
+  closeReceiverSessions,
+  pruneReceiverSessions,
+  startSenderSession,
+  acceptSenderMessage,
+  sealMessage,
+  openMessage,
+  createHello,
+  answerHello,
+  verifyHelloReply,
+  getSessionTag,
+  hasSessionTag,
+  getAdvertisedSessionTags,
+  SESSION_TAG_BYTES,
+} from '../src/modules/secureChannel';
+import {decode as decodeBase64} from 'base64-arraybuffer';
+import {encodeUtf8, decodeUtf8} from '../src/modules/textEncoding';
+
+const QR_NONCE = 'zc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc3Nzc0=';
+
+// Envelope layout: version(1) sid(16) epk(32) nonce(24) ciphertext
+const SID_OFFSET = 1;
+const CIPHERTEXT_OFFSET = 73;
+
+const seal = (session, text) => sealMessage(session, encodeUtf8(text));
+
+// Complete the handshake, as the sender does before sending its token
+const greet = (sender) => {
+  const {envelope, challenge} = createHello(sender);
+  const hello = acceptSenderMessage(envelope);
+  expect(hello.type).toBe('hello');
+  expect(verifyHelloReply(sender, answerHello(hello.session, hello.data), challenge)).toBe(true);
+  return sender;
+};
+
+beforeEach(() => {
+  closeReceiverSessions();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('secure BLE channel', () => {
+  test('round-trips a token and its ACK within one session', () => {
+    const {publicKey} = openReceiverSession();
+    const sender = greet(startSenderSession(publicKey, QR_NONCE));
+
+    const received = acceptSenderMessage(seal(sender, 'serialized-token'));
+    expect(received.type).toBe('data');
+    expect(decodeUtf8(received.data)).toBe('serialized-token');
+    expect(received.qrNonce).toBe(QR_NONCE);
+
+    const reply = seal(received.session, 'serialized-ack');
+    expect(decodeUtf8(openMessage(sender, reply))).toBe('serialized-ack');
+  });
+
+  test('requires the QR nonce to start a sender session', () => {
+    const {publicKey} = openReceiverSession();
+    expect(() => startSenderSession(publicKey, '')).toThrow();
+    expect(() => startSenderSession(publicKey)).toThrow();
+  });
+
+  test('does not put the plaintext on the wire', () => {
+    const sender = startSenderSession(openReceiverSession().publicKey, QR_NONCE);
+    const envelope = seal(sender, 'serialized-token');
+
+    expect(decodeUtf8(envelope)).not.toContain('serialized-token');
+  });
+
+  test('rejects frames for a session this receiver did not open', () => {
+    // Any X25519 key this receiver never advertised
+    const foreignKey = startSenderSession(openReceiverSession().publicKey, QR_NONCE).senderPublicKey;
+    const other = startSenderSession(foreignKey, QR_NONCE);
+    expect(acceptSenderMessage(seal(other, 'token'))).toBeNull();
+  });
+
+  test('rejects frames once the session is closed or expired', () => {
+    const sender = greet(startSenderSession(openReceiverSession().publicKey, QR_NONCE));
+    closeReceiverSessions();
+    expect(acceptSenderMessage(seal(sender, 'token'))).toBeNull();
+
+    const fresh = greet(startSenderSession(openReceiverSession().publicKey, QR_NONCE));
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 10 * 60 * 1000);
+    pruneReceiverSessions();
+    expect(acceptSenderMessage(seal(fresh, 'token'))).toBeNull();
+  });
+
+  test('rejects frames moved into another open session', () => {
+    const first = greet(startSenderSession(openReceiverSession().publicKey, QR_NONCE));
+    const second = greet(startSenderSession(openReceiverSession().publicKey, QR_NONCE));
+
+    const moved = seal(first, 'token');
+    moved.set(new Uint8Array(decodeBase64(second.sessionId)), SID_OFFSET);
+    expect(acceptSenderMessage(moved)).toBeNull();
+  });
+
+  test('rejects tampered, plaintext and reflected frames', () => {
+    const sender = greet(startSenderSession(openReceiverSession().publicKey, QR_NONCE));
+    const tampered = seal(sender, 'token');
+    tampered[CIPHERTEXT_OFFSET] = (tampered[CIPHERTEXT_OFFSET] + 1) % 256;
+    expect(acceptSenderMessage(tampered)).toBeNull();
+
+    expect(acceptSenderMessage(encodeUtf8('{"amount":10}'))).toBeNull();
+
+    // The sender's own message must not be accepted as a reply
+    expect(openMessage(sender, seal(sender, 'token'))).toBeNull();
+  });
+
+  test('accepts data only from a sender whose hello was answered', () => {
+    const {publicKey} = openReceiverSession();
+    const sender = startSenderSession(publicKey, QR_NONCE);
+    expect(acceptSenderMessage(seal(sender, 'token'))).toBeNull();
+
+    // Another sender's handshake does not vouch for this one
+    greet(startSenderSession(publicKey, QR_NONCE));
+    expect(acceptSenderMessage(seal(sender, 'token'))).toBeNull();
+
+    greet(sender);
+    expect(decodeUtf8(acceptSenderMessage(seal(sender, 'token')).data)).toBe('token');
+  });
+
+  test('only the holder of the QR session key can answer the hello', () => {
+    const {publicKey} = openReceiverSession();
+    const sender = startSenderSession(publicKey, QR_NONCE);
+    const {envelope, challenge} = createHello(sender);
+    const hello = acceptSenderMessage(envelope);
+
+    // A device that never opened the session cannot read the challenge
+    closeReceiverSessions();
+    expect(acceptSenderMessage(envelope)).toBeNull();
+
+    // A data message echoing the challenge is not a handshake reply
+    expect(verifyHelloReply(sender, sealMessage(hello.session, hello.data), challenge)).toBe(false);
+    // Nor is a reply for another challenge, or the sender's own hello
+    expect(verifyHelloReply(sender, envelope, challenge)).toBe(false);
+    const reply = sealMessage(hello.session, new Uint8Array(challenge.length));
+    expect(verifyHelloReply(sender, reply, challenge)).toBe(false);
+    // The receiver session is gone, so it can no longer answer either
+    expect(() => answerHello(hello.session, hello.data)).toThrow();
+  });
+
+  test('a hello is not accepted as data', () => {
+    const sender = greet(startSenderSession(openReceiverSession().publicKey, QR_NONCE));
+    expect(acceptSenderMessage(createHello(sender).envelope).type).toBe('hello');
+    expect(openMessage(sender, createHello(sender).envelope)).toBeNull();
+  });
+});
+
+describe('advertised session tags', () => {
+  test('lists the newest sessions first and finds a scanned session among them', () => {
+    const sessions = Array.from({length: 7}, () => openReceiverSession());
+    const advertised = getAdvertisedSessionTags();
+
+    expect(advertised).toHaveLength(5 * SESSION_TAG_BYTES);
+    expect(Array.from(advertised.subarray(0, SESSION_TAG_BYTES))).toEqual(
+      Array.from(getSessionTag(sessions[6].sessionId)),
+    );
+    for (const {sessionId} of sessions.slice(2)) {
+      expect(hasSessionTag(advertised, getSessionTag(sessionId))).toBe(true);
+    }
+    expect(hasSessionTag(advertised, getSessionTag(sessions[0].sessionId))).toBe(false);
+  });
+
+  test('the sender derives the same tag from the QR key', () => {
+    const {publicKey, sessionId} = openReceiverSession();
+    const sender = startSenderSession(publicKey, QR_NONCE);
+
+    expect(hasSessionTag(getAdvertisedSessionTags(), getSessionTag(sender.sessionId))).toBe(true);
+    expect(getSessionTag(sessionId)).toHaveLength(SESSION_TAG_BYTES);
+    expect(hasSessionTag(new Uint8Array(0), getSessionTag(sessionId))).toBe(false);
+  });
+
+  test('drops sessions that aged out', () => {
+    openReceiverSession();
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 10 * 60 * 1000);
+    expect(getAdvertisedSessionTags()).toHaveLength(0);
+  });
+});
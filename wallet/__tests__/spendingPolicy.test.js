@@ -0,0 +1,132 @@
+/**
+ * @format
+ */
+
+const mockIdentity = {deviceId: 'payer-device-0001', deviceName: 'Payer Phone'};
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({...mockIdentity})),
+}));
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {createBankKeypair, signCanonical, toBase64} from '../server/bankCrypto';
+import {
+  verifySpendingPolicy,
+  installSpendingPolicy,
+  getSpendingPolicy,
+  checkPayment,
+  checkTopup,
+  DEFAULT_SPENDING_POLICY,
+  POLICY_VIOLATION,
+  SPENDING_POLICY_VERSION,
+} from '../src/modules/spendingPolicy';
+
+const bankKeys = createBankKeypair();
+
+const LIMITS = {
+  max_offline_balance: 100000,
+  per_transaction_limit: 20000,
+  daily_limit: 50000,
+  weekly_limit: 80000,
+  max_unsynced_payments: 5,
+};
+
+const NO_USAGE = {spentLastDay: 0, spentLastWeek: 0, unsyncedPayments: 0};
+
+const issuePolicy = (overrides = {}, secretKey = bankKeys.secretKey) => {
+  const unsigned = {
+    version: SPENDING_POLICY_VERSION,
+    device_id: mockIdentity.deviceId,
+    ...LIMITS,
+    issued_at: 1767225600,
+    ...overrides,
+  };
+  return {...unsigned, signature: signCanonical(unsigned, secretKey)};
+};
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('spending limits', () => {
+  test('allow a payment within every limit', () => {
+    expect(checkPayment(LIMITS, 20000, {spentLastDay: 30000, spentLastWeek: 60000, unsyncedPayments: 4})).toEqual(
+      {allowed: true, code: null, message: ''}
+    );
+  });
+
+  test('refuse a payment over the per-transaction limit', () => {
+    expect(checkPayment(LIMITS, 20001, NO_USAGE).code).toBe(POLICY_VIOLATION.TRANSACTION_LIMIT);
+  });
+
+  test('refuse a payment that would exceed the daily or weekly limit', () => {
+    const daily = checkPayment(LIMITS, 20000, {...NO_USAGE, spentLastDay: 30001, spentLastWeek: 30001});
+    const weekly = checkPayment(LIMITS, 20000, {...NO_USAGE, spentLastDay: 0, spentLastWeek: 60001});
+
+    expect(daily.code).toBe(POLICY_VIOLATION.DAILY_LIMIT);
+    expect(daily.message).toContain('₹199.99 left');
+    expect(weekly.code).toBe(POLICY_VIOLATION.WEEKLY_LIMIT);
+  });
+
+  test('force a sync after too many unsynced payments', () => {
+    expect(checkPayment(LIMITS, 100, {...NO_USAGE, unsyncedPayments: 5}).code).toBe(
+      POLICY_VIOLATION.SYNC_REQUIRED
+    );
+  });
+
+  test('cap the offline balance on top-up', () => {
+    expect(checkTopup(LIMITS, 40000, 60000).allowed).toBe(true);
+    expect(checkTopup(LIMITS, 40001, 60000)).toMatchObject({
+      allowed: false,
+      code: POLICY_VIOLATION.BALANCE_CAP,
+    });
+  });
+});
+
+describe('signed spending policy', () => {
+  test('uses the default limits until the bank delivers a policy', async () => {
+    expect(await getSpendingPolicy()).toEqual(DEFAULT_SPENDING_POLICY);
+  });
+
+  test('installs a policy signed by the bank for this device', async () => {
+    expect(await installSpendingPolicy(issuePolicy())).toMatchObject({success: true});
+    expect(await getSpendingPolicy()).toEqual(LIMITS);
+  });
+
+  test('rejects policies that are unsigned, altered or for another device', async () => {
+    const impostor = createBankKeypair(toBase64(new Uint8Array(32).fill(7)));
+
+    expect((await verifySpendingPolicy(issuePolicy({}, impostor.secretKey))).valid).toBe(false);
+    expect((await verifySpendingPolicy({...issuePolicy(), daily_limit: 9000000})).valid).toBe(false);
+    expect((await verifySpendingPolicy(issuePolicy({device_id: 'other-device'}))).valid).toBe(false);
+    expect((await verifySpendingPolicy(issuePolicy({max_unsynced_payments: 0}))).valid).toBe(false);
+  });
+
+  test('refuses to roll back to an older policy', async () => {
+    await installSpendingPolicy(issuePolicy({issued_at: 1767225600}));
+    const older = await installSpendingPolicy(issuePolicy({issued_at: 1767225000, daily_limit: 90000}));
+
+    expect(older.success).toBe(false);
+    expect((await getSpendingPolicy()).daily_limit).toBe(LIMITS.daily_limit);
+  });
+
+  test('ignores a stored policy that was edited in place', async () => {
+    await installSpendingPolicy(issuePolicy());
+    const stored = JSON.parse(await AsyncStorage.getItem('@tokpay:spending_policy'));
+    await AsyncStorage.setItem(
+      '@tokpay:spending_policy',
+      JSON.stringify({...stored, per_transaction_limit: 5000000})
+    );
+
+    expect(await getSpendingPolicy()).toEqual(DEFAULT_SPENDING_POLICY);
+  });
+});
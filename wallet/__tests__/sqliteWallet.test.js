@@ -0,0 +1,453 @@
+/**
+ * @format
+ */
+
+// Databases by name, kept across app restarts like the files on a device
+const mockDatabases = new Map();
+let mockSqlJs = null;
+
+// react-native-sqlite-storage over sql.js (SQLite compiled to WebAssembly).
+// Statements queued from a callback run after everything queued before them,
+// and the whole transaction rolls back if any statement fails, as on a device.
+jest.mock('react-native-sqlite-storage', () => {
+  const runStatement = (database, sql, params = []) => {
+    const statement = database.prepare(sql);
+    try {
+      statement.bind(params.map((value) => (value === undefined ? null : value)));
+      const items = [];
+      while (statement.step()) {
+        items.push(statement.getAsObject());
+      }
+      const writes = /^\s*(INSERT|UPDATE|DELETE)/i.test(sql);
+      return {
+        rows: {length: items.length, item: (index) => items[index]},
+        rowsAffected: writes ? database.getRowsModified() : 0,
+        insertId: writes ? database.exec('SELECT last_insert_rowid()')[0].values[0][0] : undefined,
+      };
+    } finally {
+      statement.free();
+    }
+  };
+
+  const wrapDatabase = (database) => ({
+    executeSql: async (sql, params) => [runStatement(database, sql, params)],
+    transaction: async (callback) => {
+      const queue = [];
+      const tx = {
+        executeSql: (sql, params, onSuccess) => {
+          queue.push({sql, params, onSuccess});
+        },
+      };
+      database.run('BEGIN');
+      try {
+        callback(tx);
+        while (queue.length > 0) {
+          const {sql, params, onSuccess} = queue.shift();
+          const result = runStatement(database, sql, params);
+          if (onSuccess) {
+            onSuccess(tx, result);
+          }
+        }
+        database.run('COMMIT');
+      } catch (error) {
+        database.run('ROLLBACK');
+        throw error;
+      }
+    },
+    close: async () => {},
+  });
+
+  return {
+    enablePromise: () => {},
+    openDatabase: async ({name}) => {
+      mockSqlJs = mockSqlJs || require('sql.js')();
+      const SQL = await mockSqlJs;
+      if (!mockDatabases.has(name)) {
+        mockDatabases.set(name, new SQL.Database());
+      }
+      return wrapDatabase(mockDatabases.get(name));
+    },
+  };
+});
+
+// Re-require the module to simulate an app restart (the open connection is lost)
+const loadWallet = () => {
+  let mod;
+  jest.isolateModules(() => {
+    mod = require('../src/modules/sqliteWallet');
+  });
+  return mod;
+};
+
+const PAYER_PUBKEY = 'cGF5ZXItcHVia2V5';
+
+const seenToken = (overrides = {}) => ({
+  payerPubkey: PAYER_PUBKEY,
+  counter: 1,
+  nonce: 'bm9uY2UtMQ==',
+  issuedAt: Date.now(),
+  ...overrides,
+});
+
+// Offline balance cap used unless a test is about the cap
+const MAX_BALANCE = 1000000;
+
+let voucherSerial = 0;
+
+// Load the wallet through a (pre-verified) bank top-up voucher
+const topUp = (wallet, amount, maxBalance = MAX_BALANCE) => {
+  voucherSerial += 1;
+  return wallet.creditTopupVoucher({serial: `serial-${voucherSerial}`, amount, voucher: '{}'}, maxBalance);
+};
+
+// Read straight from the database file, bypassing the module under test
+const countRows = (table) => mockDatabases.get('tokpay.db').exec(`SELECT COUNT(*) FROM ${table}`)[0].values[0][0];
+
+beforeEach(() => {
+  mockDatabases.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('received token replay store', () => {
+  test('credits a token once per (payer_pubkey, counter)', async () => {
+    const wallet = loadWallet();
+    expect(await wallet.creditReceivedToken(seenToken(), 2500, MAX_BALANCE)).toBe(2500);
+
+    // Same payer and counter, fresh nonce: the same token re-signed or replayed
+    await expect(
+      wallet.creditReceivedToken(seenToken({nonce: 'bm9uY2UtMg=='}), 2500, MAX_BALANCE)
+    ).rejects.toMatchObject({code: wallet.TOKEN_REPLAYED});
+
+    expect(await wallet.getBalance()).toBe(2500);
+    expect(countRows('received_tokens')).toBe(1);
+    expect(await wallet.getTransactions()).toHaveLength(1);
+  });
+
+  test('credits a nonce once, whatever the counter', async () => {
+    const wallet = loadWallet();
+    await wallet.creditReceivedToken(seenToken(), 2500, MAX_BALANCE);
+
+    await expect(wallet.creditReceivedToken(seenToken({counter: 2}), 2500, MAX_BALANCE)).rejects.toMatchObject({
+      code: wallet.TOKEN_REPLAYED,
+    });
+    expect(await wallet.getBalance()).toBe(2500);
+
+    // A different payer key may use the same counter
+    expect(
+      await wallet.creditReceivedToken(
+        seenToken({payerPubkey: 'b3RoZXItcGF5ZXI=', nonce: 'bm9uY2UtMw=='}),
+        1000,
+        MAX_BALANCE
+      )
+    ).toBe(3500);
+  });
+
+  test('remembers received tokens across restarts', async () => {
+    await loadWallet().creditReceivedToken(seenToken(), 2500, MAX_BALANCE);
+
+    const wallet = loadWallet();
+    await expect(wallet.creditReceivedToken(seenToken(), 2500, MAX_BALANCE)).rejects.toMatchObject({
+      code: wallet.TOKEN_REPLAYED,
+    });
+    expect(await wallet.getBalance()).toBe(2500);
+  });
+
+  test('pruneReceivedTokens drops only entries issued before the cutoff', async () => {
+    const wallet = loadWallet();
+    const now = Date.now();
+    await wallet.creditReceivedToken(seenToken({counter: 1, nonce: 'bm9uY2UtMQ==', issuedAt: now - 5000}), 100, MAX_BALANCE);
+    await wallet.creditReceivedToken(seenToken({counter: 2, nonce: 'bm9uY2UtMg==', issuedAt: now}), 100, MAX_BALANCE);
+
+    expect(await wallet.pruneReceivedTokens(now - 1000)).toBe(1);
+    expect(countRows('received_tokens')).toBe(1);
+    expect(await wallet.pruneReceivedTokens(now - 1000)).toBe(0);
+
+    // The pruned token is past the validity window, so only verifyToken stands in its way now
+    expect(
+      await wallet.creditReceivedToken(seenToken({counter: 1, nonce: 'bm9uY2UtMQ==', issuedAt: now - 5000}), 100, MAX_BALANCE)
+    ).toBe(300);
+    await expect(
+      wallet.creditReceivedToken(seenToken({counter: 2, nonce: 'bm9uY2UtMg==', issuedAt: now}), 100, MAX_BALANCE)
+    ).rejects.toMatchObject({code: wallet.TOKEN_REPLAYED});
+  });
+});
+
+describe('balance updates', () => {
+  test('computes the balance in SQL and logs every change in the ledger', async () => {
+    const wallet = loadWallet();
+    expect(await wallet.getBalance()).toBe(0);
+    expect(await topUp(wallet, 10000)).toBe(10000);
+    expect(await wallet.deductMoney(2550, {tokenId: 'token-1'})).toBe(7450);
+    expect(await wallet.creditReceivedToken(seenToken(), 1000, MAX_BALANCE)).toBe(8450);
+
+    const ledger = await wallet.getTransactions();
+    expect(ledger.map(({type, amount}) => [type, amount]).sort()).toEqual([
+      ['credit', 1000],
+      ['credit', 10000],
+      ['debit', 2550],
+    ]);
+    expect(await wallet.verifyLedger()).toEqual({consistent: true, balance: 8450, ledgerBalance: 8450});
+  });
+
+  test('never lets a debit take the balance below zero', async () => {
+    const wallet = loadWallet();
+    await topUp(wallet, 1000);
+
+    // Two payments racing for the same funds
+    const results = await Promise.allSettled([wallet.deductMoney(600), wallet.deductMoney(600)]);
+    expect(results.map(({status}) => status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(({status}) => status === 'rejected').reason.code).toBe(wallet.INSUFFICIENT_FUNDS);
+
+    expect(await wallet.getBalance()).toBe(400);
+    expect(await wallet.verifyLedger()).toMatchObject({consistent: true});
+  });
+
+  test('rejects amounts that are not whole paise', async () => {
+    const wallet = loadWallet();
+    await topUp(wallet, 1000);
+    await expect(wallet.deductMoney(10.5)).rejects.toThrow('whole number of paise');
+    await expect(wallet.deductMoney(0)).rejects.toThrow('whole number of paise');
+    expect(await wallet.getBalance()).toBe(1000);
+  });
+
+  test('credits a top-up voucher serial once', async () => {
+    const wallet = loadWallet();
+    const voucher = {serial: 'serial-once', amount: 5000, voucher: '{}'};
+    expect(await wallet.creditTopupVoucher(voucher, MAX_BALANCE)).toBe(5000);
+    await expect(wallet.creditTopupVoucher(voucher, MAX_BALANCE)).rejects.toMatchObject({
+      code: wallet.VOUCHER_REDEEMED,
+    });
+    // A redeemed serial is reported as such even when it would not fit under the cap
+    await expect(wallet.creditTopupVoucher(voucher, 5000)).rejects.toMatchObject({code: wallet.VOUCHER_REDEEMED});
+    expect(await wallet.getBalance()).toBe(5000);
+    expect(countRows('transactions')).toBe(1);
+  });
+
+  test('checks the offline balance cap inside the top-up transaction', async () => {
+    const wallet = loadWallet();
+    await topUp(wallet, 4000, 10000);
+    const first = {serial: 'serial-a', amount: 5000, voucher: '{}'};
+    const second = {serial: 'serial-b', amount: 5000, voucher: '{}'};
+
+    const results = await Promise.allSettled([
+      wallet.creditTopupVoucher(first, 10000),
+      wallet.creditTopupVoucher(second, 10000),
+    ]);
+    expect(results[0]).toEqual({status: 'fulfilled', value: 9000});
+    expect(results[1].reason).toMatchObject({code: wallet.OFFLINE_BALANCE_CAP_EXCEEDED, balance: 9000});
+
+    // The refused voucher was not recorded, so it can be credited once there is room
+    await wallet.deductMoney(5000);
+    expect(await wallet.creditTopupVoucher(second, 10000)).toBe(9000);
+    expect(countRows('topup_vouchers')).toBe(3);
+    expect(await wallet.verifyLedger()).toMatchObject({consistent: true, balance: 9000});
+  });
+
+  test('refuses a received token over the offline balance cap without recording it', async () => {
+    const wallet = loadWallet();
+    await topUp(wallet, 9000, 10000);
+
+    await expect(wallet.creditReceivedToken(seenToken(), 1500, 10000)).rejects.toMatchObject({
+      code: wallet.OFFLINE_BALANCE_CAP_EXCEEDED,
+      balance: 9000,
+    });
+    expect(countRows('received_tokens')).toBe(0);
+    expect(await wallet.verifyLedger()).toMatchObject({consistent: true, balance: 9000});
+
+    // Not seen, so the payer may send it again once there is room
+    await wallet.deductMoney(500);
+    expect(await wallet.creditReceivedToken(seenToken(), 1500, 10000)).toBe(10000);
+
+    // A replay is reported as a replay, even when the wallet is full
+    await expect(wallet.creditReceivedToken(seenToken(), 1500, 10000)).rejects.toMatchObject({
+      code: wallet.TOKEN_REPLAYED,
+    });
+  });
+
+  test('verifyLedger leaves pending payments out and catches a tampered balance', async () => {
+    const wallet = loadWallet();
+    await topUp(wallet, 5000);
+    await wallet.recordPendingPayment(2000, {tokenId: 'token-pending'});
+    expect(await wallet.verifyLedger()).toEqual({consistent: true, balance: 5000, ledgerBalance: 5000});
+
+    mockDatabases.get('tokpay.db').run('UPDATE offline_wallet SET balance = 999999');
+    expect(await wallet.verifyLedger()).toEqual({consistent: false, balance: 999999, ledgerBalance: 5000});
+  });
+});
+
+describe('schema migrations', () => {
+  // A wallet database from before schema versioning: REAL rupees, no user_version
+  const seedUnversionedDatabase = async () => {
+    const SQL = await require('sql.js')();
+    const database = new SQL.Database();
+    database.run(`
+      CREATE TABLE offline_wallet (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        balance REAL NOT NULL,
+        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT CHECK(type IN ('credit','debit')),
+        amount REAL NOT NULL,
+        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE pending_payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_signature TEXT NOT NULL UNIQUE,
+        amount REAL NOT NULL,
+        payee_device_id TEXT,
+        token TEXT NOT NULL,
+        status TEXT CHECK(status IN ('pending','unknown')) DEFAULT 'unknown',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT INTO offline_wallet (balance) VALUES (0);
+      INSERT INTO offline_wallet (balance) VALUES (123.45);
+      INSERT INTO transactions (type, amount, timestamp) VALUES ('credit', 150.5, '2025-06-01 10:00:00');
+      INSERT INTO transactions (type, amount, timestamp) VALUES ('debit', 27.05, '2025-06-02 10:00:00');
+      INSERT INTO pending_payments (token_signature, amount, payee_device_id, token, status, created_at)
+        VALUES ('sig-1', 10.25, 'merchant-0001', 'serialized-token', 'pending', '2025-06-03 10:00:00');
+    `);
+    mockDatabases.set('tokpay.db', database);
+    return database;
+  };
+
+  const userVersion = (database) => database.exec('PRAGMA user_version')[0].values[0][0];
+
+  test('upgrades an unversioned rupee database to the current schema', async () => {
+    const database = await seedUnversionedDatabase();
+    const wallet = loadWallet();
+    await wallet.initDatabase();
+
+    expect(userVersion(database)).toBe(4);
+    // v1: money columns now hold integer paise
+    expect(await wallet.getBalance()).toBe(12345);
+    expect(database.exec("SELECT typeof(balance) FROM offline_wallet")[0].values).toEqual([
+      ['integer'],
+      ['integer'],
+    ]);
+
+    // v2: old rows are acked ledger entries, pending payments pending debits
+    const ledger = (await wallet.getTransactions()).sort((a, b) => a.id - b.id);
+    expect(ledger).toEqual([
+      expect.objectContaining({type: 'credit', amount: 15050, status: 'acked', sync_state: 'unsynced', token: null}),
+      expect.objectContaining({type: 'debit', amount: 2705, status: 'acked', sync_state: 'unsynced', token: null}),
+      expect.objectContaining({
+        type: 'debit',
+        amount: 1025,
+        status: 'pending',
+        channel: 'ble',
+        counterparty_device_id: 'merchant-0001',
+        token_id: 'sig-1',
+        token: 'serialized-token',
+        timestamp: '2025-06-03 10:00:00',
+      }),
+    ]);
+    expect(await wallet.getPendingPayments()).toEqual([expect.objectContaining({token_id: 'sig-1'})]);
+    expect(database.exec("SELECT name FROM sqlite_master WHERE name = 'pending_payments'")).toEqual([]);
+
+    // v3 and v4: verdict columns and the redeemed-voucher table exist
+    expect(ledger[0]).toMatchObject({verdict: null, reversal_of: null, synced_at: null});
+    expect(countRows('topup_vouchers')).toBe(0);
+    expect(countRows('received_tokens')).toBe(0);
+
+    expect(await wallet.verifyLedger()).toEqual({consistent: true, balance: 12345, ledgerBalance: 12345});
+  });
+
+  test('runs each migration once', async () => {
+    const database = await seedUnversionedDatabase();
+    await loadWallet().initDatabase();
+    await loadWallet().initDatabase();
+
+    expect(userVersion(database)).toBe(4);
+    expect(await loadWallet().getBalance()).toBe(12345);
+    expect(countRows('transactions')).toBe(3);
+  });
+
+  test('refuses a database written by a newer app version', async () => {
+    const SQL = await require('sql.js')();
+    const database = new SQL.Database();
+    database.run('PRAGMA user_version = 99');
+    mockDatabases.set('tokpay.db', database);
+
+    await expect(loadWallet().initDatabase()).rejects.toThrow('newer than this app supports');
+  });
+});
+
+describe('sync verdicts', () => {
+  // Only entries carrying a token are uploaded
+  const tokenDetails = (tokenId) => ({tokenId, token: `serialized-${tokenId}`, channel: 'ble'});
+
+  test('settles, reverses and applies pending debits in one go', async () => {
+    const wallet = loadWallet();
+    await topUp(wallet, 10000);
+    await wallet.creditReceivedToken(seenToken(), 2000, MAX_BALANCE, tokenDetails('token-received'));
+    await wallet.deductMoney(3000, tokenDetails('token-sent'));
+    await wallet.recordPendingPayment(1500, tokenDetails('token-pending-1'));
+    await wallet.recordPendingPayment(700, tokenDetails('token-pending-2'));
+    expect(await wallet.getBalance()).toBe(9000);
+
+    // The top-up came from the bank and is never uploaded
+    const entries = await wallet.getUnsyncedLedgerEntries(0, 10);
+    expect(entries.map(({amount}) => amount)).toEqual([2000, 3000, 1500, 700]);
+    const [credit, debit, pendingSettled, pendingRejected] = entries;
+
+    const result = await wallet.applySyncVerdicts([
+      {entryId: credit.id, verdict: wallet.SYNC_VERDICT.COUNTER_REUSE},
+      {entryId: debit.id, verdict: wallet.SYNC_VERDICT.SETTLED},
+      {entryId: pendingSettled.id, verdict: wallet.SYNC_VERDICT.SETTLED},
+      {entryId: pendingRejected.id, verdict: wallet.SYNC_VERDICT.REJECTED},
+    ]);
+
+    // 9000 - 2000 (reused credit reversed) - 1500 (pending debit settled); the rejected one nets to zero
+    expect(result).toEqual({settled: 2, reversed: 2, balance: 5500});
+    expect(await wallet.getBalance()).toBe(5500);
+
+    const byId = new Map((await wallet.getTransactions()).map((entry) => [entry.id, entry]));
+    expect(byId.get(credit.id)).toMatchObject({status: 'disputed', verdict: 'counter_reuse', sync_state: 'synced'});
+    expect(byId.get(debit.id)).toMatchObject({status: 'settled', verdict: 'settled', sync_state: 'synced'});
+    expect(byId.get(pendingSettled.id)).toMatchObject({status: 'settled', verdict: 'settled'});
+    expect(byId.get(pendingRejected.id)).toMatchObject({status: 'disputed', verdict: 'rejected'});
+
+    const reversals = [...byId.values()].filter((entry) => entry.reversal_of !== null);
+    expect(reversals).toHaveLength(2);
+    expect(reversals).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({type: 'debit', amount: 2000, reversal_of: credit.id, status: 'settled'}),
+        expect.objectContaining({type: 'credit', amount: 700, reversal_of: pendingRejected.id, status: 'settled'}),
+      ])
+    );
+
+    expect(await wallet.verifyLedger()).toEqual({consistent: true, balance: 5500, ledgerBalance: 5500});
+    expect(await wallet.getUnsyncedLedgerEntries(0, 10)).toEqual([]);
+  });
+
+  test('leaves entries that are already synced alone', async () => {
+    const wallet = loadWallet();
+    await wallet.creditReceivedToken(seenToken(), 2000, MAX_BALANCE, tokenDetails('token-received'));
+    const [credit] = await wallet.getUnsyncedLedgerEntries(0, 10);
+
+    await wallet.applySyncVerdicts([{entryId: credit.id, verdict: wallet.SYNC_VERDICT.REJECTED}]);
+    const again = await wallet.applySyncVerdicts([{entryId: credit.id, verdict: wallet.SYNC_VERDICT.REJECTED}]);
+
+    expect(again).toEqual({settled: 0, reversed: 0, balance: 0});
+    expect(countRows('transactions')).toBe(2);
+  });
+
+  test('lets the balance go negative when a spent credit is reversed', async () => {
+    const wallet = loadWallet();
+    await wallet.creditReceivedToken(seenToken(), 2000, MAX_BALANCE, tokenDetails('token-received'));
+    await wallet.deductMoney(2000, tokenDetails('token-spent'));
+    const [credit] = await wallet.getUnsyncedLedgerEntries(0, 10);
+
+    const result = await wallet.applySyncVerdicts([{entryId: credit.id, verdict: wallet.SYNC_VERDICT.REJECTED}]);
+
+    expect(result.balance).toBe(-2000);
+    expect(await wallet.verifyLedger()).toMatchObject({consistent: true, ledgerBalance: -2000});
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * @format
+ */
+
+import http from 'http';
+
+// In-memory stand-in for the SQLite ledger
+const mockLedger = [];
+const mockAppliedVerdicts = [];
+const mockNonces = {next: 0};
+
+jest.mock('../src/modules/sqliteWallet', () => ({
+  SYNC_VERDICT: {
+    SETTLED: 'settled',
+    REJECTED: 'rejected',
+    COUNTER_REUSE: 'counter_reuse',
+  },
+  getUnsyncedLedgerEntries: jest.fn(async (afterId, limit) =>
+    mockLedger
+      .filter((entry) => entry.sync_state === 'unsynced' && entry.id > afterId)
+      .slice(0, limit)
+  ),
+  applySyncVerdicts: jest.fn(async (verdicts) => {
+    let settled = 0;
+    let reversed = 0;
+    for (const {entryId, verdict} of verdicts) {
+      mockAppliedVerdicts.push({entryId, verdict});
+      mockLedger.find((entry) => entry.id === entryId).sync_state = 'synced';
+      if (verdict === 'settled') {
+        settled += 1;
+      } else {
+        reversed += 1;
+      }
+    }
+    return {settled, reversed, balance: 1234};
+  }),
+}));
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({
+    deviceId: 'merchant-device-0001',
+    deviceName: 'Merchant Phone',
+  })),
+}));
+
+jest.mock('../src/modules/bankClient', () => ({
+  signBankRequest: jest.fn(async (route, request) => ({
+    ...request,
+    signed_at: 1767225600000,
+    nonce: `nonce-${(mockNonces.next += 1)}`,
+    signature: 'wallet-signature',
+  })),
+}));
+
+import {syncLedger} from '../src/modules/syncEngine';
+
+const addLedgerEntry = (id, type = 'credit') => {
+  mockLedger.push({
+    id,
+    type,
+    amount: 100 * id,
+    status: 'acked',
+    channel: 'ble',
+    counterparty_device_id: 'payer-device',
+    counterparty_pubkey: 'payer-pubkey',
+    token_id: `token-${id}`,
+    token: `serialized-token-${id}`,
+    timestamp: '2026-01-01 10:00:00',
+    sync_state: 'unsynced',
+  });
+};
+
+// Local mock backend: each test sets how /api/sync answers
+let server;
+let endpoint;
+let requests;
+let respond;
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => {
+      data += chunk;
+    });
+    req.on('end', () => resolve(JSON.parse(data)));
+  });
+
+beforeAll(async () => {
+  server = http.createServer(async (req, res) => {
+    const body = await readBody(req);
+    requests.push({url: req.url, body});
+    const {status, payload} = respond(body, requests.length);
+    res.writeHead(status, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(payload));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  mockLedger.length = 0;
+  mockAppliedVerdicts.length = 0;
+  requests = [];
+  respond = (body) => ({
+    status: 200,
+    payload: {results: body.entries.map((entry) => ({token_id: entry.token_id, verdict: 'settled'}))},
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const FAST_RETRY = {maxAttempts: 3, baseDelayMs: 1};
+
+describe('ledger sync', () => {
+  test('uploads unsynced entries in batches with their tokens', async () => {
+    [1, 2, 3].forEach((id) => addLedgerEntry(id));
+
+    const summary = await syncLedger({endpoint, batchSize: 2, ...FAST_RETRY});
+
+    expect(requests.map((request) => request.url)).toEqual(['/api/sync', '/api/sync']);
+    expect(requests[0].body.device_id).toBe('merchant-device-0001');
+    expect(requests[0].body.entries.map((entry) => entry.token_id)).toEqual(['token-1', 'token-2']);
+    expect(requests[0].body.entries[0]).toMatchObject({
+      type: 'credit',
+      amount: 100,
+      token: 'serialized-token-1',
+    });
+    expect(requests[1].body.entries.map((entry) => entry.token_id)).toEqual(['token-3']);
+    expect(requests[0].body).toMatchObject({signed_at: 1767225600000, signature: 'wallet-signature'});
+    expect(summary).toEqual({uploaded: 3, settled: 3, reversed: 0, undecided: 0, balance: 1234});
+  });
+
+  test('applies the backend verdict for each entry', async () => {
+    [1, 2, 3].forEach((id) => addLedgerEntry(id));
+    const verdicts = {'token-1': 'settled', 'token-2': 'rejected', 'token-3': 'counter_reuse'};
+    respond = (body) => ({
+      status: 200,
+      payload: {
+        results: body.entries.map((entry) => ({
+          token_id: entry.token_id,
+          verdict: verdicts[entry.token_id],
+        })),
+      },
+    });
+
+    const summary = await syncLedger({endpoint, ...FAST_RETRY});
+
+    expect(mockAppliedVerdicts).toEqual([
+      {entryId: 1, verdict: 'settled'},
+      {entryId: 2, verdict: 'rejected'},
+      {entryId: 3, verdict: 'counter_reuse'},
+    ]);
+    expect(summary.settled).toBe(1);
+    expect(summary.reversed).toBe(2);
+  });
+
+  test('leaves undecided entries unsynced without re-uploading them in the same run', async () => {
+    [1, 2, 3].forEach((id) => addLedgerEntry(id));
+    respond = (body) => ({
+      status: 200,
+      payload: {
+        results: [
+          {token_id: body.entries[0].token_id, verdict: 'undecided'},
+          {token_id: 'token-from-elsewhere', verdict: 'rejected'},
+        ],
+      },
+    });
+
+    const summary = await syncLedger({endpoint, batchSize: 1, ...FAST_RETRY});
+
+    expect(requests).toHaveLength(3);
+    expect(mockAppliedVerdicts).toEqual([]);
+    expect(mockLedger.every((entry) => entry.sync_state === 'unsynced')).toBe(true);
+    expect(summary).toMatchObject({uploaded: 3, undecided: 3, balance: null});
+  });
+
+  test('retries server errors with backoff, then succeeds', async () => {
+    addLedgerEntry(1);
+    respond = (body, attempt) =>
+      attempt < 3
+        ? {status: 503, payload: {message: 'Backend busy'}}
+        : {status: 200, payload: {results: [{token_id: 'token-1', verdict: 'settled'}]}};
+
+    const summary = await syncLedger({endpoint, ...FAST_RETRY});
+
+    expect(requests).toHaveLength(3);
+    expect(summary.settled).toBe(1);
+    // The backend refuses a nonce it has seen, so every attempt is signed again
+    expect(new Set(requests.map((request) => request.body.nonce)).size).toBe(3);
+  });
+
+  test('gives up after the last attempt without applying anything', async () => {
+    addLedgerEntry(1);
+    respond = () => ({status: 503, payload: {message: 'Backend busy'}});
+
+    await expect(syncLedger({endpoint, ...FAST_RETRY})).rejects.toThrow('Backend busy');
+    expect(requests).toHaveLength(3);
+    expect(mockAppliedVerdicts).toEqual([]);
+  });
+
+  test('does not retry a batch the backend refuses', async () => {
+    addLedgerEntry(1);
+    respond = () => ({status: 400, payload: {message: 'Unsupported sync version'}});
+
+    await expect(syncLedger({endpoint, ...FAST_RETRY})).rejects.toThrow('Unsupported sync version');
+    expect(requests).toHaveLength(1);
+  });
+
+  test('retries when the backend cannot be reached', async () => {
+    addLedgerEntry(1);
+    const fetchSpy = jest.spyOn(global, 'fetch');
+    const unreachable = 'http://127.0.0.1:1';
+
+    await expect(syncLedger({endpoint: unreachable, ...FAST_RETRY})).rejects.toThrow();
+    expect(fetchSpy).toHaveBeenCalledTimes(3);
+    expect(mockAppliedVerdicts).toEqual([]);
+  });
+
+  test('concurrent syncs share one run', async () => {
+    addLedgerEntry(1);
+
+    const [first, second] = await Promise.all([
+      syncLedger({endpoint, ...FAST_RETRY}),
+      syncLedger({endpoint, ...FAST_RETRY}),
+    ]);
+
+    expect(requests).toHaveLength(1);
+    expect(second).toBe(first);
+  });
+
+  test('requires a backend endpoint', async () => {
+    await expect(syncLedger({endpoint: null})).rejects.toThrow('Backend endpoint not configured');
+  });
+});
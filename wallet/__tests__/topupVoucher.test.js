@@ -0,0 +1,96 @@
+/**
+ * @format
+ */
+
+const mockKeychainStore = new Map();
+const mockIdentity = {deviceId: 'payer-device-0001', deviceName: 'Payer Phone'};
+
+jest.mock('react-native-keychain', () => ({
+  ACCESSIBLE: {WHEN_UNLOCKED_THIS_DEVICE_ONLY: 'WHEN_UNLOCKED_THIS_DEVICE_ONLY'},
+  getGenericPassword: jest.fn(async ({service}) => mockKeychainStore.get(service) || false),
+  setGenericPassword: jest.fn(async (username, password, {service}) => {
+    mockKeychainStore.set(service, {username, password});
+    return {service};
+  }),
+  hasGenericPassword: jest.fn(async ({service}) => mockKeychainStore.has(service)),
+  resetGenericPassword: jest.fn(async ({service}) => mockKeychainStore.delete(service)),
+}));
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({...mockIdentity})),
+}));
+
+import {createBankKeypair, signCanonical, toBase64} from '../server/bankCrypto';
+import Config from '../src/modules/config';
+import {getPublicKey, rotateWalletKey} from '../src/modules/offlineToken';
+import {verifyTopupVoucher, TOPUP_VOUCHER_VERSION} from '../src/modules/topupVoucher';
+
+const bankKeys = createBankKeypair();
+
+const issueVoucher = async (overrides = {}, secretKey = bankKeys.secretKey) => {
+  const unsigned = {
+    version: TOPUP_VOUCHER_VERSION,
+    serial: 'c2VyaWFsLTAwMDAwMDAx',
+    device_id: mockIdentity.deviceId,
+    wallet_pubkey: await getPublicKey(),
+    amount: 50000,
+    issued_at: 1767225600,
+    ...overrides,
+  };
+  return {...unsigned, signature: signCanonical(unsigned, secretKey)};
+};
+
+beforeEach(() => {
+  mockKeychainStore.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('top-up vouchers', () => {
+  test('the development bank key is pinned by default', () => {
+    expect(Config.BANK_PUBLIC_KEY).toBe(toBase64(bankKeys.publicKey));
+  });
+
+  test('accepts a voucher signed by the bank for this wallet', async () => {
+    expect(await verifyTopupVoucher(await issueVoucher())).toEqual({valid: true, error: ''});
+  });
+
+  test('rejects a voucher whose amount was changed after signing', async () => {
+    const voucher = await issueVoucher();
+    const result = await verifyTopupVoucher({...voucher, amount: 5000000});
+    expect(result).toEqual({valid: false, error: 'Top-up voucher is not signed by the bank'});
+  });
+
+  test('rejects a voucher signed with any other key', async () => {
+    const impostor = createBankKeypair(toBase64(new Uint8Array(32).fill(7)));
+    const result = await verifyTopupVoucher(await issueVoucher({}, impostor.secretKey));
+    expect(result.valid).toBe(false);
+  });
+
+  test('rejects a voucher issued to another wallet', async () => {
+    const otherKey = await issueVoucher({wallet_pubkey: toBase64(new Uint8Array(32).fill(1))});
+    const otherDevice = await issueVoucher({device_id: 'other-device'});
+
+    expect(await verifyTopupVoucher(otherKey)).toEqual({
+      valid: false,
+      error: 'Top-up voucher was issued to another wallet',
+    });
+    expect((await verifyTopupVoucher(otherDevice)).valid).toBe(false);
+  });
+
+  test('accepts a voucher issued to a key this wallet has since rotated out', async () => {
+    const voucher = await issueVoucher();
+    await rotateWalletKey();
+    expect(await verifyTopupVoucher(voucher)).toEqual({valid: true, error: ''});
+  });
+
+  test('rejects unknown versions and non-integer amounts', async () => {
+    expect((await verifyTopupVoucher(await issueVoucher({version: 2}))).valid).toBe(false);
+    expect((await verifyTopupVoucher(await issueVoucher({amount: 500.5}))).valid).toBe(false);
+    expect((await verifyTopupVoucher(null)).valid).toBe(false);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * @format
+ */
+
+// In-memory stand-in for the SQLite wallet: a balance and its ledger
+const mockWallet = {balance: 0, ledger: []};
+
+jest.mock('../src/modules/sqliteWallet', () => ({
+  TOKEN_REPLAYED: 'TOKEN_REPLAYED',
+  INSUFFICIENT_FUNDS: 'INSUFFICIENT_FUNDS',
+  VOUCHER_REDEEMED: 'VOUCHER_REDEEMED',
+  OFFLINE_BALANCE_CAP_EXCEEDED: 'OFFLINE_BALANCE_CAP_EXCEEDED',
+  LEDGER_CHANNEL: {BLE: 'ble', RELAY: 'relay', QR: 'qr'},
+  getBalance: jest.fn(async () => mockWallet.balance),
+  deductMoney: jest.fn(async (amount, details) => {
+    if (mockWallet.balance < amount) {
+      const error = new Error('Insufficient funds');
+      error.code = 'INSUFFICIENT_FUNDS';
+      throw error;
+    }
+    mockWallet.balance -= amount;
+    mockWallet.ledger.push({type: 'debit', amount, status: 'acked', token_id: details.tokenId});
+    return mockWallet.balance;
+  }),
+  recordPendingPayment: jest.fn(async (amount, details) => {
+    mockWallet.ledger.push({type: 'debit', amount, status: 'pending', token_id: details.tokenId});
+    return true;
+  }),
+  getPendingPayments: jest.fn(async () => mockWallet.ledger.filter((entry) => entry.status === 'pending')),
+  pruneReceivedTokens: jest.fn(async () => 0),
+  creditReceivedToken: jest.fn(async (seenToken, amount, maxBalance, details) => {
+    mockWallet.balance += amount;
+    mockWallet.ledger.push({type: 'credit', amount, status: 'acked', token_id: details.tokenId});
+    return mockWallet.balance;
+  }),
+  getSpendingUsage: jest.fn(async () => ({spentLastDay: 0, spentLastWeek: 0, unsyncedPayments: 0})),
+}));
+
+jest.mock('../src/modules/offlineToken', () => ({
+  generateToken: jest.fn(async (amount, merchantId) => ({
+    version: 4,
+    amount,
+    merchant_id: merchantId,
+    counter: mockWallet.ledger.length + 1,
+    nonce: `nonce-${mockWallet.ledger.length + 1}`,
+    signature: `signature-${mockWallet.ledger.length + 1}`,
+  })),
+  serializeToken: jest.fn((token) => `serialized-${token.signature}`),
+  getPayerCertificate: jest.fn(async () => ({role: 'payer'})),
+  verifyToken: jest.fn(async () => true),
+  getTokenAmountPaise: jest.fn((token) => token.amount),
+  getTokenIssuedAt: jest.fn((token) => token.timestamp * 1000),
+  TOKEN_VALIDITY_WINDOW_MS: 24 * 60 * 60 * 1000,
+}));
+
+jest.mock('../src/modules/deviceIdentity', () => ({
+  getDeviceIdentity: jest.fn(async () => ({deviceId: 'merchant-device-0001', deviceName: 'Merchant Phone'})),
+}));
+
+jest.mock('../src/modules/bleTransport', () => ({
+  ACK_TIMEOUT: 10000,
+  requestBlePermissions: jest.fn(async () => true),
+  scanAndConnect: jest.fn(async () => ({id: 'receiver-device'})),
+  authenticateReceiver: jest.fn(async () => {}),
+  sendToken: jest.fn(async () => true),
+  waitForAck: jest.fn(),
+  disconnect: jest.fn(async () => {}),
+}));
+
+jest.mock('../src/modules/secureChannel', () => ({
+  startSenderSession: jest.fn(() => ({sessionId: 'session-id'})),
+  getSessionTag: jest.fn(() => new Uint8Array(4)),
+}));
+
+jest.mock('../src/modules/spendingPolicy', () => ({
+  getSpendingPolicy: jest.fn(async () => ({max_offline_balance: 200000})),
+  checkPayment: jest.fn(() => ({allowed: true, code: null, message: ''})),
+}));
+
+jest.mock('../src/modules/blePeripheral', () => ({sendMessage: jest.fn()}));
+jest.mock('../src/modules/qrNonceRegistry', () => ({}));
+jest.mock('../src/modules/syncEngine', () => ({}));
+jest.mock('../src/modules/topupVoucher', () => ({}));
+jest.mock('../src/modules/bankClient', () => ({}));
+jest.mock('../src/modules/keyRevocation', () => ({getRevokedKeys: jest.fn(async () => [])}));
+
+import {
+  processOfflinePayment,
+  applyReceivedPaymentToken,
+  isTokenForThisDevice,
+  PAYMENT_UNKNOWN,
+  WRONG_PAYEE,
+} from '../src/modules/walletHelpers';
+import {deductMoney, creditReceivedToken} from '../src/modules/sqliteWallet';
+import {verifyToken} from '../src/modules/offlineToken';
+import {sendToken, waitForAck} from '../src/modules/bleTransport';
+
+const PAYEE = {
+  deviceId: 'merchant-device-0001',
+  bleServiceUuid: 'service-uuid',
+  sessionPublicKey: 'session-public-key',
+  qrNonce: 'qr-nonce',
+};
+
+// The receiver answers with a verified ACK, or never answers (null)
+const answerWith = (ack) => {
+  waitForAck.mockImplementation(() => ({ack: Promise.resolve(ack), cancel: jest.fn()}));
+};
+
+const ACK = {status: 'ack', code: null, receiver_pubkey: 'receiver-pubkey'};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockWallet.balance = 10000;
+  mockWallet.ledger = [];
+  answerWith(ACK);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('offline payment', () => {
+  test('debits the wallet once the receiver acknowledges', async () => {
+    const result = await processOfflinePayment(4000, PAYEE);
+
+    expect(result).toMatchObject({success: true, pending: false});
+    expect(mockWallet.balance).toBe(6000);
+    expect(mockWallet.ledger).toEqual([expect.objectContaining({amount: 4000, status: 'acked'})]);
+  });
+
+  test('keeps an acknowledged payment as pending when the debit fails', async () => {
+    deductMoney.mockRejectedValueOnce(new Error('database is locked'));
+
+    const result = await processOfflinePayment(4000, PAYEE);
+
+    // The receiver has the money, so the payment stands and the amount is held back
+    expect(result).toMatchObject({success: true});
+    expect(mockWallet.ledger).toEqual([
+      expect.objectContaining({amount: 4000, status: 'pending', token_id: result.token.signature}),
+    ]);
+    expect((await processOfflinePayment(8000, PAYEE)).message).toBe('Insufficient balance');
+  });
+
+  test('holds back a timed-out payment from the next one', async () => {
+    answerWith(null);
+    const timedOut = await processOfflinePayment(7000, PAYEE);
+    expect(timedOut).toMatchObject({success: false, pending: true, code: PAYMENT_UNKNOWN});
+    expect(mockWallet.balance).toBe(10000);
+
+    answerWith(ACK);
+    sendToken.mockClear();
+    const second = await processOfflinePayment(7000, PAYEE);
+
+    expect(second).toMatchObject({success: false, message: 'Insufficient balance'});
+    expect(sendToken).not.toHaveBeenCalled();
+    expect((await processOfflinePayment(3000, PAYEE)).success).toBe(true);
+    expect(mockWallet.balance).toBe(7000);
+  });
+
+  test('records a payment as pending when the transfer fails part-way', async () => {
+    sendToken.mockRejectedValueOnce(new Error('Connection lost'));
+
+    const result = await processOfflinePayment(4000, PAYEE);
+
+    expect(result).toMatchObject({success: false, pending: true, code: PAYMENT_UNKNOWN});
+    expect(mockWallet.ledger).toEqual([expect.objectContaining({amount: 4000, status: 'pending'})]);
+    expect(mockWallet.balance).toBe(10000);
+  });
+
+  test('records nothing when the receiver refuses the token', async () => {
+    answerWith({status: 'nack', code: 'TOKEN_REPLAYED'});
+
+    const result = await processOfflinePayment(4000, PAYEE);
+
+    expect(result).toMatchObject({success: false, pending: false, code: 'TOKEN_REPLAYED'});
+    expect(mockWallet.ledger).toEqual([]);
+  });
+});
+
+describe('received payment', () => {
+  const receivedToken = (merchantId) => ({
+    version: 4,
+    amount: 2500,
+    merchant_id: merchantId,
+    payer_pubkey: 'payer-pubkey',
+    payer_device_id: 'payer-device-0001',
+    counter: 7,
+    nonce: 'token-nonce',
+    timestamp: 1767225600,
+    signature: 'token-signature',
+  });
+
+  test('credits a token made out to this device', async () => {
+    const result = await applyReceivedPaymentToken(receivedToken(PAYEE.deviceId));
+
+    expect(result).toMatchObject({success: true, code: null, amount: 2500, newBalance: 12500});
+  });
+
+  test('refuses a token made out to another device before verifying or crediting it', async () => {
+    const token = receivedToken('other-merchant');
+    expect(await isTokenForThisDevice(token)).toBe(false);
+
+    const result = await applyReceivedPaymentToken(token);
+
+    expect(result).toMatchObject({success: false, code: WRONG_PAYEE, amount: 0});
+    expect(verifyToken).not.toHaveBeenCalled();
+    expect(creditReceivedToken).not.toHaveBeenCalled();
+    expect(mockWallet.balance).toBe(10000);
+  });
+});
@@ -16,6 +16,7 @@ class MainApplication : Application(), ReactApplication {
         PackageList(this).packages.apply {
           // Packages that cannot be autolinked yet can be added manually here, for example:
           add(TokpayBlePeripheralPackage())
+          add(TokpayKeystorePackage())
         },
     )
   }
@@ -36,8 +36,10 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
     companion object {
         private const val TAG = "TokpayBlePeripheral"
         private const val EVENT_TOKEN_RECEIVED = "onTokenReceived"
+        private const val EVENT_MTU_CHANGED = "onMtuChanged"
+        // ATT MTU of a new connection, before the central requests a larger one
+        private const val DEFAULT_ATT_MTU = 23
         private val CCCD_UUID: UUID = UUID.fromString("00002902-0000-1000-8000-00805f9b34fb")
-        private val CHARACTERISTIC_UUID: UUID = UUID.fromString("0000ffe1-0000-1000-8000-00805f9b34fb")
     }
 
     private var bluetoothManager: BluetoothManager? = null
@@ -46,7 +48,13 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
     private var gattServer: BluetoothGattServer? = null
     private var isAdvertising = false
     private var connectedDevice: BluetoothDevice? = null
+    // TokPay GATT service and characteristic; UUIDs come from bleProtocol.ts
     private var serviceUuid: UUID? = null
+    private var characteristicUuid: UUID? = null
+    // Service UUID of the newest QR session, advertised next to the TokPay service
+    private var sessionServiceUuid: UUID? = null
+    // Tags of the open QR sessions, sent as service data in the scan response
+    private var serviceData: ByteArray = byteArrayOf()
     private var startAdvertisingPromise: Promise? = null
 
     override fun getName(): String = "TokpayBlePeripheral"
@@ -65,7 +73,13 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
     }
 
     @ReactMethod
-    fun startAdvertising(serviceUuidString: String, promise: Promise) {
+    fun startAdvertising(
+        serviceUuidString: String,
+        characteristicUuidString: String,
+        sessionServiceUuidString: String,
+        serviceDataBase64: String,
+        promise: Promise
+    ) {
         try {
             if (bluetoothAdapter == null || !bluetoothAdapter!!.isEnabled) {
                 promise.reject("BLE_DISABLED", "Bluetooth is not enabled")
@@ -77,12 +91,19 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
                 return
             }
 
+            sessionServiceUuid = UUID.fromString(sessionServiceUuidString)
+            serviceData = Base64.decode(serviceDataBase64, Base64.NO_WRAP)
+
+            // Already advertising: restart the advertiser with the new session; the GATT server stays up
             if (isAdvertising) {
-                promise.resolve(true)
+                stopAdvertisingInternal()
+                startAdvertisingPromise = promise
+                startLeAdvertising()
                 return
             }
 
             serviceUuid = UUID.fromString(serviceUuidString)
+            characteristicUuid = UUID.fromString(characteristicUuidString)
 
             // Store promise to resolve after service is added
             startAdvertisingPromise = promise
@@ -119,14 +140,15 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
             val device = connectedDevice
             val server = gattServer
             val uuid = serviceUuid
+            val charUuid = characteristicUuid
 
-            if (device == null || server == null || uuid == null) {
+            if (device == null || server == null || uuid == null || charUuid == null) {
                 promise.reject("NOT_CONNECTED", "No device connected or GATT server not ready")
                 return
             }
 
             val service = server.getService(uuid)
-            val characteristic = service?.getCharacteristic(CHARACTERISTIC_UUID)
+            val characteristic = service?.getCharacteristic(charUuid)
 
             if (characteristic == null) {
                 promise.reject("CHAR_NOT_FOUND", "Characteristic not found")
@@ -169,6 +191,7 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
 
     private fun setupGattServer(): Boolean {
         val uuid = serviceUuid ?: return false
+        val charUuid = characteristicUuid ?: return false
 
         gattServer = bluetoothManager?.openGattServer(reactApplicationContext, gattServerCallback)
         if (gattServer == null) {
@@ -179,7 +202,7 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
         val service = BluetoothGattService(uuid, BluetoothGattService.SERVICE_TYPE_PRIMARY)
 
         val characteristic = BluetoothGattCharacteristic(
-            CHARACTERISTIC_UUID,
+            charUuid,
             BluetoothGattCharacteristic.PROPERTY_WRITE or
                     BluetoothGattCharacteristic.PROPERTY_WRITE_NO_RESPONSE or
                     BluetoothGattCharacteristic.PROPERTY_NOTIFY,
@@ -199,6 +222,32 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
         return added
     }
 
+    private fun startLeAdvertising() {
+        val settings = AdvertiseSettings.Builder()
+            .setAdvertiseMode(AdvertiseSettings.ADVERTISE_MODE_LOW_LATENCY)
+            .setTxPowerLevel(AdvertiseSettings.ADVERTISE_TX_POWER_HIGH)
+            .setConnectable(true)
+            .setTimeout(0)
+            .build()
+
+        // 16-bit TokPay UUID (scan filter) + 128-bit session UUID fit in 31 bytes with the flags
+        val data = AdvertiseData.Builder()
+            .setIncludeDeviceName(false)
+            .addServiceUuid(ParcelUuid(serviceUuid))
+            .addServiceUuid(ParcelUuid(sessionServiceUuid))
+            .build()
+
+        // Session tags fill the scan response, leaving no room for the device name
+        val scanResponse = AdvertiseData.Builder()
+            .setIncludeDeviceName(false)
+            .addServiceData(ParcelUuid(serviceUuid), serviceData)
+            .build()
+
+        advertiser?.startAdvertising(settings, data, scanResponse, advertiseCallback)
+
+        // Will resolve promise in advertiseCallback.onStartSuccess
+    }
+
     private fun stopAdvertisingInternal() {
         if (isAdvertising) {
             try {
@@ -227,6 +276,14 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
             .emit(eventName, params)
     }
 
+    private fun sendMtuEvent(device: BluetoothDevice, mtu: Int) {
+        val params = Arguments.createMap().apply {
+            putString("deviceId", device.address)
+            putInt("mtu", mtu)
+        }
+        sendEvent(EVENT_MTU_CHANGED, params)
+    }
+
     private val advertiseCallback = object : AdvertiseCallback() {
         override fun onStartSuccess(settingsInEffect: AdvertiseSettings?) {
             isAdvertising = true
@@ -250,26 +307,7 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
             
             if (status == BluetoothGatt.GATT_SUCCESS) {
                 Log.d(TAG, "GATT service added successfully, starting advertising")
-                
-                val settings = AdvertiseSettings.Builder()
-                    .setAdvertiseMode(AdvertiseSettings.ADVERTISE_MODE_LOW_LATENCY)
-                    .setTxPowerLevel(AdvertiseSettings.ADVERTISE_TX_POWER_HIGH)
-                    .setConnectable(true)
-                    .setTimeout(0)
-                    .build()
-
-                val data = AdvertiseData.Builder()
-                    .setIncludeDeviceName(false)
-                    .addServiceUuid(ParcelUuid(serviceUuid))
-                    .build()
-
-                val scanResponse = AdvertiseData.Builder()
-                    .setIncludeDeviceName(true)
-                    .build()
-
-                advertiser?.startAdvertising(settings, data, scanResponse, advertiseCallback)
-                
-                // Will resolve promise in advertiseCallback.onStartSuccess
+                startLeAdvertising()
             } else {
                 Log.e(TAG, "Failed to add GATT service, status: $status")
                 startAdvertisingPromise?.reject("GATT_SERVICE_FAILED", "Failed to add GATT service")
@@ -283,12 +321,20 @@ class TokpayBlePeripheralModule(reactContext: ReactApplicationContext) :
             if (newState == BluetoothProfile.STATE_CONNECTED) {
                 connectedDevice = device
                 Log.d(TAG, "Device connected: ${device.address}")
+                // A new connection starts at the default MTU until onMtuChanged says otherwise
+                sendMtuEvent(device, DEFAULT_ATT_MTU)
             } else if (newState == BluetoothProfile.STATE_DISCONNECTED) {
                 connectedDevice = null
                 Log.d(TAG, "Device disconnected: ${device.address}")
             }
         }
 
+        override fun onMtuChanged(device: BluetoothDevice, mtu: Int) {
+            super.onMtuChanged(device, mtu)
+            Log.d(TAG, "MTU changed for ${device.address}: $mtu")
+            sendMtuEvent(device, mtu)
+        }
+
         override fun onCharacteristicWriteRequest(
             device: BluetoothDevice,
             requestId: Int,
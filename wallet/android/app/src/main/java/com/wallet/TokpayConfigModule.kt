@@ -9,6 +9,8 @@ class TokpayConfigModule(reactContext: ReactApplicationContext) : ReactContextBa
     override fun getConstants(): MutableMap<String, Any?> {
         val constants: MutableMap<String, Any?> = HashMap()
         constants["relayEndpoint"] = BuildConfig.TOKPAY_RELAY_URL
+        constants["backendEndpoint"] = BuildConfig.TOKPAY_BACKEND_URL
+        constants["bankPublicKey"] = BuildConfig.TOKPAY_BANK_PUBLIC_KEY
         return constants
     }
 }
@@ -0,0 +1,179 @@
+package com.wallet
+
+import android.os.Build
+import android.security.keystore.KeyGenParameterSpec
+import android.security.keystore.KeyInfo
+import android.security.keystore.KeyProperties
+import android.security.keystore.StrongBoxUnavailableException
+import android.util.Base64
+import android.util.Log
+import com.facebook.react.bridge.Arguments
+import com.facebook.react.bridge.Promise
+import com.facebook.react.bridge.ReactApplicationContext
+import com.facebook.react.bridge.ReactContextBaseJavaModule
+import com.facebook.react.bridge.ReactMethod
+import com.facebook.react.bridge.WritableMap
+import java.math.BigInteger
+import java.security.KeyFactory
+import java.security.KeyPairGenerator
+import java.security.KeyStore
+import java.security.PrivateKey
+import java.security.Signature
+import java.security.interfaces.ECPublicKey
+import java.security.spec.ECGenParameterSpec
+
+/**
+ * Hardware-backed wallet signing keys
+ * ECDSA P-256 keys are generated inside the Android Keystore (StrongBox when the
+ * device has one) and never leave it: JS refers to a key by its alias and only
+ * ever sees public keys, signatures and the attestation certificate chain.
+ */
+class TokpayKeystoreModule(reactContext: ReactApplicationContext) :
+    ReactContextBaseJavaModule(reactContext) {
+
+    companion object {
+        private const val TAG = "TokpayKeystore"
+        private const val ANDROID_KEYSTORE = "AndroidKeyStore"
+        private const val SIGNATURE_ALGORITHM = "SHA256withECDSA"
+        private const val COORDINATE_BYTES = 32
+    }
+
+    override fun getName(): String = "TokpayKeystore"
+
+    @ReactMethod
+    fun getOrCreateKey(alias: String, challengeBase64: String, promise: Promise) {
+        try {
+            val keyStore = loadKeyStore()
+            if (!keyStore.containsAlias(alias)) {
+                generateKey(alias, Base64.decode(challengeBase64, Base64.NO_WRAP))
+            }
+            promise.resolve(describeKey(keyStore, alias))
+        } catch (e: Exception) {
+            Log.e(TAG, "Error creating key", e)
+            promise.reject("KEY_FAILED", e.message, e)
+        }
+    }
+
+    @ReactMethod
+    fun sign(alias: String, messageBase64: String, promise: Promise) {
+        try {
+            val privateKey = loadKeyStore().getKey(alias, null) as? PrivateKey
+            if (privateKey == null) {
+                promise.reject("KEY_NOT_FOUND", "No signing key for $alias")
+                return
+            }
+
+            val signer = Signature.getInstance(SIGNATURE_ALGORITHM)
+            signer.initSign(privateKey)
+            signer.update(Base64.decode(messageBase64, Base64.NO_WRAP))
+            // DER-encoded ECDSA signature; the JS bridge converts it to raw r||s
+            promise.resolve(Base64.encodeToString(signer.sign(), Base64.NO_WRAP))
+        } catch (e: Exception) {
+            Log.e(TAG, "Error signing", e)
+            promise.reject("SIGN_FAILED", e.message, e)
+        }
+    }
+
+    @ReactMethod
+    fun getAttestation(alias: String, promise: Promise) {
+        try {
+            val chain = loadKeyStore().getCertificateChain(alias)
+            if (chain == null) {
+                promise.reject("KEY_NOT_FOUND", "No attestation for $alias")
+                return
+            }
+
+            val certificates = Arguments.createArray()
+            chain.forEach { certificates.pushString(Base64.encodeToString(it.encoded, Base64.NO_WRAP)) }
+            promise.resolve(certificates)
+        } catch (e: Exception) {
+            Log.e(TAG, "Error reading attestation", e)
+            promise.reject("ATTESTATION_FAILED", e.message, e)
+        }
+    }
+
+    @ReactMethod
+    fun deleteKey(alias: String, promise: Promise) {
+        try {
+            val keyStore = loadKeyStore()
+            if (keyStore.containsAlias(alias)) {
+                keyStore.deleteEntry(alias)
+            }
+            promise.resolve(true)
+        } catch (e: Exception) {
+            Log.e(TAG, "Error deleting key", e)
+            promise.reject("DELETE_FAILED", e.message, e)
+        }
+    }
+
+    private fun loadKeyStore(): KeyStore = KeyStore.getInstance(ANDROID_KEYSTORE).apply { load(null) }
+
+    private fun generateKey(alias: String, challenge: ByteArray) {
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.P) {
+            try {
+                generateKey(alias, challenge, strongBox = true)
+                return
+            } catch (e: StrongBoxUnavailableException) {
+                Log.d(TAG, "StrongBox unavailable, using the TEE")
+            }
+        }
+        generateKey(alias, challenge, strongBox = false)
+    }
+
+    private fun generateKey(alias: String, challenge: ByteArray, strongBox: Boolean) {
+        val builder = KeyGenParameterSpec.Builder(alias, KeyProperties.PURPOSE_SIGN)
+            .setAlgorithmParameterSpec(ECGenParameterSpec("secp256r1"))
+            .setDigests(KeyProperties.DIGEST_SHA256)
+            .setAttestationChallenge(challenge)
+        if (strongBox && Build.VERSION.SDK_INT >= Build.VERSION_CODES.P) {
+            builder.setIsStrongBoxBacked(true)
+        }
+
+        val generator = KeyPairGenerator.getInstance(KeyProperties.KEY_ALGORITHM_EC, ANDROID_KEYSTORE)
+        generator.initialize(builder.build())
+        generator.generateKeyPair()
+        Log.d(TAG, "Generated signing key $alias (StrongBox: $strongBox)")
+    }
+
+    private fun describeKey(keyStore: KeyStore, alias: String): WritableMap {
+        val publicKey = keyStore.getCertificate(alias).publicKey as ECPublicKey
+        val privateKey = keyStore.getKey(alias, null) as PrivateKey
+
+        val result = Arguments.createMap()
+        result.putString("publicKey", Base64.encodeToString(encodeUncompressedPoint(publicKey), Base64.NO_WRAP))
+        result.putString("securityLevel", getSecurityLevel(privateKey))
+        return result
+    }
+
+    /** SEC1 uncompressed point: 0x04 || X || Y */
+    private fun encodeUncompressedPoint(publicKey: ECPublicKey): ByteArray {
+        val point = ByteArray(1 + 2 * COORDINATE_BYTES)
+        point[0] = 0x04
+        toFixedLength(publicKey.w.affineX).copyInto(point, 1)
+        toFixedLength(publicKey.w.affineY).copyInto(point, 1 + COORDINATE_BYTES)
+        return point
+    }
+
+    private fun toFixedLength(value: BigInteger): ByteArray {
+        val bytes = value.toByteArray()
+        return when {
+            bytes.size == COORDINATE_BYTES -> bytes
+            bytes.size > COORDINATE_BYTES -> bytes.copyOfRange(bytes.size - COORDINATE_BYTES, bytes.size)
+            else -> ByteArray(COORDINATE_BYTES - bytes.size) + bytes
+        }
+    }
+
+    private fun getSecurityLevel(privateKey: PrivateKey): String {
+        val factory = KeyFactory.getInstance(privateKey.algorithm, ANDROID_KEYSTORE)
+        val info = factory.getKeySpec(privateKey, KeyInfo::class.java)
+        if (Build.VERSION.SDK_INT >= Build.VERSION_CODES.S) {
+            return when (info.securityLevel) {
+                KeyProperties.SECURITY_LEVEL_STRONGBOX -> "strongbox"
+                KeyProperties.SECURITY_LEVEL_TRUSTED_ENVIRONMENT -> "tee"
+                else -> "software"
+            }
+        }
+        @Suppress("DEPRECATION")
+        return if (info.isInsideSecureHardware) "tee" else "software"
+    }
+}
@@ -0,0 +1,434 @@
+const {Buffer} = require('buffer');
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+
+/**
+ * Crypto helpers for the mock bank backend
+ * Node counterparts of the app's canonicalJson.js and offlineToken.js signing
+ * rules; the integration tests sign in the app modules and verify here (and the
+ * other way round), so the two cannot drift apart unnoticed.
+ */
+
+const TOKEN_VERSION = 4;
+const PAISE_AMOUNT_TOKEN_VERSION = 3;
+const RUPEE_AMOUNT_TOKEN_VERSION = 2;
+const FROZEN_TOKEN_VERSIONS = [RUPEE_AMOUNT_TOKEN_VERSION, PAISE_AMOUNT_TOKEN_VERSION, TOKEN_VERSION];
+const KEY_ID_BYTES = 12;
+const PAISE_PER_RUPEE = 100;
+// Wallet keys: SEC1 uncompressed P-256 points (hardware keys) or Ed25519
+const P256_PUBLIC_KEY_BYTES = 65;
+const P256_SIGNATURE_BYTES = 64;
+// floor(n / 2) for the P-256 group order n; signatures must have s at most this
+const P256_HALF_ORDER = Buffer.from('7fffffff800000007fffffffffffffffde737d56d38bcf4279dce5617e3192a8', 'hex');
+// First byte of offlineToken.js's compact token encoding
+const COMPACT_TOKEN_ENCODING = 1;
+
+// Development-only bank key seed, so every checkout gets the same bank key.
+// Set BANK_SEED (base64, 32 bytes) for anything that is not local development.
+const DEV_BANK_SEED = nacl.hash(Buffer.from('tokpay-dev-bank-key-v1', 'utf8')).subarray(0, 32);
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+
+const fromBase64 = (value) => new Uint8Array(Buffer.from(value, 'base64'));
+
+/**
+ * Serialize a JSON-compatible value canonically (RFC 8785), as canonicalJson.js does
+ * @param {*} value - null, boolean, finite number, string, array or plain object
+ * @returns {string} Canonical JSON text
+ */
+const canonicalize = (value) => {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+    }
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+};
+
+const canonicalBytes = (value) => new Uint8Array(Buffer.from(canonicalize(value), 'utf8'));
+
+/**
+ * Derive the bank's Ed25519 signing keypair
+ * @param {string} seedBase64 - 32-byte seed (base64); the development seed if omitted
+ * @returns {Object} {publicKey, secretKey} as Uint8Arrays
+ */
+const createBankKeypair = (seedBase64) => {
+  const seed = seedBase64 ? fromBase64(seedBase64) : DEV_BANK_SEED;
+  if (seed.length !== nacl.sign.seedLength) {
+    throw new Error('Bank seed must be 32 bytes');
+  }
+  return nacl.sign.keyPair.fromSeed(seed);
+};
+
+/**
+ * Sign the canonical form of a value
+ * @param {Object} value - Unsigned fields
+ * @param {Uint8Array} secretKey - Ed25519 secret key
+ * @returns {string} Base64 signature
+ */
+const signCanonical = (value, secretKey) =>
+  toBase64(nacl.sign.detached(canonicalBytes(value), secretKey));
+
+/**
+ * Get the key id of a wallet key, as offlineToken.getKeyId does
+ * @param {string} publicKey - Base64 public key
+ * @returns {string} Base64 key id
+ */
+const getKeyId = (publicKey) => toBase64(nacl.hash(fromBase64(publicKey)).subarray(0, KEY_ID_BYTES));
+
+/**
+ * Import a SEC1 uncompressed P-256 point as a Node public key
+ * @param {Uint8Array} point - 0x04 || X || Y
+ * @returns {crypto.KeyObject} Public key
+ */
+const importP256PublicKey = (point) =>
+  crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: Buffer.from(point.subarray(1, 33)).toString('base64url'),
+      y: Buffer.from(point.subarray(33)).toString('base64url'),
+    },
+    format: 'jwk',
+  });
+
+/**
+ * Verify a signature over raw message bytes
+ * Ed25519 for bank and merchant keys; wallet keys may also be P-256 (raw r||s
+ * signatures, low-S only, as offlineToken.verifyWalletSignature requires).
+ * @param {Uint8Array} message - Signed bytes
+ * @param {string} signature - Base64 signature
+ * @param {string} publicKey - Base64 public key
+ * @returns {boolean} True if the signature is valid
+ */
+const verifySignature = (message, signature, publicKey) => {
+  try {
+    const signatureBytes = fromBase64(signature);
+    const publicKeyBytes = fromBase64(publicKey);
+    if (publicKeyBytes.length === P256_PUBLIC_KEY_BYTES && publicKeyBytes[0] === 0x04) {
+      return (
+        signatureBytes.length === P256_SIGNATURE_BYTES &&
+        Buffer.compare(signatureBytes.subarray(32), P256_HALF_ORDER) <= 0 &&
+        crypto.verify(
+          'sha256',
+          message,
+          {key: importP256PublicKey(publicKeyBytes), dsaEncoding: 'ieee-p1363'},
+          signatureBytes
+        )
+      );
+    }
+    if (
+      signatureBytes.length !== nacl.sign.signatureLength ||
+      publicKeyBytes.length !== nacl.sign.publicKeyLength
+    ) {
+      return false;
+    }
+    return nacl.sign.detached.verify(message, signatureBytes, publicKeyBytes);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Verify a signature over the canonical form of a value
+ * @param {Object} value - Signed fields
+ * @param {string} signature - Base64 signature
+ * @param {string} publicKey - Base64 public key
+ * @returns {boolean} True if the signature is valid
+ */
+const verifyCanonical = (value, signature, publicKey) => {
+  try {
+    return verifySignature(canonicalBytes(value), signature, publicKey);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Check an Android Keystore attestation chain for a wallet key
+ * The leaf must certify the wallet key and each certificate must be signed by
+ * the next one. Pinning the Google attestation roots and reading the key
+ * description extension (challenge, security level) is left to a production
+ * backend; this mock only records that the chain is consistent.
+ * @param {string[]} chain - DER certificates (base64), leaf first
+ * @param {string} walletPubkey - Base64 wallet key
+ * @returns {boolean} True if the chain certifies the wallet key
+ */
+const verifyKeyAttestation = (chain, walletPubkey) => {
+  try {
+    if (!Array.isArray(chain) || chain.length === 0) {
+      return false;
+    }
+    const certificates = chain.map((der) => new crypto.X509Certificate(Buffer.from(der, 'base64')));
+    for (let i = 0; i < certificates.length; i++) {
+      const issuer = certificates[i + 1] || certificates[i];
+      if (!certificates[i].verify(issuer.publicKey)) {
+        return false;
+      }
+    }
+
+    const {x, y} = certificates[0].publicKey.export({format: 'jwk'});
+    if (!x || !y) {
+      return false;
+    }
+    const point = Buffer.concat([Buffer.from([0x04]), Buffer.from(x, 'base64url'), Buffer.from(y, 'base64url')]);
+    return point.toString('base64') === walletPubkey;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Reader over compactEncoding.js fields (u8, LEB128 uint, length-prefixed blobs)
+ * @param {Buffer} bytes - Encoded bytes
+ * @returns {Object} Reader
+ */
+const createCompactReader = (bytes) => {
+  let offset = 0;
+  const take = (count) => {
+    if (offset + count > bytes.length) {
+      throw new Error('Truncated compact encoding');
+    }
+    offset += count;
+    return bytes.subarray(offset - count, offset);
+  };
+
+  const reader = {
+    u8: () => take(1)[0],
+    uint: () => {
+      let value = 0;
+      let scale = 1;
+      for (let i = 0; i < 8; i++) {
+        const byte = reader.u8();
+        value += (byte % 0x80) * scale;
+        if (byte < 0x80) {
+          if ((byte === 0 && i > 0) || !Number.isSafeInteger(value)) {
+            throw new Error('Invalid integer encoding');
+          }
+          return value;
+        }
+        scale *= 0x80;
+      }
+      throw new Error('Integer out of range');
+    },
+    blob: () => take(reader.uint()),
+    text: () => reader.blob().toString('utf8'),
+    base64: () => toBase64(reader.blob()),
+    optional: (read) => {
+      const flag = reader.u8();
+      if (flag > 1) {
+        throw new Error('Invalid presence flag');
+      }
+      return flag === 1 ? read() : null;
+    },
+    end: () => {
+      if (offset !== bytes.length) {
+        throw new Error('Trailing bytes after compact encoding');
+      }
+    },
+  };
+  return reader;
+};
+
+// Drop the optional fields a compact encoding left out
+const withoutAbsent = (object) =>
+  Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+
+/**
+ * Decode offlineToken.js's compact token layout
+ * @param {Buffer} bytes - Encoded token, starting with COMPACT_TOKEN_ENCODING
+ * @returns {Object} Token
+ */
+const readCompactToken = (bytes) => {
+  const reader = createCompactReader(bytes);
+  reader.u8();
+  const token = withoutAbsent({
+    version: reader.uint(),
+    payer_pubkey: reader.base64(),
+    kid: reader.optional(reader.base64),
+    merchant_id: reader.text(),
+    amount: reader.uint(),
+    nonce: reader.base64(),
+    timestamp: reader.uint(),
+    counter: reader.uint(),
+    payer_device_id: reader.optional(reader.text),
+    payer_cert: reader.optional(() =>
+      withoutAbsent({
+        version: reader.uint(),
+        role: reader.text(),
+        subject_id: reader.text(),
+        subject_name: reader.optional(reader.text),
+        public_key: reader.base64(),
+        offline_limit: reader.optional(reader.uint),
+        issued_at: reader.uint(),
+        expires_at: reader.uint(),
+        signature: reader.base64(),
+      }),
+    ),
+    signature: reader.base64(),
+  });
+  reader.end();
+  return token;
+};
+
+/**
+ * Parse a serialized token (base64 of the compact encoding, or of UTF-8 JSON)
+ * @param {string} serialized - Token as uploaded by a wallet
+ * @returns {Object|null} Token, or null if it does not parse
+ */
+const parseToken = (serialized) => {
+  try {
+    const bytes = Buffer.from(serialized, 'base64');
+    const token =
+      bytes[0] === COMPACT_TOKEN_ENCODING ? readCompactToken(bytes) : JSON.parse(bytes.toString('utf8'));
+    return token && typeof token === 'object' ? token : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Get a token's amount in paise (v3 and v4 carry paise, older formats rupees)
+ * @param {Object} token - Token
+ * @returns {number|null} Amount in paise, or null if invalid
+ */
+const getTokenAmountPaise = (token) => {
+  const {amount} = token;
+  if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+    return null;
+  }
+  const carriesPaise = token.version === PAISE_AMOUNT_TOKEN_VERSION || token.version === TOKEN_VERSION;
+  const paise = carriesPaise ? amount : Math.round(amount * PAISE_PER_RUPEE);
+  if (!carriesPaise && Math.abs(amount * PAISE_PER_RUPEE - paise) > 1e-6) {
+    return null;
+  }
+  return Number.isSafeInteger(paise) && paise > 0 ? paise : null;
+};
+
+/**
+ * Get the bytes a token's payer signed
+ * @param {Object} token - Token
+ * @returns {Uint8Array|null} Signed message, or null for an unknown token version
+ */
+const getTokenSigningMessage = (token) => {
+  if (!('version' in token)) {
+    // Legacy wallets signed hand-ordered JSON.stringify output
+    return new Uint8Array(
+      Buffer.from(
+        JSON.stringify({
+          payer_pubkey: token.payer_pubkey,
+          amount: token.amount,
+          payee_device_id: token.payee_device_id,
+          timestamp: token.timestamp,
+          counter: token.counter,
+        }),
+        'utf8'
+      )
+    );
+  }
+  if (!FROZEN_TOKEN_VERSIONS.includes(token.version)) {
+    return null;
+  }
+  return canonicalBytes({
+    amount: token.amount,
+    counter: token.counter,
+    kid: token.version === TOKEN_VERSION ? token.kid : undefined,
+    merchant_id: token.merchant_id,
+    nonce: token.nonce,
+    payer_pubkey: token.payer_pubkey,
+    timestamp: token.timestamp,
+    version: token.version,
+  });
+};
+
+/**
+ * Get a token's id: the SHA-256 of its signed message
+ * Signatures are malleable (a P-256 (r, n - s) twin verifies too), so a token
+ * is identified by what the payer signed, never by the signature bytes.
+ * @param {Object} token - Token
+ * @returns {string|null} Base64 token id, or null for an unknown token version
+ */
+const getTokenId = (token) => {
+  const message = getTokenSigningMessage(token);
+  return message ? crypto.createHash('sha256').update(message).digest('base64') : null;
+};
+
+/**
+ * Verify a payment token's signature
+ * Expiry is not checked: tokens are uploaded long after the offline validity window.
+ * @param {Object} token - Token
+ * @returns {boolean} True if the payer's signature is valid
+ */
+const verifyTokenSignature = (token) => {
+  try {
+    if (typeof token.signature !== 'string' || typeof token.payer_pubkey !== 'string') {
+      return false;
+    }
+    if (!Number.isSafeInteger(token.counter) || getTokenAmountPaise(token) === null) {
+      return false;
+    }
+    // v4 names its signing key
+    if (token.version === TOKEN_VERSION && token.kid !== getKeyId(token.payer_pubkey)) {
+      return false;
+    }
+
+    const message = getTokenSigningMessage(token);
+    if (!message) {
+      return false;
+    }
+    if (!('version' in token)) {
+      return nacl.sign.detached.verify(
+        message,
+        fromBase64(token.signature),
+        fromBase64(token.payer_pubkey)
+      );
+    }
+    return verifySignature(message, token.signature, token.payer_pubkey);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the payee of a token: merchant_id for frozen tokens, payee_device_id for legacy ones
+ * @param {Object} token - Token
+ * @returns {string|undefined} Payee device ID
+ */
+const getTokenPayee = (token) => ('version' in token ? token.merchant_id : token.payee_device_id);
+
+/**
+ * Get a token's issue time in unix milliseconds
+ * @param {Object} token - Token
+ * @returns {number} Issue time (ms)
+ */
+const getTokenIssuedAt = (token) => ('version' in token ? token.timestamp * 1000 : token.timestamp);
+
+module.exports = {
+  toBase64,
+  fromBase64,
+  canonicalize,
+  createBankKeypair,
+  signCanonical,
+  verifyCanonical,
+  verifyKeyAttestation,
+  getKeyId,
+  parseToken,
+  getTokenAmountPaise,
+  getTokenPayee,
+  getTokenIssuedAt,
+  getTokenId,
+  verifyTokenSignature,
+};
@@ -0,0 +1,817 @@
+const {Buffer} = require('buffer');
+const http = require('http');
+const nacl = require('tweetnacl');
+const {createStore} = require('./store');
+const {
+  toBase64,
+  createBankKeypair,
+  signCanonical,
+  verifyCanonical,
+  verifyKeyAttestation,
+  getKeyId,
+  parseToken,
+  getTokenAmountPaise,
+  getTokenPayee,
+  getTokenIssuedAt,
+  getTokenId,
+  verifyTokenSignature,
+} = require('./bankCrypto');
+
+/**
+ * Mock Bank Backend for TokPay
+ * Reference implementation of the bank side of threatModel.md for development
+ * and integration tests: device registration and public key registry, signed
+ * top-up issuance, merchant certificates, wallet key rotation and revocation,
+ * relay inbox and reconciliation (§9) with counter-reuse detection. Listens
+ * on whatever address the caller picks; nothing leaves the machine.
+ *
+ * Routes:
+ *   GET  /api/bank-key                  Bank's Ed25519 public key
+ *   POST /api/devices                   Register {device_id, wallet_pubkey, signature, attestation, key_rotations}; returns a payer certificate
+ *   GET  /api/devices/:deviceId         Registered device
+ *   GET  /api/pubkeys/:walletPubkey     Device owning a wallet key (URL-encoded base64)
+ *   GET  /api/policy/:deviceId          Signed offline spending policy for a device
+ *   GET  /api/revocations               Signed list of revoked wallet keys
+ *   POST /api/merchants                 Certify a merchant key {device_id, merchant_name, merchant_pubkey, ...}
+ *   POST /api/topups                    Issue a signed top-up voucher {device_id, amount} (signed request)
+ *   POST /api/relay                     Queue a payload {recipientDeviceId, payload, timestamp}
+ *   GET  /api/relay/:deviceId           Drain a device's relay inbox (signed request in the query string)
+ *   POST /api/sync                      Reconcile ledger entries (signed request, see syncEngine.js)
+ *
+ * Signed requests carry device_id, signed_at (ms), a random nonce and the
+ * wallet key's signature over getSignedRequestMessage; the bank checks it
+ * against the key registered for device_id and refuses stale or repeated ones.
+ *
+ * Errors are JSON {message} with a 4xx/5xx status.
+ */
+
+const SYNC_PROTOCOL_VERSION = 1;
+const TOPUP_VOUCHER_VERSION = 1;
+const SPENDING_POLICY_VERSION = 1;
+const REVOCATION_LIST_VERSION = 1;
+const CERTIFICATE_VERSION = 1;
+const MAX_MERCHANT_NAME_LENGTH = 64;
+const MERCHANT_CERT_VALIDITY_MS = 90 * 24 * 60 * 60 * 1000;
+// Short-lived, so a flagged wallet drops out once its certificate expires
+const PAYER_CERT_VALIDITY_MS = 30 * 24 * 60 * 60 * 1000;
+const TOPUP_SERIAL_BYTES = 16;
+const MAX_AMOUNT_PAISE = 100000 * 100;
+const MAX_SYNC_ENTRIES = 500;
+const MAX_BODY_BYTES = 1024 * 1024;
+// How far a signed request's clock may be from the bank's
+const SIGNED_REQUEST_MAX_AGE_MS = 5 * 60 * 1000;
+
+// A sent token nobody has claimed this long after issue is void: offline
+// receivers reject it after 24 hours, and get a few days to come online
+const PENDING_SETTLEMENT_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Offline limits handed to every wallet (paise); see src/modules/spendingPolicy.js
+const DEFAULT_SPENDING_LIMITS = {
+  max_offline_balance: 200000,
+  per_transaction_limit: 50000,
+  daily_limit: 200000,
+  weekly_limit: 500000,
+  max_unsynced_payments: 20,
+};
+
+const VERDICT = {
+  SETTLED: 'settled',
+  REJECTED: 'rejected',
+  COUNTER_REUSE: 'counter_reuse',
+  UNDECIDED: 'undecided',
+};
+
+/**
+ * Error answered with the given HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Message returned to the client
+ * @returns {Error} Error carrying the status
+ */
+const httpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Message a wallet signs to register its key (proves it holds the private key)
+ * @param {string} deviceId - Device ID
+ * @param {string} walletPubkey - Wallet public key (base64)
+ * @returns {Object} Fields signed with the wallet key
+ */
+const getRegistrationMessage = (deviceId, walletPubkey) => ({
+  purpose: 'tokpay-device-registration',
+  device_id: deviceId,
+  wallet_pubkey: walletPubkey,
+});
+
+/**
+ * Message a wallet signs with its old and its new key when it rotates keys
+ * (see offlineToken.rotateWalletKey)
+ * @param {Object} rotation - Signed rotation statement
+ * @returns {Object} Fields signed with both keys
+ */
+const getKeyRotationMessage = (rotation) => ({
+  purpose: 'tokpay-key-rotation',
+  device_id: rotation.device_id,
+  key_version: rotation.key_version,
+  old_kid: rotation.old_kid,
+  old_pubkey: rotation.old_pubkey,
+  new_kid: rotation.new_kid,
+  new_pubkey: rotation.new_pubkey,
+  rotated_at: rotation.rotated_at,
+});
+
+/**
+ * Message a merchant signs to enroll its key
+ * Signed with the registered wallet key (the device asks) and the merchant key (it holds the key).
+ * @param {string} deviceId - Device ID, which is also the merchant ID
+ * @param {string} merchantName - Display name to certify
+ * @param {string} merchantPubkey - Merchant public key (base64)
+ * @returns {Object} Fields signed with both keys
+ */
+const getMerchantEnrollmentMessage = (deviceId, merchantName, merchantPubkey) => ({
+  purpose: 'tokpay-merchant-enrollment',
+  device_id: deviceId,
+  merchant_name: merchantName,
+  merchant_pubkey: merchantPubkey,
+});
+
+/**
+ * Message a wallet signs to make a request on its own behalf (see bankClient.signBankRequest)
+ * @param {string} route - Route requested, with path parameters filled in
+ * @param {Object} request - Request fields other than the signature
+ * @returns {Object} Fields signed with the wallet key
+ */
+const getSignedRequestMessage = (route, request) => ({
+  purpose: 'tokpay-signed-request',
+  route,
+  request,
+});
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+
+const readJson = (req) =>
+  new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch {
+        reject(httpError(400, 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {'Content-Type': 'application/json'});
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Check whether any key a device has held, current or retired, was flagged
+ * @param {Object} state - Store state
+ * @param {Object} device - Registered device
+ * @returns {boolean} True if the device is flagged
+ */
+const isDeviceFlagged = (state, device) =>
+  [device.wallet_pubkey, ...(device.retired_keys || []).map((key) => key.public_key)].some(
+    (walletPubkey) => !!state.flagged[walletPubkey]
+  );
+
+/**
+ * Follow a wallet's key rotations from its registered key
+ * Rotations the bank has already seen are skipped; every new one must be signed
+ * by the key it retires and the key it introduces. Nothing is changed here, so
+ * a bad chain leaves the device as it was.
+ * @param {Object} state - Store state
+ * @param {Object} device - Registered device
+ * @param {Array<Object>} rotations - Signed rotation statements, oldest first
+ * @param {number} nowSeconds - Current time (unix seconds)
+ * @returns {Object} {walletPubkey, keyVersion, retired} after the rotations
+ */
+const followKeyRotations = (state, device, rotations, nowSeconds) => {
+  let walletPubkey = device.wallet_pubkey;
+  let keyVersion = device.key_version || 1;
+  const retired = [];
+
+  for (const rotation of Array.isArray(rotations) ? rotations : []) {
+    if (!rotation || typeof rotation !== 'object' || !Number.isSafeInteger(rotation.key_version)) {
+      throw httpError(400, 'Key rotation is malformed');
+    }
+    if (rotation.key_version <= keyVersion) {
+      continue;
+    }
+
+    const message = getKeyRotationMessage(rotation);
+    if (
+      rotation.key_version !== keyVersion + 1 ||
+      rotation.device_id !== device.device_id ||
+      rotation.old_pubkey !== walletPubkey ||
+      !isNonEmptyString(rotation.new_pubkey) ||
+      rotation.old_kid !== getKeyId(rotation.old_pubkey) ||
+      rotation.new_kid !== getKeyId(rotation.new_pubkey) ||
+      !Number.isSafeInteger(rotation.rotated_at) ||
+      !verifyCanonical(message, rotation.old_signature, rotation.old_pubkey) ||
+      !verifyCanonical(message, rotation.new_signature, rotation.new_pubkey)
+    ) {
+      throw httpError(400, `Key rotation to version ${rotation.key_version} is invalid`);
+    }
+    if (state.pubkeys[rotation.new_pubkey]) {
+      throw httpError(409, 'Wallet key is registered to another device');
+    }
+
+    retired.push({
+      key_version: keyVersion,
+      kid: rotation.old_kid,
+      public_key: walletPubkey,
+      // The wallet's clock cannot keep its old key valid past now
+      retired_at: Math.min(rotation.rotated_at, nowSeconds),
+    });
+    walletPubkey = rotation.new_pubkey;
+    keyVersion = rotation.key_version;
+  }
+
+  return {walletPubkey, keyVersion, retired};
+};
+
+/**
+ * Check the bank's certificate a token carries for its payer key
+ * It must be a payer certificate signed by this bank for the key and the device
+ * the key is registered to, and cover the time the token was issued.
+ * @param {Object} token - Parsed token
+ * @param {string} payerDeviceId - Device the payer key is registered to
+ * @param {string} bankPublicKey - Bank public key (base64)
+ * @returns {boolean} True if the certificate vouches for the payer
+ */
+const isPayerCertified = (token, payerDeviceId, bankPublicKey) => {
+  const certificate = token.payer_cert;
+  if (!certificate || typeof certificate !== 'object') {
+    return false;
+  }
+  const {signature, ...unsigned} = certificate;
+  const issuedAt = Math.floor(getTokenIssuedAt(token) / 1000);
+  return (
+    certificate.version === CERTIFICATE_VERSION &&
+    certificate.role === 'payer' &&
+    certificate.subject_id === payerDeviceId &&
+    certificate.public_key === token.payer_pubkey &&
+    Number.isSafeInteger(certificate.issued_at) &&
+    Number.isSafeInteger(certificate.expires_at) &&
+    certificate.issued_at <= issuedAt &&
+    issuedAt <= certificate.expires_at &&
+    verifyCanonical(unsigned, signature, bankPublicKey)
+  );
+};
+
+/**
+ * Check that a request was signed by the registered wallet key of the device it names
+ * The nonce is remembered while the request could still be fresh, so a captured
+ * request cannot be sent again; call this inside store.update.
+ * @param {Object} state - Store state (mutated)
+ * @param {string} route - Route requested, with path parameters filled in
+ * @param {Object} request - {device_id, signed_at, nonce, signature, ...fields}
+ * @param {number} now - Current time (ms)
+ * @returns {Object} The registered device
+ * @throws {Error} 404 if the device is not registered, 401 if the signature does not hold
+ */
+const authenticateRequest = (state, route, request, now) => {
+  const {signature, ...signed} = request;
+  const device = state.devices[signed.device_id];
+  if (!device) {
+    throw httpError(404, 'Device not registered');
+  }
+
+  for (const [nonce, signedAt] of Object.entries(state.request_nonces)) {
+    if (now - signedAt > SIGNED_REQUEST_MAX_AGE_MS) {
+      delete state.request_nonces[nonce];
+    }
+  }
+  if (
+    !Number.isSafeInteger(signed.signed_at) ||
+    Math.abs(now - signed.signed_at) > SIGNED_REQUEST_MAX_AGE_MS ||
+    !isNonEmptyString(signed.nonce) ||
+    signed.nonce in state.request_nonces ||
+    !verifyCanonical(getSignedRequestMessage(route, signed), signature, device.wallet_pubkey)
+  ) {
+    throw httpError(401, 'Request signature is invalid or stale');
+  }
+  state.request_nonces[signed.nonce] = signed.signed_at;
+  return device;
+};
+
+const getAccount = (state, deviceId) => {
+  if (!state.accounts[deviceId]) {
+    state.accounts[deviceId] = {settled_in: 0, settled_out: 0, topped_up: 0};
+  }
+  return state.accounts[deviceId];
+};
+
+/**
+ * Decide one uploaded ledger entry
+ * The first token seen for a (payer_pubkey, counter) pair wins; any other token
+ * with the same pair is counter reuse and flags the payer. Tokens are told
+ * apart by getTokenId (what the payer signed), so a re-encoded signature over
+ * the same payment is the same token, not reuse. Once a token has a
+ * verdict every later upload of it (by either side) gets the same verdict.
+ * Only keys the bank registered and certified can pay, and a flagged payer's
+ * tokens no longer settle.
+ * @param {Object} state - Store state (mutated)
+ * @param {string} uploaderId - Device that uploaded the entry
+ * @param {Object} entry - Uploaded ledger entry
+ * @param {number} now - Current time (ms)
+ * @param {string} bankPublicKey - Bank public key (base64), to check payer certificates
+ * @returns {string} One of VERDICT
+ */
+const reconcileEntry = (state, uploaderId, entry, now, bankPublicKey) => {
+  const token = isNonEmptyString(entry?.token) ? parseToken(entry.token) : null;
+  if (!token || token.signature !== entry.token_id || !verifyTokenSignature(token)) {
+    return VERDICT.REJECTED;
+  }
+
+  // A self-made key proves nothing: the payer must be registered and certified
+  const registeredPayerId = state.pubkeys[token.payer_pubkey];
+  if (!registeredPayerId || !isPayerCertified(token, registeredPayerId, bankPublicKey)) {
+    return VERDICT.REJECTED;
+  }
+
+  // Only the two parties to a token can report it
+  const payeeId = getTokenPayee(token);
+  if (entry.type === 'credit') {
+    if (payeeId !== uploaderId) {
+      return VERDICT.REJECTED;
+    }
+  } else if (entry.type === 'debit') {
+    if (registeredPayerId !== uploaderId) {
+      return VERDICT.REJECTED;
+    }
+  } else {
+    return VERDICT.REJECTED;
+  }
+
+  // A rotated-out key signs nothing after it was retired
+  const retiredKey = state.devices[registeredPayerId]?.retired_keys?.find(
+    (key) => key.public_key === token.payer_pubkey
+  );
+  if (retiredKey && getTokenIssuedAt(token) > retiredKey.retired_at * 1000) {
+    return VERDICT.REJECTED;
+  }
+
+  const tokenId = getTokenId(token);
+  const counterKey = `${token.payer_pubkey}:${token.counter}`;
+  const firstTokenId = state.counters[counterKey];
+  if (firstTokenId && firstTokenId !== tokenId) {
+    const flag = state.flagged[token.payer_pubkey] || {
+      reason: 'counter_reuse',
+      token_ids: [firstTokenId],
+      flagged_at: new Date(now).toISOString(),
+    };
+    if (!flag.token_ids.includes(tokenId)) {
+      flag.token_ids.push(tokenId);
+    }
+    state.flagged[token.payer_pubkey] = flag;
+    return VERDICT.COUNTER_REUSE;
+  }
+  state.counters[counterKey] = tokenId;
+
+  const record = state.tokens[tokenId] || {
+    payer_pubkey: token.payer_pubkey,
+    payer_device_id: registeredPayerId,
+    payee_device_id: payeeId,
+    counter: token.counter,
+    amount: getTokenAmountPaise(token),
+    issued_at: getTokenIssuedAt(token),
+    uploads: {},
+    verdict: null,
+  };
+  record.uploads[entry.type] = uploaderId;
+  state.tokens[tokenId] = record;
+
+  if (record.verdict) {
+    return record.verdict;
+  }
+
+  // Tokens of a flagged wallet that had not settled before the flag never will
+  if (isDeviceFlagged(state, state.devices[registeredPayerId])) {
+    record.verdict = VERDICT.REJECTED;
+    return record.verdict;
+  }
+
+  // The payee holding the token, or an ACK the payer received, proves delivery;
+  // a payer's pending token waits for the payee until the settlement window ends
+  if (entry.type === 'debit' && entry.status === 'pending') {
+    if (now - record.issued_at <= PENDING_SETTLEMENT_WINDOW_MS) {
+      return VERDICT.UNDECIDED;
+    }
+    record.verdict = VERDICT.REJECTED;
+    return record.verdict;
+  }
+
+  record.verdict = VERDICT.SETTLED;
+  getAccount(state, record.payee_device_id).settled_in += record.amount;
+  getAccount(state, record.payer_device_id).settled_out += record.amount;
+  return record.verdict;
+};
+
+/**
+ * Create the mock bank server (not yet listening)
+ * @param {Object} options - Server options
+ * @param {string} options.storePath - JSON file for the on-disk store
+ * @param {string} options.bankSeed - Bank key seed (base64); the development seed if omitted
+ * @param {Object} options.spendingLimits - Overrides for DEFAULT_SPENDING_LIMITS
+ * @param {Function} options.now - Clock (ms), for tests
+ * @returns {Object} {server, store, bankPublicKey}
+ */
+const createBankServer = ({storePath, bankSeed, spendingLimits, now = Date.now}) => {
+  const store = createStore(storePath);
+  const bankKeypair = createBankKeypair(bankSeed);
+  const bankPublicKey = toBase64(bankKeypair.publicKey);
+  const limits = {...DEFAULT_SPENDING_LIMITS, ...spendingLimits};
+
+  /**
+   * Certify a registered wallet key for offline payments
+   * @param {Object} device - Registered device
+   * @returns {Object} Signed payer certificate
+   */
+  const issuePayerCertificate = (device) => {
+    const certificate = {
+      version: CERTIFICATE_VERSION,
+      role: 'payer',
+      subject_id: device.device_id,
+      public_key: device.wallet_pubkey,
+      offline_limit: limits.max_offline_balance,
+      issued_at: Math.floor(now() / 1000),
+      expires_at: Math.floor((now() + PAYER_CERT_VALIDITY_MS) / 1000),
+    };
+    return {...certificate, signature: signCanonical(certificate, bankKeypair.secretKey)};
+  };
+
+  const routes = [
+    ['GET', /^\/api\/bank-key$/, () => [200, {public_key: bankPublicKey}]],
+
+    [
+      'POST',
+      /^\/api\/devices$/,
+      (params, body) => {
+        const {
+          device_id: deviceId,
+          wallet_pubkey: walletPubkey,
+          signature,
+          attestation = [],
+          key_rotations: keyRotations = [],
+        } = body;
+        if (!isNonEmptyString(deviceId) || !isNonEmptyString(walletPubkey)) {
+          throw httpError(400, 'device_id and wallet_pubkey are required');
+        }
+        if (!verifyCanonical(getRegistrationMessage(deviceId, walletPubkey), signature, walletPubkey)) {
+          throw httpError(400, 'Registration signature is invalid');
+        }
+        // Keys without attestation (older wallets) are registered but not marked as hardware-backed
+        const keyAttested = Array.isArray(attestation) && attestation.length > 0;
+        if (keyAttested && !verifyKeyAttestation(attestation, walletPubkey)) {
+          throw httpError(400, 'Key attestation does not certify the wallet key');
+        }
+
+        return store.update((state) => {
+          const existing = state.devices[deviceId];
+          if (existing) {
+            // Registering again renews the certificate, unless the wallet was flagged
+            if (isDeviceFlagged(state, existing)) {
+              throw httpError(403, 'Device is flagged');
+            }
+            // A rotated wallet brings the chain of rotations from its registered key
+            const rotated = followKeyRotations(state, existing, keyRotations, Math.floor(now() / 1000));
+            if (rotated.walletPubkey !== walletPubkey) {
+              throw httpError(409, 'Device is registered with a different wallet key');
+            }
+            if (rotated.retired.length > 0) {
+              existing.retired_keys = [...(existing.retired_keys || []), ...rotated.retired];
+              existing.wallet_pubkey = walletPubkey;
+              existing.key_version = rotated.keyVersion;
+              existing.key_attested = keyAttested;
+              // Retired keys stay mapped, so their earlier tokens still reconcile
+              state.pubkeys[walletPubkey] = deviceId;
+            }
+            return [200, {...existing, certificate: issuePayerCertificate(existing)}];
+          }
+          if (state.pubkeys[walletPubkey]) {
+            throw httpError(409, 'Wallet key is registered to another device');
+          }
+
+          const device = {
+            device_id: deviceId,
+            wallet_pubkey: walletPubkey,
+            key_version: 1,
+            retired_keys: [],
+            key_attested: keyAttested,
+            registered_at: new Date(now()).toISOString(),
+          };
+          state.devices[deviceId] = device;
+          state.pubkeys[walletPubkey] = deviceId;
+          return [201, {...device, certificate: issuePayerCertificate(device)}];
+        });
+      },
+    ],
+
+    [
+      'GET',
+      /^\/api\/devices\/([^/]+)$/,
+      ([deviceId]) => {
+        const state = store.read();
+        const device = state.devices[deviceId];
+        if (!device) {
+          throw httpError(404, 'Device not registered');
+        }
+        return [200, {...device, flagged: isDeviceFlagged(state, device)}];
+      },
+    ],
+
+    [
+      'GET',
+      /^\/api\/pubkeys\/([^/]+)$/,
+      ([walletPubkey]) => {
+        const state = store.read();
+        const deviceId = state.pubkeys[walletPubkey];
+        if (!deviceId) {
+          throw httpError(404, 'Wallet key not registered');
+        }
+        return [
+          200,
+          {wallet_pubkey: walletPubkey, device_id: deviceId, flagged: !!state.flagged[walletPubkey]},
+        ];
+      },
+    ],
+
+    [
+      'GET',
+      /^\/api\/policy\/([^/]+)$/,
+      ([deviceId]) => {
+        const state = store.read();
+        const device = state.devices[deviceId];
+        if (!device) {
+          throw httpError(404, 'Device not registered');
+        }
+        if (isDeviceFlagged(state, device)) {
+          throw httpError(403, 'Device is flagged');
+        }
+
+        const policy = {
+          version: SPENDING_POLICY_VERSION,
+          device_id: deviceId,
+          ...limits,
+          issued_at: Math.floor(now() / 1000),
+        };
+        return [200, {...policy, signature: signCanonical(policy, bankKeypair.secretKey)}];
+      },
+    ],
+
+    [
+      'GET',
+      /^\/api\/revocations$/,
+      () => {
+        const state = store.read();
+        const revoked = new Map();
+        for (const device of Object.values(state.devices)) {
+          for (const key of device.retired_keys || []) {
+            revoked.set(key.public_key, {
+              kid: key.kid,
+              reason: 'superseded',
+              revoked_at: key.retired_at,
+            });
+          }
+        }
+        // Flagged keys are refused outright, whether or not they were rotated out
+        for (const [walletPubkey, flag] of Object.entries(state.flagged)) {
+          revoked.set(walletPubkey, {
+            kid: getKeyId(walletPubkey),
+            reason: 'compromised',
+            revoked_at: Math.floor(Date.parse(flag.flagged_at) / 1000),
+          });
+        }
+
+        const list = {
+          version: REVOCATION_LIST_VERSION,
+          issued_at: Math.floor(now() / 1000),
+          entries: [...revoked.values()],
+        };
+        return [200, {...list, signature: signCanonical(list, bankKeypair.secretKey)}];
+      },
+    ],
+
+    [
+      'POST',
+      /^\/api\/merchants$/,
+      (params, body) => {
+        const {
+          device_id: deviceId,
+          merchant_name: merchantName,
+          merchant_pubkey: merchantPubkey,
+          wallet_signature: walletSignature,
+          merchant_signature: merchantSignature,
+        } = body;
+        if (
+          !isNonEmptyString(merchantName) ||
+          merchantName.length > MAX_MERCHANT_NAME_LENGTH ||
+          !isNonEmptyString(merchantPubkey)
+        ) {
+          throw httpError(
+            400,
+            `merchant_name (up to ${MAX_MERCHANT_NAME_LENGTH} characters) and merchant_pubkey are required`
+          );
+        }
+
+        return store.update((state) => {
+          const device = state.devices[deviceId];
+          if (!device) {
+            throw httpError(404, 'Device not registered');
+          }
+          if (isDeviceFlagged(state, device)) {
+            throw httpError(403, 'Device is flagged');
+          }
+
+          const message = getMerchantEnrollmentMessage(deviceId, merchantName, merchantPubkey);
+          if (
+            !verifyCanonical(message, walletSignature, device.wallet_pubkey) ||
+            !verifyCanonical(message, merchantSignature, merchantPubkey)
+          ) {
+            throw httpError(400, 'Enrollment signature is invalid');
+          }
+
+          // The merchant ID is the device ID, which payment tokens name as payee
+          const certificate = {
+            version: CERTIFICATE_VERSION,
+            role: 'merchant',
+            subject_id: deviceId,
+            subject_name: merchantName,
+            public_key: merchantPubkey,
+            issued_at: Math.floor(now() / 1000),
+            expires_at: Math.floor((now() + MERCHANT_CERT_VALIDITY_MS) / 1000),
+          };
+          const merchant = {
+            merchant_id: deviceId,
+            merchant_name: merchantName,
+            cert_chain: [{...certificate, signature: signCanonical(certificate, bankKeypair.secretKey)}],
+          };
+          state.merchants[deviceId] = merchant;
+          return [201, merchant];
+        });
+      },
+    ],
+
+    [
+      'POST',
+      /^\/api\/topups$/,
+      (params, body) => {
+        const {device_id: deviceId, amount} = body;
+        if (!Number.isSafeInteger(amount) || amount <= 0 || amount > MAX_AMOUNT_PAISE) {
+          throw httpError(400, 'amount must be a positive whole number of paise');
+        }
+        if (amount > limits.max_offline_balance) {
+          throw httpError(400, 'amount exceeds the offline balance cap');
+        }
+
+        return store.update((state) => {
+          const device = authenticateRequest(state, '/api/topups', body, now());
+          if (isDeviceFlagged(state, device)) {
+            throw httpError(403, 'Device is flagged');
+          }
+          // The cap holds against what the bank knows the wallet holds; offline
+          // payments it has not seen yet are checked by the wallet itself
+          const account = getAccount(state, deviceId);
+          const knownBalance = account.topped_up + account.settled_in - account.settled_out;
+          if (knownBalance + amount > limits.max_offline_balance) {
+            throw httpError(400, 'amount would take the balance over the offline balance cap');
+          }
+
+          const voucher = {
+            version: TOPUP_VOUCHER_VERSION,
+            serial: toBase64(nacl.randomBytes(TOPUP_SERIAL_BYTES)),
+            device_id: deviceId,
+            wallet_pubkey: device.wallet_pubkey,
+            amount,
+            issued_at: Math.floor(now() / 1000),
+          };
+          const signed = {...voucher, signature: signCanonical(voucher, bankKeypair.secretKey)};
+          state.topups[voucher.serial] = signed;
+          account.topped_up += amount;
+          return [201, signed];
+        });
+      },
+    ],
+
+    [
+      'POST',
+      /^\/api\/relay$/,
+      (params, body) => {
+        const {recipientDeviceId, payload} = body;
+        if (!isNonEmptyString(recipientDeviceId) || !isNonEmptyString(payload)) {
+          throw httpError(400, 'recipientDeviceId and payload are required');
+        }
+        return store.update((state) => {
+          const inbox = state.inbox[recipientDeviceId] || [];
+          inbox.push({payload, sent_at: body.timestamp ?? null, received_at: now()});
+          state.inbox[recipientDeviceId] = inbox;
+          return [202, {queued: inbox.length}];
+        });
+      },
+    ],
+
+    [
+      'GET',
+      /^\/api\/relay\/([^/]+)$/,
+      ([deviceId], body, query) =>
+        store.update((state) => {
+          authenticateRequest(
+            state,
+            `/api/relay/${deviceId}`,
+            {
+              device_id: deviceId,
+              signed_at: Number(query.signed_at),
+              nonce: query.nonce,
+              signature: query.signature,
+            },
+            now()
+          );
+          const messages = state.inbox[deviceId] || [];
+          delete state.inbox[deviceId];
+          return [200, {messages}];
+        }),
+    ],
+
+    [
+      'POST',
+      /^\/api\/sync$/,
+      (params, body) => {
+        if (body.version !== SYNC_PROTOCOL_VERSION) {
+          throw httpError(400, 'Unsupported sync version');
+        }
+        if (!isNonEmptyString(body.device_id) || !Array.isArray(body.entries)) {
+          throw httpError(400, 'device_id and entries are required');
+        }
+        if (body.entries.length > MAX_SYNC_ENTRIES) {
+          throw httpError(413, `At most ${MAX_SYNC_ENTRIES} entries per sync`);
+        }
+
+        return store.update((state) => {
+          const currentTime = now();
+          authenticateRequest(state, '/api/sync', body, currentTime);
+          const results = body.entries.map((entry) => ({
+            token_id: entry?.token_id ?? null,
+            verdict: reconcileEntry(state, body.device_id, entry, currentTime, bankPublicKey),
+          }));
+          return [200, {results}];
+        });
+      },
+    ],
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      for (const [method, pattern, handler] of routes) {
+        const match = pattern.exec(url.pathname);
+        if (!match || req.method !== method) {
+          continue;
+        }
+        const body = method === 'POST' ? await readJson(req) : null;
+        const [status, response] = handler(
+          match.slice(1).map(decodeURIComponent),
+          body || {},
+          Object.fromEntries(url.searchParams)
+        );
+        sendJson(res, status, response);
+        return;
+      }
+      throw httpError(404, 'Not found');
+    } catch (error) {
+      if (!error.status) {
+        console.error('[Bank] Request failed:', error);
+      }
+      sendJson(res, error.status || 500, {message: error.message || 'Internal error'});
+    }
+  });
+
+  return {server, store, bankPublicKey};
+};
+
+module.exports = {
+  createBankServer,
+  getRegistrationMessage,
+  getKeyRotationMessage,
+  getMerchantEnrollmentMessage,
+  getSignedRequestMessage,
+  VERDICT,
+  DEFAULT_SPENDING_LIMITS,
+  PENDING_SETTLEMENT_WINDOW_MS,
+};
@@ -0,0 +1,35 @@
+const path = require('path');
+const {createBankServer} = require('./bankServer');
+
+/**
+ * Run the mock bank backend for local development
+ *
+ *   npm run bank
+ *
+ * Environment:
+ *   BANK_PORT      Port to listen on (default 8787)
+ *   BANK_HOST      Address to bind (default 127.0.0.1; use 0.0.0.0 for a device on the LAN)
+ *   BANK_STORE     JSON store file (default server/.data/bank.json)
+ *   BANK_SEED      Bank key seed, base64 of 32 bytes (default: fixed development seed)
+ *   BANK_LIMITS    JSON overrides for the offline spending limits, e.g. {"per_transaction_limit":20000}
+ *
+ * Point the app at it with TOKPAY_BACKEND_URL / TOKPAY_RELAY_URL when building.
+ */
+
+const port = Number(process.env.BANK_PORT || 8787);
+const host = process.env.BANK_HOST || '127.0.0.1';
+const storePath = process.env.BANK_STORE || path.join(__dirname, '.data', 'bank.json');
+
+const spendingLimits = process.env.BANK_LIMITS ? JSON.parse(process.env.BANK_LIMITS) : undefined;
+
+const {server, bankPublicKey} = createBankServer({
+  storePath,
+  bankSeed: process.env.BANK_SEED,
+  spendingLimits,
+});
+
+server.listen(port, host, () => {
+  console.log(`[Bank] Listening on http://${host}:${port}`);
+  console.log(`[Bank] Store: ${storePath}`);
+  console.log(`[Bank] Bank public key: ${bankPublicKey}`);
+});
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * On-disk JSON store for the mock bank backend
+ * The whole state is one JSON document, rewritten atomically (temp file +
+ * rename) after every change. Fine for development volumes, not for production.
+ */
+
+const createEmptyState = () => ({
+  // device_id -> {device_id, wallet_pubkey, key_version, retired_keys, key_attested, registered_at}
+  devices: {},
+  // wallet_pubkey (current or retired) -> device_id
+  pubkeys: {},
+  // serial -> issued top-up voucher
+  topups: {},
+  // device_id -> [{payload, sent_at, received_at}]
+  inbox: {},
+  // token id (bankCrypto.getTokenId) -> reconciliation record
+  tokens: {},
+  // `${payer_pubkey}:${counter}` -> token id seen first
+  counters: {},
+  // wallet_pubkey -> {reason, token_ids, flagged_at}
+  flagged: {},
+  // device_id -> {settled_in, settled_out, topped_up} (paise)
+  accounts: {},
+  // device_id -> {merchant_id, merchant_name, cert_chain}
+  merchants: {},
+  // nonce of a recent signed request -> its signed_at (ms)
+  request_nonces: {},
+});
+
+/**
+ * Open (or create) a store file
+ * @param {string} filePath - JSON file holding the state
+ * @returns {Object} {read, update}
+ */
+const createStore = (filePath) => {
+  let state = createEmptyState();
+  if (fs.existsSync(filePath)) {
+    state = {...state, ...JSON.parse(fs.readFileSync(filePath, 'utf8'))};
+  } else {
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+  }
+
+  const persist = () => {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  return {
+    /**
+     * Read-only view of the current state
+     * @returns {Object} State
+     */
+    read: () => state,
+
+    /**
+     * Change the state and persist it before returning
+     * Handlers run synchronously, so requests never interleave inside an update.
+     * @param {Function} mutator - Receives the state; its return value is passed through
+     * @returns {*} Whatever the mutator returned
+     */
+    update: (mutator) => {
+      const result = mutator(state);
+      persist();
+      return result;
+    },
+  };
+};
+
+module.exports = {createStore};
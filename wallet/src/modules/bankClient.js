@@ -0,0 +1,146 @@
+import nacl from 'tweetnacl';
+import {encode as encodeBase64} from 'base64-arraybuffer';
+import Config from './config';
+import {canonicalBytes} from './canonicalJson';
+import {getPublicKey, signWithWalletKey, getWalletKeyAttestation, getWalletKeyRing} from './offlineToken';
+import {getDeviceIdentity} from './deviceIdentity';
+
+/**
+ * Bank backend API used while online (see server/bankServer.js for the routes)
+ */
+
+const REQUEST_NONCE_BYTES = 16;
+
+/**
+ * Call the bank backend
+ * @param {string} method - HTTP method
+ * @param {string} route - API route, e.g. /api/topups
+ * @param {Object} [body] - JSON request body
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} With the backend's message if the request fails
+ */
+const requestBank = async (method, route, body) => {
+  if (!Config.BACKEND_ENDPOINT) {
+    throw new Error('Backend endpoint not configured');
+  }
+
+  const response = await fetch(`${Config.BACKEND_ENDPOINT}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Bank request failed with status ${response.status}`);
+  }
+
+  return response.json();
+};
+
+/**
+ * Sign a request this device makes on its own behalf
+ * The bank checks the signature against the wallet key registered for the
+ * device, and refuses a request that is stale or was already seen.
+ * @param {string} route - Route requested, with path parameters filled in (not URL-encoded)
+ * @param {Object} request - Request fields, including device_id
+ * @returns {Promise<Object>} The fields with signed_at (ms), nonce and signature added
+ */
+export const signBankRequest = async (route, request) => {
+  const signed = {
+    ...request,
+    signed_at: Date.now(),
+    nonce: encodeBase64(nacl.randomBytes(REQUEST_NONCE_BYTES).slice().buffer),
+  };
+  const {signature} = await signWithWalletKey(
+    canonicalBytes({purpose: 'tokpay-signed-request', route, request: signed})
+  );
+  return {...signed, signature};
+};
+
+/**
+ * Register this device's wallet key with the bank
+ * Signing the registration proves the wallet holds the private key, and the
+ * key attestation shows the bank it is held in secure hardware.
+ * Registering again with the same key is accepted and renews the certificate;
+ * after a key rotation the signed rotations carry the bank over to the new key.
+ * @returns {Promise<Object>} Registered device {device_id, wallet_pubkey, registered_at, certificate}
+ */
+export const registerDevice = async () => {
+  const {deviceId} = await getDeviceIdentity();
+  const walletPubkey = await getPublicKey();
+  const {signature} = await signWithWalletKey(
+    canonicalBytes({
+      purpose: 'tokpay-device-registration',
+      device_id: deviceId,
+      wallet_pubkey: walletPubkey,
+    })
+  );
+
+  return requestBank('POST', '/api/devices', {
+    device_id: deviceId,
+    wallet_pubkey: walletPubkey,
+    signature,
+    attestation: await getWalletKeyAttestation(),
+    key_rotations: (await getWalletKeyRing()).rotations,
+  });
+};
+
+/**
+ * Ask the bank for a top-up voucher for this wallet
+ * The request is signed, so only this wallet can draw funds into it.
+ * The voucher still has to be verified and redeemed (walletHelpers.loadOfflineBalance).
+ * @param {number} amount - Amount in paise
+ * @returns {Promise<Object>} Signed top-up voucher
+ */
+export const requestTopupVoucher = async (amount) => {
+  await registerDevice();
+  const {deviceId} = await getDeviceIdentity();
+  return requestBank('POST', '/api/topups', await signBankRequest('/api/topups', {device_id: deviceId, amount}));
+};
+
+/**
+ * Ask the bank to certify this device's merchant key
+ * @param {Object} enrollment - Signed enrollment (see merchantProfile.enrollMerchant)
+ * @param {string} enrollment.merchantName - Display name to certify
+ * @param {string} enrollment.merchantPubkey - Merchant public key (base64)
+ * @param {string} enrollment.walletSignature - Enrollment message signed with the wallet key
+ * @param {string} enrollment.merchantSignature - Enrollment message signed with the merchant key
+ * @returns {Promise<Object>} {merchant_id, merchant_name, cert_chain}
+ */
+export const requestMerchantCertificate = async ({
+  merchantName,
+  merchantPubkey,
+  walletSignature,
+  merchantSignature,
+}) => {
+  await registerDevice();
+  const {deviceId} = await getDeviceIdentity();
+  return requestBank('POST', '/api/merchants', {
+    device_id: deviceId,
+    merchant_name: merchantName,
+    merchant_pubkey: merchantPubkey,
+    wallet_signature: walletSignature,
+    merchant_signature: merchantSignature,
+  });
+};
+
+/**
+ * Fetch this device's signed offline spending policy
+ * The policy still has to be verified and installed (spendingPolicy.installSpendingPolicy).
+ * @returns {Promise<Object>} Signed spending policy
+ */
+export const fetchSpendingPolicy = async () => {
+  await registerDevice();
+  const {deviceId} = await getDeviceIdentity();
+  return requestBank('GET', `/api/policy/${encodeURIComponent(deviceId)}`);
+};
+
+/**
+ * Fetch the bank's list of revoked wallet keys
+ * The list still has to be verified and installed (keyRevocation.installRevocationList).
+ * @returns {Promise<Object>} Signed revocation list
+ */
+export const fetchRevocationList = async () => requestBank('GET', '/api/revocations');
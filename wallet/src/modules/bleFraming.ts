@@ -0,0 +1,359 @@
+/**
+ * BLE Frame Codec for TokPay
+ *
+ * Purpose:
+ * - Pure encoding, fragmentation and streaming reassembly of the frames that
+ *   carry one message over BLE writes or notifications
+ * - No timers, no I/O: the retransmit protocol built on top lives in
+ *   bleTransfer.ts
+ *
+ * Frames (integers big-endian), each ending in a CRC-32 of the bytes before it:
+ *   DATA:   header(1) transfer_id(4) seq(2) payload(n) crc(4)
+ *   END:    header(1) transfer_id(4) count(2) digest(8) crc(4)
+ *   STATUS: header(1) transfer_id(4) code(1) [start(2) length(2)]* crc(4)
+ * header = FRAME_VERSION << 4 | frame type. digest = first 8 bytes of SHA-512.
+ * Payloads are raw bytes, so a message may contain any byte value.
+ *
+ * The CRC and digest only catch transport errors. Authenticity comes from the
+ * secure channel: the message itself is a sealed envelope (secureChannel.ts).
+ */
+
+import nacl from 'tweetnacl';
+
+const FRAME_VERSION = 1;
+
+export const FRAME_TYPE = {
+  DATA: 1,
+  END: 2,
+  STATUS: 3,
+} as const;
+
+export const TRANSFER_STATUS = {
+  COMPLETE: 0,
+  MISSING: 1,
+  CORRUPT: 2,
+} as const;
+
+// Smallest ATT payload every BLE link supports (default MTU 23 minus 3)
+export const MIN_FRAME_BYTES = 20;
+// ATT header bytes taken from the MTU by every write or notification
+const ATT_HEADER_BYTES = 3;
+
+const HEADER_BYTES = 5; // header + transfer id
+const CRC_BYTES = 4;
+const SEQ_BYTES = 2;
+const DIGEST_BYTES = 8;
+const RANGE_BYTES = 4;
+const MAX_FRAMES = 0xffff;
+
+export const DATA_FRAME_OVERHEAD = HEADER_BYTES + SEQ_BYTES + CRC_BYTES;
+
+type FrameType = (typeof FRAME_TYPE)[keyof typeof FRAME_TYPE];
+export type TransferStatusCode = (typeof TRANSFER_STATUS)[keyof typeof TRANSFER_STATUS];
+
+export type SeqRange = {start: number; length: number};
+
+export type Frame =
+  | {type: typeof FRAME_TYPE.DATA; transferId: number; seq: number; payload: Uint8Array}
+  | {type: typeof FRAME_TYPE.END; transferId: number; count: number; digest: Uint8Array}
+  | {type: typeof FRAME_TYPE.STATUS; transferId: number; code: TransferStatusCode; missing: SeqRange[]};
+
+export type StatusFrame = Extract<Frame, {type: typeof FRAME_TYPE.STATUS}>;
+export type MessageFrame = Exclude<Frame, StatusFrame>;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (IEEE 802.3, as used by zlib)
+ *
+ * @param {Uint8Array} bytes - Input bytes
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export const crc32 = (bytes: Uint8Array): number => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const getDigest = (message: Uint8Array): Uint8Array => nacl.hash(message).subarray(0, DIGEST_BYTES);
+
+const bytesEqual = (a: Uint8Array, b: Uint8Array): boolean =>
+  a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+/**
+ * Largest frame a link carries
+ *
+ * @param {number} mtu - Negotiated ATT MTU, if known
+ * @returns {number} Frame size limit in bytes
+ */
+export const getMaxFrameBytes = (mtu?: number | null): number =>
+  typeof mtu === 'number' && mtu > 0 ? Math.max(MIN_FRAME_BYTES, mtu - ATT_HEADER_BYTES) : MIN_FRAME_BYTES;
+
+/**
+ * Number of missing ranges that fit in one STATUS frame
+ *
+ * @param {number} maxFrameBytes - Largest frame the link carries
+ * @returns {number} Range count (at least 1)
+ */
+export const getMaxStatusRanges = (maxFrameBytes: number): number =>
+  Math.max(1, Math.floor((maxFrameBytes - HEADER_BYTES - 1 - CRC_BYTES) / RANGE_BYTES));
+
+/**
+ * Lay out a frame: header, transfer id, body and the trailing CRC
+ */
+const buildFrame = (
+  type: FrameType,
+  transferId: number,
+  bodyLength: number,
+  writeBody: (view: DataView, bytes: Uint8Array) => void,
+): Uint8Array => {
+  const bytes = new Uint8Array(HEADER_BYTES + bodyLength + CRC_BYTES);
+  const view = new DataView(bytes.buffer);
+  view.setUint8(0, (FRAME_VERSION << 4) | type);
+  view.setUint32(1, transferId);
+  writeBody(view, bytes);
+  view.setUint32(bytes.length - CRC_BYTES, crc32(bytes.subarray(0, bytes.length - CRC_BYTES)));
+  return bytes;
+};
+
+/**
+ * Encode a frame
+ *
+ * @param {Frame} frame - Frame fields
+ * @returns {Uint8Array} Frame bytes
+ */
+export const encodeFrame = (frame: Frame): Uint8Array => {
+  switch (frame.type) {
+    case FRAME_TYPE.DATA:
+      return buildFrame(frame.type, frame.transferId, SEQ_BYTES + frame.payload.length, (view, bytes) => {
+        view.setUint16(HEADER_BYTES, frame.seq);
+        bytes.set(frame.payload, HEADER_BYTES + SEQ_BYTES);
+      });
+    case FRAME_TYPE.END:
+      return buildFrame(frame.type, frame.transferId, SEQ_BYTES + DIGEST_BYTES, (view, bytes) => {
+        view.setUint16(HEADER_BYTES, frame.count);
+        bytes.set(frame.digest, HEADER_BYTES + SEQ_BYTES);
+      });
+    case FRAME_TYPE.STATUS:
+      return buildFrame(frame.type, frame.transferId, 1 + frame.missing.length * RANGE_BYTES, (view) => {
+        view.setUint8(HEADER_BYTES, frame.code);
+        frame.missing.forEach(({start, length}, i) => {
+          view.setUint16(HEADER_BYTES + 1 + i * RANGE_BYTES, start);
+          view.setUint16(HEADER_BYTES + 3 + i * RANGE_BYTES, length);
+        });
+      });
+  }
+};
+
+/**
+ * Decode a frame
+ *
+ * @param {Uint8Array} bytes - Bytes of one BLE write or notification
+ * @returns {Frame|null} Frame, or null if it is corrupt or not a frame of this version
+ */
+export const decodeFrame = (bytes: Uint8Array): Frame | null => {
+  if (bytes.length < HEADER_BYTES + CRC_BYTES) {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const crcOffset = bytes.length - CRC_BYTES;
+  if (view.getUint32(crcOffset) !== crc32(bytes.subarray(0, crcOffset))) {
+    return null;
+  }
+
+  const header = view.getUint8(0);
+  if (header >> 4 !== FRAME_VERSION) {
+    return null;
+  }
+  const transferId = view.getUint32(1);
+  const bodyLength = crcOffset - HEADER_BYTES;
+
+  switch (header & 0x0f) {
+    case FRAME_TYPE.DATA:
+      if (bodyLength < SEQ_BYTES) {
+        return null;
+      }
+      return {
+        type: FRAME_TYPE.DATA,
+        transferId,
+        seq: view.getUint16(HEADER_BYTES),
+        payload: bytes.slice(HEADER_BYTES + SEQ_BYTES, crcOffset),
+      };
+    case FRAME_TYPE.END:
+      if (bodyLength !== SEQ_BYTES + DIGEST_BYTES) {
+        return null;
+      }
+      return {
+        type: FRAME_TYPE.END,
+        transferId,
+        count: view.getUint16(HEADER_BYTES),
+        digest: bytes.slice(HEADER_BYTES + SEQ_BYTES, crcOffset),
+      };
+    case FRAME_TYPE.STATUS: {
+      const code = view.getUint8(HEADER_BYTES);
+      if (!Object.values(TRANSFER_STATUS).includes(code as TransferStatusCode) || (bodyLength - 1) % RANGE_BYTES !== 0) {
+        return null;
+      }
+      const missing: SeqRange[] = [];
+      for (let offset = HEADER_BYTES + 1; offset < crcOffset; offset += RANGE_BYTES) {
+        missing.push({start: view.getUint16(offset), length: view.getUint16(offset + 2)});
+      }
+      return {type: FRAME_TYPE.STATUS, transferId, code: code as TransferStatusCode, missing};
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * Pick a random transfer id
+ *
+ * @returns {number} Unsigned 32-bit id
+ */
+export const createTransferId = (): number => new DataView(nacl.randomBytes(4).buffer).getUint32(0);
+
+/**
+ * Split a message into the frames of one transfer
+ * Each DATA frame carries as much of the message as the frame size allows.
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {number} maxFrameBytes - Largest frame the link carries (see getMaxFrameBytes)
+ * @param {number} transferId - Transfer id (random if omitted)
+ * @returns {{transferId: number, dataFrames: Uint8Array[], endFrame: Uint8Array}} Encoded frames
+ * @throws {Error} If the frames cannot carry any payload or the message needs too many frames
+ */
+export const fragmentMessage = (
+  message: Uint8Array,
+  maxFrameBytes: number,
+  transferId: number = createTransferId(),
+) => {
+  const payloadBytes = maxFrameBytes - DATA_FRAME_OVERHEAD;
+  if (payloadBytes < 1) {
+    throw new Error(`Frames of ${maxFrameBytes} bytes cannot carry data`);
+  }
+  const count = Math.max(1, Math.ceil(message.length / payloadBytes));
+  if (count > MAX_FRAMES) {
+    throw new Error('Message too large for one transfer');
+  }
+
+  const dataFrames: Uint8Array[] = [];
+  for (let seq = 0; seq < count; seq++) {
+    const payload = message.subarray(seq * payloadBytes, (seq + 1) * payloadBytes);
+    dataFrames.push(encodeFrame({type: FRAME_TYPE.DATA, transferId, seq, payload}));
+  }
+  const endFrame = encodeFrame({type: FRAME_TYPE.END, transferId, count, digest: getDigest(message)});
+  return {transferId, dataFrames, endFrame};
+};
+
+/**
+ * Collapse missing sequence numbers into ranges
+ */
+const toRanges = (seqs: number[]): SeqRange[] => {
+  const ranges: SeqRange[] = [];
+  for (const seq of seqs) {
+    const last = ranges[ranges.length - 1];
+    if (last && last.start + last.length === seq) {
+      last.length += 1;
+    } else {
+      ranges.push({start: seq, length: 1});
+    }
+  }
+  return ranges;
+};
+
+export type AssemblyResult =
+  | {status: 'pending'}
+  | {status: 'missing'; missing: SeqRange[]}
+  | {status: 'corrupt'}
+  | {status: 'complete'; message: Uint8Array};
+
+export type FrameAssembler = {
+  push: (frame: MessageFrame) => AssemblyResult;
+  reset: () => void;
+  readonly transferId: number | null;
+  readonly receivedFrames: number;
+};
+
+/**
+ * Create a streaming reassembler for one transfer at a time
+ * DATA frames may arrive in any order and more than once. A frame of another
+ * transfer drops the partial one, so frames of two transfers are never mixed.
+ * The END frame settles the transfer: it is either complete (and intact),
+ * missing frames, or corrupt; complete and corrupt transfers are cleared.
+ *
+ * @returns {FrameAssembler} Assembler
+ */
+export const createFrameAssembler = (): FrameAssembler => {
+  let transferId: number | null = null;
+  let payloads = new Map<number, Uint8Array>();
+
+  const reset = () => {
+    transferId = null;
+    payloads = new Map();
+  };
+
+  const push = (frame: MessageFrame): AssemblyResult => {
+    if (frame.transferId !== transferId) {
+      transferId = frame.transferId;
+      payloads = new Map();
+    }
+
+    if (frame.type === FRAME_TYPE.DATA) {
+      if (!payloads.has(frame.seq)) {
+        payloads.set(frame.seq, frame.payload);
+      }
+      return {status: 'pending'};
+    }
+
+    const missing: number[] = [];
+    let length = 0;
+    for (let seq = 0; seq < frame.count; seq++) {
+      const payload = payloads.get(seq);
+      if (payload) {
+        length += payload.length;
+      } else {
+        missing.push(seq);
+      }
+    }
+    if (missing.length > 0) {
+      return {status: 'missing', missing: toRanges(missing)};
+    }
+
+    const message = new Uint8Array(length);
+    let offset = 0;
+    for (let seq = 0; seq < frame.count; seq++) {
+      const payload = payloads.get(seq) as Uint8Array;
+      message.set(payload, offset);
+      offset += payload.length;
+    }
+
+    reset();
+    if (!bytesEqual(getDigest(message), frame.digest)) {
+      return {status: 'corrupt'};
+    }
+    return {status: 'complete', message};
+  };
+
+  return {
+    push,
+    reset,
+    get transferId() {
+      return transferId;
+    },
+    get receivedFrames() {
+      return payloads.size;
+    },
+  };
+};
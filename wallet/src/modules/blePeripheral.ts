@@ -6,15 +6,34 @@
  */
 
 import {NativeModules, NativeEventEmitter, Platform} from 'react-native';
+import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+import {
+  sendTransfer,
+  createReassembler,
+  createStatusQueue,
+  createFrameHandler,
+} from './bleTransfer';
+import {getMaxFrameBytes} from './bleFraming';
+import {TOKPAY_SERVICE_UUID, TOKPAY_CHARACTERISTIC_UUID} from './bleProtocol';
 
 const {TokpayBlePeripheral} = NativeModules;
 
-// Service UUID for TokPay
-const TOKPAY_SERVICE_UUID = '0000ffe0-0000-1000-8000-00805f9b34fb';
+// Gap between notifications of our transfers; the native module does not wait for each one to go out
+const NOTIFY_FRAME_DELAY_MS = 10;
+
+// STATUS frames the sender writes back for our own transfers (see onMessageReceived)
+const outgoingStatuses = createStatusQueue();
+
+const toArrayBuffer = (bytes: Uint8Array): ArrayBuffer =>
+  bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer;
 
 // Event emitter for receiving data from native module
 let eventEmitter: NativeEventEmitter | null = null;
 
+// ATT MTU of the connected sender, from the native onMtuChanged event; null until known
+let negotiatedMtu: number | null = null;
+let mtuSubscription: {remove: () => void} | null = null;
+
 /**
  * Get or create the native event emitter
  */
@@ -25,14 +44,36 @@ const getEventEmitter = (): NativeEventEmitter => {
   return eventEmitter!;
 };
 
+/**
+ * Follow the MTU each connecting sender negotiates, for sizing our frames
+ * The native module reports the default MTU when a sender connects and the
+ * negotiated one once the sender's MTU request completes.
+ */
+const trackNegotiatedMtu = (): void => {
+  if (mtuSubscription) {
+    return;
+  }
+  mtuSubscription = getEventEmitter().addListener('onMtuChanged', (event: {deviceId: string; mtu: number}) => {
+    console.log(`[BLE Peripheral] MTU for ${event.deviceId}: ${event.mtu}`);
+    negotiatedMtu = event.mtu;
+  });
+};
+
 /**
  * Start BLE peripheral advertising with GATT server
- * Makes the device discoverable to sender devices
+ * Makes the device discoverable to sender devices. The advertisement carries
+ * the service UUID of the newest QR session; the scan response carries the
+ * tags of all open sessions as TokPay service data, so senders holding an
+ * older QR still find this receiver. The GATT service keeps its fixed UUID
+ * (bleProtocol.ts). Calling again while advertising only replaces the
+ * advertised session UUID and tags; connected senders are not dropped.
  * 
+ * @param {string} sessionServiceUuid - Service UUID of the newest QR session (bleProtocol.getSessionServiceUuid)
+ * @param {Uint8Array} sessionTags - Tags of the open sessions (secureChannel.getAdvertisedSessionTags)
  * @returns {Promise<boolean>} Resolves when advertising starts successfully
  * @throws {Error} If advertising fails or BLE is not supported
  */
-export const startPeripheral = async (): Promise<boolean> => {
+export const startPeripheral = async (sessionServiceUuid: string, sessionTags: Uint8Array): Promise<boolean> => {
   if (Platform.OS !== 'android') {
     throw new Error('BLE peripheral mode currently only supported on Android');
   }
@@ -41,8 +82,15 @@ export const startPeripheral = async (): Promise<boolean> => {
     throw new Error('TokpayBlePeripheral native module not found');
   }
 
+  trackNegotiatedMtu();
+
   console.log('[BLE Peripheral] Starting native advertising...');
-  const result = await TokpayBlePeripheral.startAdvertising(TOKPAY_SERVICE_UUID);
+  const result = await TokpayBlePeripheral.startAdvertising(
+    TOKPAY_SERVICE_UUID,
+    TOKPAY_CHARACTERISTIC_UUID,
+    sessionServiceUuid,
+    encodeBase64(toArrayBuffer(sessionTags))
+  );
   console.log('[BLE Peripheral] Advertising started successfully');
   return result;
 };
@@ -63,6 +111,9 @@ export const stopPeripheral = async (): Promise<boolean> => {
 
   console.log('[BLE Peripheral] Stopping native advertising...');
   const result = await TokpayBlePeripheral.stopAdvertising();
+  mtuSubscription?.remove();
+  mtuSubscription = null;
+  negotiatedMtu = null;
   console.log('[BLE Peripheral] Advertising stopped');
   return result;
 };
@@ -81,6 +132,34 @@ export const sendAck = async (dataBase64: string): Promise<boolean> => {
   return TokpayBlePeripheral.sendAck(dataBase64);
 };
 
+/**
+ * Send one transfer frame as a notification
+ *
+ * @param {Uint8Array} frame - Frame bytes (bleFraming.ts)
+ * @returns {Promise<boolean>} Resolves when the notification is queued
+ */
+const sendFrame = (frame: Uint8Array): Promise<boolean> => sendAck(encodeBase64(toArrayBuffer(frame)));
+
+/**
+ * Send a complete message to the sender as a framed transfer of notifications
+ * Frames fill the MTU the sender negotiated, or the default 20-byte ATT payload
+ * if none was. Resolves once the sender confirms it has the whole message;
+ * needs an active onMessageReceived subscription for the confirmation.
+ *
+ * @param {Uint8Array} message - Sealed envelope (handshake reply or ACK)
+ * @returns {Promise<boolean>} Resolves when the sender has the message
+ * @throws {Error} If the sender never confirms it
+ */
+export const sendMessage = async (message: Uint8Array): Promise<boolean> => {
+  await sendTransfer(message, {
+    maxFrameBytes: getMaxFrameBytes(negotiatedMtu),
+    writeFrame: sendFrame,
+    statuses: outgoingStatuses,
+    frameIntervalMs: NOTIFY_FRAME_DELAY_MS,
+  });
+  return true;
+};
+
 /**
  * Subscribe to token data received events from sender devices
  * 
@@ -103,6 +182,30 @@ export const onDataReceived = (
   };
 };
 
+/**
+ * Subscribe to complete messages (sealed hellos and tokens) from sender devices
+ * Reassembles framed transfers and confirms them to the sender; STATUS frames
+ * for our own transfers are routed to sendMessage. A partial transfer is
+ * dropped when a new one starts, after a timeout, or on unsubscribe.
+ *
+ * @param {Function} callback - Called with the bytes of each complete message
+ * @returns {Function} Unsubscribe function
+ */
+export const onMessageReceived = (callback: (message: Uint8Array) => void): (() => void) => {
+  const reassembler = createReassembler({onMessage: callback, sendStatus: sendFrame});
+  const handleFrame = createFrameHandler({reassembler, statuses: outgoingStatuses});
+
+  const unsubscribe = onDataReceived((event) => {
+    handleFrame(new Uint8Array(decodeBase64(event.data)));
+  });
+
+  return () => {
+    unsubscribe();
+    reassembler.reset();
+    outgoingStatuses.clear();
+  };
+};
+
 /**
  * Check if native BLE peripheral is available
  */
@@ -0,0 +1,59 @@
+/**
+ * TokPay BLE Protocol Constants
+ *
+ * Purpose:
+ * - Single source of the UUIDs shared by the sender (bleTransport.js), the
+ *   receiver (blePeripheral.ts, which hands them to the native
+ *   TokpayBlePeripheral module) and the receive QR (qrGenerator.ts)
+ *
+ * Architecture:
+ * - The GATT service and its characteristic keep fixed UUIDs, so rotating the
+ *   QR restarts only the advertiser and never drops a connected sender
+ * - Each QR session advertises its own service UUID: the well-known TokPay
+ *   prefix followed by the first 12 bytes of the session id
+ *   (secureChannel.getSessionId). The receive QR carries it as
+ *   conn.ble_service_uuid and senders look for exactly that UUID
+ * - QRs before 2.6 carried the GATT service UUID itself
+ */
+
+import {decode as decodeBase64} from 'base64-arraybuffer';
+
+// GATT service hosting the TokPay characteristic (a 16-bit UUID on the Bluetooth base)
+export const TOKPAY_SERVICE_UUID = '0000ffe0-0000-1000-8000-00805f9b34fb';
+
+// Characteristic carrying framed transfers (bleFraming.ts) in both directions
+export const TOKPAY_CHARACTERISTIC_UUID = '0000ffe1-0000-1000-8000-00805f9b34fb';
+
+// First group of every per-session service UUID: "tokp" in ASCII
+export const TOKPAY_SESSION_UUID_PREFIX = '746f6b70-';
+
+const SESSION_UUID_PATTERN = new RegExp(
+  `^${TOKPAY_SESSION_UUID_PREFIX}[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$`
+);
+
+// Bytes of the session id after the 4-byte prefix
+const SESSION_UUID_ID_BYTES = 12;
+
+/**
+ * Get the service UUID a QR session advertises
+ *
+ * @param {string} sessionId - Base64 session id (secureChannel.getSessionId)
+ * @returns {string} Lowercase UUID starting with TOKPAY_SESSION_UUID_PREFIX
+ */
+export const getSessionServiceUuid = (sessionId: string): string => {
+  const idBytes = new Uint8Array(decodeBase64(sessionId)).subarray(0, SESSION_UUID_ID_BYTES);
+  if (idBytes.length !== SESSION_UUID_ID_BYTES) {
+    throw new Error('Session id is too short for a service UUID');
+  }
+  const hex = Array.from(idBytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+  return `${TOKPAY_SESSION_UUID_PREFIX}${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}-${hex.slice(12)}`;
+};
+
+/**
+ * Check that a value is a TokPay per-session service UUID
+ *
+ * @param {unknown} value - Candidate UUID (e.g. conn.ble_service_uuid)
+ * @returns {boolean} True for a lowercase UUID with the TokPay prefix
+ */
+export const isSessionServiceUuid = (value: unknown): boolean =>
+  typeof value === 'string' && SESSION_UUID_PATTERN.test(value);
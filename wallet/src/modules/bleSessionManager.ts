@@ -3,12 +3,11 @@
  *
  * Uses native TokpayBlePeripheral module for true BLE advertising.
  * The native module handles:
- * - BLE peripheral advertising with TokPay service UUID
+ * - BLE peripheral advertising with TokPay service UUID and the open QR session tags
  * - GATT server for receiving data from sender devices
  * - Connection state management
  *
- * TokPay Service UUID:
- * - `0000ffe0-0000-1000-8000-00805f9b34fb`
+ * UUIDs: see bleProtocol.ts (fixed GATT service, per-session advertised UUIDs)
  *
  * Purpose:
  * - Manage Receive-mode session lifecycle state (IDLE | ADVERTISING | CONNECTED)
@@ -52,18 +51,22 @@ export const getSessionState = (): BleSessionState => {
  * Behavior:
  * - Starts native BLE advertising with GATT server
  * - Sets state to ADVERTISING
- * - Idempotent: safe to call multiple times
+ * - Idempotent: calling again while advertising only replaces the advertised
+ *   session UUID and tags (call it after each QR rotation)
  * 
+ * @param {string} sessionServiceUuid - Service UUID of the newest QR (bleProtocol.getSessionServiceUuid)
+ * @param {Uint8Array} sessionTags - Tags of the open QR sessions (secureChannel.getAdvertisedSessionTags)
  * @returns {Promise<void>}
  * @throws {Error} If advertising fails
  */
-export const startAdvertising = async (): Promise<void> => {
+export const startAdvertising = async (sessionServiceUuid: string, sessionTags: Uint8Array): Promise<void> => {
   try {
     const manager = initBleManager();
 
-    // Check if already advertising
+    // Already advertising: only the advertised sessions change
     if (sessionState === 'ADVERTISING') {
-      console.log('[BLE Session] Already advertising, skipping');
+      await startPeripheral(sessionServiceUuid, sessionTags);
+      console.log('[BLE Session] Advertised sessions updated');
       return;
     }
 
@@ -78,7 +81,7 @@ export const startAdvertising = async (): Promise<void> => {
     }
 
     // Start native BLE peripheral advertising
-    await startPeripheral();
+    await startPeripheral(sessionServiceUuid, sessionTags);
     
     sessionState = 'ADVERTISING';
     console.log('[BLE Session] State changed to ADVERTISING (native peripheral active)');
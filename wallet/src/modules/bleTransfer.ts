@@ -0,0 +1,291 @@
+/**
+ * Reliable BLE Transfer Protocol for TokPay
+ *
+ * Purpose:
+ * - Carry one message (a sealed token or ACK envelope) across BLE writes or
+ *   notifications that may be dropped, duplicated, reordered or corrupted
+ * - Used by both sides: bleTransport.js (sender, GATT client) and
+ *   blePeripheral.ts (receiver, GATT server)
+ *
+ * Protocol (frame layout and reassembly in bleFraming.ts):
+ * - The sender splits the message into DATA frames, numbered from 0, then sends
+ *   an END frame with the frame count and a digest of the whole message
+ * - The receiver answers every END with a STATUS frame: COMPLETE, MISSING (with
+ *   the missing sequence ranges) or CORRUPT (digest mismatch)
+ * - The sender resends what is missing (everything, for CORRUPT) and then END
+ *   again; an unanswered END is resent after STATUS_TIMEOUT_MS
+ * - Every transfer has a random id, so frames of an earlier transfer can never
+ *   be mixed into the next one; a partial transfer is dropped after
+ *   REASSEMBLY_TIMEOUT_MS without frames
+ */
+
+import {
+  decodeFrame,
+  encodeFrame,
+  fragmentMessage,
+  createFrameAssembler,
+  getMaxStatusRanges,
+  FRAME_TYPE,
+  TRANSFER_STATUS,
+  MIN_FRAME_BYTES,
+} from './bleFraming';
+import type {Frame, SeqRange, StatusFrame, TransferStatusCode} from './bleFraming';
+
+// How long the sender waits for a STATUS before resending END
+export const STATUS_TIMEOUT_MS = 1500;
+// Rounds of (re)sending before the sender gives up
+export const MAX_TRANSFER_ROUNDS = 8;
+// A partial transfer with no frames for this long is dropped
+export const REASSEMBLY_TIMEOUT_MS = 5000;
+// Finished transfer ids remembered, to answer a resent END after a lost COMPLETE
+const COMPLETED_TRANSFER_MEMORY = 8;
+
+/**
+ * Queue of STATUS frames for the sender, fed by the notification (or write) handler
+ * Statuses can arrive before the sender asks for them, so they are buffered.
+ */
+export type StatusQueue = {
+  push: (status: StatusFrame) => void;
+  next: (transferId: number, timeoutMs: number) => Promise<StatusFrame | null>;
+  clear: () => void;
+};
+
+/**
+ * Create a STATUS frame queue
+ *
+ * @returns {StatusQueue} Queue
+ */
+export const createStatusQueue = (): StatusQueue => {
+  let buffered: StatusFrame[] = [];
+  let waiter: {transferId: number; resolve: (status: StatusFrame | null) => void; timer: ReturnType<typeof setTimeout>} | null =
+    null;
+
+  return {
+    push: (status) => {
+      if (waiter && waiter.transferId === status.transferId) {
+        const {resolve, timer} = waiter;
+        waiter = null;
+        clearTimeout(timer);
+        resolve(status);
+        return;
+      }
+      buffered.push(status);
+    },
+    next: (transferId, timeoutMs) => {
+      // Statuses for other transfers are stale
+      buffered = buffered.filter((status) => status.transferId === transferId);
+      const status = buffered.shift();
+      if (status) {
+        return Promise.resolve(status);
+      }
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          waiter = null;
+          resolve(null);
+        }, timeoutMs);
+        waiter = {transferId, resolve, timer};
+      });
+    },
+    clear: () => {
+      buffered = [];
+      if (waiter) {
+        const {resolve, timer} = waiter;
+        waiter = null;
+        clearTimeout(timer);
+        resolve(null);
+      }
+    },
+  };
+};
+
+type SendOptions = {
+  maxFrameBytes: number;
+  writeFrame: (frame: Uint8Array) => Promise<unknown>;
+  statuses: StatusQueue;
+  statusTimeoutMs?: number;
+  maxRounds?: number;
+  frameIntervalMs?: number;
+};
+
+/**
+ * Send a message and resend what the receiver reports missing until it confirms
+ *
+ * @param {Uint8Array} message - Message bytes
+ * @param {Object} options - Link options
+ * @param {number} options.maxFrameBytes - Largest frame the link carries
+ * @param {Function} options.writeFrame - Writes one frame; rejects if the link is gone
+ * @param {StatusQueue} options.statuses - STATUS frames from the receiver
+ * @param {number} options.statusTimeoutMs - Wait for a STATUS before resending END
+ * @param {number} options.maxRounds - Rounds before giving up
+ * @param {number} options.frameIntervalMs - Pause between frames, for links without flow control
+ * @returns {Promise<{transferId: number, frames: number, rounds: number}>} Transfer summary
+ * @throws {Error} If the receiver never confirms the transfer
+ */
+export const sendTransfer = async (
+  message: Uint8Array,
+  {
+    maxFrameBytes,
+    writeFrame,
+    statuses,
+    statusTimeoutMs = STATUS_TIMEOUT_MS,
+    maxRounds = MAX_TRANSFER_ROUNDS,
+    frameIntervalMs = 0,
+  }: SendOptions,
+) => {
+  const {transferId, dataFrames, endFrame} = fragmentMessage(message, maxFrameBytes);
+  const allSeqs = dataFrames.map((frame, seq) => seq);
+  let pending = allSeqs;
+
+  const write = async (frame: Uint8Array) => {
+    await writeFrame(frame);
+    if (frameIntervalMs > 0) {
+      await new Promise<void>((resolve) => setTimeout(resolve, frameIntervalMs));
+    }
+  };
+
+  for (let round = 1; round <= maxRounds; round++) {
+    for (const seq of pending) {
+      await write(dataFrames[seq]);
+    }
+    await write(endFrame);
+
+    const status = await statuses.next(transferId, statusTimeoutMs);
+    if (!status) {
+      // END or its STATUS was lost; asking again is enough
+      pending = [];
+    } else if (status.code === TRANSFER_STATUS.COMPLETE) {
+      return {transferId, frames: dataFrames.length, rounds: round};
+    } else if (status.code === TRANSFER_STATUS.MISSING) {
+      pending = status.missing.flatMap(({start, length}) =>
+        allSeqs.slice(start, Math.min(start + length, dataFrames.length)),
+      );
+    } else {
+      pending = allSeqs;
+    }
+  }
+
+  throw new Error(`Receiver did not confirm the transfer after ${maxRounds} attempts`);
+};
+
+type ReassemblerOptions = {
+  onMessage: (message: Uint8Array) => void;
+  sendStatus: (frame: Uint8Array) => Promise<unknown>;
+  maxFrameBytes?: number;
+  timeoutMs?: number;
+};
+
+export type Reassembler = {
+  handleFrame: (frame: Frame) => void;
+  reset: () => void;
+};
+
+/**
+ * Create the receiving end of transfers
+ * Holds one transfer at a time: a frame of a new transfer drops any partial one.
+ *
+ * @param {Object} options - Receiver options
+ * @param {Function} options.onMessage - Called once per complete, intact message
+ * @param {Function} options.sendStatus - Sends a STATUS frame back to the sender
+ * @param {number} options.maxFrameBytes - Largest STATUS frame the link carries
+ * @param {number} options.timeoutMs - Drop a partial transfer after this long without frames
+ * @returns {Reassembler} Frame handler and reset
+ */
+export const createReassembler = ({
+  onMessage,
+  sendStatus,
+  maxFrameBytes = MIN_FRAME_BYTES,
+  timeoutMs = REASSEMBLY_TIMEOUT_MS,
+}: ReassemblerOptions): Reassembler => {
+  const assembler = createFrameAssembler();
+  let timer: ReturnType<typeof setTimeout> | null = null;
+  const completed: number[] = [];
+  const maxRanges = getMaxStatusRanges(maxFrameBytes);
+
+  const clearTimer = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+
+  const reset = () => {
+    clearTimer();
+    assembler.reset();
+  };
+
+  const reply = (transferId: number, code: TransferStatusCode, missing: SeqRange[] = []) => {
+    sendStatus(encodeFrame({type: FRAME_TYPE.STATUS, transferId, code, missing})).catch((error) => {
+      // The sender resends END when no STATUS arrives
+      console.error('[BLE Transfer] Failed to send status:', error);
+    });
+  };
+
+  const handleFrame = (frame: Frame) => {
+    if (frame.type === FRAME_TYPE.STATUS) {
+      return;
+    }
+    if (completed.includes(frame.transferId)) {
+      // The sender missed our COMPLETE
+      if (frame.type === FRAME_TYPE.END) {
+        reply(frame.transferId, TRANSFER_STATUS.COMPLETE);
+      }
+      return;
+    }
+
+    if (assembler.transferId !== frame.transferId && assembler.receivedFrames > 0) {
+      console.log(`[BLE Transfer] Dropping partial transfer ${assembler.transferId}`);
+    }
+    clearTimer();
+    timer = setTimeout(() => {
+      console.error('[BLE Transfer] Reassembly timed out');
+      reset();
+    }, timeoutMs);
+
+    const result = assembler.push(frame);
+    switch (result.status) {
+      case 'pending':
+        return;
+      case 'missing':
+        reply(frame.transferId, TRANSFER_STATUS.MISSING, result.missing.slice(0, maxRanges));
+        return;
+      case 'corrupt':
+        clearTimer();
+        console.error('[BLE Transfer] Reassembled message does not match its digest');
+        reply(frame.transferId, TRANSFER_STATUS.CORRUPT);
+        return;
+      case 'complete':
+        clearTimer();
+        completed.push(frame.transferId);
+        if (completed.length > COMPLETED_TRANSFER_MEMORY) {
+          completed.shift();
+        }
+        reply(frame.transferId, TRANSFER_STATUS.COMPLETE);
+        onMessage(result.message);
+    }
+  };
+
+  return {handleFrame, reset};
+};
+
+/**
+ * Route received frame bytes: STATUS frames to the sender's queue, the rest to the reassembler
+ *
+ * @param {Object} endpoints - Where frames go
+ * @param {Reassembler} endpoints.reassembler - Receiving end of incoming transfers
+ * @param {StatusQueue} endpoints.statuses - STATUS frames for outgoing transfers
+ * @returns {Function} Handler for the bytes of one BLE write or notification
+ */
+export const createFrameHandler = ({reassembler, statuses}: {reassembler: Reassembler; statuses: StatusQueue}) =>
+  (bytes: Uint8Array): void => {
+    const frame = decodeFrame(bytes);
+    if (!frame) {
+      // Corrupt frames are treated as lost and requested again
+      console.error('[BLE Transfer] Dropping corrupt or unknown frame');
+      return;
+    }
+    if (frame.type === FRAME_TYPE.STATUS) {
+      statuses.push(frame);
+    } else {
+      reassembler.handleFrame(frame);
+    }
+  };
@@ -1,8 +1,12 @@
 import {BleManager} from 'react-native-ble-plx';
 import {PermissionsAndroid, Platform, Alert} from 'react-native';
-import {serializeToken, deserializeToken} from './offlineToken';
+import {encodeTokenBytes, decodeTokenBytes} from './offlineToken';
+import {decodeAckBytes} from './paymentAck';
+import {sealMessage, openMessage, createHello, verifyHelloReply, hasSessionTag} from './secureChannel';
 import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
-import {encodeUtf8, decodeUtf8} from './textEncoding';
+import {sendTransfer, createReassembler, createStatusQueue, createFrameHandler} from './bleTransfer';
+import {getMaxFrameBytes, MIN_FRAME_BYTES} from './bleFraming';
+import {TOKPAY_SERVICE_UUID, TOKPAY_CHARACTERISTIC_UUID} from './bleProtocol';
 
 /**
  * BLE Transport Module for Offline P2P Token Transfers
@@ -10,24 +14,21 @@ import {encodeUtf8, decodeUtf8} from './textEncoding';
  * Uses react-native-ble-plx for cross-platform BLE operations
  */
 
-// BLE Service and Characteristic UUIDs for TokPay
-const TOKPAY_SERVICE_UUID = '0000ffe0-0000-1000-8000-00805f9b34fb';
-const TOKPAY_CHARACTERISTIC_UUID = '0000ffe1-0000-1000-8000-00805f9b34fb';
-
 // Connection timeout settings
 const SCAN_TIMEOUT = 10000; // 10 seconds
 const CONNECTION_TIMEOUT = 5000; // 5 seconds
+const HANDSHAKE_TIMEOUT = 5000; // 5 seconds
+export const ACK_TIMEOUT = 10000; // 10 seconds
 
 let bleManager = null;
 let currentDevice = null;
 let scanSubscription = null;
+// Notification subscription of the current connection (see getNotificationChannel)
+let notificationChannel = null;
 
-const getMaxWriteBytes = (device) => {
-  if (Platform.OS === 'android' && device && typeof device.mtu === 'number' && device.mtu > 0) {
-    return Math.max(20, device.mtu - 3);
-  }
-  return 20;
-};
+// Only Android negotiates a larger MTU (see scanAndConnect)
+const getMaxWriteBytes = (device) =>
+  Platform.OS === 'android' && device ? getMaxFrameBytes(device.mtu) : MIN_FRAME_BYTES;
 
 const stopActiveScan = (manager = null) => {
   const mgr = manager || bleManager;
@@ -60,6 +61,81 @@ const stopActiveScan = (manager = null) => {
 const toArrayBuffer = (bytes) =>
   bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
 
+/**
+ * Write one transfer frame to the receiver's characteristic
+ * @param {Object} device - Connected BLE device
+ * @param {Uint8Array} frame - Frame bytes (bleFraming.ts)
+ * @returns {Promise<Object>} Written characteristic
+ */
+const writeFrame = (device, frame) =>
+  device.writeCharacteristicWithoutResponseForService(
+    TOKPAY_SERVICE_UUID,
+    TOKPAY_CHARACTERISTIC_UUID,
+    encodeBase64(toArrayBuffer(frame))
+  );
+
+/**
+ * Get the notification subscription for a connected device, creating it on first use
+ * The receiver notifies both the STATUS frames of our token transfer and the
+ * frames of its ACK transfer, so one subscription serves sendToken and waitForAck.
+ * @param {Object} device - Connected BLE device
+ * @returns {Object} Channel {device, statuses, onMessage, onError}; set onMessage to get incoming messages
+ */
+const getNotificationChannel = (device) => {
+  if (notificationChannel && notificationChannel.device === device) {
+    return notificationChannel;
+  }
+  closeNotificationChannel();
+
+  const channel = {
+    device,
+    statuses: createStatusQueue(),
+    onMessage: null,
+    onError: null,
+  };
+  channel.reassembler = createReassembler({
+    onMessage: (message) => channel.onMessage && channel.onMessage(message),
+    sendStatus: (frame) => writeFrame(device, frame),
+    maxFrameBytes: getMaxWriteBytes(device),
+  });
+  const handleFrame = createFrameHandler({reassembler: channel.reassembler, statuses: channel.statuses});
+
+  channel.subscription = device.monitorCharacteristicForService(
+    TOKPAY_SERVICE_UUID,
+    TOKPAY_CHARACTERISTIC_UUID,
+    (error, characteristic) => {
+      if (error) {
+        if (channel.onError) {
+          channel.onError(error);
+        }
+        return;
+      }
+      handleFrame(new Uint8Array(decodeBase64(characteristic?.value || '')));
+    }
+  );
+
+  notificationChannel = channel;
+  return channel;
+};
+
+/**
+ * Stop listening for notifications and drop any partial transfer
+ */
+const closeNotificationChannel = () => {
+  if (!notificationChannel) {
+    return;
+  }
+  const {subscription, reassembler, statuses} = notificationChannel;
+  notificationChannel = null;
+  try {
+    subscription?.remove();
+  } catch (e) {
+    console.error('Error removing notification subscription:', e);
+  }
+  reassembler.reset();
+  statuses.clear();
+};
+
 /**
  * Extract error message safely from any error object
  * Handles BLE library errors which may have non-standard structures
@@ -172,12 +248,41 @@ export const isBluetoothEnabled = async () => {
 };
 
 /**
- * Scan for BLE devices advertising TokPay service and auto-connect
- * Automatically connects to first device found with matching service UUID
- * @param {string} targetDeviceId - Optional specific device ID to connect to
+ * Check whether a scanned device advertises our QR session
+ * The receiver advertises the service UUID of its newest QR and lists the tags
+ * of older, still accepted QRs as TokPay service data.
+ * @param {Object} device - Scanned BLE device
+ * @param {string} sessionServiceUuid - conn.ble_service_uuid of the scanned QR
+ * @param {Uint8Array} sessionTag - Tag of the scanned QR's session
+ * @returns {boolean} True if the device advertises the UUID or lists the tag
+ */
+const advertisesSession = (device, sessionServiceUuid, sessionTag) => {
+  const serviceUuid = sessionServiceUuid?.toLowerCase();
+  if (serviceUuid && device.serviceUUIDs?.some((uuid) => uuid.toLowerCase() === serviceUuid)) {
+    return true;
+  }
+  const serviceData = device.serviceData?.[TOKPAY_SERVICE_UUID];
+  if (!serviceData) {
+    return false;
+  }
+  try {
+    return hasSessionTag(new Uint8Array(decodeBase64(serviceData)), sessionTag);
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Scan for the receiver of a scanned QR and auto-connect
+ * Scans for TokPay receivers and connects only to the one advertising the QR's
+ * session (see advertisesSession), so a crowded shop cannot route the payment
+ * to the wrong phone. Advertisements only narrow the scan: call
+ * authenticateReceiver before sending anything.
+ * @param {string} sessionServiceUuid - conn.ble_service_uuid of the scanned QR
+ * @param {Uint8Array} sessionTag - Tag of the QR session (secureChannel.getSessionTag)
  * @returns {Promise<Object>} Connected device object
  */
-export const scanAndConnect = async (targetDeviceId = null) => {
+export const scanAndConnect = async (sessionServiceUuid, sessionTag) => {
   return new Promise(async (resolve, reject) => {
     try {
       // Check permissions before scanning
@@ -204,14 +309,21 @@ export const scanAndConnect = async (targetDeviceId = null) => {
       // Set scan timeout to prevent infinite scanning
       const timeoutId = setTimeout(() => {
         stopActiveScan(manager);
-        reject(new Error('Scan timeout - no devices found. Make sure the receiver is on the Receive screen.'));
+        reject(new Error('Scan timeout - the receiver of this QR was not found. Make sure it is still on the Receive screen.'));
       }, SCAN_TIMEOUT);
 
+      // Scan callbacks may still arrive after the scan is stopped
+      let found = false;
+
       // Start scanning for devices with TokPay service UUID
       scanSubscription = manager.startDeviceScan(
         [TOKPAY_SERVICE_UUID],
         {allowDuplicates: false},
         async (error, device) => {
+          if (found) {
+            return;
+          }
+
           if (error) {
             clearTimeout(timeoutId);
             stopActiveScan(manager);
@@ -220,9 +332,12 @@ export const scanAndConnect = async (targetDeviceId = null) => {
             return;
           }
 
-          // Note: Device ID filtering removed - Android device IDs may not match expected format
-          // Accept any device advertising the TokPay service UUID
-          console.log(`Found TokPay device: ${device.name || device.id} (ID: ${device.id})`);
+          // Other receivers nearby advertise the same service with other sessions
+          if (!advertisesSession(device, sessionServiceUuid, sessionTag)) {
+            return;
+          }
+          found = true;
+          console.log(`Found receiver of the scanned QR: ${device.name || device.id} (ID: ${device.id})`);
 
           // Stop scanning once device is found
           stopActiveScan(manager);
@@ -265,14 +380,75 @@ export const scanAndConnect = async (targetDeviceId = null) => {
   });
 };
 
+/**
+ * Prove to each other that both sides hold the scanned QR's session
+ * Sends a sealed hello with a random challenge and waits for the receiver to
+ * seal it back, which needs the session's secret key; the receiver in turn
+ * answers only a hello bound to one of its outstanding QR nonces. The receiver
+ * accepts the token only after this, so call it before sendToken.
+ * Shares the connection's notification channel, so call it before waitForAck.
+ * @param {Object} session - Sender session from secureChannel.startSenderSession
+ * @param {Object} device - Connected BLE device (optional, uses currentDevice if not provided)
+ * @param {number} timeoutMs - How long to wait for the receiver's reply
+ * @returns {Promise<boolean>} True once the receiver has proven the session
+ * @throws {Error} If the receiver does not prove it holds the session
+ */
+export const authenticateReceiver = async (session, device = null, timeoutMs = HANDSHAKE_TIMEOUT) => {
+  const targetDevice = device || currentDevice;
+  if (!targetDevice) {
+    throw new Error('No device connected. Call scanAndConnect first.');
+  }
+
+  const {envelope, challenge} = createHello(session);
+  const channel = getNotificationChannel(targetDevice);
+  let timeoutId = null;
+
+  // Resolves false on timeout or listener failure
+  const proven = new Promise((resolve) => {
+    timeoutId = setTimeout(() => resolve(false), timeoutMs);
+    channel.onMessage = (message) => {
+      if (verifyHelloReply(session, message, challenge)) {
+        resolve(true);
+      } else {
+        console.error('Ignoring handshake reply that does not answer our challenge');
+      }
+    };
+    channel.onError = (error) => {
+      console.error('Handshake listener failed:', error);
+      resolve(false);
+    };
+  });
+
+  try {
+    await sendTransfer(envelope, {
+      maxFrameBytes: getMaxWriteBytes(targetDevice),
+      writeFrame: (frame) => writeFrame(targetDevice, frame),
+      statuses: channel.statuses,
+    });
+
+    if (!(await proven)) {
+      throw new Error('The connected device could not prove it showed the scanned QR. Ask the receiver for a fresh QR.');
+    }
+    console.log('Receiver proved the QR session');
+    return true;
+  } finally {
+    clearTimeout(timeoutId);
+    channel.onMessage = null;
+    channel.onError = null;
+  }
+};
+
 /**
  * Send payment token to connected BLE device
- * Serializes token to base64 and transmits via BLE characteristic write
+ * Serializes token, seals it for the secure session and transmits it as one
+ * framed transfer (bleTransfer.ts), resending lost frames until the receiver
+ * confirms it has the whole envelope.
  * @param {Object} token - Payment token object to send
+ * @param {Object} session - Sender session from secureChannel.startSenderSession
  * @param {Object} device - Connected BLE device (optional, uses currentDevice if not provided)
  * @returns {Promise<boolean>} True if token sent successfully
  */
-export const sendToken = async (token, device = null) => {
+export const sendToken = async (token, session, device = null) => {
   try {
     const targetDevice = device || currentDevice;
 
@@ -286,58 +462,20 @@ export const sendToken = async (token, device = null) => {
       throw new Error('Device disconnected. Please reconnect.');
     }
 
-    console.log('Serializing token for transmission...');
-    
-    // Serialize token to base64 string for BLE transmission
-    const tokenString = serializeToken(token);
-
-    const maxWriteBytes = getMaxWriteBytes(targetDevice);
-    let maxFragmentLen = Math.max(1, maxWriteBytes - 15);
-
-    let fragments = [];
-    while (true) {
-      fragments = [];
-      for (let i = 0; i < tokenString.length; i += maxFragmentLen) {
-        fragments.push(tokenString.substring(i, i + maxFragmentLen));
-      }
-
-      const totalChunks = fragments.length;
-      const testHeader = `${totalChunks - 1}/${totalChunks}:`;
-      const testPayload = encodeUtf8(`${testHeader}${fragments[totalChunks - 1]}`);
-      if (testPayload.byteLength <= maxWriteBytes) {
-        break;
-      }
-
-      maxFragmentLen = Math.max(1, maxFragmentLen - 1);
-    }
+    console.log('Encoding token for transmission...');
 
-    const totalChunks = fragments.length;
-    console.log(`Sending token in ${totalChunks} chunk(s)...`);
+    // Encode token compactly and encrypt it for the receiver's session; only the envelope goes on air
+    const envelope = sealMessage(session, encodeTokenBytes(token));
 
-    for (let i = 0; i < totalChunks; i++) {
-      const fragment = fragments[i];
-      const chunkData = `${i}/${totalChunks}:${fragment}`;
-
-      const payloadBytes = encodeUtf8(chunkData);
-      if (payloadBytes.byteLength > maxWriteBytes) {
-        throw new Error('Chunk exceeds max write size');
-      }
-
-      const payloadBase64 = encodeBase64(toArrayBuffer(payloadBytes));
-      console.log(`Writing chunk ${i + 1}/${totalChunks}, bytes: ${payloadBytes.byteLength}`);
-
-      await targetDevice.writeCharacteristicWithoutResponseForService(
-        TOKPAY_SERVICE_UUID,
-        TOKPAY_CHARACTERISTIC_UUID,
-        payloadBase64
-      );
-
-      if (i < totalChunks - 1) {
-        await new Promise(resolve => setTimeout(resolve, 30));
-      }
-    }
+    // The receiver's STATUS notifications arrive on the shared channel
+    const {statuses} = getNotificationChannel(targetDevice);
+    const {frames, rounds} = await sendTransfer(envelope, {
+      maxFrameBytes: getMaxWriteBytes(targetDevice),
+      writeFrame: (frame) => writeFrame(targetDevice, frame),
+      statuses,
+    });
 
-    console.log('Token sent successfully via BLE');
+    console.log(`Token sent successfully via BLE (${frames} frames, ${rounds} round(s))`);
     return true;
   } catch (error) {
     console.error('Error sending token:', error);
@@ -355,9 +493,91 @@ export const sendToken = async (token, device = null) => {
   }
 };
 
+/**
+ * Wait for the receiver's ACK/NACK notification for a sent token
+ * Subscribe before calling sendToken so an early ACK cannot be missed.
+ * The ACK arrives as a framed transfer (bleTransfer.ts) carrying an envelope
+ * sealed for the session; anything else is ignored.
+ * @param {Object} session - Sender session the token was sent on
+ * @param {Function} isExpectedAck - Returns true for the ACK to accept (e.g. signed, for our token)
+ * @param {number} timeoutMs - How long to wait before giving up
+ * @param {Object} device - Connected BLE device (optional, uses currentDevice if not provided)
+ * @returns {{ack: Promise<Object|null>, cancel: Function}} ack resolves to null on timeout
+ */
+export const waitForAck = (session, isExpectedAck, timeoutMs = ACK_TIMEOUT, device = null) => {
+  const targetDevice = device || currentDevice;
+  let channel = null;
+  let timeoutId = null;
+  let settle = null;
+
+  const ack = new Promise((resolve, reject) => {
+    if (!targetDevice) {
+      reject(new Error('No device connected. Call scanAndConnect first.'));
+      return;
+    }
+
+    let settled = false;
+
+    const handleMessage = (message) => {
+      try {
+        const ackBytes = openMessage(session, message);
+        if (ackBytes === null) {
+          console.error('Ignoring ACK message from another session');
+          return;
+        }
+
+        const ackMessage = decodeAckBytes(ackBytes);
+        if (isExpectedAck(ackMessage)) {
+          settle(ackMessage);
+        } else {
+          console.error('Ignoring ACK that does not match the sent token');
+        }
+      } catch (parseError) {
+        console.error('Error parsing ACK:', parseError);
+      }
+    };
+
+    const handleError = (error) => {
+      settle(null, new Error(`ACK listener failed: ${getErrorMessage(error)}`));
+    };
+
+    settle = (value, error = null) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(timeoutId);
+      if (channel && channel.onMessage === handleMessage) {
+        channel.onMessage = null;
+        channel.onError = null;
+      }
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    timeoutId = setTimeout(() => {
+      console.log('No ACK received before timeout');
+      settle(null);
+    }, timeoutMs);
+
+    channel = getNotificationChannel(targetDevice);
+    channel.onMessage = handleMessage;
+    channel.onError = handleError;
+  });
+
+  return {
+    ack,
+    cancel: () => settle && settle(null),
+  };
+};
+
 /**
  * Listen for incoming payment tokens from connected BLE device
  * Monitors BLE characteristic notifications and deserializes received token
+ * Shares the connection's notification channel, so it replaces a pending waitForAck listener.
  * @param {Function} onTokenReceived - Callback function when token is received
  * @param {Object} device - Connected BLE device (optional, uses currentDevice if not provided)
  * @returns {Promise<void>} Resolves when listener is active
@@ -378,63 +598,23 @@ export const receiveToken = async (onTokenReceived, device = null) => {
 
     console.log('Starting to listen for incoming tokens...');
 
-    let receivedChunks = {};
-    let expectedChunks = 0;
-
-    // Monitor characteristic for incoming data (notifications)
-    targetDevice.monitorCharacteristicForService(
-      TOKPAY_SERVICE_UUID,
-      TOKPAY_CHARACTERISTIC_UUID,
-      (error, characteristic) => {
-        if (error) {
-          console.error('Error receiving token:', error);
-          onTokenReceived(null, new Error(`Receive failed: ${getErrorMessage(error)}`));
-          return;
-        }
-
-        try {
-          // Decode base64 data from characteristic
-          const valueBase64 = characteristic?.value;
-          if (!valueBase64) {
-            throw new Error('Empty BLE payload');
-          }
-
-          const rawBytes = new Uint8Array(decodeBase64(valueBase64));
-          const rawData = decodeUtf8(rawBytes);
-          
-          // Parse chunk format: "index/total:data"
-          const [chunkInfo, chunkData] = rawData.split(':');
-          const [currentIndex, totalChunks] = chunkInfo.split('/').map(Number);
-
-          expectedChunks = totalChunks;
-          receivedChunks[currentIndex] = chunkData;
-
-          console.log(`Received chunk ${currentIndex + 1}/${totalChunks}`);
-
-          // Check if all chunks received
-          if (Object.keys(receivedChunks).length === expectedChunks) {
-            // Reconstruct full token string from chunks
-            let fullTokenString = '';
-            for (let i = 0; i < expectedChunks; i++) {
-              fullTokenString += receivedChunks[i];
-            }
-
-            // Deserialize token from base64 string
-            const token = deserializeToken(fullTokenString);
-
-            console.log('Token received and deserialized successfully');
-            onTokenReceived(token, null);
-
-            // Reset for next token
-            receivedChunks = {};
-            expectedChunks = 0;
-          }
-        } catch (parseError) {
-          console.error('Error parsing received token:', parseError);
-          onTokenReceived(null, new Error('Failed to parse received token'));
-        }
+    // Tokens arrive as framed transfers (bleFraming.ts) of the encoded token;
+    // frames are reassembled as raw bytes, so the payload may contain any byte
+    const channel = getNotificationChannel(targetDevice);
+    channel.onMessage = (message) => {
+      try {
+        const token = decodeTokenBytes(message);
+        console.log('Token received and decoded successfully');
+        onTokenReceived(token, null);
+      } catch (parseError) {
+        console.error('Error parsing received token:', parseError);
+        onTokenReceived(null, new Error('Failed to parse received token'));
       }
-    );
+    };
+    channel.onError = (error) => {
+      console.error('Error receiving token:', error);
+      onTokenReceived(null, new Error(`Receive failed: ${getErrorMessage(error)}`));
+    };
 
     console.log('Token listener active');
   } catch (error) {
@@ -450,6 +630,8 @@ export const receiveToken = async (onTokenReceived, device = null) => {
  */
 export const disconnect = async () => {
   try {
+    closeNotificationChannel();
+
     if (currentDevice) {
       const deviceId = currentDevice.id;
       await currentDevice.cancelConnection();
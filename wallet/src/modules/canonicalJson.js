@@ -0,0 +1,63 @@
+import {encodeUtf8} from './textEncoding';
+
+/**
+ * Canonical JSON serialization (RFC 8785 JSON Canonicalization Scheme).
+ *
+ * Every signed payload (offline tokens, receive QR codes) is serialized through
+ * this module so that signer and verifier produce identical bytes regardless of
+ * key insertion order, number formatting or JS engine.
+ *
+ * Rules (RFC 8785 §3.2):
+ * - Object keys sorted by UTF-16 code units, no whitespace
+ * - Numbers in ECMAScript shortest round-trip form (100.0 -> 100, 1e30 -> 1e+30)
+ * - Strings escaped exactly as ECMAScript JSON.stringify does
+ * - Properties whose value is undefined are omitted, as in JSON.stringify
+ */
+
+/**
+ * Serialize a JSON-compatible value to its canonical string form
+ * @param {*} value - null, boolean, finite number, string, array or plain object
+ * @returns {string} Canonical JSON text
+ * @throws {Error} If the value contains non-JSON data (NaN, Infinity, functions, ...)
+ */
+export const canonicalize = (value) => {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+    }
+    // ECMAScript Number serialization is the JCS number format (-0 becomes 0)
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.map((item) => {
+      if (item === undefined) {
+        throw new Error('Cannot canonicalize undefined array element');
+      }
+      return canonicalize(item);
+    });
+    return `[${items.join(',')}]`;
+  }
+
+  if (typeof value === 'object') {
+    // Default sort compares UTF-16 code units, as RFC 8785 requires
+    const keys = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort();
+    const members = keys.map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+
+  throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+};
+
+/**
+ * Serialize a value canonically and encode it as UTF-8 bytes for signing
+ * @param {*} value - JSON-compatible value
+ * @returns {Uint8Array} UTF-8 bytes of the canonical JSON text
+ */
+export const canonicalBytes = (value) => encodeUtf8(canonicalize(value));
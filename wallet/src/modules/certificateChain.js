@@ -0,0 +1,118 @@
+import nacl from 'tweetnacl';
+import {decode as decodeBase64} from 'base64-arraybuffer';
+import {canonicalBytes} from './canonicalJson';
+
+/**
+ * Bank Certificate Chains
+ * The bank vouches for a long-term key with a certificate signed by its root
+ * key (pinned in Config.BANK_PUBLIC_KEY). A chain runs from the root downwards:
+ * chain[0] is signed by the root, every later certificate by the key in the
+ * one before it. Only the last certificate may be a leaf (a merchant or payer);
+ * the ones before it must be issuers.
+ *
+ * Certificate structure:
+ * {
+ *   version: number,       // Certificate format version
+ *   role: string,          // One of CERT_ROLE
+ *   subject_id: string,    // Who the key belongs to (merchant_id for merchants, device_id for payers)
+ *   subject_name: string,  // Display name vouched for by the issuer (not on payer certificates)
+ *   public_key: string,    // Certified key (base64): P-256 or Ed25519 wallet key for payers, Ed25519 for merchants and issuers
+ *   issued_at: number,     // Unix seconds
+ *   expires_at: number,    // Unix seconds
+ *   offline_limit: number, // Paise, largest payment allowed offline (payer certificates)
+ *   signature: string      // Issuer's Ed25519 signature over canonical JSON of all other fields
+ * }
+ */
+
+/**
+ * @typedef {Object} Certificate
+ * @property {number} version
+ * @property {string} role
+ * @property {string} subject_id
+ * @property {string} [subject_name]
+ * @property {string} public_key
+ * @property {number} issued_at
+ * @property {number} expires_at
+ * @property {number} [offline_limit]
+ * @property {string} signature
+ */
+
+export const CERTIFICATE_VERSION = 1;
+
+export const CERT_ROLE = {
+  ISSUER: 'issuer',
+  MERCHANT: 'merchant',
+  PAYER: 'payer',
+};
+
+// Keeps chains small enough to fit in a QR code
+export const MAX_CHAIN_LENGTH = 3;
+
+// Devices are offline, so their clocks may be a little off
+const CLOCK_SKEW_TOLERANCE_SECONDS = 5 * 60;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.length > 0;
+
+/**
+ * Verify a certificate chain down to a leaf of the expected role
+ * @param {Array<Object>} chain - Certificates, root-issued first
+ * @param {string} rootPublicKey - Pinned bank root key (base64)
+ * @param {Object} options - Verification options
+ * @param {string} options.role - Required role of the last certificate (one of CERT_ROLE)
+ * @param {number} [options.now] - Current time (ms), defaults to Date.now()
+ * @returns {{valid: boolean, error: string, leaf: Certificate|null}} leaf is the last certificate
+ */
+export const verifyCertificateChain = (chain, rootPublicKey, {role, now = Date.now()}) => {
+  if (!Array.isArray(chain) || chain.length === 0 || chain.length > MAX_CHAIN_LENGTH) {
+    return {valid: false, error: 'Certificate chain is missing or too long', leaf: null};
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  let issuerKey = rootPublicKey;
+
+  for (let i = 0; i < chain.length; i++) {
+    const certificate = chain[i];
+    const isLeaf = i === chain.length - 1;
+
+    if (!certificate || typeof certificate !== 'object' || certificate.version !== CERTIFICATE_VERSION) {
+      return {valid: false, error: 'Unsupported certificate', leaf: null};
+    }
+    if (certificate.role !== (isLeaf ? role : CERT_ROLE.ISSUER)) {
+      return {valid: false, error: `Certificate ${i} has the wrong role`, leaf: null};
+    }
+    if (
+      !isNonEmptyString(certificate.subject_id) ||
+      !isNonEmptyString(certificate.public_key) ||
+      !Number.isSafeInteger(certificate.issued_at) ||
+      !Number.isSafeInteger(certificate.expires_at)
+    ) {
+      return {valid: false, error: `Certificate ${i} is malformed`, leaf: null};
+    }
+
+    const {signature, ...unsigned} = certificate;
+    let isSigned = false;
+    try {
+      isSigned = nacl.sign.detached.verify(
+        canonicalBytes(unsigned),
+        new Uint8Array(decodeBase64(signature)),
+        new Uint8Array(decodeBase64(issuerKey))
+      );
+    } catch {
+      isSigned = false;
+    }
+    if (!isSigned) {
+      return {valid: false, error: `Certificate ${i} is not signed by its issuer`, leaf: null};
+    }
+
+    if (
+      certificate.issued_at > nowSeconds + CLOCK_SKEW_TOLERANCE_SECONDS ||
+      certificate.expires_at < nowSeconds - CLOCK_SKEW_TOLERANCE_SECONDS
+    ) {
+      return {valid: false, error: `Certificate ${i} is expired or not yet valid`, leaf: null};
+    }
+
+    issuerKey = certificate.public_key;
+  }
+
+  return {valid: true, error: '', leaf: chain[chain.length - 1]};
+};
@@ -0,0 +1,197 @@
+import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+import {encodeUtf8, decodeUtf8} from './textEncoding';
+
+/**
+ * Compact binary encoding primitives
+ * Building blocks for the fixed-layout encodings of tokens (offlineToken.js),
+ * ACKs (paymentAck.js) and secure channel envelopes (secureChannel.ts), which
+ * travel over BLE where every byte costs airtime.
+ *
+ * Field encodings:
+ * - u8:     one byte
+ * - uint:   unsigned LEB128 (7 bits per byte, low bits first), minimal length,
+ *           at most a safe integer
+ * - blob:   uint length, then the bytes
+ * - text:   blob of UTF-8
+ * - base64: blob of the decoded bytes; only canonical base64 strings qualify,
+ *           so decoding gives back the exact string that was encoded
+ * - optional: u8 presence flag (0 absent, 1 present), then the field
+ *
+ * Writers throw for values a field cannot carry and readers throw for
+ * truncated or malformed input; callers fall back to JSON or reject the message.
+ */
+
+const toArrayBuffer = (bytes) =>
+  bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+// 8 LEB128 bytes hold 56 bits, enough for any safe integer
+const MAX_UINT_BYTES = 8;
+
+/**
+ * @typedef {Object} ByteWriter
+ * @property {function(number): void} u8
+ * @property {function(number): void} uint
+ * @property {function(Uint8Array): void} bytes
+ * @property {function(Uint8Array): void} blob
+ * @property {function(string): void} text
+ * @property {function(string): void} base64
+ * @property {function(*, function(*): void): void} optional
+ * @property {function(): Uint8Array} finish
+ */
+
+/**
+ * @typedef {Object} ByteReader
+ * @property {function(): number} u8
+ * @property {function(): number} uint
+ * @property {function(number): Uint8Array} bytes
+ * @property {function(): Uint8Array} blob
+ * @property {function(): string} text
+ * @property {function(): string} base64
+ * @property {function(function(): *): *} optional
+ * @property {function(): Uint8Array} rest
+ * @property {function(): void} end
+ */
+
+/**
+ * Create a writer that appends fields to a growing byte array
+ * @returns {ByteWriter} Writer
+ */
+export const createByteWriter = () => {
+  const chunks = [];
+  let length = 0;
+
+  const push = (bytes) => {
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  const writer = {
+    u8: (value) => {
+      if (!Number.isInteger(value) || value < 0 || value > 0xff) {
+        throw new Error('Not a byte value');
+      }
+      push(Uint8Array.of(value));
+    },
+    uint: (value) => {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error('Not an unsigned safe integer');
+      }
+      const bytes = [];
+      let rest = value;
+      while (rest >= 0x80) {
+        bytes.push((rest % 0x80) + 0x80);
+        rest = Math.floor(rest / 0x80);
+      }
+      bytes.push(rest);
+      push(Uint8Array.from(bytes));
+    },
+    // Raw bytes of a length the layout fixes
+    bytes: (value) => {
+      if (!(value instanceof Uint8Array)) {
+        throw new Error('Not a byte array');
+      }
+      push(value);
+    },
+    blob: (value) => {
+      writer.uint(value.length);
+      writer.bytes(value);
+    },
+    text: (value) => {
+      if (typeof value !== 'string') {
+        throw new Error('Not a string');
+      }
+      writer.blob(encodeUtf8(value));
+    },
+    base64: (value) => {
+      if (typeof value !== 'string') {
+        throw new Error('Not a base64 string');
+      }
+      const bytes = new Uint8Array(decodeBase64(value));
+      if (encodeBase64(toArrayBuffer(bytes)) !== value) {
+        throw new Error('Not canonical base64');
+      }
+      writer.blob(bytes);
+    },
+    // null and undefined are absent
+    optional: (value, write) => {
+      if (value === null || value === undefined) {
+        writer.u8(0);
+        return;
+      }
+      writer.u8(1);
+      write(value);
+    },
+    finish: () => {
+      const out = new Uint8Array(length);
+      let offset = 0;
+      for (const chunk of chunks) {
+        out.set(chunk, offset);
+        offset += chunk.length;
+      }
+      return out;
+    },
+  };
+  return writer;
+};
+
+/**
+ * Create a reader over encoded bytes
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {ByteReader} Reader
+ */
+export const createByteReader = (bytes) => {
+  let offset = 0;
+
+  const take = (count) => {
+    if (offset + count > bytes.length) {
+      throw new Error('Truncated compact encoding');
+    }
+    const out = bytes.subarray(offset, offset + count);
+    offset += count;
+    return out;
+  };
+
+  const reader = {
+    u8: () => take(1)[0],
+    uint: () => {
+      let value = 0;
+      let scale = 1;
+      for (let i = 0; i < MAX_UINT_BYTES; i++) {
+        const byte = reader.u8();
+        value += (byte % 0x80) * scale;
+        if (byte < 0x80) {
+          // A zero final byte would mean a longer encoding of a smaller number
+          if (byte === 0 && i > 0) {
+            throw new Error('Non-minimal integer encoding');
+          }
+          if (!Number.isSafeInteger(value)) {
+            throw new Error('Integer out of range');
+          }
+          return value;
+        }
+        scale *= 0x80;
+      }
+      throw new Error('Integer out of range');
+    },
+    bytes: (count) => take(count).slice(),
+    blob: () => reader.bytes(reader.uint()),
+    text: () => decodeUtf8(reader.blob()),
+    base64: () => encodeBase64(toArrayBuffer(reader.blob())),
+    // Absent fields read as null
+    optional: (read) => {
+      const flag = reader.u8();
+      if (flag > 1) {
+        throw new Error('Invalid presence flag');
+      }
+      return flag === 1 ? read() : null;
+    },
+    // Everything not read yet
+    rest: () => take(bytes.length - offset).slice(),
+    end: () => {
+      if (offset !== bytes.length) {
+        throw new Error('Trailing bytes after compact encoding');
+      }
+    },
+  };
+  return reader;
+};
@@ -1,9 +1,20 @@
 import {NativeModules} from 'react-native';
 
 const relayEndpoint = NativeModules?.TokpayConfig?.relayEndpoint;
+const backendEndpoint = NativeModules?.TokpayConfig?.backendEndpoint;
+const bankPublicKey = NativeModules?.TokpayConfig?.bankPublicKey;
+
+// Bank key of the mock backend's development seed (server/bankCrypto.js)
+const DEV_BANK_PUBLIC_KEY = '0cSuG553IhbwmGMiXL3V61/JnKhjVeRyxTHsY3tgot4=';
+
+const isSet = (value) => typeof value === 'string' && value.length > 0;
 
 const Config = {
-  RELAY_ENDPOINT: typeof relayEndpoint === 'string' && relayEndpoint.length > 0 ? relayEndpoint : null,
+  RELAY_ENDPOINT: isSet(relayEndpoint) ? relayEndpoint : null,
+  // Bank backend for reconciliation; the relay server doubles as backend when unset
+  BACKEND_ENDPOINT: isSet(backendEndpoint) ? backendEndpoint : isSet(relayEndpoint) ? relayEndpoint : null,
+  // Pinned bank signing key (base64 Ed25519); top-up vouchers must verify against it
+  BANK_PUBLIC_KEY: isSet(bankPublicKey) ? bankPublicKey : DEV_BANK_PUBLIC_KEY,
 };
 
 export default Config;
@@ -21,6 +21,19 @@
 
 import nacl from 'tweetnacl';
 import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+import {canonicalize, canonicalBytes} from './canonicalJson';
+
+/**
+ * QR protocol versions signed before canonical serialization was introduced.
+ * Their signatures cover JSON.stringify output in the generator's key order.
+ */
+const LEGACY_SERIALIZATION_VERSIONS = ['1.0', '2.0'];
+
+/**
+ * QR protocol versions whose signed bytes were produced by truncating each
+ * UTF-16 code unit to 8 bits. Later versions sign UTF-8 bytes.
+ */
+const LEGACY_BYTE_ENCODING_VERSIONS = ['1.0', '2.0', '2.1'];
 
 /**
  * Session-scoped ephemeral keypair
@@ -85,10 +98,10 @@ export const generateNonce = (): string => {
 };
 
 /**
- * Convert string to Uint8Array for crypto operations
- * Helper function for React Native compatibility
+ * Legacy string-to-bytes conversion (keeps only the low 8 bits of each code unit)
+ * Lossy for non-Latin-1 text: only used to verify QR codes from older versions
  */
-const stringToUint8Array = (str: string): Uint8Array => {
+const legacyStringToBytes = (str: string): Uint8Array => {
   const arr = new Uint8Array(str.length);
   for (let i = 0; i < str.length; i++) {
     arr[i] = str.charCodeAt(i);
@@ -96,6 +109,22 @@ const stringToUint8Array = (str: string): Uint8Array => {
   return arr;
 };
 
+/**
+ * Encode a QR payload (without signature) into the exact bytes that are signed
+ * Current versions: canonical JSON encoded as UTF-8
+ * Older versions: reproduced byte-for-byte so previously issued QR codes still verify
+ */
+export const encodeQRSigningMessage = (payload: Record<string, any>): Uint8Array => {
+  if (!LEGACY_BYTE_ENCODING_VERSIONS.includes(payload.version)) {
+    return canonicalBytes(payload);
+  }
+
+  const payloadString = LEGACY_SERIALIZATION_VERSIONS.includes(payload.version)
+    ? JSON.stringify(payload)
+    : canonicalize(payload);
+  return legacyStringToBytes(payloadString);
+};
+
 /**
  * Sign QR payload using session ephemeral keypair
  * Creates Ed25519 signature over all payload fields
@@ -105,11 +134,8 @@ const stringToUint8Array = (str: string): Uint8Array => {
  */
 export const signQRPayload = (payload: Record<string, any>): string => {
   try {
-    // Serialize payload to JSON for signing (deterministic order)
-    const payloadString = JSON.stringify(payload);
-    
-    // Convert string to Uint8Array
-    const payloadBytes = stringToUint8Array(payloadString);
+    // Serialize payload for signing (canonical JSON, UTF-8 for current versions)
+    const payloadBytes = encodeQRSigningMessage(payload);
 
     // Sign with ephemeral secret key
     const {secretKey} = getSessionEphemeralKeypair();
@@ -144,11 +170,9 @@ export const verifyQRSignature = (
 ): boolean => {
   try {
     // Create payload without signature for verification
-    const {signature: _, ...payloadWithoutSig} = payload;
-    const payloadString = JSON.stringify(payloadWithoutSig);
-    
-    // Convert string to Uint8Array
-    const payloadBytes = stringToUint8Array(payloadString);
+    const payloadWithoutSig = {...payload};
+    delete payloadWithoutSig.signature;
+    const payloadBytes = encodeQRSigningMessage(payloadWithoutSig);
 
     // Decode signature and public key from base64
     const signatureBytes = new Uint8Array(decodeBase64(signature));
@@ -0,0 +1,100 @@
+/**
+ * Native Hardware Keystore Bridge
+ *
+ * Bridge to the native Android TokpayKeystore module. Wallet signing keys are
+ * ECDSA P-256 keys generated inside the Android Keystore (StrongBox if
+ * available); JS refers to them by alias and signs by handle, so the private
+ * key never enters JS memory.
+ */
+
+import {NativeModules, Platform} from 'react-native';
+import {p256} from '@noble/curves/p256';
+import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+
+const {TokpayKeystore} = NativeModules;
+
+export interface HardwareKey {
+  publicKey: string; // SEC1 uncompressed P-256 point (base64)
+  securityLevel: 'strongbox' | 'tee' | 'software';
+}
+
+const toArrayBuffer = (bytes: Uint8Array): ArrayBuffer =>
+  bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer;
+
+/**
+ * Check whether this device can hold hardware-backed wallet keys
+ *
+ * @returns {boolean} True if the native keystore module is present
+ */
+export const isHardwareKeystoreAvailable = (): boolean =>
+  Platform.OS === 'android' && !!TokpayKeystore;
+
+/**
+ * Get the key stored under an alias, generating it on first use
+ * The attestation challenge is only used when the key is generated; it ends up
+ * in the attestation certificate (see getKeyAttestation).
+ *
+ * @param {string} alias - Keystore alias
+ * @param {Uint8Array} attestationChallenge - Challenge bound into the attestation
+ * @returns {Promise<HardwareKey>} Public key and where the key lives
+ * @throws {Error} If the keystore is unavailable or key generation fails
+ */
+export const getOrCreateHardwareKey = async (
+  alias: string,
+  attestationChallenge: Uint8Array,
+): Promise<HardwareKey> => {
+  if (!isHardwareKeystoreAvailable()) {
+    throw new Error('Hardware keystore not available on this device');
+  }
+
+  return TokpayKeystore.getOrCreateKey(alias, encodeBase64(toArrayBuffer(attestationChallenge)));
+};
+
+/**
+ * Sign a message with a hardware key (ECDSA P-256 over SHA-256)
+ *
+ * @param {string} alias - Keystore alias
+ * @param {Uint8Array} message - Bytes to sign
+ * @returns {Promise<Uint8Array>} 64-byte raw signature (r || s), s in the low half of the order
+ * @throws {Error} If the key does not exist or signing fails
+ */
+export const signWithHardwareKey = async (alias: string, message: Uint8Array): Promise<Uint8Array> => {
+  if (!isHardwareKeystoreAvailable()) {
+    throw new Error('Hardware keystore not available on this device');
+  }
+
+  // Android returns DER with either s; tokens carry the fixed-size low-S form,
+  // the only one verifiers accept
+  const der: string = await TokpayKeystore.sign(alias, encodeBase64(toArrayBuffer(message)));
+  return p256.Signature.fromDER(new Uint8Array(decodeBase64(der))).normalizeS().toCompactRawBytes();
+};
+
+/**
+ * Get the attestation certificate chain of a hardware key
+ * The leaf certifies the key and the challenge it was generated with; the chain
+ * ends at a Google attestation root. Sent to the bank with the device registration.
+ *
+ * @param {string} alias - Keystore alias
+ * @returns {Promise<string[]>} DER certificates (base64), leaf first
+ */
+export const getKeyAttestation = async (alias: string): Promise<string[]> => {
+  if (!isHardwareKeystoreAvailable()) {
+    throw new Error('Hardware keystore not available on this device');
+  }
+
+  return TokpayKeystore.getAttestation(alias);
+};
+
+/**
+ * Delete a hardware key
+ *
+ * @param {string} alias - Keystore alias
+ * @returns {Promise<boolean>} Resolves when the key is gone
+ */
+export const deleteHardwareKey = async (alias: string): Promise<boolean> => {
+  if (!isHardwareKeystoreAvailable()) {
+    return true;
+  }
+
+  return TokpayKeystore.deleteKey(alias);
+};
@@ -0,0 +1,138 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import nacl from 'tweetnacl';
+import {decode as decodeBase64} from 'base64-arraybuffer';
+import Config from './config';
+import {canonicalBytes} from './canonicalJson';
+import {KEY_REVOCATION_REASON} from './offlineToken';
+
+/**
+ * Wallet Key Revocation List for TokPay
+ * The bank publishes the wallet keys it no longer trusts: keys superseded by a
+ * rotation (tokens signed before the rotation stay valid) and keys it flagged,
+ * e.g. for counter reuse (no token from them is accepted). Receivers keep the
+ * latest list they have seen and check incoming tokens against it
+ * (offlineToken.verifyToken), so a revoked key is refused offline too.
+ *
+ * Signed list structure:
+ * {
+ *   version: number,     // List format version
+ *   issued_at: number,   // Unix seconds
+ *   entries: [{
+ *     kid: string,       // Key id of the revoked key (offlineToken.getKeyId)
+ *     reason: string,    // One of KEY_REVOCATION_REASON
+ *     revoked_at: number // Unix seconds
+ *   }],
+ *   signature: string    // Bank Ed25519 over canonical JSON of all other fields
+ * }
+ */
+
+export const REVOCATION_LIST_VERSION = 1;
+
+const REVOCATION_LIST_KEY = '@tokpay:revocation_list';
+
+const REVOCATION_REASONS = Object.values(KEY_REVOCATION_REASON);
+
+/**
+ * Check one revocation entry
+ * @param {Object} entry - Revocation entry
+ * @returns {boolean} True if the entry is well formed
+ */
+const isValidEntry = (entry) =>
+  !!entry &&
+  typeof entry === 'object' &&
+  typeof entry.kid === 'string' &&
+  entry.kid.length > 0 &&
+  REVOCATION_REASONS.includes(entry.reason) &&
+  Number.isSafeInteger(entry.revoked_at);
+
+/**
+ * Verify a revocation list delivered by the bank
+ * @param {Object} list - Signed revocation list
+ * @param {string} bankPublicKey - Pinned bank key (base64)
+ * @returns {Object} {valid: boolean, error: string}
+ */
+export const verifyRevocationList = (list, bankPublicKey = Config.BANK_PUBLIC_KEY) => {
+  try {
+    if (!list || typeof list !== 'object' || list.version !== REVOCATION_LIST_VERSION) {
+      return {valid: false, error: 'Unsupported revocation list'};
+    }
+    if (!Number.isSafeInteger(list.issued_at) || !Array.isArray(list.entries) || !list.entries.every(isValidEntry)) {
+      return {valid: false, error: 'Revocation list is malformed'};
+    }
+
+    const {signature, ...unsigned} = list;
+    const isSigned = nacl.sign.detached.verify(
+      canonicalBytes(unsigned),
+      new Uint8Array(decodeBase64(signature)),
+      new Uint8Array(decodeBase64(bankPublicKey))
+    );
+    if (!isSigned) {
+      return {valid: false, error: 'Revocation list is not signed by the bank'};
+    }
+
+    return {valid: true, error: ''};
+  } catch (error) {
+    console.error('Error verifying revocation list:', error);
+    return {valid: false, error: 'Revocation list is malformed'};
+  }
+};
+
+/**
+ * Read the stored signed list, if it still verifies
+ * @returns {Promise<Object|null>} Signed revocation list or null
+ */
+const loadStoredList = async () => {
+  const stored = await AsyncStorage.getItem(REVOCATION_LIST_KEY);
+  if (!stored) {
+    return null;
+  }
+
+  const list = JSON.parse(stored);
+  const {valid, error} = verifyRevocationList(list);
+  if (!valid) {
+    console.error('Ignoring stored revocation list:', error);
+    return null;
+  }
+  return list;
+};
+
+/**
+ * Get the revoked wallet keys
+ * The stored list is verified again on every read, so entries cannot be edited out of it.
+ * @returns {Promise<Array<Object>>} Entries {kid, reason, revoked_at}; empty until a list is installed
+ */
+export const getRevokedKeys = async () => {
+  try {
+    const list = await loadStoredList();
+    return list ? list.entries : [];
+  } catch (error) {
+    console.error('Error loading revocation list:', error);
+    return [];
+  }
+};
+
+/**
+ * Store a revocation list delivered by the bank
+ * A list older than the stored one is refused, so an old, shorter list cannot be replayed.
+ * @param {Object} list - Signed revocation list
+ * @returns {Promise<Object>} {success: boolean, message: string}
+ */
+export const installRevocationList = async (list) => {
+  const {valid, error} = verifyRevocationList(list);
+  if (!valid) {
+    return {success: false, message: error};
+  }
+
+  try {
+    const current = await loadStoredList();
+    if (current && current.issued_at > list.issued_at) {
+      return {success: false, message: 'Revocation list is older than the one in force'};
+    }
+
+    await AsyncStorage.setItem(REVOCATION_LIST_KEY, JSON.stringify(list));
+    return {success: true, message: `Revocation list updated (${list.entries.length} keys)`};
+  } catch (storeError) {
+    console.error('Error storing revocation list:', storeError);
+    return {success: false, message: 'Failed to store revocation list'};
+  }
+};
@@ -0,0 +1,162 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import nacl from 'tweetnacl';
+import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+import * as Keychain from 'react-native-keychain';
+import Config from './config';
+import {canonicalBytes} from './canonicalJson';
+import {getDeviceIdentity} from './deviceIdentity';
+import {signWithWalletKey} from './offlineToken';
+import {requestMerchantCertificate} from './bankClient';
+import {verifyCertificateChain, CERT_ROLE} from './certificateChain';
+
+/**
+ * Merchant Profile
+ * A receiving wallet signs its QR codes with a long-term merchant key that the
+ * bank has certified, so payers can tell a real merchant from an impostor
+ * offline. The merchant ID is the device ID (payment tokens name it as payee);
+ * the merchant name is the one the bank certified.
+ *
+ * The merchant key lives in the Keychain next to the wallet key; the
+ * certificate chain is public and kept in AsyncStorage.
+ */
+
+const MERCHANT_KEYCHAIN_SERVICE = 'com.tokpay.wallet.merchant';
+const MERCHANT_PROFILE_KEY = '@tokpay:merchant_profile';
+
+const toArrayBuffer = (bytes) =>
+  bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+/**
+ * Retrieve or create the merchant keypair in secure storage
+ * @returns {Promise<{publicKey: Uint8Array, secretKey: Uint8Array}>} Ed25519 keypair
+ */
+const getOrCreateMerchantKeypair = async () => {
+  const credentials = await Keychain.getGenericPassword({service: MERCHANT_KEYCHAIN_SERVICE});
+  if (credentials) {
+    return {
+      publicKey: new Uint8Array(decodeBase64(credentials.username)),
+      secretKey: new Uint8Array(decodeBase64(credentials.password)),
+    };
+  }
+
+  const keypair = nacl.sign.keyPair();
+  await Keychain.setGenericPassword(
+    encodeBase64(toArrayBuffer(keypair.publicKey)),
+    encodeBase64(toArrayBuffer(keypair.secretKey)),
+    {
+      service: MERCHANT_KEYCHAIN_SERVICE,
+      accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+    }
+  );
+  console.log('New merchant keypair generated and stored securely');
+  return keypair;
+};
+
+/**
+ * Read the stored profile if its chain still verifies for this device and key
+ * @param {Uint8Array} publicKey - Merchant public key
+ * @returns {Promise<Object|null>} {merchantId, merchantName, certChain} or null
+ */
+const loadVerifiedProfile = async (publicKey) => {
+  const stored = await AsyncStorage.getItem(MERCHANT_PROFILE_KEY);
+  if (!stored) {
+    return null;
+  }
+
+  const certChain = JSON.parse(stored);
+  const {valid, error, leaf} = verifyCertificateChain(certChain, Config.BANK_PUBLIC_KEY, {
+    role: CERT_ROLE.MERCHANT,
+  });
+  const {deviceId} = await getDeviceIdentity();
+  if (!valid || leaf.subject_id !== deviceId || leaf.public_key !== encodeBase64(toArrayBuffer(publicKey))) {
+    console.log('Stored merchant certificate is not usable:', error || 'issued for another key');
+    return null;
+  }
+
+  return {merchantId: leaf.subject_id, merchantName: leaf.subject_name, certChain};
+};
+
+/**
+ * Get this device's certified merchant profile
+ * @returns {Promise<Object|null>} {merchantId, merchantName, certChain}, or null if not enrolled (or the certificate expired)
+ */
+export const getMerchantProfile = async () => {
+  try {
+    const {publicKey} = await getOrCreateMerchantKeypair();
+    return await loadVerifiedProfile(publicKey);
+  } catch (error) {
+    console.error('Error loading merchant profile:', error);
+    return null;
+  }
+};
+
+/**
+ * Enroll as a merchant: have the bank certify the merchant key (requires connectivity)
+ * @param {string} merchantName - Display name to certify
+ * @returns {Promise<Object>} {success: boolean, message: string, profile: Object|null}
+ */
+export const enrollMerchant = async (merchantName) => {
+  try {
+    const {deviceId} = await getDeviceIdentity();
+    const {publicKey, secretKey} = await getOrCreateMerchantKeypair();
+    const merchantPubkey = encodeBase64(toArrayBuffer(publicKey));
+
+    // Same fields as the bank's getMerchantEnrollmentMessage
+    const message = canonicalBytes({
+      purpose: 'tokpay-merchant-enrollment',
+      device_id: deviceId,
+      merchant_name: merchantName,
+      merchant_pubkey: merchantPubkey,
+    });
+    const {signature: walletSignature} = await signWithWalletKey(message);
+    const merchantSignature = encodeBase64(toArrayBuffer(nacl.sign.detached(message, secretKey)));
+
+    const {cert_chain: certChain} = await requestMerchantCertificate({
+      merchantName,
+      merchantPubkey,
+      walletSignature,
+      merchantSignature,
+    });
+
+    // Only keep a chain that verifies against the pinned bank key
+    const {valid, error, leaf} = verifyCertificateChain(certChain, Config.BANK_PUBLIC_KEY, {
+      role: CERT_ROLE.MERCHANT,
+    });
+    if (!valid || leaf.public_key !== merchantPubkey || leaf.subject_id !== deviceId) {
+      return {success: false, message: `Bank returned an unusable certificate: ${error || 'wrong key'}`, profile: null};
+    }
+
+    await AsyncStorage.setItem(MERCHANT_PROFILE_KEY, JSON.stringify(certChain));
+    return {
+      success: true,
+      message: `Enrolled as ${leaf.subject_name}`,
+      profile: {merchantId: leaf.subject_id, merchantName: leaf.subject_name, certChain},
+    };
+  } catch (error) {
+    console.error('Error enrolling merchant:', error);
+    return {success: false, message: error.message || 'Merchant enrollment failed', profile: null};
+  }
+};
+
+/**
+ * Get the merchant profile with a signer for receive QR codes
+ * The signer is synchronous so QR generation can stay a pure function.
+ * @returns {Promise<Object|null>} {merchantId, merchantName, certChain, sign(bytes) => base64}, or null if not enrolled
+ */
+export const getMerchantSigner = async () => {
+  try {
+    const {publicKey, secretKey} = await getOrCreateMerchantKeypair();
+    const profile = await loadVerifiedProfile(publicKey);
+    if (!profile) {
+      return null;
+    }
+
+    return {
+      ...profile,
+      sign: (message) => encodeBase64(toArrayBuffer(nacl.sign.detached(message, secretKey))),
+    };
+  } catch (error) {
+    console.error('Error loading merchant signer:', error);
+    return null;
+  }
+};
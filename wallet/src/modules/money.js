@@ -0,0 +1,90 @@
+/**
+ * Money Model for TokPay
+ * All amounts are integers in paise (1 rupee = 100 paise): balances, ledger
+ * rows and token amounts. Rupee values only exist at the UI edge (input parsing
+ * and display) and when reading tokens issued before amounts were in paise.
+ */
+
+export const PAISE_PER_RUPEE = 100;
+
+// Upper bound for a single amount (₹1,00,000), far below Number.MAX_SAFE_INTEGER
+export const MAX_AMOUNT_PAISE = 100000 * PAISE_PER_RUPEE;
+
+// Digits, optionally followed by up to two decimal places
+const RUPEE_INPUT_PATTERN = /^(\d+)(?:\.(\d{0,2}))?$/;
+
+/**
+ * Check that a value is a valid positive amount in paise
+ * @param {*} value - Candidate amount
+ * @returns {boolean} True for a safe integer in 1..MAX_AMOUNT_PAISE
+ */
+export const isValidPaise = (value) =>
+  Number.isSafeInteger(value) && value > 0 && value <= MAX_AMOUNT_PAISE;
+
+/**
+ * Parse a rupee amount typed by the user into paise
+ * Parses the digits directly, so no floating point rounding is involved
+ * @param {string} input - Rupee amount, e.g. "12", "12.5" or "12.50"
+ * @returns {Object} {valid: boolean, paise: number, error: string}
+ */
+export const parseRupeesToPaise = (input) => {
+  const text = typeof input === 'string' ? input.trim() : '';
+  if (text === '') {
+    return {valid: false, paise: 0, error: 'Please enter an amount'};
+  }
+
+  const match = RUPEE_INPUT_PATTERN.exec(text);
+  if (!match) {
+    if (/^\d*\.\d{3,}$/.test(text)) {
+      return {valid: false, paise: 0, error: 'Amount can have at most 2 decimal places'};
+    }
+    return {valid: false, paise: 0, error: 'Please enter a valid number'};
+  }
+
+  const [, rupeePart, paisePart = ''] = match;
+  // Reject absurdly long input before converting to a number
+  if (rupeePart.replace(/^0+/, '').length > String(MAX_AMOUNT_PAISE).length) {
+    return {valid: false, paise: 0, error: `Amount cannot exceed ${formatRupees(MAX_AMOUNT_PAISE)}`};
+  }
+
+  const paise = Number(rupeePart) * PAISE_PER_RUPEE + Number(paisePart.padEnd(2, '0'));
+  if (paise <= 0) {
+    return {valid: false, paise: 0, error: 'Amount must be greater than 0'};
+  }
+  if (paise > MAX_AMOUNT_PAISE) {
+    return {valid: false, paise: 0, error: `Amount cannot exceed ${formatRupees(MAX_AMOUNT_PAISE)}`};
+  }
+
+  return {valid: true, paise, error: ''};
+};
+
+/**
+ * Convert a rupee number (legacy tokens, old REAL rows) to paise
+ * @param {number} rupees - Amount in rupees with at most 2 decimal places
+ * @returns {number|null} Amount in paise, or null if it has sub-paisa precision
+ */
+export const rupeesToPaise = (rupees) => {
+  if (typeof rupees !== 'number' || !Number.isFinite(rupees)) {
+    return null;
+  }
+  const scaled = rupees * PAISE_PER_RUPEE;
+  const paise = Math.round(scaled);
+  // Tolerate binary representation error (e.g. 1.1 * 100), not extra digits
+  if (Math.abs(scaled - paise) > 1e-6 || !Number.isSafeInteger(paise)) {
+    return null;
+  }
+  return paise;
+};
+
+/**
+ * Format paise for display, e.g. 123450 -> "₹1234.50"
+ * @param {number} paise - Amount in paise
+ * @returns {string} Rupee amount with two decimals
+ */
+export const formatRupees = (paise) => {
+  const sign = paise < 0 ? '-' : '';
+  const abs = Math.abs(paise);
+  const rupees = Math.floor(abs / PAISE_PER_RUPEE);
+  const rest = String(abs % PAISE_PER_RUPEE).padStart(2, '0');
+  return `${sign}₹${rupees}.${rest}`;
+};
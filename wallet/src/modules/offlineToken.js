@@ -1,69 +1,439 @@
 import nacl from 'tweetnacl';
+import {p256} from '@noble/curves/p256';
 import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
 import * as Keychain from 'react-native-keychain';
 import {getDeviceIdentity} from './deviceIdentity';
 import {encodeUtf8, decodeUtf8} from './textEncoding';
+import {canonicalize, canonicalBytes} from './canonicalJson';
+import {createByteWriter, createByteReader} from './compactEncoding';
+import {isValidPaise, rupeesToPaise} from './money';
+import {verifyCertificateChain, CERT_ROLE} from './certificateChain';
+import {getClockSkewTolerance} from './qrExpiryPolicy';
+import {
+  isHardwareKeystoreAvailable,
+  getOrCreateHardwareKey,
+  signWithHardwareKey,
+  getKeyAttestation,
+  deleteHardwareKey,
+} from './hardwareKeystore';
+import Config from './config';
 
 /**
  * Offline Token Generator & Verifier
- * Uses Ed25519 for cryptographic signing of payment tokens
- * Private keys stored in device Keystore/TEE for security
+ * Payment tokens are signed with the wallet key: an ECDSA P-256 key held in the
+ * Android Keystore (StrongBox if available) and used by handle, so the private
+ * key never leaves secure hardware (threatModel.md §5).
+ * Tokens carry the bank's certificate for the payer key (payer_cert); receivers
+ * reject tokens from keys the bank has not certified
+ *
+ * Wallet keys are identified by their public key encoding:
+ *   65 bytes - ECDSA P-256 (SEC1 uncompressed point), 64-byte r||s signatures
+ *   32 bytes - Ed25519, from wallets that predate hardware keys and from the
+ *              software test double
+ *
+ * Wallet keys are versioned. rotateWalletKey replaces the current key with a
+ * new one, signed over by both; the retired public keys stay in the key ring so
+ * tokens they signed can still be matched to this wallet. Every v4 token names
+ * its key by key id (kid), and receivers refuse tokens from keys on the bank's
+ * revocation list (see keyRevocation.js).
  */
 
+const HARDWARE_KEY_ALIAS = 'com.tokpay.wallet.signing';
+// Software Ed25519 keypair; only used as a test double, or deleted on migration
 const KEYCHAIN_SERVICE = 'com.tokpay.wallet.keypair';
-let tokenCounter = 0; // Incremental counter to prevent replay attacks
+const COUNTER_KEYCHAIN_SERVICE = 'com.tokpay.wallet.counter';
+const COUNTER_KEYCHAIN_USERNAME = 'token_counter';
+const COUNTER_RECORD_VERSION = 1;
+const KEY_RING_KEYCHAIN_SERVICE = 'com.tokpay.wallet.keyring';
+const KEY_RING_KEYCHAIN_USERNAME = 'key_ring';
+const KEY_RING_RECORD_VERSION = 1;
+// Kept with the keypair it certifies, so both are reset together
+const CERTIFICATE_KEYCHAIN_SERVICE = 'com.tokpay.wallet.certificate';
+const CERTIFICATE_KEYCHAIN_USERNAME = 'payer_certificate';
+
+// Frozen token format (threatModel.md §3)
+// v4 adds the signing key's id (kid); v3 carries amount as integer paise; v2 (same fields) carried rupees
+export const TOKEN_VERSION = 4;
+const PAISE_AMOUNT_TOKEN_VERSION = 3;
+const RUPEE_AMOUNT_TOKEN_VERSION = 2;
+const FROZEN_TOKEN_VERSIONS = [RUPEE_AMOUNT_TOKEN_VERSION, PAISE_AMOUNT_TOKEN_VERSION, TOKEN_VERSION];
+const TOKEN_NONCE_BYTES = 16; // 128-bit nonce
+// Key id: leading bytes of SHA-512(public key)
+const KEY_ID_BYTES = 12;
+
+// Why a key is on the bank's revocation list
+export const KEY_REVOCATION_REASON = {
+  // Replaced by rotation: tokens issued before revoked_at stay valid
+  SUPERSEDED: 'superseded',
+  // Flagged by the bank (e.g. counter reuse): no token from the key is accepted
+  COMPROMISED: 'compromised',
+};
+
+// First byte of the compact binary token encoding (encodeTokenBytes); JSON
+// encodings start with '{', so decoders tell the two apart by this byte
+export const COMPACT_TOKEN_ENCODING = 1;
+
+// Tokens older than this are rejected (prevents replay beyond 24 hours)
+export const TOKEN_VALIDITY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// The native keystore is missing under Jest; nowhere else may a key exist in JS memory
+const ALLOW_SOFTWARE_KEYS = process.env.NODE_ENV === 'test';
+
+const P256_PUBLIC_KEY_BYTES = 65;
+
+// Serializes counter reservations so concurrent payments never share a value
+let counterLock = Promise.resolve();
+
+// Serializes token signing against key rotation, so no token is signed with a retired key
+let keyLock = Promise.resolve();
+
+/**
+ * Run a task once every earlier task holding the key lock has finished
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} The task's result
+ */
+const withKeyLock = (task) => {
+  const run = keyLock.then(task);
+  keyLock = run.catch(() => {});
+  return run;
+};
 
 const toArrayBuffer = (bytes) =>
   bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
 
 /**
- * Initialize or retrieve Ed25519 keypair from secure storage (Keystore/TEE)
- * Generates new keypair on first use and stores securely
- * @returns {Promise<{publicKey: Uint8Array, secretKey: Uint8Array}>} Ed25519 keypair
+ * Read the persisted token counter record from secure storage
+ * @returns {Promise<number|null>} Last reserved counter, or null if never stored
  */
-const getOrCreateKeypair = async () => {
-  try {
-    // Try to retrieve existing keypair from secure Keystore
-    const credentials = await Keychain.getGenericPassword({
-      service: KEYCHAIN_SERVICE,
-    });
+const readStoredCounter = async () => {
+  const credentials = await Keychain.getGenericPassword({
+    service: COUNTER_KEYCHAIN_SERVICE,
+  });
+  if (!credentials) {
+    return null;
+  }
 
-    if (credentials) {
-      // Deserialize stored keypair from base64
-      const publicKey = new Uint8Array(decodeBase64(credentials.username));
-      const secretKey = new Uint8Array(decodeBase64(credentials.password));
-      return {publicKey, secretKey};
+  const record = JSON.parse(credentials.password);
+  if (record.version !== COUNTER_RECORD_VERSION || !Number.isSafeInteger(record.value) || record.value < 0) {
+    throw new Error('Corrupt token counter record');
+  }
+  return record.value;
+};
+
+/**
+ * Persist the token counter record to secure storage
+ * @param {number} value - Counter value to store
+ * @returns {Promise<void>}
+ */
+const writeStoredCounter = async (value) => {
+  const stored = await Keychain.setGenericPassword(
+    COUNTER_KEYCHAIN_USERNAME,
+    JSON.stringify({version: COUNTER_RECORD_VERSION, value}),
+    {
+      service: COUNTER_KEYCHAIN_SERVICE,
+      accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
     }
+  );
+  if (!stored) {
+    throw new Error('Failed to persist token counter');
+  }
+};
+
+/**
+ * Get the key id (kid) of a wallet public key
+ * Derived from the key itself, so a token cannot name a key it was not signed with.
+ * @param {string} publicKey - Base64 wallet public key
+ * @returns {string} Base64 key id
+ */
+export const getKeyId = (publicKey) =>
+  encodeBase64(toArrayBuffer(nacl.hash(new Uint8Array(decodeBase64(publicKey))).subarray(0, KEY_ID_BYTES)));
+
+/**
+ * Read the key ring record from secure storage
+ * {
+ *   version: number,       // Record format version
+ *   key_version: number,   // Version of the current wallet key, starting at 1
+ *   retired: Array,        // {key_version, kid, public_key, retired_at} of replaced keys, oldest first
+ *   rotations: Array       // Signed rotation statements, oldest first (see rotateWalletKey)
+ * }
+ * @returns {Promise<Object>} Key ring (a first-key ring if none was stored yet)
+ */
+const readKeyRing = async () => {
+  const credentials = await Keychain.getGenericPassword({service: KEY_RING_KEYCHAIN_SERVICE});
+  if (!credentials) {
+    return {version: KEY_RING_RECORD_VERSION, key_version: 1, retired: [], rotations: []};
+  }
+
+  const ring = JSON.parse(credentials.password);
+  if (ring.version !== KEY_RING_RECORD_VERSION || !Number.isSafeInteger(ring.key_version)) {
+    throw new Error('Corrupt key ring record');
+  }
+  return ring;
+};
+
+/**
+ * Persist the key ring record to secure storage
+ * @param {Object} ring - Key ring (see readKeyRing)
+ * @returns {Promise<void>}
+ */
+const writeKeyRing = async (ring) => {
+  const stored = await Keychain.setGenericPassword(KEY_RING_KEYCHAIN_USERNAME, JSON.stringify(ring), {
+    service: KEY_RING_KEYCHAIN_SERVICE,
+    accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+  });
+  if (!stored) {
+    throw new Error('Failed to persist key ring');
+  }
+};
+
+/**
+ * Keystore alias of a hardware key version (version 1 keeps the original alias)
+ * @param {number} keyVersion - Wallet key version
+ * @returns {string} Keystore alias
+ */
+const getHardwareKeyAlias = (keyVersion) =>
+  keyVersion === 1 ? HARDWARE_KEY_ALIAS : `${HARDWARE_KEY_ALIAS}.v${keyVersion}`;
+
+/**
+ * Build the challenge bound into the hardware key's attestation
+ * @param {string} deviceId - This device's ID
+ * @returns {Uint8Array} Attestation challenge
+ */
+const buildAttestationChallenge = (deviceId) =>
+  canonicalBytes({purpose: 'tokpay-key-attestation', device_id: deviceId});
 
-    // No keypair exists - generate new Ed25519 keypair
-    const keypair = nacl.sign.keyPair();
+/**
+ * Get a version of the hardware-backed wallet key, creating it on first use
+ * A software keypair left by an older build is deleted: its secret key sat in
+ * the Keychain and was loaded into JS memory for every payment.
+ * @param {number} keyVersion - Wallet key version
+ * @returns {Promise<Object>} {publicKey: string, sign(message) => Promise<Uint8Array>}
+ */
+const getHardwareWalletKey = async (keyVersion) => {
+  const alias = getHardwareKeyAlias(keyVersion);
+  const {deviceId} = await getDeviceIdentity();
+  const {publicKey} = await getOrCreateHardwareKey(alias, buildAttestationChallenge(deviceId));
 
-    // Store keypair securely in device Keystore/TEE
+  if (await Keychain.hasGenericPassword({service: KEYCHAIN_SERVICE})) {
+    // Counters are per key, so the hardware key may start a fresh sequence
+    await Keychain.resetGenericPassword({service: KEYCHAIN_SERVICE});
+    console.log('Software keypair replaced by a hardware-backed key');
+  }
+
+  return {
+    publicKey,
+    sign: (message) => signWithHardwareKey(alias, message),
+  };
+};
+
+/**
+ * Get the software Ed25519 wallet key from the Keychain (test double)
+ * Generates the keypair on first use and stores it in the Keychain
+ * @returns {Promise<Object>} {publicKey: string, sign(message) => Promise<Uint8Array>}
+ */
+const getSoftwareWalletKey = async () => {
+  const credentials = await Keychain.getGenericPassword({
+    service: KEYCHAIN_SERVICE,
+  });
+
+  let keypair;
+  if (credentials) {
+    // Deserialize stored keypair from base64
+    keypair = {
+      publicKey: new Uint8Array(decodeBase64(credentials.username)),
+      secretKey: new Uint8Array(decodeBase64(credentials.password)),
+    };
+  } else {
+    keypair = nacl.sign.keyPair();
     await Keychain.setGenericPassword(
       encodeBase64(toArrayBuffer(keypair.publicKey)),
       encodeBase64(toArrayBuffer(keypair.secretKey)),
       {
         service: KEYCHAIN_SERVICE,
-        accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY, // TEE security
+        accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
       }
     );
 
-    console.log('New Ed25519 keypair generated and stored securely');
-    return keypair;
+    // A new keypair starts its own counter sequence
+    await writeStoredCounter(0);
+    console.log('New Ed25519 keypair generated (software test double)');
+  }
+
+  return {
+    publicKey: encodeBase64(toArrayBuffer(keypair.publicKey)),
+    sign: async (message) => nacl.sign.detached(message, keypair.secretKey),
+  };
+};
+
+/**
+ * Get this device's current wallet signing key
+ * @returns {Promise<Object>} {keyVersion: number, kid: string, publicKey: string, sign(message) => Promise<Uint8Array>}
+ * @throws {Error} If there is no hardware keystore (outside tests)
+ */
+const getWalletKey = async () => {
+  try {
+    const {key_version: keyVersion} = await readKeyRing();
+    let key;
+    if (isHardwareKeystoreAvailable()) {
+      key = await getHardwareWalletKey(keyVersion);
+    } else if (ALLOW_SOFTWARE_KEYS) {
+      key = await getSoftwareWalletKey();
+    } else {
+      throw new Error('Hardware keystore not available on this device');
+    }
+    return {...key, keyVersion, kid: getKeyId(key.publicKey)};
   } catch (error) {
-    console.error('Error managing keypair:', error);
+    console.error('Error managing wallet key:', error);
     throw new Error('Failed to initialize cryptographic keys');
   }
 };
 
+/**
+ * Load the counter, migrating installs that predate persistent counters.
+ * Older builds kept the counter in memory and restarted it at 0 on every launch,
+ * so any value they issued is bounded by the number of payments made in one
+ * session. Seeding from the current unix time in seconds puts the counter above
+ * anything those builds could have signed with the existing keypair.
+ * Keypairs generated by this build write their counter record at creation.
+ * @returns {Promise<number>} Last reserved counter value
+ */
+const loadCounter = async () => {
+  const stored = await readStoredCounter();
+  if (stored !== null) {
+    return stored;
+  }
+
+  const hasLegacyKeypair = await Keychain.hasGenericPassword({service: KEYCHAIN_SERVICE});
+  const seed = hasLegacyKeypair ? Math.floor(Date.now() / 1000) : 0;
+  await writeStoredCounter(seed);
+
+  if (hasLegacyKeypair) {
+    console.log(`Token counter migrated from in-memory storage, seeded at ${seed}`);
+  }
+  return seed;
+};
+
+/**
+ * Atomically reserve the next token counter value.
+ * The incremented value is written to secure storage before it is returned,
+ * so a crash after signing can never cause the same counter to be reused.
+ * @returns {Promise<number>} Reserved counter value (strictly increasing per device)
+ */
+const reserveNextCounter = () => {
+  const reservation = counterLock.then(async () => {
+    const current = await loadCounter();
+    const next = current + 1;
+    await writeStoredCounter(next);
+    return next;
+  });
+
+  // Keep the chain alive even if this reservation fails
+  counterLock = reservation.catch(() => {});
+  return reservation;
+};
+
+/**
+ * Get the last reserved token counter for reconciliation with the backend
+ * @returns {Promise<number>} Highest counter value this device has reserved
+ */
+export const getCurrentCounter = async () => {
+  try {
+    // Wait for any in-flight reservation so the value is not stale
+    await counterLock;
+    return await loadCounter();
+  } catch (error) {
+    console.error('Error reading token counter:', error);
+    throw new Error('Failed to read token counter');
+  }
+};
+
+/**
+ * Check a payer certificate against the bank key and the key and device it must name
+ * @param {Object} certificate - Bank-issued payer certificate
+ * @param {Object} subject - Expected subject
+ * @param {string} subject.payerPubkey - Wallet public key (base64)
+ * @param {string} subject.deviceId - Payer device ID
+ * @param {string} [bankPublicKey] - Pinned bank key (base64)
+ * @returns {Object} {valid: boolean, error: string, certificate: Object|null}
+ */
+export const verifyPayerCertificate = (
+  certificate,
+  {payerPubkey, deviceId},
+  bankPublicKey = Config.BANK_PUBLIC_KEY
+) => {
+  const {valid, error, leaf} = verifyCertificateChain([certificate], bankPublicKey, {
+    role: CERT_ROLE.PAYER,
+  });
+  if (!valid || !leaf) {
+    return {valid: false, error, certificate: null};
+  }
+  if (leaf.public_key !== payerPubkey || leaf.subject_id !== deviceId) {
+    return {valid: false, error: 'Certificate was issued for another wallet', certificate: null};
+  }
+  if (!isValidPaise(leaf.offline_limit)) {
+    return {valid: false, error: 'Certificate has no offline limit', certificate: null};
+  }
+  return {valid: true, error: '', certificate: leaf};
+};
+
+/**
+ * Store the bank's certificate for this wallet key (from device registration)
+ * @param {Object} certificate - Bank-issued payer certificate
+ * @returns {Promise<boolean>} True if stored; false if it does not certify this wallet
+ */
+export const storePayerCertificate = async (certificate) => {
+  try {
+    const {deviceId} = await getDeviceIdentity();
+    const {valid, error} = verifyPayerCertificate(certificate, {
+      payerPubkey: await getPublicKey(),
+      deviceId,
+    });
+    if (!valid) {
+      console.error('Payer certificate not stored:', error);
+      return false;
+    }
+
+    await Keychain.setGenericPassword(CERTIFICATE_KEYCHAIN_USERNAME, JSON.stringify(certificate), {
+      service: CERTIFICATE_KEYCHAIN_SERVICE,
+      accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+    });
+    return true;
+  } catch (error) {
+    console.error('Error storing payer certificate:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get this wallet's certificate if it is still valid
+ * Payments need one: receivers reject tokens without a valid certificate.
+ * @returns {Promise<Object|null>} Payer certificate, or null if missing or expired
+ */
+export const getPayerCertificate = async () => {
+  try {
+    const credentials = await Keychain.getGenericPassword({service: CERTIFICATE_KEYCHAIN_SERVICE});
+    if (!credentials) {
+      return null;
+    }
+
+    const certificate = JSON.parse(credentials.password);
+    const {deviceId} = await getDeviceIdentity();
+    const {valid} = verifyPayerCertificate(certificate, {payerPubkey: await getPublicKey(), deviceId});
+    return valid ? certificate : null;
+  } catch (error) {
+    console.error('Error reading payer certificate:', error);
+    return null;
+  }
+};
+
 /**
  * Get public key in base64 format for sharing with other devices
  * @returns {Promise<string>} Base64-encoded public key
  */
 export const getPublicKey = async () => {
   try {
-    const {publicKey} = await getOrCreateKeypair();
-    return encodeBase64(toArrayBuffer(publicKey));
+    const {publicKey} = await getWalletKey();
+    return publicKey;
   } catch (error) {
     console.error('Error getting public key:', error);
     throw error;
@@ -71,56 +441,147 @@ export const getPublicKey = async () => {
 };
 
 /**
- * Generate signed offline payment token using Ed25519
- * Creates cryptographically signed token with payer identity, amount, and payee
- * @param {number} amount - Payment amount in rupees
- * @param {string} payeeDeviceId - Recipient's device ID
+ * Get the attestation certificate chain for the wallet key
+ * Sent with the device registration so the bank can check the key is hardware-backed.
+ * @returns {Promise<string[]>} DER certificates (base64), leaf first; empty for software keys
+ */
+export const getWalletKeyAttestation = async () => {
+  const {keyVersion} = await getWalletKey();
+  return isHardwareKeystoreAvailable() ? getKeyAttestation(getHardwareKeyAlias(keyVersion)) : [];
+};
+
+/**
+ * Get the wallet key ring: the current key and the public keys it replaced
+ * @returns {Promise<Object>} {keyVersion, kid, publicKey, retired: Array, rotations: Array}
+ *   retired holds {key_version, kid, public_key, retired_at}; rotations the signed statements (see rotateWalletKey)
+ */
+export const getWalletKeyRing = async () => {
+  const {keyVersion, kid, publicKey} = await getWalletKey();
+  const {retired, rotations} = await readKeyRing();
+  return {keyVersion, kid, publicKey, retired, rotations};
+};
+
+/**
+ * Check whether a public key is (or was) this wallet's key
+ * @param {string} publicKey - Base64 public key
+ * @returns {Promise<boolean>} True for the current key and retired keys
+ */
+export const isOwnWalletKey = async (publicKey) => {
+  const {publicKey: current, retired} = await getWalletKeyRing();
+  return publicKey === current || retired.some((key) => key.public_key === publicKey);
+};
+
+/**
+ * Sign a message with this device's wallet key
+ * Used for messages bound to the wallet identity, such as payment ACKs
+ * @param {Uint8Array} message - Bytes to sign
+ * @returns {Promise<{publicKey: string, signature: string}>} Base64 public key and signature
+ */
+export const signWithWalletKey = async (message) => {
+  try {
+    const {publicKey, sign} = await getWalletKey();
+    const signature = await sign(message);
+    return {
+      publicKey,
+      signature: encodeBase64(toArrayBuffer(signature)),
+    };
+  } catch (error) {
+    console.error('Error signing with wallet key:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verify a signature made with a wallet key (see signWithWalletKey)
+ * The key type follows from the public key: P-256 or Ed25519. P-256 signatures
+ * must be low-S, so (r, n - s) is not a second valid encoding of the same one.
+ * @param {Uint8Array} message - Signed bytes
+ * @param {string} signature - Base64 signature
+ * @param {string} publicKey - Base64 wallet public key
+ * @returns {boolean} True if the signature is valid
+ */
+export const verifyWalletSignature = (message, signature, publicKey) => {
+  try {
+    const signatureBytes = new Uint8Array(decodeBase64(signature));
+    const publicKeyBytes = new Uint8Array(decodeBase64(publicKey));
+    if (publicKeyBytes.length === P256_PUBLIC_KEY_BYTES) {
+      return p256.verify(signatureBytes, message, publicKeyBytes, {prehash: true, lowS: true});
+    }
+    return nacl.sign.detached.verify(message, signatureBytes, publicKeyBytes);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Build the message signed for a frozen (v2-v4) token.
+ * Serialized with RFC 8785 canonical JSON, so key order and number formatting
+ * cannot change the signed bytes. kid is only present (and signed) from v4.
+ * @param {Object} token - Frozen token fields
+ * @returns {Uint8Array} Signing message bytes
+ */
+const buildFrozenSigningMessage = (token) =>
+  canonicalBytes({
+    amount: token.amount,
+    counter: token.counter,
+    kid: token.version === TOKEN_VERSION ? token.kid : undefined,
+    merchant_id: token.merchant_id,
+    nonce: token.nonce,
+    payer_pubkey: token.payer_pubkey,
+    timestamp: token.timestamp,
+    version: token.version,
+  });
+
+/**
+ * Generate signed offline payment token with the wallet key
+ * Emits the frozen token format: merchant_id, 128-bit nonce, unix-seconds timestamp
+ * @param {number} amount - Payment amount in paise (integer)
+ * @param {string} merchantId - Recipient's merchant ID (the payee's device ID, certified in its receive QR)
  * @returns {Promise<Object>} Signed token object with all required fields
  */
-export const generateToken = async (amount, payeeDeviceId) => {
+export const generateToken = async (amount, merchantId) => {
   try {
     // Validate inputs
-    if (!amount || amount <= 0) {
-      throw new Error('Amount must be greater than 0');
+    if (!isValidPaise(amount)) {
+      throw new Error('Amount must be a positive whole number of paise');
     }
-    if (!payeeDeviceId || typeof payeeDeviceId !== 'string') {
-      throw new Error('Valid payee device ID required');
+    if (!merchantId || typeof merchantId !== 'string') {
+      throw new Error('Valid merchant ID required');
     }
 
-    // Get device identity and keypair
     const {deviceId} = await getDeviceIdentity();
-    const {publicKey, secretKey} = await getOrCreateKeypair();
-
-    // Increment counter for replay attack prevention
-    tokenCounter += 1;
-
-    // Create token payload with all required fields
-    const token = {
-      payer_pubkey: encodeBase64(toArrayBuffer(publicKey)),
-      amount: amount,
-      payee_device_id: payeeDeviceId,
-      timestamp: Date.now(),
-      counter: tokenCounter,
-      payer_device_id: deviceId, // Additional field for tracking
-    };
 
-    // Serialize token for signing (deterministic JSON to ensure consistent signing)
-    const tokenString = JSON.stringify({
-      payer_pubkey: token.payer_pubkey,
-      amount: token.amount,
-      payee_device_id: token.payee_device_id,
-      timestamp: token.timestamp,
-      counter: token.counter,
-    });
+    const token = await withKeyLock(async () => {
+      const walletKey = await getWalletKey();
 
-    // Sign token using Ed25519 private key
-    const message = encodeUtf8(tokenString);
-    const signature = nacl.sign.detached(message, secretKey);
+      // Reserve counter durably before signing to prevent replay attacks
+      const counter = await reserveNextCounter();
 
-    // Attach signature to token
-    token.signature = encodeBase64(signature);
+      // Travels with the token, outside the signed fields (the bank signed it)
+      const certificate = await getPayerCertificate();
+
+      // Create token payload with all required fields
+      const unsigned = {
+        version: TOKEN_VERSION,
+        payer_pubkey: walletKey.publicKey,
+        kid: walletKey.kid,
+        merchant_id: merchantId,
+        amount: amount,
+        nonce: encodeBase64(toArrayBuffer(nacl.randomBytes(TOKEN_NONCE_BYTES))),
+        timestamp: Math.floor(Date.now() / 1000),
+        counter,
+        payer_device_id: deviceId, // Additional field for tracking (not signed)
+      };
+      if (certificate) {
+        unsigned.payer_cert = certificate;
+      }
 
-    console.log(`Token generated: ${amount} to ${payeeDeviceId.substring(0, 8)}...`);
+      // Sign by handle: the private key stays in the keystore
+      const signature = await walletKey.sign(buildFrozenSigningMessage(unsigned));
+      return {...unsigned, signature: encodeBase64(toArrayBuffer(signature))};
+    });
+
+    console.log(`Token generated: ${amount} paise to ${merchantId.substring(0, 8)}...`);
     return token;
   } catch (error) {
     console.error('Error generating token:', error);
@@ -128,13 +589,122 @@ export const generateToken = async (amount, payeeDeviceId) => {
   }
 };
 
+/**
+ * Check whether a token uses the pre-frozen (unversioned) layout
+ * Such tokens may still sit in old ledger rows; verifyToken refuses them.
+ * @param {Object} token - Token object
+ * @returns {boolean} True for legacy tokens
+ */
+export const isLegacyToken = (token) => !!token && typeof token === 'object' && !('version' in token);
+
+/**
+ * Get a token's issue time in unix milliseconds
+ * Frozen tokens carry unix seconds, legacy tokens unix milliseconds
+ * @param {Object} token - Token object
+ * @returns {number} Issue time (ms)
+ */
+export const getTokenIssuedAt = (token) =>
+  isLegacyToken(token) ? token.timestamp : token.timestamp * 1000;
+
+/**
+ * Get a token's amount in paise
+ * v3 and v4 tokens carry paise; v2 and legacy tokens carried rupees
+ * @param {Object} token - Token object
+ * @returns {number|null} Amount in paise, or null if it is not a valid amount
+ */
+export const getTokenAmountPaise = (token) => {
+  if (!token || typeof token !== 'object') {
+    return null;
+  }
+  const carriesPaise = token.version === PAISE_AMOUNT_TOKEN_VERSION || token.version === TOKEN_VERSION;
+  const paise = carriesPaise ? token.amount : rupeesToPaise(token.amount);
+  return isValidPaise(paise) ? paise : null;
+};
+
+/**
+ * Validate frozen (v2-v4) token fields and return the signed message
+ * @param {Object} token - Frozen token
+ * @returns {Uint8Array|null} Signing message, or null if the token is malformed, expired or future-dated
+ */
+const checkFrozenToken = (token) => {
+  const requiredFields = ['payer_pubkey', 'merchant_id', 'amount', 'nonce', 'timestamp', 'counter', 'signature'];
+  for (const field of requiredFields) {
+    if (!(field in token)) {
+      console.error(`Invalid token: missing field ${field}`);
+      return null;
+    }
+  }
+
+  if (typeof token.merchant_id !== 'string' || token.merchant_id.length === 0) {
+    console.error('Invalid token: merchant_id must be a non-empty string');
+    return null;
+  }
+
+  if (new Uint8Array(decodeBase64(token.nonce)).byteLength !== TOKEN_NONCE_BYTES) {
+    console.error('Invalid token: nonce must be 128 bits');
+    return null;
+  }
+
+  if (!Number.isSafeInteger(token.timestamp) || !Number.isSafeInteger(token.counter)) {
+    console.error('Invalid token: timestamp and counter must be integers');
+    return null;
+  }
+
+  if (token.version === TOKEN_VERSION && token.kid !== getKeyId(token.payer_pubkey)) {
+    console.error('Invalid token: kid does not name the payer key');
+    return null;
+  }
+
+  // Frozen timestamps are unix seconds
+  const tokenAge = Date.now() - token.timestamp * 1000;
+  if (tokenAge > TOKEN_VALIDITY_WINDOW_MS) {
+    console.error('Invalid token: expired (older than 24 hours)');
+    return null;
+  }
+  // Only the payer's clock running a little ahead may date a token in the future
+  if (-tokenAge > getClockSkewTolerance()) {
+    console.error('Invalid token: timestamp is in the future');
+    return null;
+  }
+
+  return buildFrozenSigningMessage(token);
+};
+
+/**
+ * Check a token's signing key against the bank's revocation list
+ * @param {Array<Object>} revokedKeys - Revocation entries {kid, reason, revoked_at}
+ * @param {Object} token - Token with a verified signature
+ * @returns {string|null} Revocation reason, or null if the key may sign this token
+ */
+const getKeyRevocation = (revokedKeys, token) => {
+  const kid = getKeyId(token.payer_pubkey);
+  const entry = revokedKeys.find((revoked) => revoked.kid === kid);
+  if (!entry) {
+    return null;
+  }
+  if (entry.reason === KEY_REVOCATION_REASON.SUPERSEDED && getTokenIssuedAt(token) <= entry.revoked_at * 1000) {
+    return null;
+  }
+  return entry.reason;
+};
+
 /**
  * Verify cryptographic signature of an offline payment token
- * Validates Ed25519 signature to ensure token authenticity and integrity
+ * Validates the P-256 or Ed25519 signature to ensure token authenticity and integrity
+ * Accepts frozen (v2-v4) tokens only: legacy (unversioned) tokens predate payer
+ * certificates, so none of them could pass the certificate check below
+ * The payer key must be certified by the bank for the payer device, and the
+ * amount must be within the certificate's offline limit.
  * @param {Object} token - Token object with signature to verify
- * @returns {Promise<boolean>} True if signature is valid, false otherwise
+ * @param {Object} [options] - Verification options
+ * @param {string} [options.bankPublicKey] - Pinned bank key (base64)
+ * @param {Array<Object>} [options.revokedKeys] - Revocation entries from keyRevocation.getRevokedKeys
+ * @returns {Promise<boolean>} True if signature and certificate are valid, false otherwise
  */
-export const verifyToken = async (token) => {
+export const verifyToken = async (
+  token,
+  {bankPublicKey = Config.BANK_PUBLIC_KEY, revokedKeys = []} = {}
+) => {
   try {
     // Validate token structure
     if (!token || typeof token !== 'object') {
@@ -142,53 +712,54 @@ export const verifyToken = async (token) => {
       return false;
     }
 
-    // Check required fields exist
-    const requiredFields = ['payer_pubkey', 'amount', 'payee_device_id', 'timestamp', 'counter', 'signature'];
-    for (const field of requiredFields) {
-      if (!(field in token)) {
-        console.error(`Invalid token: missing field ${field}`);
-        return false;
-      }
+    if (isLegacyToken(token)) {
+      console.error('Invalid token: legacy token format no longer accepted');
+      return false;
     }
-
-    // Validate amount is positive
-    if (token.amount <= 0) {
-      console.error('Invalid token: amount must be positive');
+    if (!FROZEN_TOKEN_VERSIONS.includes(token.version)) {
+      console.error(`Invalid token: unsupported version ${token.version}`);
       return false;
     }
 
-    // Check token is not too old (prevent replay attacks beyond 24 hours)
-    const tokenAge = Date.now() - token.timestamp;
-    const MAX_TOKEN_AGE = 24 * 60 * 60 * 1000; // 24 hours
-    if (tokenAge > MAX_TOKEN_AGE) {
-      console.error('Invalid token: expired (older than 24 hours)');
+    const message = checkFrozenToken(token);
+    if (message === null) {
       return false;
     }
 
-    // Reconstruct message that was signed
-    const tokenString = JSON.stringify({
-      payer_pubkey: token.payer_pubkey,
-      amount: token.amount,
-      payee_device_id: token.payee_device_id,
-      timestamp: token.timestamp,
-      counter: token.counter,
-    });
+    // Validate amount: whole paise for v3, at most 2 decimal rupees before that
+    if (getTokenAmountPaise(token) === null) {
+      console.error('Invalid token: amount must be a positive whole number of paise');
+      return false;
+    }
 
-    // Convert to Uint8Array for verification
-    const message = encodeUtf8(tokenString);
-    const signature = new Uint8Array(decodeBase64(token.signature));
-    const publicKey = new Uint8Array(decodeBase64(token.payer_pubkey));
+    if (!verifyWalletSignature(message, token.signature, token.payer_pubkey)) {
+      console.error('Invalid token: signature verification failed');
+      return false;
+    }
 
-    // Verify Ed25519 signature
-    const isValid = nacl.sign.detached.verify(message, signature, publicKey);
+    // A valid signature only proves possession of some key; the bank vouches for this one
+    const certification = verifyPayerCertificate(
+      token.payer_cert,
+      {payerPubkey: token.payer_pubkey, deviceId: token.payer_device_id},
+      bankPublicKey
+    );
+    if (!certification.valid) {
+      console.error(`Invalid token: payer not certified (${certification.error})`);
+      return false;
+    }
+    if (getTokenAmountPaise(token) > certification.certificate.offline_limit) {
+      console.error('Invalid token: amount exceeds the payer offline limit');
+      return false;
+    }
 
-    if (isValid) {
-      console.log(`Token verified successfully from ${token.payer_pubkey.substring(0, 16)}...`);
-    } else {
-      console.error('Invalid token: signature verification failed');
+    const revocation = getKeyRevocation(revokedKeys, token);
+    if (revocation) {
+      console.error(`Invalid token: payer key revoked (${revocation})`);
+      return false;
     }
 
-    return isValid;
+    console.log(`Token verified successfully from ${token.payer_pubkey.substring(0, 16)}...`);
+    return true;
   } catch (error) {
     console.error('Error verifying token:', error);
     return false;
@@ -196,21 +767,104 @@ export const verifyToken = async (token) => {
 };
 
 /**
- * Reset token counter (for testing purposes only)
- * In production, counter should persist across app restarts
+ * Replace the wallet key with a new version
+ * The rotation statement names both keys and is signed by both: the old key
+ * vouches for its successor and the new key proves it is held. The old private
+ * key is deleted and its public key kept in the key ring. The payer certificate
+ * is dropped with the old key; registering again (bankClient.registerDevice)
+ * hands the bank the rotation and returns a certificate for the new key.
+ * @returns {Promise<Object>} Signed rotation statement
+ *   {purpose, device_id, key_version, old_kid, old_pubkey, new_kid, new_pubkey, rotated_at, old_signature, new_signature}
  */
-export const resetCounter = () => {
-  tokenCounter = 0;
-  console.log('Token counter reset');
-};
+export const rotateWalletKey = () =>
+  withKeyLock(async () => {
+    try {
+      const ring = await readKeyRing();
+      const oldKey = await getWalletKey();
+      const keyVersion = ring.key_version + 1;
+
+      let newKey;
+      let newKeypair = null;
+      if (isHardwareKeystoreAvailable()) {
+        newKey = await getHardwareWalletKey(keyVersion);
+      } else {
+        newKeypair = nacl.sign.keyPair();
+        newKey = {
+          publicKey: encodeBase64(toArrayBuffer(newKeypair.publicKey)),
+          sign: async (message) => nacl.sign.detached(message, newKeypair.secretKey),
+        };
+      }
+
+      const {deviceId} = await getDeviceIdentity();
+      const statement = {
+        purpose: 'tokpay-key-rotation',
+        device_id: deviceId,
+        key_version: keyVersion,
+        old_kid: oldKey.kid,
+        old_pubkey: oldKey.publicKey,
+        new_kid: getKeyId(newKey.publicKey),
+        new_pubkey: newKey.publicKey,
+        rotated_at: Math.floor(Date.now() / 1000),
+      };
+      const message = canonicalBytes(statement);
+      const rotation = {
+        ...statement,
+        old_signature: encodeBase64(toArrayBuffer(await oldKey.sign(message))),
+        new_signature: encodeBase64(toArrayBuffer(await newKey.sign(message))),
+      };
+
+      if (newKeypair) {
+        await Keychain.setGenericPassword(
+          encodeBase64(toArrayBuffer(newKeypair.publicKey)),
+          encodeBase64(toArrayBuffer(newKeypair.secretKey)),
+          {
+            service: KEYCHAIN_SERVICE,
+            accessible: Keychain.ACCESSIBLE.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+          }
+        );
+      }
+      await writeKeyRing({
+        ...ring,
+        key_version: keyVersion,
+        retired: [
+          ...ring.retired,
+          {
+            key_version: ring.key_version,
+            kid: oldKey.kid,
+            public_key: oldKey.publicKey,
+            retired_at: statement.rotated_at,
+          },
+        ],
+        rotations: [...ring.rotations, rotation],
+      });
+
+      await deleteHardwareKey(getHardwareKeyAlias(ring.key_version));
+      await Keychain.resetGenericPassword({service: CERTIFICATE_KEYCHAIN_SERVICE});
+
+      console.log(`Wallet key rotated to version ${keyVersion}`);
+      return rotation;
+    } catch (error) {
+      console.error('Error rotating wallet key:', error);
+      throw new Error(`Key rotation failed: ${error.message}`);
+    }
+  });
 
 /**
- * Delete stored keypair from secure storage (for testing/reset)
+ * Delete the wallet key from secure storage (for testing/reset)
+ * Unlike rotateWalletKey nothing links the next key to this one: the bank
+ * will not re-register the device with it. The counter is cleared with it.
  * @returns {Promise<boolean>} True if successfully deleted
  */
 export const resetKeypair = async () => {
   try {
+    await counterLock;
+    await keyLock;
+    const {key_version: keyVersion} = await readKeyRing();
+    await deleteHardwareKey(getHardwareKeyAlias(keyVersion));
     await Keychain.resetGenericPassword({service: KEYCHAIN_SERVICE});
+    await Keychain.resetGenericPassword({service: KEY_RING_KEYCHAIN_SERVICE});
+    await Keychain.resetGenericPassword({service: COUNTER_KEYCHAIN_SERVICE});
+    await Keychain.resetGenericPassword({service: CERTIFICATE_KEYCHAIN_SERVICE});
     console.log('Keypair deleted from secure storage');
     return true;
   } catch (error) {
@@ -220,14 +874,138 @@ export const resetKeypair = async () => {
 };
 
 /**
- * Export token as base64 string for transfer over BLE/NFC
+ * Write a payer certificate in the compact layout
+ * @param {Object} writer - Byte writer (compactEncoding.js)
+ * @param {Object} certificate - Payer certificate
+ */
+const writeCompactCertificate = (writer, certificate) => {
+  writer.uint(certificate.version);
+  writer.text(certificate.role);
+  writer.text(certificate.subject_id);
+  writer.optional(certificate.subject_name, writer.text);
+  writer.base64(certificate.public_key);
+  writer.optional(certificate.offline_limit, writer.uint);
+  writer.uint(certificate.issued_at);
+  writer.uint(certificate.expires_at);
+  writer.base64(certificate.signature);
+};
+
+/**
+ * Read a payer certificate in the compact layout
+ * @param {Object} reader - Byte reader (compactEncoding.js)
+ * @returns {Object} Payer certificate
+ */
+const readCompactCertificate = (reader) => {
+  const certificate = {
+    version: reader.uint(),
+    role: reader.text(),
+    subject_id: reader.text(),
+  };
+  const subjectName = reader.optional(reader.text);
+  if (subjectName !== null) {
+    certificate.subject_name = subjectName;
+  }
+  certificate.public_key = reader.base64();
+  const offlineLimit = reader.optional(reader.uint);
+  if (offlineLimit !== null) {
+    certificate.offline_limit = offlineLimit;
+  }
+  certificate.issued_at = reader.uint();
+  certificate.expires_at = reader.uint();
+  certificate.signature = reader.base64();
+  return certificate;
+};
+
+/**
+ * Compact token layout, after the COMPACT_TOKEN_ENCODING byte:
+ *   version uint, payer_pubkey base64, kid optional base64, merchant_id text,
+ *   amount uint, nonce base64, timestamp uint, counter uint,
+ *   payer_device_id optional text, payer_cert optional certificate, signature base64
+ * A P-256 v4 token with its certificate takes under 400 bytes, about half its
+ * JSON, so sealed for BLE it fits in two frames at a 517-byte MTU.
+ */
+const writeCompactToken = (token) => {
+  const writer = createByteWriter();
+  writer.u8(COMPACT_TOKEN_ENCODING);
+  writer.uint(token.version);
+  writer.base64(token.payer_pubkey);
+  writer.optional(token.kid, writer.base64);
+  writer.text(token.merchant_id);
+  writer.uint(token.amount);
+  writer.base64(token.nonce);
+  writer.uint(token.timestamp);
+  writer.uint(token.counter);
+  writer.optional(token.payer_device_id, writer.text);
+  writer.optional(token.payer_cert, (certificate) => writeCompactCertificate(writer, certificate));
+  writer.base64(token.signature);
+  return writer.finish();
+};
+
+const readCompactToken = (bytes) => {
+  const reader = createByteReader(bytes);
+  if (reader.u8() !== COMPACT_TOKEN_ENCODING) {
+    throw new Error('Not a compact token');
+  }
+  const token = {version: reader.uint(), payer_pubkey: reader.base64()};
+  const kid = reader.optional(reader.base64);
+  if (kid !== null) {
+    token.kid = kid;
+  }
+  token.merchant_id = reader.text();
+  token.amount = reader.uint();
+  token.nonce = reader.base64();
+  token.timestamp = reader.uint();
+  token.counter = reader.uint();
+  const payerDeviceId = reader.optional(reader.text);
+  if (payerDeviceId !== null) {
+    token.payer_device_id = payerDeviceId;
+  }
+  const certificate = reader.optional(() => readCompactCertificate(reader));
+  if (certificate !== null) {
+    token.payer_cert = certificate;
+  }
+  token.signature = reader.base64();
+  reader.end();
+  return token;
+};
+
+/**
+ * Encode a token as bytes for transfer
+ * Tokens that fit the compact layout are encoded in it; any other token (a
+ * legacy format, or one with fields the layout does not know) is sent as UTF-8
+ * JSON, so no field is ever lost.
+ * @param {Object} token - Token object
+ * @returns {Uint8Array} Encoded token
+ */
+export const encodeTokenBytes = (token) => {
+  try {
+    const compact = writeCompactToken(token);
+    if (canonicalize(readCompactToken(compact)) === canonicalize(token)) {
+      return compact;
+    }
+  } catch {
+    // Not representable in the compact layout
+  }
+  return encodeUtf8(JSON.stringify(token));
+};
+
+/**
+ * Decode a token encoded by encodeTokenBytes (compact or JSON)
+ * @param {Uint8Array} bytes - Encoded token
+ * @returns {Object} Parsed token object
+ * @throws {Error} If the bytes are not an encoded token
+ */
+export const decodeTokenBytes = (bytes) =>
+  bytes[0] === COMPACT_TOKEN_ENCODING ? readCompactToken(bytes) : JSON.parse(decodeUtf8(bytes));
+
+/**
+ * Export token as base64 string for transfer over the relay or storage in the ledger
  * @param {Object} token - Token object to serialize
- * @returns {string} Base64-encoded token string
+ * @returns {string} Base64 of the encoded token (see encodeTokenBytes)
  */
 export const serializeToken = (token) => {
   try {
-    const tokenString = JSON.stringify(token);
-    return encodeBase64(toArrayBuffer(encodeUtf8(tokenString)));
+    return encodeBase64(toArrayBuffer(encodeTokenBytes(token)));
   } catch (error) {
     console.error('Error serializing token:', error);
     throw new Error('Failed to serialize token');
@@ -235,15 +1013,13 @@ export const serializeToken = (token) => {
 };
 
 /**
- * Import token from base64 string received over BLE/NFC
+ * Import token from a base64 string (compact, or JSON from older wallets)
  * @param {string} tokenString - Base64-encoded token string
  * @returns {Object} Parsed token object
  */
 export const deserializeToken = (tokenString) => {
   try {
-    const decodedBytes = new Uint8Array(decodeBase64(tokenString));
-    const decoded = decodeUtf8(decodedBytes);
-    return JSON.parse(decoded);
+    return decodeTokenBytes(new Uint8Array(decodeBase64(tokenString)));
   } catch (error) {
     console.error('Error deserializing token:', error);
     throw new Error('Failed to deserialize token');
@@ -0,0 +1,183 @@
+import nacl from 'tweetnacl';
+import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+import {canonicalize, canonicalBytes} from './canonicalJson';
+import {createByteWriter, createByteReader} from './compactEncoding';
+import {encodeUtf8, decodeUtf8} from './textEncoding';
+import {getPublicKey, signWithWalletKey, verifyWalletSignature} from './offlineToken';
+
+/**
+ * Payment ACK/NACK messages
+ * Sent by the receiver after it tries to credit a token, so the sender only
+ * commits its debit once the receiver has confirmed the credit.
+ *
+ * ACK structure:
+ * {
+ *   version: number,          // ACK format version
+ *   status: 'ack' | 'nack',   // ack = token credited, nack = token refused
+ *   code: string | null,      // Receiver result code (null for a plain ack)
+ *   token_ref: string,        // First 16 bytes of SHA-512(token signature), base64
+ *   receiver_pubkey: string,  // Receiver's wallet public key (base64)
+ *   timestamp: number,        // Unix seconds
+ *   signature: string         // Wallet key signature over canonical JSON of all other fields
+ * }
+ */
+
+const ACK_VERSION = 1;
+const TOKEN_REF_BYTES = 16;
+
+export const ACK_STATUS = {
+  ACK: 'ack',
+  NACK: 'nack',
+};
+
+// First byte of the compact binary ACK encoding (encodeAckBytes); JSON starts with '{'
+export const COMPACT_ACK_ENCODING = 1;
+// Status values by their compact code
+const COMPACT_ACK_STATUSES = [ACK_STATUS.ACK, ACK_STATUS.NACK];
+
+const toArrayBuffer = (bytes) =>
+  bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+
+/**
+ * Compute the reference that binds an ACK to one specific token
+ * @param {Object} token - Signed payment token
+ * @returns {string} Base64 token reference
+ */
+export const getTokenRef = (token) => {
+  const digest = nacl.hash(new Uint8Array(decodeBase64(token.signature)));
+  return encodeBase64(toArrayBuffer(digest.subarray(0, TOKEN_REF_BYTES)));
+};
+
+/**
+ * Create a signed ACK/NACK for a received token
+ * @param {Object} token - Token the receiver processed
+ * @param {Object} outcome - Receiver outcome
+ * @param {boolean} outcome.credited - True if the token amount is (now or already) credited
+ * @param {string|null} outcome.code - Result code, e.g. INVALID_TOKEN or TOKEN_REPLAYED
+ * @returns {Promise<Object>} Signed ACK message
+ */
+export const createPaymentAck = async (token, {credited, code = null}) => {
+  const ack = {
+    version: ACK_VERSION,
+    status: credited ? ACK_STATUS.ACK : ACK_STATUS.NACK,
+    code,
+    token_ref: getTokenRef(token),
+    receiver_pubkey: await getPublicKey(),
+    timestamp: Math.floor(Date.now() / 1000),
+  };
+
+  const {signature} = await signWithWalletKey(canonicalBytes(ack));
+  return {...ack, signature};
+};
+
+/**
+ * Verify an ACK/NACK against the token the sender transmitted
+ * @param {Object} ack - Received ACK message
+ * @param {Object} token - Token the sender is waiting on
+ * @returns {boolean} True if the ACK is well-formed, signed and refers to this token
+ */
+export const verifyPaymentAck = (ack, token) => {
+  try {
+    if (!ack || typeof ack !== 'object' || ack.version !== ACK_VERSION) {
+      return false;
+    }
+    if (ack.status !== ACK_STATUS.ACK && ack.status !== ACK_STATUS.NACK) {
+      return false;
+    }
+    if (ack.token_ref !== getTokenRef(token)) {
+      return false;
+    }
+
+    const {signature, ...unsigned} = ack;
+    return verifyWalletSignature(canonicalBytes(unsigned), signature, ack.receiver_pubkey);
+  } catch (error) {
+    console.error('Error verifying payment ACK:', error);
+    return false;
+  }
+};
+
+/**
+ * Compact ACK layout, after the COMPACT_ACK_ENCODING byte:
+ *   version uint, status u8 (index in COMPACT_ACK_STATUSES), code optional text,
+ *   token_ref base64, receiver_pubkey base64, timestamp uint, signature base64
+ */
+const writeCompactAck = (ack) => {
+  const status = COMPACT_ACK_STATUSES.indexOf(ack.status);
+  if (status < 0) {
+    throw new Error('Unknown ACK status');
+  }
+  const writer = createByteWriter();
+  writer.u8(COMPACT_ACK_ENCODING);
+  writer.uint(ack.version);
+  writer.u8(status);
+  writer.optional(ack.code, writer.text);
+  writer.base64(ack.token_ref);
+  writer.base64(ack.receiver_pubkey);
+  writer.uint(ack.timestamp);
+  writer.base64(ack.signature);
+  return writer.finish();
+};
+
+const readCompactAck = (bytes) => {
+  const reader = createByteReader(bytes);
+  if (reader.u8() !== COMPACT_ACK_ENCODING) {
+    throw new Error('Not a compact ACK');
+  }
+  const version = reader.uint();
+  const status = COMPACT_ACK_STATUSES[reader.u8()];
+  if (!status) {
+    throw new Error('Unknown ACK status');
+  }
+  const ack = {
+    version,
+    status,
+    code: reader.optional(reader.text),
+    token_ref: reader.base64(),
+    receiver_pubkey: reader.base64(),
+    timestamp: reader.uint(),
+    signature: reader.base64(),
+  };
+  reader.end();
+  return ack;
+};
+
+/**
+ * Encode an ACK as bytes for transfer
+ * Falls back to UTF-8 JSON for an ACK the compact layout cannot carry exactly.
+ * @param {Object} ack - ACK message
+ * @returns {Uint8Array} Encoded ACK
+ */
+export const encodeAckBytes = (ack) => {
+  try {
+    const compact = writeCompactAck(ack);
+    if (canonicalize(readCompactAck(compact)) === canonicalize(ack)) {
+      return compact;
+    }
+  } catch {
+    // Not representable in the compact layout
+  }
+  return encodeUtf8(JSON.stringify(ack));
+};
+
+/**
+ * Decode an ACK encoded by encodeAckBytes (compact or JSON)
+ * @param {Uint8Array} bytes - Encoded ACK
+ * @returns {Object} Parsed ACK message
+ * @throws {Error} If the bytes are not an encoded ACK
+ */
+export const decodeAckBytes = (bytes) =>
+  bytes[0] === COMPACT_ACK_ENCODING ? readCompactAck(bytes) : JSON.parse(decodeUtf8(bytes));
+
+/**
+ * Export ACK as base64 string
+ * @param {Object} ack - ACK message
+ * @returns {string} Base64 of the encoded ACK (see encodeAckBytes)
+ */
+export const serializeAck = (ack) => encodeBase64(toArrayBuffer(encodeAckBytes(ack)));
+
+/**
+ * Import ACK from base64 string
+ * @param {string} ackString - Base64-encoded ACK
+ * @returns {Object} Parsed ACK message
+ */
+export const deserializeAck = (ackString) => decodeAckBytes(new Uint8Array(decodeBase64(ackString)));
@@ -0,0 +1,142 @@
+/**
+ * QR Expiry Policy for TokPay
+ *
+ * Purpose:
+ * - Single source of truth for how long a receive QR is valid (threatModel.md §4)
+ * - Used by the generator (embeds tx.expiry), the verifier and the receive screen
+ *
+ * Policy:
+ * - TTL is configurable within the frozen 15–20 second window
+ * - Verification allows a small clock skew between receiver and sender devices
+ * - A QR is never valid for longer than the maximum TTL after it was issued,
+ *   whatever expiry it claims
+ *
+ * Times are unix ms unless a name says otherwise; tx.expiry in the QR is unix seconds.
+ */
+
+export const QR_TTL_MIN_MS = 15 * 1000;
+export const QR_TTL_MAX_MS = 20 * 1000;
+const DEFAULT_QR_TTL_MS = QR_TTL_MAX_MS;
+
+// Sender and receiver clocks are not synchronized while offline
+const DEFAULT_CLOCK_SKEW_TOLERANCE_MS = 5 * 1000;
+const MAX_CLOCK_SKEW_TOLERANCE_MS = 30 * 1000;
+
+// The receive screen swaps in a fresh QR this long before the current one expires
+export const QR_ROTATE_AHEAD_MS = 2 * 1000;
+
+// A QR scanned before expiry may start its payment up to this long after issue,
+// leaving the sender time to enter the amount and connect
+export const QR_ACCEPTANCE_WINDOW_MS = 2 * 60 * 1000;
+
+let qrTtlMs = DEFAULT_QR_TTL_MS;
+let clockSkewToleranceMs = DEFAULT_CLOCK_SKEW_TOLERANCE_MS;
+
+/**
+ * Get the configured QR time-to-live
+ *
+ * @returns {number} TTL (ms)
+ */
+export const getQrTtl = (): number => qrTtlMs;
+
+/**
+ * Configure the QR time-to-live
+ *
+ * @param {number} ttlMs - TTL (ms), must be within 15–20 seconds
+ * @returns {void}
+ * @throws {Error} If the TTL is outside the allowed window
+ */
+export const setQrTtl = (ttlMs: number): void => {
+  if (!Number.isFinite(ttlMs) || ttlMs < QR_TTL_MIN_MS || ttlMs > QR_TTL_MAX_MS) {
+    throw new Error(
+      `QR TTL must be between ${QR_TTL_MIN_MS / 1000} and ${QR_TTL_MAX_MS / 1000} seconds`
+    );
+  }
+  qrTtlMs = ttlMs;
+};
+
+/**
+ * Get the tolerated clock skew between devices
+ *
+ * @returns {number} Tolerance (ms)
+ */
+export const getClockSkewTolerance = (): number => clockSkewToleranceMs;
+
+/**
+ * Configure the tolerated clock skew between devices
+ *
+ * @param {number} toleranceMs - Tolerance (ms), 0 to 30 seconds
+ * @returns {void}
+ * @throws {Error} If the tolerance is out of range
+ */
+export const setClockSkewTolerance = (toleranceMs: number): void => {
+  if (
+    !Number.isFinite(toleranceMs) ||
+    toleranceMs < 0 ||
+    toleranceMs > MAX_CLOCK_SKEW_TOLERANCE_MS
+  ) {
+    throw new Error(
+      `Clock skew tolerance must be between 0 and ${MAX_CLOCK_SKEW_TOLERANCE_MS / 1000} seconds`
+    );
+  }
+  clockSkewToleranceMs = toleranceMs;
+};
+
+/**
+ * Compute the expiry to embed in a newly issued QR
+ *
+ * @param {number} issuedAtMs - Issue time (ms)
+ * @returns {number} Expiry (unix seconds)
+ */
+export const computeQrExpiry = (issuedAtMs: number): number =>
+  Math.floor((issuedAtMs + qrTtlMs) / 1000);
+
+/**
+ * Get the effective expiry of a QR
+ * Uses the embedded expiry when present (capped at the maximum TTL), otherwise
+ * the issue time plus the configured TTL (QR versions without tx.expiry).
+ *
+ * @param {number} issuedAtMs - Issue time from the QR (ms)
+ * @param {number} expirySeconds - Embedded expiry (unix seconds), if any
+ * @returns {number} Expiry (ms)
+ */
+export const getQrExpiresAt = (issuedAtMs: number, expirySeconds?: number): number => {
+  if (typeof expirySeconds !== 'number') {
+    return issuedAtMs + qrTtlMs;
+  }
+  return Math.min(expirySeconds * 1000, issuedAtMs + QR_TTL_MAX_MS);
+};
+
+/**
+ * Check whether a QR is expired, allowing for clock skew
+ * A QR issued in the future (beyond the tolerance) is treated as expired too.
+ *
+ * @param {number} issuedAtMs - Issue time from the QR (ms)
+ * @param {number} expirySeconds - Embedded expiry (unix seconds), if any
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} True if the QR must be rejected
+ */
+export const isQrExpired = (
+  issuedAtMs: number,
+  expirySeconds?: number,
+  now: number = Date.now()
+): boolean => {
+  if (!Number.isFinite(issuedAtMs)) {
+    return true;
+  }
+  if (issuedAtMs - now > clockSkewToleranceMs) {
+    return true;
+  }
+  return now > getQrExpiresAt(issuedAtMs, expirySeconds) + clockSkewToleranceMs;
+};
+
+/**
+ * Time left before a QR expires on the issuing device (no skew allowance)
+ * Used for the receive screen countdown.
+ *
+ * @param {number} expiresAtMs - Effective expiry (ms)
+ * @param {number} now - Current time (ms)
+ * @returns {number} Remaining time (ms), never negative
+ */
+export const getQrTimeRemaining = (expiresAtMs: number, now: number = Date.now()): number =>
+  Math.max(0, expiresAtMs - now);
@@ -7,39 +7,87 @@
  * - Clean separation between data assembly and crypto operations
  * 
  * Architecture:
- * - generateReceiveQR(): assembles payload + signs with ephemeral key
- * - verifyReceiveQR(): validates signature + timestamp expiry
- * - Crypto operations delegated to cryptoUtils.ts
+ * - generateReceiveQR(): assembles payload + signs with the certified merchant key
+ * - verifyReceiveQR(): validates merchant certificate chain + signature + expiry
+ * - Expiry rules delegated to qrExpiryPolicy.ts
+ * - Crypto operations delegated to cryptoUtils.ts and certificateChain.js
  * 
  * QR Payload Structure:
  * {
  *   device_id: string,           // Receiver's unique device ID
  *   device_name: string,          // Human-readable device name
- *   ble_service_uuid: string,     // BLE service UUID for connection
- *   ephemeral_public_key: string, // Session-scoped public key (base64)
+ *   ble_service_uuid: string,     // BLE service UUID to connect to, per session from v2.6 (bleProtocol.ts)
+ *   ephemeral_public_key: string, // Session-scoped signing key (base64, before v2.5)
+ *   session_public_key: string,   // X25519 key for the encrypted BLE session (v2.3+, in conn)
  *   nonce: string,                // Random nonce for replay protection (base64)
- *   timestamp: number,            // Unix timestamp (ms)
+ *   timestamp: number,            // Issue time, unix seconds from v2.7 (ms before, in tx)
+ *   expiry: number,               // Unix seconds, issue time + TTL (v2.4+, in tx)
+ *   merchant_id: string,          // Certified merchant ID, equal to device_id (v2.5+, in merchant)
+ *   merchant_name: string,        // Bank-certified merchant name (v2.5+, in merchant)
+ *   cert_chain: Array,            // Bank certificate chain for the merchant key (v2.5+, in merchant)
  *   version: string,              // Protocol version
- *   signature: string             // Ed25519 signature over all fields (base64)
+ *   signature: string             // Ed25519 signature over all fields (base64), by the merchant key from v2.5
  * }
  */
 
 import {
-  getEphemeralPublicKey,
   generateNonce,
-  signQRPayload,
+  encodeQRSigningMessage,
   verifyQRSignature,
 } from './cryptoUtils';
-
-// BLE Service UUID (must match bleTransport.js and bleSessionManager.ts)
-const TOKPAY_SERVICE_UUID = '0000ffe0-0000-1000-8000-00805f9b34fb';
-
-// QR code expiry time (5 minutes)
-const QR_EXPIRY_TIME_MS = 5 * 60 * 1000;
+import {isValidSessionPublicKey} from './secureChannel';
+import {TOKPAY_SERVICE_UUID, isSessionServiceUuid} from './bleProtocol';
+import {verifyCertificateChain, CERT_ROLE} from './certificateChain';
+import Config from './config';
+import {computeQrExpiry, isQrExpired as isQrExpiredByPolicy, getQrTtl} from './qrExpiryPolicy';
 
 // Protocol versions for QR payload
+// 2.1 has the same layout as 2.0 but is signed over canonical JSON (RFC 8785)
+// 2.2 signs that canonical JSON as UTF-8 (earlier versions truncated to 8 bits)
+// 2.3 adds conn.session_public_key for the encrypted BLE session
+// 2.4 adds tx.expiry (unix seconds) as in the frozen QR format
+// 2.5 adds the merchant block and is signed by the certified merchant key instead of
+//     the ephemeral key, which is dropped from conn
+// 2.6 carries the per-session service UUID the receiver advertises in conn.ble_service_uuid
+// 2.7 carries tx.timestamp in unix seconds, like tx.expiry (milliseconds before)
 const QR_PROTOCOL_V1 = '1.0';
 const QR_PROTOCOL_V2 = '2.0';
+const QR_PROTOCOL_V2_1 = '2.1';
+const QR_PROTOCOL_V2_2 = '2.2';
+const QR_PROTOCOL_V2_3 = '2.3';
+const QR_PROTOCOL_V2_4 = '2.4';
+const QR_PROTOCOL_V2_5 = '2.5';
+const QR_PROTOCOL_V2_6 = '2.6';
+const QR_PROTOCOL_V2_7 = '2.7';
+const QR_V2_LAYOUT_VERSIONS = [
+  QR_PROTOCOL_V2,
+  QR_PROTOCOL_V2_1,
+  QR_PROTOCOL_V2_2,
+  QR_PROTOCOL_V2_3,
+  QR_PROTOCOL_V2_4,
+  QR_PROTOCOL_V2_5,
+  QR_PROTOCOL_V2_6,
+  QR_PROTOCOL_V2_7,
+];
+const QR_SESSION_KEY_VERSIONS = [
+  QR_PROTOCOL_V2_3,
+  QR_PROTOCOL_V2_4,
+  QR_PROTOCOL_V2_5,
+  QR_PROTOCOL_V2_6,
+  QR_PROTOCOL_V2_7,
+];
+const QR_EXPIRY_FIELD_VERSIONS = [QR_PROTOCOL_V2_4, QR_PROTOCOL_V2_5, QR_PROTOCOL_V2_6, QR_PROTOCOL_V2_7];
+const QR_MERCHANT_VERSIONS = [QR_PROTOCOL_V2_5, QR_PROTOCOL_V2_6, QR_PROTOCOL_V2_7];
+const QR_SESSION_UUID_VERSIONS = [QR_PROTOCOL_V2_6, QR_PROTOCOL_V2_7];
+const QR_SECONDS_TIMESTAMP_VERSIONS = [QR_PROTOCOL_V2_7];
+
+// Certified merchant able to sign receive QRs (see merchantProfile.getMerchantSigner)
+type MerchantSigner = {
+  merchantId: string;
+  merchantName: string;
+  certChain: Array<Record<string, any>>;
+  sign: (message: Uint8Array) => string;
+};
 
 /**
  * Generate receive QR payload with signature
@@ -48,51 +96,72 @@ const QR_PROTOCOL_V2 = '2.0';
  * @param {Object} payloadDeps - Dependencies for QR generation
  * @param {string} payloadDeps.deviceId - Receiver's device ID
  * @param {string} payloadDeps.deviceName - Receiver's device name
+ * @param {string} payloadDeps.sessionPublicKey - X25519 key from secureChannel.openReceiverSession
+ * @param {string} payloadDeps.serviceUuid - Service UUID advertised for the same session (bleProtocol.getSessionServiceUuid)
+ * @param {Object} payloadDeps.merchant - Certified merchant signer (merchantProfile.getMerchantSigner)
  * @returns {string} JSON string of signed QR payload
  */
 export const generateReceiveQR = (payloadDeps: {
   deviceId: string;
   deviceName: string;
+  sessionPublicKey: string;
+  serviceUuid: string;
+  merchant: MerchantSigner;
 }): string => {
   try {
-    const {deviceId, deviceName} = payloadDeps;
+    const {deviceId, deviceName, sessionPublicKey, serviceUuid, merchant} = payloadDeps;
 
     // Validate inputs
     if (!deviceId || !deviceName) {
       throw new Error('Device ID and device name are required');
     }
-
-    // Get session-scoped ephemeral public key (cached per session)
-    const ephemeralPublicKey = getEphemeralPublicKey();
+    if (!isValidSessionPublicKey(sessionPublicKey)) {
+      throw new Error('A valid session public key is required');
+    }
+    if (!isSessionServiceUuid(serviceUuid)) {
+      throw new Error('A per-session BLE service UUID is required');
+    }
+    if (!merchant || merchant.merchantId !== deviceId) {
+      throw new Error('A merchant certificate for this device is required');
+    }
 
     // Transaction intent (kept inside QR; no extra UI)
-    const txTimestamp = Date.now();
+    const issuedAtMs = Date.now();
     const txNonce = generateNonce();
 
     // Connection bootstrap fields (for establishing BLE connection)
     const conn = {
       device_id: deviceId,
       device_name: deviceName,
-      ble_service_uuid: TOKPAY_SERVICE_UUID,
-      ephemeral_public_key: ephemeralPublicKey,
+      ble_service_uuid: serviceUuid,
+      session_public_key: sessionPublicKey,
     };
 
     // Transaction intent fields (for binding intent to the QR)
     const tx = {
       intent: 'receive',
-      timestamp: txTimestamp,
+      timestamp: Math.floor(issuedAtMs / 1000),
+      expiry: computeQrExpiry(issuedAtMs),
       nonce: txNonce,
     };
 
+    // Who is asking to be paid, as certified by the bank
+    const merchantBlock = {
+      merchant_id: merchant.merchantId,
+      merchant_name: merchant.merchantName,
+      cert_chain: merchant.certChain,
+    };
+
     // Assemble payload (without signature)
     const payload = {
-      version: QR_PROTOCOL_V2,
+      version: QR_PROTOCOL_V2_7,
       conn,
       tx,
+      merchant: merchantBlock,
     };
 
-    // Sign payload with ephemeral secret key
-    const signature = signQRPayload(payload);
+    // Sign payload with the long-term merchant key
+    const signature = merchant.sign(encodeQRSigningMessage(payload));
 
     // Add signature to payload
     const signedPayload = {
@@ -112,14 +181,21 @@ export const generateReceiveQR = (payloadDeps: {
 /**
  * Verify receive QR payload signature and expiry
  * Validates cryptographic signature and timestamp
+ * From 2.5 also validates the merchant certificate chain against the pinned bank key;
+ * only then does the result carry `merchant`.
  * 
  * @param {string} qrString - JSON string of QR payload
- * @returns {Object} Verification result with success flag and parsed data
+ * @param {string} bankPublicKey - Pinned bank root key (base64)
+ * @returns {Object} Verification result with success flag, parsed data and the certified merchant, if any
  */
-export const verifyReceiveQR = (qrString: string): {
+export const verifyReceiveQR = (
+  qrString: string,
+  bankPublicKey: string = Config.BANK_PUBLIC_KEY,
+): {
   success: boolean;
   message: string;
   payload?: any;
+  merchant?: {merchantId: string; merchantName: string};
 } => {
   try {
     // Parse QR string
@@ -154,9 +230,8 @@ export const verifyReceiveQR = (qrString: string): {
         };
       }
 
-      const now = Date.now();
-      const age = now - payload.timestamp;
-      if (age > QR_EXPIRY_TIME_MS) {
+      if (isQrExpiredByPolicy(payload.timestamp)) {
+        const age = Date.now() - payload.timestamp;
         return {
           success: false,
           message: `QR code expired (age: ${Math.floor(age / 1000)}s)`,
@@ -183,8 +258,8 @@ export const verifyReceiveQR = (qrString: string): {
       };
     }
 
-    // Versioned schema validation (v2)
-    if (payload?.version !== QR_PROTOCOL_V2) {
+    // Versioned schema validation (v2 layout)
+    if (!QR_V2_LAYOUT_VERSIONS.includes(payload?.version)) {
       return {
         success: false,
         message: `Unsupported protocol version: ${payload?.version ?? 'missing'}`,
@@ -201,13 +276,12 @@ export const verifyReceiveQR = (qrString: string): {
       }
     }
 
+    const isMerchantQR = QR_MERCHANT_VERSIONS.includes(payload.version);
+
     // Validate connection bootstrap fields
-    const connRequired = [
-      'device_id',
-      'device_name',
-      'ble_service_uuid',
-      'ephemeral_public_key',
-    ];
+    const connRequired = isMerchantQR
+      ? ['device_id', 'device_name', 'ble_service_uuid']
+      : ['device_id', 'device_name', 'ble_service_uuid', 'ephemeral_public_key'];
     for (const field of connRequired) {
       if (!payload.conn?.[field]) {
         return {
@@ -217,13 +291,29 @@ export const verifyReceiveQR = (qrString: string): {
       }
     }
 
-    if (payload.conn.ble_service_uuid !== TOKPAY_SERVICE_UUID) {
+    // From 2.6 each QR session advertises its own UUID under the TokPay prefix;
+    // earlier QRs name the fixed GATT service
+    const isValidServiceUuid = QR_SESSION_UUID_VERSIONS.includes(payload.version)
+      ? isSessionServiceUuid(payload.conn.ble_service_uuid)
+      : payload.conn.ble_service_uuid === TOKPAY_SERVICE_UUID;
+    if (!isValidServiceUuid) {
       return {
         success: false,
         message: 'Invalid BLE service UUID',
       };
     }
 
+    // From 2.3 the QR must advertise the key for the encrypted BLE session
+    if (
+      QR_SESSION_KEY_VERSIONS.includes(payload.version) &&
+      !isValidSessionPublicKey(payload.conn.session_public_key)
+    ) {
+      return {
+        success: false,
+        message: 'Missing or invalid BLE field: conn.session_public_key',
+      };
+    }
+
     // Validate transaction intent fields
     const txRequired = ['intent', 'timestamp', 'nonce'];
     for (const field of txRequired) {
@@ -242,24 +332,84 @@ export const verifyReceiveQR = (qrString: string): {
       };
     }
 
-    // Reject if tx timestamp is stale
-    const now = Date.now();
-    const age = now - payload.tx.timestamp;
-    if (age > QR_EXPIRY_TIME_MS) {
+    // From 2.7 the issue time is whole unix seconds
+    if (
+      QR_SECONDS_TIMESTAMP_VERSIONS.includes(payload.version) &&
+      !Number.isInteger(payload.tx.timestamp)
+    ) {
+      return {
+        success: false,
+        message: 'Missing or invalid tx field: tx.timestamp',
+      };
+    }
+
+    // From 2.4 the signed expiry is mandatory
+    if (
+      QR_EXPIRY_FIELD_VERSIONS.includes(payload.version) &&
+      !Number.isInteger(payload.tx.expiry)
+    ) {
+      return {
+        success: false,
+        message: 'Missing or invalid tx field: tx.expiry',
+      };
+    }
+
+    // Reject if the QR is past its expiry (or issued in the future), within clock skew tolerance
+    const issuedAtMs = getQrIssuedAt(payload);
+    if (isQrExpiredByPolicy(issuedAtMs, payload.tx.expiry)) {
+      const age = Date.now() - issuedAtMs;
       return {
         success: false,
         message: `QR intent expired (age: ${Math.floor(age / 1000)}s)`,
       };
     }
 
-    // Verify signature over (version + conn + tx)
-    const isValidSignature = verifyQRSignature(
-      payload,
-      payload.signature,
-      payload.conn.ephemeral_public_key
-    );
+    if (!isMerchantQR) {
+      // Verify signature over (version + conn + tx)
+      const isValidSignature = verifyQRSignature(
+        payload,
+        payload.signature,
+        payload.conn.ephemeral_public_key
+      );
+
+      if (!isValidSignature) {
+        return {
+          success: false,
+          message: 'Invalid signature',
+        };
+      }
+
+      return {
+        success: true,
+        message: 'QR payload verified successfully',
+        payload,
+      };
+    }
+
+    // The merchant key must be certified by the bank for this merchant and device
+    const chain = verifyCertificateChain(payload.merchant?.cert_chain, bankPublicKey, {
+      role: CERT_ROLE.MERCHANT,
+    });
+    const {leaf} = chain;
+    if (!chain.valid || !leaf?.subject_name) {
+      return {
+        success: false,
+        message: `Invalid merchant certificate: ${chain.error}`,
+      };
+    }
+    if (
+      leaf.subject_id !== payload.merchant.merchant_id ||
+      leaf.subject_name !== payload.merchant.merchant_name ||
+      payload.merchant.merchant_id !== payload.conn.device_id
+    ) {
+      return {
+        success: false,
+        message: 'Merchant certificate does not match this QR',
+      };
+    }
 
-    if (!isValidSignature) {
+    // Verify signature over (version + conn + tx + merchant)
+    if (!verifyQRSignature(payload, payload.signature, leaf.public_key)) {
       return {
         success: false,
         message: 'Invalid signature',
@@ -270,6 +420,10 @@ export const verifyReceiveQR = (qrString: string): {
       success: true,
       message: 'QR payload verified successfully',
       payload,
+      merchant: {
+        merchantId: leaf.subject_id,
+        merchantName: leaf.subject_name,
+      },
     };
   } catch (error) {
     console.error('[QR Generator] Error verifying receive QR:', error);
@@ -281,16 +435,29 @@ export const verifyReceiveQR = (qrString: string): {
   }
 };
 
+/**
+ * Get the issue time of a v2 receive QR in milliseconds
+ * tx.timestamp is unix seconds from 2.7 and unix ms before.
+ *
+ * @param {Object} payload - Parsed QR payload (version + tx)
+ * @returns {number} Issue time (ms)
+ */
+export const getQrIssuedAt = (payload: {version: string; tx: {timestamp: number}}): number => {
+  return QR_SECONDS_TIMESTAMP_VERSIONS.includes(payload.version)
+    ? payload.tx.timestamp * 1000
+    : payload.tx.timestamp;
+};
+
 /**
  * Check if QR timestamp has expired
  * Helper function for UI to determine if refresh needed
  * 
  * @param {number} timestamp - QR timestamp (ms)
+ * @param {number} expiry - Embedded tx.expiry (unix seconds), if any
  * @returns {boolean} True if expired, false otherwise
  */
-export const isQRExpired = (timestamp: number): boolean => {
-  const age = Date.now() - timestamp;
-  return age > QR_EXPIRY_TIME_MS;
+export const isQRExpired = (timestamp: number, expiry?: number): boolean => {
+  return isQrExpiredByPolicy(timestamp, expiry);
 };
 
 /**
@@ -299,5 +466,5 @@ export const isQRExpired = (timestamp: number): boolean => {
  * @returns {number} Expiry time (ms)
  */
 export const getQRExpiryTime = (): number => {
-  return QR_EXPIRY_TIME_MS;
+  return getQrTtl();
 };
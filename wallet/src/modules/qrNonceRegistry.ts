@@ -0,0 +1,102 @@
+/**
+ * QR Nonce Registry (Receiver-side)
+ *
+ * Purpose:
+ * - Remember the tx.nonce of every receive QR this device generated
+ * - Let each nonce start exactly one payment, so a screenshot of a QR cannot
+ *   be replayed for more payments while it is still valid
+ *
+ * Architecture:
+ * - The sender binds the scanned nonce into its secure session handshake
+ *   (secureChannel.ts), so the nonce arrives authenticated with the token
+ * - A nonce is tied to the BLE session opened for the same QR
+ * - Nonces are dropped after the QR acceptance window (qrExpiryPolicy.ts)
+ * - In-memory only: receive mode starts from a clean registry
+ */
+
+import {QR_ACCEPTANCE_WINDOW_MS} from './qrExpiryPolicy';
+
+// Result code when a token arrives for an unknown, expired or already used QR
+export const QR_NONCE_USED = 'QR_NONCE_USED';
+
+type OutstandingNonce = {
+  sessionId: string;
+  issuedAt: number;
+};
+
+// Outstanding nonces by nonce value
+const outstandingNonces = new Map<string, OutstandingNonce>();
+
+/**
+ * Drop nonces whose QR can no longer start a payment
+ *
+ * @param {number} now - Current time (ms)
+ * @returns {void}
+ */
+export const pruneQrNonces = (now: number = Date.now()): void => {
+  for (const [nonce, entry] of outstandingNonces) {
+    if (now - entry.issuedAt > QR_ACCEPTANCE_WINDOW_MS) {
+      outstandingNonces.delete(nonce);
+    }
+  }
+};
+
+/**
+ * Register the nonce of a newly generated QR
+ *
+ * @param {string} nonce - tx.nonce from the QR
+ * @param {string} sessionId - Secure session opened for the same QR
+ * @param {number} issuedAt - QR issue time (ms)
+ * @returns {void}
+ */
+export const registerQrNonce = (
+  nonce: string,
+  sessionId: string,
+  issuedAt: number = Date.now()
+): void => {
+  pruneQrNonces();
+  outstandingNonces.set(nonce, {sessionId, issuedAt});
+};
+
+/**
+ * Check a nonce presented in a sender's handshake without using it up
+ *
+ * @param {string} nonce - Nonce the sender bound into its session
+ * @param {string} sessionId - Session the hello arrived on
+ * @returns {boolean} True if the nonce is outstanding on that session
+ */
+export const isQrNonceOutstanding = (nonce: string, sessionId: string): boolean => {
+  pruneQrNonces();
+
+  const entry = outstandingNonces.get(nonce);
+  return !!entry && entry.sessionId === sessionId;
+};
+
+/**
+ * Consume a nonce presented by a sender
+ * Succeeds once per nonce, and only on the session of the QR that carried it.
+ *
+ * @param {string} nonce - Nonce the sender bound into its session
+ * @param {string} sessionId - Session the token arrived on
+ * @returns {boolean} True if the nonce was outstanding and is now used
+ */
+export const consumeQrNonce = (nonce: string, sessionId: string): boolean => {
+  pruneQrNonces();
+
+  const entry = outstandingNonces.get(nonce);
+  if (!entry || entry.sessionId !== sessionId) {
+    return false;
+  }
+
+  outstandingNonces.delete(nonce);
+  return true;
+};
+
+/**
+ * Forget all outstanding nonces (e.g. when leaving receive mode)
+ *
+ * @returns {void}
+ */
+export const clearQrNonces = (): void => {
+  outstandingNonces.clear();
+};
@@ -1,7 +1,6 @@
 import {getDeviceIdentity} from './deviceIdentity';
-
-// BLE service UUID for offline payment (used for auto-discovery)
-const BLE_SERVICE_UUID = '00001234-0000-1000-8000-00805f9b34fb';
+import {isQrExpired as isQrExpiredByPolicy} from './qrExpiryPolicy';
+import {TOKPAY_SERVICE_UUID} from './bleProtocol';
 
 /**
  * Generate a random nonce for replay attack prevention
@@ -37,7 +36,7 @@ export const buildQrPayload = async () => {
     const payload = {
       deviceId,
       deviceName,
-      bleServiceUuid: BLE_SERVICE_UUID,
+      bleServiceUuid: TOKPAY_SERVICE_UUID,
       ephemeralPublicKey,
       nonce,
       timestamp,
@@ -94,12 +93,10 @@ export const decodeQrPayload = (encodedPayload) => {
 
 /**
  * Check if QR payload has expired based on timestamp
+ * Delegates to the shared QR expiry policy (15–20s TTL with clock skew tolerance)
  * @param {Object} payload - Decoded payload object
- * @param {number} expirySeconds - Expiry time in seconds (default 20s)
  * @returns {boolean} True if expired
  */
-export const isQrExpired = (payload, expirySeconds = 60) => {
-  const now = Date.now();
-  const age = (now - payload.timestamp) / 1000; // Convert to seconds
-  return age > expirySeconds;
+export const isQrExpired = (payload) => {
+  return isQrExpiredByPolicy(payload.timestamp, payload.expiry);
 };
@@ -1,5 +1,7 @@
 import Config from './config';
 import {serializeToken} from './offlineToken';
+import {getDeviceIdentity} from './deviceIdentity';
+import {signBankRequest} from './bankClient';
 
 export const sendTokenViaRelay = async (token, recipientDeviceId) => {
   if (!Config.RELAY_ENDPOINT) {
@@ -26,3 +28,33 @@ export const sendTokenViaRelay = async (token, recipientDeviceId) => {
 
   return true;
 };
+
+/**
+ * Collect the payloads relayed to this device
+ * The relay hands them over once, so the request is signed with the wallet key.
+ * @returns {Promise<Array<Object>>} Messages {payload, sent_at, received_at}, oldest first
+ */
+export const fetchRelayMessages = async () => {
+  if (!Config.RELAY_ENDPOINT) {
+    throw new Error('Relay endpoint not configured');
+  }
+  const {deviceId} = await getDeviceIdentity();
+  const {signed_at: signedAt, nonce, signature} = await signBankRequest(`/api/relay/${deviceId}`, {
+    device_id: deviceId,
+  });
+  const query = [
+    `signed_at=${signedAt}`,
+    `nonce=${encodeURIComponent(nonce)}`,
+    `signature=${encodeURIComponent(signature)}`,
+  ].join('&');
+
+  const response = await fetch(`${Config.RELAY_ENDPOINT}/api/relay/${encodeURIComponent(deviceId)}?${query}`);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.message || `Relay failed with status ${response.status}`);
+  }
+
+  const {messages} = await response.json();
+  return messages;
+};
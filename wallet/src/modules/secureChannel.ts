@@ -0,0 +1,457 @@
+/**
+ * Secure BLE Channel for TokPay
+ *
+ * Purpose:
+ * - Encrypt and authenticate every message exchanged over BLE (threatModel.md §8)
+ * - Tie each channel to the X25519 session key advertised in the receive QR
+ *
+ * Architecture:
+ * - Receiver opens a session per QR: an X25519 keypair whose public half is
+ *   placed in the signed QR (conn.session_public_key)
+ * - Sender generates its own ephemeral X25519 keypair and derives the shared
+ *   key with tweetnacl box (X25519 + XSalsa20-Poly1305)
+ * - Every message travels as an envelope carrying the session id and the
+ *   sender's ephemeral public key; the receiver derives the same shared key
+ * - BLE framing (bleFraming.ts) only guards against lost or corrupted frames:
+ *   a frame on its own is not authenticated, but any change to the
+ *   reassembled envelope fails the MAC
+ *
+ * Envelope (bytes, carried as is by the BLE framing):
+ *   version(1)  ENVELOPE_VERSION
+ *   sid(16)     Session id derived from the receiver session key
+ *   epk(32)     Sender's ephemeral X25519 public key
+ *   n(24)       Box nonce, random per message
+ *   ct          nacl.box ciphertext of the plaintext below
+ * Plaintext, in compactEncoding.js fields: dir u8, type u8, sid (16 bytes),
+ * qr_nonce optional text, then the message data to the end.
+ *
+ * The sealed plaintext repeats the session id and carries the direction, so a
+ * message cannot be replayed into another session or reflected back to its sender.
+ * Sender messages also carry the tx.nonce of the scanned QR (qr_nonce), which the
+ * receiver consumes once (qrNonceRegistry.ts).
+ *
+ * Handshake: before any token is sent, the sender seals a hello carrying a
+ * random challenge; the receiver can only open it, and seal the challenge
+ * back, with the secret half of the QR session key. The receiver accepts data
+ * only from senders it answered, and answers only a hello bound to the nonce
+ * of one of its outstanding QRs.
+ *
+ * Discovery: the receiver advertises the service UUID of its newest session
+ * (bleProtocol.ts) and a short tag of each recent session id
+ * (getAdvertisedSessionTags), so a sender connects only to the device whose
+ * QR it scanned. Both are public and only narrow the scan; the handshake is
+ * what proves the device holds the session.
+ */
+
+import nacl from 'tweetnacl';
+import {encode as encodeBase64, decode as decodeBase64} from 'base64-arraybuffer';
+import {createByteWriter, createByteReader} from './compactEncoding';
+import {QR_ACCEPTANCE_WINDOW_MS} from './qrExpiryPolicy';
+
+// v3 adds the message type; v2 was binary without it; v1 was base64 of JSON
+const ENVELOPE_VERSION = 3;
+const SESSION_ID_BYTES = 16;
+const CHALLENGE_BYTES = 16;
+const ENVELOPE_HEADER_BYTES = 1 + SESSION_ID_BYTES + nacl.box.publicKeyLength + nacl.box.nonceLength;
+
+// Receiver sessions outlive their short-lived QR: a sender who scanned it still
+// has to enter the amount and connect before the token arrives
+const DEFAULT_SESSION_MAX_AGE_MS = QR_ACCEPTANCE_WINDOW_MS;
+
+// Advertised session tags: 5 tags of 4 bytes fill the TokPay service data
+// in the scan response (blePeripheral.ts), covering about 90 s of QRs
+export const SESSION_TAG_BYTES = 4;
+const MAX_ADVERTISED_SESSIONS = 5;
+
+type Direction = 'to_receiver' | 'to_sender';
+
+const DIRECTION_CODE: Record<Direction, number> = {
+  to_receiver: 1,
+  to_sender: 2,
+};
+
+type MessageType = 'hello' | 'data';
+
+const MESSAGE_TYPE_CODE: Record<MessageType, number> = {
+  hello: 1,
+  data: 2,
+};
+
+type Envelope = {
+  sid: string;
+  epk: string;
+  nonce: Uint8Array;
+  ct: Uint8Array;
+};
+
+/**
+ * Established channel between one sender and one receiver session
+ */
+export type SecureSession = {
+  sessionId: string;
+  role: 'sender' | 'receiver';
+  senderPublicKey: string;
+  sharedKey: Uint8Array;
+  qrNonce: string | null;
+};
+
+type ReceiverSession = {
+  keypair: nacl.BoxKeyPair;
+  createdAt: number;
+  // Ephemeral keys of senders whose hello this session answered
+  provenSenders: Set<string>;
+};
+
+// Receiver sessions by session id (one per generated QR)
+const receiverSessions = new Map<string, ReceiverSession>();
+
+const toArrayBuffer = (bytes: Uint8Array): ArrayBuffer =>
+  bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer;
+
+const toBase64 = (bytes: Uint8Array): string => encodeBase64(toArrayBuffer(bytes));
+
+const fromBase64 = (value: string): Uint8Array => new Uint8Array(decodeBase64(value));
+
+/**
+ * Derive the session id for a receiver session public key
+ *
+ * @param {string} sessionPublicKey - Base64 X25519 public key from the QR
+ * @returns {string} Base64 session id
+ */
+export const getSessionId = (sessionPublicKey: string): string => {
+  const digest = nacl.hash(fromBase64(sessionPublicKey));
+  return toBase64(digest.subarray(0, SESSION_ID_BYTES));
+};
+
+/**
+ * Get the advertised tag of a session
+ *
+ * @param {string} sessionId - Base64 session id (getSessionId)
+ * @returns {Uint8Array} First SESSION_TAG_BYTES of the session id
+ */
+export const getSessionTag = (sessionId: string): Uint8Array =>
+  fromBase64(sessionId).slice(0, SESSION_TAG_BYTES);
+
+/**
+ * Check whether advertised session tags include a tag
+ *
+ * @param {Uint8Array} advertised - Concatenated tags from the receiver's advertisement
+ * @param {Uint8Array} tag - Tag of the session the sender scanned
+ * @returns {boolean} True if one of the advertised tags matches
+ */
+export const hasSessionTag = (advertised: Uint8Array, tag: Uint8Array): boolean => {
+  if (tag.length !== SESSION_TAG_BYTES) {
+    return false;
+  }
+  for (let offset = 0; offset + SESSION_TAG_BYTES <= advertised.length; offset += SESSION_TAG_BYTES) {
+    if (nacl.verify(advertised.subarray(offset, offset + SESSION_TAG_BYTES), tag)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Check that a value is a base64 X25519 public key
+ *
+ * @param {unknown} value - Candidate key
+ * @returns {boolean} True if the value decodes to 32 bytes
+ */
+export const isValidSessionPublicKey = (value: unknown): boolean => {
+  try {
+    return (
+      typeof value === 'string' &&
+      fromBase64(value).length === nacl.box.publicKeyLength
+    );
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Drop receiver sessions older than the given age
+ *
+ * @param {number} maxAgeMs - Maximum session age (ms)
+ * @returns {void}
+ */
+export const pruneReceiverSessions = (maxAgeMs: number = DEFAULT_SESSION_MAX_AGE_MS): void => {
+  const now = Date.now();
+  for (const [sessionId, session] of receiverSessions) {
+    if (now - session.createdAt > maxAgeMs) {
+      receiverSessions.delete(sessionId);
+    }
+  }
+};
+
+/**
+ * Open a new receiver session for a QR code
+ * Older sessions stay open until they age out, so a sender who scanned the
+ * previous QR can still complete its transfer.
+ *
+ * @param {number} maxAgeMs - Age after which older sessions are dropped
+ * @returns {Object} Session id and base64 public key to place in the QR
+ */
+export const openReceiverSession = (
+  maxAgeMs: number = DEFAULT_SESSION_MAX_AGE_MS
+): {sessionId: string; publicKey: string} => {
+  pruneReceiverSessions(maxAgeMs);
+
+  const keypair = nacl.box.keyPair();
+  const publicKey = toBase64(keypair.publicKey);
+  const sessionId = getSessionId(publicKey);
+  receiverSessions.set(sessionId, {keypair, createdAt: Date.now(), provenSenders: new Set()});
+
+  console.log('[SecureChannel] Receiver session opened');
+  return {sessionId, publicKey};
+};
+
+/**
+ * Get the tags to advertise for the open receiver sessions
+ * Newest first, so the QR on screen is always included.
+ *
+ * @returns {Uint8Array} Concatenated tags of up to MAX_ADVERTISED_SESSIONS sessions
+ */
+export const getAdvertisedSessionTags = (): Uint8Array => {
+  pruneReceiverSessions();
+
+  const sessionIds = [...receiverSessions.keys()].reverse().slice(0, MAX_ADVERTISED_SESSIONS);
+  const tags = new Uint8Array(sessionIds.length * SESSION_TAG_BYTES);
+  sessionIds.forEach((sessionId, i) => tags.set(getSessionTag(sessionId), i * SESSION_TAG_BYTES));
+  return tags;
+};
+
+/**
+ * Close all receiver sessions (e.g. when leaving receive mode)
+ *
+ * @returns {void}
+ */
+export const closeReceiverSessions = (): void => {
+  receiverSessions.clear();
+};
+
+/**
+ * Start a sender session against the key advertised in a verified QR
+ *
+ * @param {string} receiverSessionKey - Base64 conn.session_public_key from the QR
+ * @param {string} qrNonce - tx.nonce from the same QR, bound into every message to the receiver
+ * @returns {SecureSession} Session used to seal the token and open the ACK
+ */
+export const startSenderSession = (receiverSessionKey: string, qrNonce: string): SecureSession => {
+  if (!isValidSessionPublicKey(receiverSessionKey)) {
+    throw new Error('Invalid receiver session key');
+  }
+  if (typeof qrNonce !== 'string' || qrNonce.length === 0) {
+    throw new Error('QR nonce is required');
+  }
+
+  const keypair = nacl.box.keyPair();
+  return {
+    sessionId: getSessionId(receiverSessionKey),
+    role: 'sender',
+    senderPublicKey: toBase64(keypair.publicKey),
+    sharedKey: nacl.box.before(fromBase64(receiverSessionKey), keypair.secretKey),
+    qrNonce,
+  };
+};
+
+const outgoingDirection = (session: SecureSession): Direction =>
+  session.role === 'sender' ? 'to_receiver' : 'to_sender';
+
+const incomingDirection = (session: SecureSession): Direction =>
+  session.role === 'sender' ? 'to_sender' : 'to_receiver';
+
+const parseEnvelope = (bytes: Uint8Array): Envelope | null => {
+  if (!(bytes instanceof Uint8Array) || bytes.length <= ENVELOPE_HEADER_BYTES || bytes[0] !== ENVELOPE_VERSION) {
+    return null;
+  }
+  const epkOffset = 1 + SESSION_ID_BYTES;
+  const nonceOffset = epkOffset + nacl.box.publicKeyLength;
+  return {
+    sid: toBase64(bytes.subarray(1, epkOffset)),
+    epk: toBase64(bytes.subarray(epkOffset, nonceOffset)),
+    nonce: bytes.slice(nonceOffset, ENVELOPE_HEADER_BYTES),
+    ct: bytes.slice(ENVELOPE_HEADER_BYTES),
+  };
+};
+
+const decryptEnvelope = (
+  session: SecureSession,
+  envelope: Envelope
+): {type: MessageType; qrNonce: string | null; data: Uint8Array} | null => {
+  try {
+    const plaintext = nacl.box.open.after(envelope.ct, envelope.nonce, session.sharedKey);
+    if (!plaintext) {
+      return null;
+    }
+
+    const reader = createByteReader(plaintext);
+    const dir = reader.u8();
+    const typeCode = reader.u8();
+    const sid = toBase64(reader.bytes(SESSION_ID_BYTES));
+    const qrNonce: string | null = reader.optional(reader.text);
+    const type = (Object.keys(MESSAGE_TYPE_CODE) as MessageType[]).find(
+      (candidate) => MESSAGE_TYPE_CODE[candidate] === typeCode
+    );
+    if (!type || sid !== session.sessionId || dir !== DIRECTION_CODE[incomingDirection(session)]) {
+      return null;
+    }
+    return {type, qrNonce, data: reader.rest()};
+  } catch {
+    return null;
+  }
+};
+
+const sealTyped = (session: SecureSession, type: MessageType, data: Uint8Array): Uint8Array => {
+  const nonce = nacl.randomBytes(nacl.box.nonceLength);
+  const sid = fromBase64(session.sessionId);
+
+  const plaintext = createByteWriter();
+  plaintext.u8(DIRECTION_CODE[outgoingDirection(session)]);
+  plaintext.u8(MESSAGE_TYPE_CODE[type]);
+  plaintext.bytes(sid);
+  plaintext.optional(session.role === 'sender' ? session.qrNonce : null, plaintext.text);
+  plaintext.bytes(data);
+
+  const envelope = createByteWriter();
+  envelope.u8(ENVELOPE_VERSION);
+  envelope.bytes(sid);
+  envelope.bytes(fromBase64(session.senderPublicKey));
+  envelope.bytes(nonce);
+  envelope.bytes(nacl.box.after(plaintext.finish(), nonce, session.sharedKey));
+  return envelope.finish();
+};
+
+const openTyped = (
+  session: SecureSession,
+  type: MessageType,
+  envelopeBytes: Uint8Array
+): Uint8Array | null => {
+  const envelope = parseEnvelope(envelopeBytes);
+  if (
+    !envelope ||
+    envelope.sid !== session.sessionId ||
+    envelope.epk !== session.senderPublicKey
+  ) {
+    return null;
+  }
+  const message = decryptEnvelope(session, envelope);
+  return message && message.type === type ? message.data : null;
+};
+
+/**
+ * Encrypt and authenticate a message for the peer of a session
+ *
+ * @param {SecureSession} session - Established session
+ * @param {Uint8Array} data - Message to send (e.g. encoded token or ACK)
+ * @returns {Uint8Array} Envelope ready for BLE framing
+ */
+export const sealMessage = (session: SecureSession, data: Uint8Array): Uint8Array =>
+  sealTyped(session, 'data', data);
+
+/**
+ * Decrypt a message from the peer of an established session
+ *
+ * @param {SecureSession} session - Established session
+ * @param {Uint8Array} envelopeBytes - Envelope
+ * @returns {Uint8Array|null} Message data, or null if it is not from this session
+ */
+export const openMessage = (session: SecureSession, envelopeBytes: Uint8Array): Uint8Array | null =>
+  openTyped(session, 'data', envelopeBytes);
+
+/**
+ * Start the handshake on the sender side
+ * Send the envelope, then check the receiver's reply with verifyHelloReply.
+ *
+ * @param {SecureSession} session - Sender session
+ * @returns {Object} {envelope, challenge}; keep the challenge to check the reply
+ */
+export const createHello = (session: SecureSession): {envelope: Uint8Array; challenge: Uint8Array} => {
+  if (session.role !== 'sender') {
+    throw new Error('Only the sender starts the handshake');
+  }
+  const challenge = nacl.randomBytes(CHALLENGE_BYTES);
+  return {envelope: sealTyped(session, 'hello', challenge), challenge};
+};
+
+/**
+ * Answer a sender's hello on the receiver side
+ * From now on the receiver accepts data from this sender.
+ * Check the hello's qrNonce against the outstanding QRs before answering.
+ *
+ * @param {SecureSession} session - Session from acceptSenderMessage
+ * @param {Uint8Array} challenge - Data of the hello
+ * @returns {Uint8Array} Reply envelope for the sender
+ */
+export const answerHello = (session: SecureSession, challenge: Uint8Array): Uint8Array => {
+  const receiverSession = receiverSessions.get(session.sessionId);
+  if (session.role !== 'receiver' || !receiverSession) {
+    throw new Error('Session is not open on this receiver');
+  }
+  receiverSession.provenSenders.add(session.senderPublicKey);
+  return sealTyped(session, 'hello', challenge);
+};
+
+/**
+ * Check the receiver's reply to our hello
+ * Only the holder of the QR session's secret key can produce it.
+ *
+ * @param {SecureSession} session - Sender session
+ * @param {Uint8Array} envelopeBytes - Reply envelope
+ * @param {Uint8Array} challenge - Challenge from createHello
+ * @returns {boolean} True if the reply echoes our challenge within this session
+ */
+export const verifyHelloReply = (
+  session: SecureSession,
+  envelopeBytes: Uint8Array,
+  challenge: Uint8Array
+): boolean => {
+  const echoed = openTyped(session, 'hello', envelopeBytes);
+  return echoed !== null && echoed.length === challenge.length && nacl.verify(echoed, challenge);
+};
+
+/**
+ * Accept an envelope from a sender on the receiver side
+ * Looks up the receiver session by id and derives the shared key from the
+ * sender's ephemeral key. Envelopes for unknown or closed sessions are rejected,
+ * and so is data from a sender whose hello was not answered (answerHello).
+ *
+ * The returned qrNonce still has to be consumed by the caller (qrNonceRegistry.ts).
+ *
+ * @param {Uint8Array} envelopeBytes - Envelope
+ * @returns {Object|null} {session, type, data, qrNonce} or null if the envelope is rejected
+ */
+export const acceptSenderMessage = (
+  envelopeBytes: Uint8Array
+): {session: SecureSession; type: MessageType; data: Uint8Array; qrNonce: string} | null => {
+  const envelope = parseEnvelope(envelopeBytes);
+  if (!envelope) {
+    return null;
+  }
+
+  const receiverSession = receiverSessions.get(envelope.sid);
+  if (!receiverSession) {
+    return null;
+  }
+
+  const session: SecureSession = {
+    sessionId: envelope.sid,
+    role: 'receiver',
+    senderPublicKey: envelope.epk,
+    sharedKey: nacl.box.before(fromBase64(envelope.epk), receiverSession.keypair.secretKey),
+    qrNonce: null,
+  };
+
+  const message = decryptEnvelope(session, envelope);
+  if (!message || message.qrNonce === null) {
+    return null;
+  }
+  if (message.type === 'hello' && message.data.length !== CHALLENGE_BYTES) {
+    return null;
+  }
+  if (message.type === 'data' && !receiverSession.provenSenders.has(envelope.epk)) {
+    return null;
+  }
+
+  session.qrNonce = message.qrNonce;
+  return {session, type: message.type, data: message.data, qrNonce: message.qrNonce};
+};
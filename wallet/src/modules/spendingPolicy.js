@@ -0,0 +1,228 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import nacl from 'tweetnacl';
+import {decode as decodeBase64} from 'base64-arraybuffer';
+import Config from './config';
+import {canonicalBytes} from './canonicalJson';
+import {getDeviceIdentity} from './deviceIdentity';
+import {isValidPaise, formatRupees} from './money';
+
+/**
+ * Offline Spending Policy for TokPay
+ * Caps how much value sits in the offline wallet and how much can be spent
+ * before the bank sees it (threatModel.md §7, offline balance caps). Limits
+ * what a cloned or rolled-back wallet can double-spend before reconciliation.
+ *
+ * The bank delivers the limits as a signed policy bound to this device; the
+ * wallet stores it and falls back to DEFAULT_SPENDING_POLICY until it has one.
+ *
+ * Signed policy structure:
+ * {
+ *   version: number,                // Policy format version
+ *   device_id: string,              // Device the policy applies to
+ *   max_offline_balance: number,    // Paise, balance cap after a top-up
+ *   per_transaction_limit: number,  // Paise, largest single payment
+ *   daily_limit: number,            // Paise, spent in any rolling 24 hours
+ *   weekly_limit: number,           // Paise, spent in any rolling 7 days
+ *   max_unsynced_payments: number,  // Payments sent before a sync is forced
+ *   issued_at: number,              // Unix seconds
+ *   signature: string               // Bank Ed25519 over canonical JSON of all other fields
+ * }
+ */
+
+export const SPENDING_POLICY_VERSION = 1;
+
+// Error codes for a payment or top-up the policy refuses
+export const POLICY_VIOLATION = {
+  BALANCE_CAP: 'OFFLINE_BALANCE_CAP_EXCEEDED',
+  TRANSACTION_LIMIT: 'TRANSACTION_LIMIT_EXCEEDED',
+  DAILY_LIMIT: 'DAILY_LIMIT_EXCEEDED',
+  WEEKLY_LIMIT: 'WEEKLY_LIMIT_EXCEEDED',
+  SYNC_REQUIRED: 'SYNC_REQUIRED',
+};
+
+// Limits used until the bank has delivered a policy (amounts in paise)
+export const DEFAULT_SPENDING_POLICY = Object.freeze({
+  max_offline_balance: 200000,
+  per_transaction_limit: 50000,
+  daily_limit: 200000,
+  weekly_limit: 500000,
+  max_unsynced_payments: 20,
+});
+
+const PAISE_LIMITS = ['max_offline_balance', 'per_transaction_limit', 'daily_limit', 'weekly_limit'];
+
+const SPENDING_POLICY_KEY = '@tokpay:spending_policy';
+
+/**
+ * Pick the limits out of a policy
+ * @param {Object} policy - Signed policy or DEFAULT_SPENDING_POLICY
+ * @returns {Object} Limits in the DEFAULT_SPENDING_POLICY shape
+ */
+const toLimits = (policy) => ({
+  max_offline_balance: policy.max_offline_balance,
+  per_transaction_limit: policy.per_transaction_limit,
+  daily_limit: policy.daily_limit,
+  weekly_limit: policy.weekly_limit,
+  max_unsynced_payments: policy.max_unsynced_payments,
+});
+
+/**
+ * Verify a spending policy delivered by the bank
+ * @param {Object} policy - Signed policy
+ * @param {string} bankPublicKey - Pinned bank key (base64)
+ * @returns {Promise<Object>} {valid: boolean, error: string}
+ */
+export const verifySpendingPolicy = async (policy, bankPublicKey = Config.BANK_PUBLIC_KEY) => {
+  try {
+    if (!policy || typeof policy !== 'object' || policy.version !== SPENDING_POLICY_VERSION) {
+      return {valid: false, error: 'Unsupported spending policy'};
+    }
+    if (
+      !PAISE_LIMITS.every((limit) => isValidPaise(policy[limit])) ||
+      !Number.isSafeInteger(policy.max_unsynced_payments) ||
+      policy.max_unsynced_payments <= 0
+    ) {
+      return {valid: false, error: 'Spending policy limits are invalid'};
+    }
+
+    const {signature, ...unsigned} = policy;
+    const isSigned = nacl.sign.detached.verify(
+      canonicalBytes(unsigned),
+      new Uint8Array(decodeBase64(signature)),
+      new Uint8Array(decodeBase64(bankPublicKey))
+    );
+    if (!isSigned) {
+      return {valid: false, error: 'Spending policy is not signed by the bank'};
+    }
+
+    const {deviceId} = await getDeviceIdentity();
+    if (policy.device_id !== deviceId) {
+      return {valid: false, error: 'Spending policy was issued to another device'};
+    }
+
+    return {valid: true, error: ''};
+  } catch (error) {
+    console.error('Error verifying spending policy:', error);
+    return {valid: false, error: 'Spending policy is malformed'};
+  }
+};
+
+/**
+ * Read the stored signed policy, if it still verifies
+ * @returns {Promise<Object|null>} Signed policy or null
+ */
+const loadStoredPolicy = async () => {
+  const stored = await AsyncStorage.getItem(SPENDING_POLICY_KEY);
+  if (!stored) {
+    return null;
+  }
+
+  const policy = JSON.parse(stored);
+  const {valid, error} = await verifySpendingPolicy(policy);
+  if (!valid) {
+    console.error('Ignoring stored spending policy:', error);
+    return null;
+  }
+  return policy;
+};
+
+/**
+ * Get the spending limits in force
+ * The stored policy is verified again on every read, so editing storage cannot loosen it.
+ * @returns {Promise<Object>} Limits in the DEFAULT_SPENDING_POLICY shape
+ */
+export const getSpendingPolicy = async () => {
+  try {
+    const policy = await loadStoredPolicy();
+    return policy ? toLimits(policy) : {...DEFAULT_SPENDING_POLICY};
+  } catch (error) {
+    console.error('Error loading spending policy:', error);
+    return {...DEFAULT_SPENDING_POLICY};
+  }
+};
+
+/**
+ * Store a policy delivered by the bank
+ * A policy older than the stored one is refused, so an old, looser policy cannot be replayed.
+ * @param {Object} policy - Signed policy
+ * @returns {Promise<Object>} {success: boolean, message: string}
+ */
+export const installSpendingPolicy = async (policy) => {
+  const {valid, error} = await verifySpendingPolicy(policy);
+  if (!valid) {
+    return {success: false, message: error};
+  }
+
+  try {
+    const current = await loadStoredPolicy();
+    if (current && current.issued_at > policy.issued_at) {
+      return {success: false, message: 'Spending policy is older than the one in force'};
+    }
+
+    await AsyncStorage.setItem(SPENDING_POLICY_KEY, JSON.stringify(policy));
+    return {success: true, message: 'Spending policy updated'};
+  } catch (storeError) {
+    console.error('Error storing spending policy:', storeError);
+    return {success: false, message: 'Failed to store spending policy'};
+  }
+};
+
+/**
+ * Check an offline payment against the spending limits
+ * @param {Object} limits - Limits from getSpendingPolicy
+ * @param {number} amount - Payment amount in paise
+ * @param {Object} usage - Recent spending (sqliteWallet.getSpendingUsage)
+ * @param {number} usage.spentLastDay - Paise sent in the last 24 hours
+ * @param {number} usage.spentLastWeek - Paise sent in the last 7 days
+ * @param {number} usage.unsyncedPayments - Sent payments the bank has not seen
+ * @returns {Object} {allowed: boolean, code: string|null, message: string}
+ */
+export const checkPayment = (limits, amount, usage) => {
+  if (amount > limits.per_transaction_limit) {
+    return {
+      allowed: false,
+      code: POLICY_VIOLATION.TRANSACTION_LIMIT,
+      message: `Offline payments are limited to ${formatRupees(limits.per_transaction_limit)} each`,
+    };
+  }
+  if (usage.unsyncedPayments >= limits.max_unsynced_payments) {
+    return {
+      allowed: false,
+      code: POLICY_VIOLATION.SYNC_REQUIRED,
+      message: `${usage.unsyncedPayments} payments have not reached the bank yet. Sync the wallet to keep paying offline`,
+    };
+  }
+  if (usage.spentLastDay + amount > limits.daily_limit) {
+    return {
+      allowed: false,
+      code: POLICY_VIOLATION.DAILY_LIMIT,
+      message: `This payment exceeds the daily offline limit of ${formatRupees(limits.daily_limit)} (${formatRupees(Math.max(limits.daily_limit - usage.spentLastDay, 0))} left)`,
+    };
+  }
+  if (usage.spentLastWeek + amount > limits.weekly_limit) {
+    return {
+      allowed: false,
+      code: POLICY_VIOLATION.WEEKLY_LIMIT,
+      message: `This payment exceeds the weekly offline limit of ${formatRupees(limits.weekly_limit)} (${formatRupees(Math.max(limits.weekly_limit - usage.spentLastWeek, 0))} left)`,
+    };
+  }
+  return {allowed: true, code: null, message: ''};
+};
+
+/**
+ * Check a top-up against the offline balance cap
+ * @param {Object} limits - Limits from getSpendingPolicy
+ * @param {number} amount - Top-up amount in paise
+ * @param {number} balance - Current balance in paise
+ * @returns {Object} {allowed: boolean, code: string|null, message: string}
+ */
+export const checkTopup = (limits, amount, balance) => {
+  if (balance + amount > limits.max_offline_balance) {
+    return {
+      allowed: false,
+      code: POLICY_VIOLATION.BALANCE_CAP,
+      message: `The offline wallet can hold at most ${formatRupees(limits.max_offline_balance)} (room for ${formatRupees(Math.max(limits.max_offline_balance - balance, 0))})`,
+    };
+  }
+  return {allowed: true, code: null, message: ''};
+};
@@ -1,13 +1,296 @@
 import SQLite from 'react-native-sqlite-storage';
+import {isValidPaise, formatRupees} from './money';
 
 // Enable promise-based API for cleaner async/await usage
 SQLite.enablePromise(true);
 
 let db;
 
+// Error code for a token whose (payer_pubkey, counter) or nonce was already credited
+export const TOKEN_REPLAYED = 'TOKEN_REPLAYED';
+
+// Error code for a debit larger than the current balance
+export const INSUFFICIENT_FUNDS = 'INSUFFICIENT_FUNDS';
+
+// Error code for a top-up voucher whose serial was already credited
+export const VOUCHER_REDEEMED = 'VOUCHER_REDEEMED';
+
+// Error code for a credit that would take the balance over the offline balance cap
+// (the same code as spendingPolicy's POLICY_VIOLATION.BALANCE_CAP)
+export const OFFLINE_BALANCE_CAP_EXCEEDED = 'OFFLINE_BALANCE_CAP_EXCEEDED';
+
+// The wallet balance lives in the most recent offline_wallet row
+const CURRENT_WALLET_ID = '(SELECT id FROM offline_wallet ORDER BY id DESC LIMIT 1)';
+const SELECT_BALANCE = 'SELECT balance FROM offline_wallet ORDER BY id DESC LIMIT 1';
+
+const LEDGER_ENTRY_VALUES = `
+  (type, amount, status, channel, counterparty_device_id, counterparty_pubkey,
+   token_id, token_counter, token_nonce, token)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`;
+const INSERT_LEDGER_ENTRY = `INSERT INTO transactions ${LEDGER_ENTRY_VALUES}`;
+const INSERT_LEDGER_ENTRY_ONCE = `INSERT OR IGNORE INTO transactions ${LEDGER_ENTRY_VALUES}`;
+
+// Ledger entry status
+// pending: sent without an ACK, outcome unknown, not applied to the balance
+// acked: applied to the balance and confirmed (or, on the receiver, answered) with a signed ACK
+// settled: confirmed by the bank during sync
+// disputed: flagged during reconciliation
+export const LEDGER_STATUS = {
+  PENDING: 'pending',
+  ACKED: 'acked',
+  SETTLED: 'settled',
+  DISPUTED: 'disputed',
+};
+
+// How a token reached or left this wallet
+export const LEDGER_CHANNEL = {
+  BLE: 'ble',
+  RELAY: 'relay',
+  QR: 'qr',
+};
+
+// Whether a ledger entry has been uploaded to the bank
+export const SYNC_STATE = {
+  UNSYNCED: 'unsynced',
+  SYNCED: 'synced',
+};
+
+// Backend decision on an uploaded ledger entry (threatModel.md §9)
+// settled: the token is valid and the payment stands
+// rejected: the token is invalid or was refused; the payment is reversed
+// counter_reuse: the payer reused a token counter; the payment is reversed
+export const SYNC_VERDICT = {
+  SETTLED: 'settled',
+  REJECTED: 'rejected',
+  COUNTER_REUSE: 'counter_reuse',
+};
+
+// Schema version 1 tables; later versions change them in their own migrations
+const CREATE_OFFLINE_WALLET_TABLE = `
+  CREATE TABLE IF NOT EXISTS offline_wallet (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    balance INTEGER NOT NULL,
+    last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+const CREATE_TRANSACTIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT CHECK(type IN ('credit','debit')),
+    amount INTEGER NOT NULL,
+    timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+const CREATE_PENDING_PAYMENTS_TABLE = `
+  CREATE TABLE IF NOT EXISTS pending_payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_signature TEXT NOT NULL UNIQUE,
+    amount INTEGER NOT NULL,
+    payee_device_id TEXT,
+    token TEXT NOT NULL,
+    status TEXT CHECK(status IN ('pending','unknown')) DEFAULT 'unknown',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// A token is identified by (payer_pubkey, counter) and, for frozen tokens, by its nonce
+const CREATE_RECEIVED_TOKENS_TABLE = `
+  CREATE TABLE IF NOT EXISTS received_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    payer_pubkey TEXT NOT NULL,
+    counter INTEGER NOT NULL,
+    nonce TEXT,
+    issued_at INTEGER NOT NULL,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(payer_pubkey, counter)
+  )
+`;
+
+// Tables whose money column was converted from REAL rupees to INTEGER paise
+const MONEY_TABLES = [
+  {
+    name: 'offline_wallet',
+    createSql: CREATE_OFFLINE_WALLET_TABLE,
+    columns: ['id', 'balance', 'last_updated'],
+    moneyColumn: 'balance',
+  },
+  {
+    name: 'transactions',
+    createSql: CREATE_TRANSACTIONS_TABLE,
+    columns: ['id', 'type', 'amount', 'timestamp'],
+    moneyColumn: 'amount',
+  },
+  {
+    name: 'pending_payments',
+    createSql: CREATE_PENDING_PAYMENTS_TABLE,
+    columns: ['id', 'token_signature', 'amount', 'payee_device_id', 'token', 'status', 'created_at'],
+    moneyColumn: 'amount',
+  },
+];
+
+// Columns added to transactions in schema version 2
+const LEDGER_COLUMNS = [
+  'counterparty_device_id TEXT',
+  'counterparty_pubkey TEXT',
+  'token_id TEXT', // Token signature (base64), unique per token
+  'token_counter INTEGER',
+  'token_nonce TEXT',
+  'token TEXT', // Serialized token as sent or received
+  "channel TEXT CHECK(channel IN ('ble','relay','qr'))",
+  "status TEXT NOT NULL DEFAULT 'acked' CHECK(status IN ('pending','acked','settled','disputed'))",
+  "sync_state TEXT NOT NULL DEFAULT 'unsynced' CHECK(sync_state IN ('unsynced','synced'))",
+];
+
+// Columns added to transactions in schema version 3
+const SYNC_COLUMNS = [
+  'verdict TEXT', // SYNC_VERDICT from the backend
+  'reversal_of INTEGER REFERENCES transactions(id)', // Entry this row reverses
+  'synced_at TIMESTAMP',
+];
+
 /**
- * Initialize database connection and create tables if they don't exist
- * Creates offline_wallet and transactions tables with proper schema
+ * Get the names of existing tables
+ * @returns {Promise<Set<string>>} Table names
+ */
+const getExistingTables = async () => {
+  const [result] = await db.executeSql("SELECT name FROM sqlite_master WHERE type = 'table'");
+  const names = new Set();
+  for (let i = 0; i < result.rows.length; i++) {
+    names.add(result.rows.item(i).name);
+  }
+  return names;
+};
+
+/**
+ * Schema version 1: all money columns hold integer paise
+ * Creates missing tables. Databases from before schema versioning stored REAL
+ * rupees; SQLite cannot change a column type in place, so each such table is
+ * rebuilt and its rows copied with ROUND(value * 100).
+ * @param {Object} tx - SQLite transaction
+ * @param {Set<string>} existingTables - Tables present before migration
+ */
+const migrateToIntegerPaise = (tx, existingTables) => {
+  for (const {name, createSql, columns, moneyColumn} of MONEY_TABLES) {
+    if (!existingTables.has(name)) {
+      tx.executeSql(createSql);
+      continue;
+    }
+    const selected = columns.map((column) =>
+      column === moneyColumn ? `CAST(ROUND(${column} * 100) AS INTEGER)` : column
+    );
+    tx.executeSql(`ALTER TABLE ${name} RENAME TO ${name}_rupees`);
+    tx.executeSql(createSql);
+    tx.executeSql(
+      `INSERT INTO ${name} (${columns.join(', ')}) SELECT ${selected.join(', ')} FROM ${name}_rupees`
+    );
+    tx.executeSql(`DROP TABLE ${name}_rupees`);
+  }
+
+  tx.executeSql(CREATE_RECEIVED_TOKENS_TABLE);
+  tx.executeSql(
+    'CREATE UNIQUE INDEX IF NOT EXISTS idx_received_tokens_nonce ON received_tokens (nonce)'
+  );
+  tx.executeSql(
+    'CREATE INDEX IF NOT EXISTS idx_received_tokens_issued_at ON received_tokens (issued_at)'
+  );
+};
+
+/**
+ * Schema version 2: transactions becomes the full ledger
+ * Adds counterparty, token, channel, status and sync columns. Existing rows were
+ * applied to the balance, so they default to acked. Pending payments move into
+ * the ledger as pending debits; their counter and nonce stay NULL (still in the
+ * stored token), so the migration does not depend on the token format.
+ * @param {Object} tx - SQLite transaction
+ */
+const migrateToRichLedger = (tx) => {
+  for (const column of LEDGER_COLUMNS) {
+    tx.executeSql(`ALTER TABLE transactions ADD COLUMN ${column}`);
+  }
+
+  tx.executeSql(
+    `INSERT INTO transactions (type, amount, counterparty_device_id, token_id, token, channel, status, timestamp)
+     SELECT 'debit', amount, payee_device_id, token_signature, token, 'ble', 'pending', created_at
+     FROM pending_payments`
+  );
+  tx.executeSql('DROP TABLE pending_payments');
+
+  tx.executeSql(
+    'CREATE UNIQUE INDEX idx_transactions_token_id ON transactions (token_id) WHERE token_id IS NOT NULL'
+  );
+  tx.executeSql('CREATE INDEX idx_transactions_status ON transactions (status)');
+  tx.executeSql('CREATE INDEX idx_transactions_sync_state ON transactions (sync_state)');
+};
+
+/**
+ * Schema version 3: record backend sync verdicts and the reversals they cause
+ * @param {Object} tx - SQLite transaction
+ */
+const migrateToSyncVerdicts = (tx) => {
+  for (const column of SYNC_COLUMNS) {
+    tx.executeSql(`ALTER TABLE transactions ADD COLUMN ${column}`);
+  }
+};
+
+/**
+ * Schema version 4: redeemed top-up vouchers, one row per serial
+ * @param {Object} tx - SQLite transaction
+ */
+const migrateToTopupVouchers = (tx) => {
+  tx.executeSql(`
+    CREATE TABLE topup_vouchers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      serial TEXT NOT NULL UNIQUE,
+      amount INTEGER NOT NULL,
+      voucher TEXT NOT NULL,
+      transaction_id INTEGER REFERENCES transactions(id),
+      redeemed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+// Schema migrations in order; the schema version is stored in PRAGMA user_version
+// Never edit a released migration, add a new one instead
+const MIGRATIONS = [
+  {version: 1, description: 'integer paise', migrate: migrateToIntegerPaise},
+  {version: 2, description: 'rich transaction ledger', migrate: migrateToRichLedger},
+  {version: 3, description: 'sync verdicts', migrate: migrateToSyncVerdicts},
+  {version: 4, description: 'top-up vouchers', migrate: migrateToTopupVouchers},
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Bring the schema up to SCHEMA_VERSION
+ * Each migration runs in its own transaction together with its version bump,
+ * so an interrupted upgrade resumes from the last completed migration.
+ */
+const runMigrations = async () => {
+  const [versionResult] = await db.executeSql('PRAGMA user_version');
+  const currentVersion = versionResult.rows.item(0).user_version;
+  if (currentVersion > SCHEMA_VERSION) {
+    throw new Error(`Database schema version ${currentVersion} is newer than this app supports`);
+  }
+
+  for (const {version, description, migrate} of MIGRATIONS) {
+    if (version <= currentVersion) {
+      continue;
+    }
+    const existingTables = await getExistingTables();
+    await db.transaction((tx) => {
+      migrate(tx, existingTables);
+      tx.executeSql(`PRAGMA user_version = ${version}`);
+    });
+    console.log(`Migrated wallet database to version ${version} (${description})`);
+  }
+};
+
+/**
+ * Initialize database connection and bring the schema up to date
+ * All money columns hold integer paise
  */
 export const initDatabase = async () => {
   try {
@@ -17,24 +300,8 @@ export const initDatabase = async () => {
       location: 'default',
     });
 
-    // Create offline_wallet table to store the current balance
-    await db.executeSql(`
-      CREATE TABLE IF NOT EXISTS offline_wallet (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        balance REAL NOT NULL,
-        last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    // Create transactions table to log all credit/debit operations
-    await db.executeSql(`
-      CREATE TABLE IF NOT EXISTS transactions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        type TEXT CHECK(type IN ('credit','debit')),
-        amount REAL NOT NULL,
-        timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+    // Create or upgrade the offline_wallet, transactions (ledger) and received_tokens tables
+    await runMigrations();
 
     // Initialize offline_wallet with 0 balance if no record exists
     const [result] = await db.executeSql('SELECT COUNT(*) as count FROM offline_wallet');
@@ -50,9 +317,42 @@ export const initDatabase = async () => {
   }
 };
 
+/**
+ * Ledger details of a token payment; every field is optional (manual top-ups have none)
+ * @typedef {Object} LedgerDetails
+ * @property {string} [channel] - One of LEDGER_CHANNEL
+ * @property {string} [counterpartyDeviceId] - Payee's device ID (debit) or payer's (credit)
+ * @property {string} [counterpartyPubkey] - Counterparty's wallet public key (base64)
+ * @property {string} [tokenId] - Token signature (base64)
+ * @property {number} [tokenCounter] - Payer's token counter
+ * @property {string} [tokenNonce] - Token nonce (null for legacy tokens)
+ * @property {string} [token] - Serialized token
+ */
+
+/**
+ * Build the parameters for INSERT_LEDGER_ENTRY(_ONCE)
+ * @param {string} type - 'credit' or 'debit'
+ * @param {number} amount - Amount in paise
+ * @param {string} status - One of LEDGER_STATUS
+ * @param {LedgerDetails} details - Ledger details
+ * @returns {Array} Statement parameters
+ */
+const ledgerEntryParams = (type, amount, status, details = {}) => [
+  type,
+  amount,
+  status,
+  details.channel ?? null,
+  details.counterpartyDeviceId ?? null,
+  details.counterpartyPubkey ?? null,
+  details.tokenId ?? null,
+  details.tokenCounter ?? null,
+  details.tokenNonce ?? null,
+  details.token ?? null,
+];
+
 /**
  * Get current balance from offline wallet
- * @returns {Promise<number>} Current wallet balance
+ * @returns {Promise<number>} Current wallet balance in paise
  */
 export const getBalance = async () => {
   try {
@@ -62,9 +362,7 @@ export const getBalance = async () => {
     }
 
     // Query the most recent balance from offline_wallet table
-    const [result] = await db.executeSql(
-      'SELECT balance FROM offline_wallet ORDER BY id DESC LIMIT 1'
-    );
+    const [result] = await db.executeSql(SELECT_BALANCE);
 
     // Return balance if record exists, otherwise return 0
     if (result.rows.length > 0) {
@@ -78,90 +376,560 @@ export const getBalance = async () => {
 };
 
 /**
- * Add money to offline wallet and log as credit transaction
- * @param {number} amount - Amount to add to wallet
- * @returns {Promise<number>} New balance after addition
+ * Credit a verified bank top-up voucher, at most once per serial
+ * The cap check, redeemed-serial insert, balance update and credit log share one
+ * SQL transaction. The caller verifies the voucher's bank signature first (topupVoucher.js).
+ * @param {Object} topup - Verified voucher
+ * @param {string} topup.serial - Voucher serial
+ * @param {number} topup.amount - Amount in paise
+ * @param {string} topup.voucher - Voucher as received, kept for audit
+ * @param {number} maxBalance - Offline balance cap in paise (spendingPolicy max_offline_balance)
+ * @returns {Promise<number>} New balance after credit (paise)
+ * @throws {Error} With code VOUCHER_REDEEMED if the serial was already credited, or
+ *   OFFLINE_BALANCE_CAP_EXCEEDED (and the current balance as error.balance) if the
+ *   credit would take the balance over maxBalance
  */
-export const addMoney = async (amount) => {
+export const creditTopupVoucher = async ({serial, amount, voucher}, maxBalance) => {
   try {
     // Ensure database is initialized before operations
     if (!db) {
       await initDatabase();
     }
 
-    // Validate that amount is positive
-    if (amount <= 0) {
-      throw new Error('Amount must be greater than 0');
+    // Validate that amount and cap are positive whole numbers of paise
+    if (!isValidPaise(amount)) {
+      throw new Error('Amount must be a positive whole number of paise');
+    }
+    if (!isValidPaise(maxBalance)) {
+      throw new Error('Offline balance cap must be a positive whole number of paise');
     }
 
-    // Get current balance
-    const currentBalance = await getBalance();
-    const newBalance = currentBalance + amount;
+    let redeemed = false;
+    let capped = false;
+    let newBalance = null;
 
-    // Update the balance in offline_wallet table
-    await db.executeSql(
-      'UPDATE offline_wallet SET balance = ?, last_updated = CURRENT_TIMESTAMP WHERE id = (SELECT id FROM offline_wallet ORDER BY id DESC LIMIT 1)',
-      [newBalance]
-    );
+    await db.transaction((tx) => {
+      // The cap check is part of the INSERT, so concurrent credits cannot overshoot it.
+      // INSERT OR IGNORE affects no rows when the serial was already redeemed, too.
+      tx.executeSql(
+        `INSERT OR IGNORE INTO topup_vouchers (serial, amount, voucher)
+         SELECT ?, ?, ? WHERE (${SELECT_BALANCE}) + ? <= ?`,
+        [serial, amount, voucher, amount, maxBalance],
+        (innerTx, result) => {
+          if (result.rowsAffected === 0) {
+            innerTx.executeSql(
+              `SELECT EXISTS(SELECT 1 FROM topup_vouchers WHERE serial = ?) AS redeemed, (${SELECT_BALANCE}) AS balance`,
+              [serial],
+              (_tx, lookupResult) => {
+                const row = lookupResult.rows.item(0);
+                redeemed = row.redeemed === 1;
+                capped = !redeemed;
+                newBalance = row.balance;
+              }
+            );
+            return;
+          }
 
-    // Log the credit transaction in transactions table
-    await db.executeSql(
-      'INSERT INTO transactions (type, amount) VALUES (?, ?)',
-      ['credit', amount]
-    );
+          // Statements queued here run inside the same transaction
+          innerTx.executeSql(
+            `UPDATE offline_wallet SET balance = balance + ?, last_updated = CURRENT_TIMESTAMP WHERE id = ${CURRENT_WALLET_ID}`,
+            [amount]
+          );
+          // Issued by the bank, so already settled and known to it
+          innerTx.executeSql(
+            'INSERT INTO transactions (type, amount, status, sync_state) VALUES (?, ?, ?, ?)',
+            ['credit', amount, LEDGER_STATUS.SETTLED, SYNC_STATE.SYNCED],
+            (ledgerTx, insertResult) => {
+              ledgerTx.executeSql('UPDATE topup_vouchers SET transaction_id = ? WHERE serial = ?', [
+                insertResult.insertId,
+                serial,
+              ]);
+              ledgerTx.executeSql(SELECT_BALANCE, [], (_tx, balanceResult) => {
+                newBalance = balanceResult.rows.item(0).balance;
+              });
+            }
+          );
+        }
+      );
+    });
+
+    if (redeemed) {
+      const error = new Error('Top-up voucher already redeemed');
+      error.code = VOUCHER_REDEEMED;
+      throw error;
+    }
+    if (capped) {
+      const error = new Error(`Offline balance cap exceeded. Current balance: ${formatRupees(newBalance)}, Cap: ${formatRupees(maxBalance)}`);
+      error.code = OFFLINE_BALANCE_CAP_EXCEEDED;
+      error.balance = newBalance;
+      throw error;
+    }
 
-    console.log(`Added ${amount} to wallet. New balance: ${newBalance}`);
+    console.log(`Credited top-up voucher: ${amount} paise. New balance: ${newBalance} paise`);
     return newBalance;
   } catch (error) {
-    console.error('Error adding money:', error);
+    console.error('Error crediting top-up voucher:', error);
     throw error;
   }
 };
 
 /**
  * Deduct money from offline wallet and log as debit transaction
- * @param {number} amount - Amount to deduct from wallet
- * @returns {Promise<number>} New balance after deduction
- * @throws {Error} If insufficient funds
+ * The funds check, balance update and debit log share one SQL transaction
+ * @param {number} amount - Amount to deduct from wallet in paise
+ * @param {LedgerDetails} details - Ledger details of the debit
+ * @returns {Promise<number>} New balance after deduction (paise)
+ * @throws {Error} With code INSUFFICIENT_FUNDS if the balance is too low
  */
-export const deductMoney = async (amount) => {
+export const deductMoney = async (amount, details = {}) => {
   try {
     // Ensure database is initialized before operations
     if (!db) {
       await initDatabase();
     }
 
-    // Validate that amount is positive
-    if (amount <= 0) {
-      throw new Error('Amount must be greater than 0');
+    // Validate that amount is a positive whole number of paise
+    if (!isValidPaise(amount)) {
+      throw new Error('Amount must be a positive whole number of paise');
+    }
+
+    let insufficient = false;
+    let newBalance = null;
+
+    await db.transaction((tx) => {
+      // The funds check is part of the UPDATE, so the balance can never go negative
+      tx.executeSql(
+        `UPDATE offline_wallet SET balance = balance - ?, last_updated = CURRENT_TIMESTAMP WHERE id = ${CURRENT_WALLET_ID} AND balance >= ?`,
+        [amount, amount],
+        (innerTx, result) => {
+          if (result.rowsAffected === 0) {
+            insufficient = true;
+            innerTx.executeSql(SELECT_BALANCE, [], (_tx, balanceResult) => {
+              newBalance = balanceResult.rows.item(0).balance;
+            });
+            return;
+          }
+
+          // Statements queued here run inside the same transaction
+          innerTx.executeSql(
+            INSERT_LEDGER_ENTRY,
+            ledgerEntryParams('debit', amount, LEDGER_STATUS.ACKED, details)
+          );
+          innerTx.executeSql(SELECT_BALANCE, [], (_tx, balanceResult) => {
+            newBalance = balanceResult.rows.item(0).balance;
+          });
+        }
+      );
+    });
+
+    if (insufficient) {
+      const error = new Error(`Insufficient funds. Current balance: ${formatRupees(newBalance)}, Required: ${formatRupees(amount)}`);
+      error.code = INSUFFICIENT_FUNDS;
+      throw error;
+    }
+
+    console.log(`Deducted ${amount} paise from wallet. New balance: ${newBalance} paise`);
+    return newBalance;
+  } catch (error) {
+    console.error('Error deducting money:', error);
+    throw error;
+  }
+};
+
+/**
+ * Check the stored balance against the transactions ledger
+ * Every balance change logs its credit or debit in the same SQL transaction,
+ * so the balance must equal total credits minus total debits. Pending entries
+ * were never applied to the balance and are left out.
+ * @returns {Promise<Object>} {consistent: boolean, balance: number, ledgerBalance: number} (paise)
+ */
+export const verifyLedger = async () => {
+  try {
+    // Ensure database is initialized before querying
+    if (!db) {
+      await initDatabase();
+    }
+
+    // Read both in one statement so they come from the same snapshot
+    const [result] = await db.executeSql(`
+      SELECT
+        (${SELECT_BALANCE}) AS balance,
+        (SELECT COALESCE(SUM(CASE type WHEN 'credit' THEN amount ELSE -amount END), 0)
+           FROM transactions WHERE status != 'pending') AS ledger_balance
+    `);
+    const {balance, ledger_balance: ledgerBalance} = result.rows.item(0);
+
+    const consistent = balance === ledgerBalance;
+    if (!consistent) {
+      console.error(
+        `Wallet ledger mismatch: balance ${formatRupees(balance)}, ledger ${formatRupees(ledgerBalance)}`
+      );
+    }
+    return {consistent, balance, ledgerBalance};
+  } catch (error) {
+    console.error('Error verifying ledger:', error);
+    throw error;
+  }
+};
+
+/**
+ * Credit a received payment token and record it as seen, atomically
+ * The cap check, seen-token insert, balance update and credit log share one SQL
+ * transaction, so a token can never be credited twice even if delivered concurrently
+ * @param {Object} seenToken - Replay key of the token
+ * @param {string} seenToken.payerPubkey - Payer's public key (base64)
+ * @param {number} seenToken.counter - Payer's token counter
+ * @param {string|null} seenToken.nonce - Token nonce (null for legacy tokens)
+ * @param {number} seenToken.issuedAt - Token issue time (unix ms)
+ * @param {number} amount - Amount to credit in paise
+ * @param {number} maxBalance - Offline balance cap in paise (spendingPolicy max_offline_balance)
+ * @param {LedgerDetails} details - Ledger details of the credit
+ * @returns {Promise<number>} New balance after credit (paise)
+ * @throws {Error} With code TOKEN_REPLAYED if the token was already received, or
+ *   OFFLINE_BALANCE_CAP_EXCEEDED (and the current balance as error.balance) if the
+ *   credit would take the balance over maxBalance
+ */
+export const creditReceivedToken = async (seenToken, amount, maxBalance, details = {}) => {
+  try {
+    // Ensure database is initialized before operations
+    if (!db) {
+      await initDatabase();
     }
 
-    // Get current balance to check if sufficient funds available
-    const currentBalance = await getBalance();
-    
-    // Throw error if insufficient funds to prevent negative balance
-    if (currentBalance < amount) {
-      throw new Error(`Insufficient funds. Current balance: ${currentBalance}, Required: ${amount}`);
+    // Validate that amount and cap are positive whole numbers of paise
+    if (!isValidPaise(amount)) {
+      throw new Error('Amount must be a positive whole number of paise');
+    }
+    if (!isValidPaise(maxBalance)) {
+      throw new Error('Offline balance cap must be a positive whole number of paise');
     }
 
-    const newBalance = currentBalance - amount;
+    let replayed = false;
+    let capped = false;
+    let newBalance = null;
 
-    // Update the balance in offline_wallet table
-    await db.executeSql(
-      'UPDATE offline_wallet SET balance = ?, last_updated = CURRENT_TIMESTAMP WHERE id = (SELECT id FROM offline_wallet ORDER BY id DESC LIMIT 1)',
-      [newBalance]
+    await db.transaction((tx) => {
+      // The cap check is part of the INSERT, so concurrent credits cannot overshoot it.
+      // INSERT OR IGNORE affects no rows when either unique key already exists, too.
+      tx.executeSql(
+        `INSERT OR IGNORE INTO received_tokens (payer_pubkey, counter, nonce, issued_at)
+         SELECT ?, ?, ?, ? WHERE (${SELECT_BALANCE}) + ? <= ?`,
+        [seenToken.payerPubkey, seenToken.counter, seenToken.nonce, seenToken.issuedAt, amount, maxBalance],
+        (innerTx, result) => {
+          if (result.rowsAffected === 0) {
+            innerTx.executeSql(
+              `SELECT EXISTS(
+                 SELECT 1 FROM received_tokens WHERE (payer_pubkey = ? AND counter = ?) OR nonce = ?
+               ) AS replayed, (${SELECT_BALANCE}) AS balance`,
+              [seenToken.payerPubkey, seenToken.counter, seenToken.nonce],
+              (_tx, lookupResult) => {
+                const row = lookupResult.rows.item(0);
+                replayed = row.replayed === 1;
+                capped = !replayed;
+                newBalance = row.balance;
+              }
+            );
+            return;
+          }
+
+          // Statements queued here run inside the same transaction
+          innerTx.executeSql(
+            `UPDATE offline_wallet SET balance = balance + ?, last_updated = CURRENT_TIMESTAMP WHERE id = ${CURRENT_WALLET_ID}`,
+            [amount]
+          );
+          innerTx.executeSql(
+            INSERT_LEDGER_ENTRY,
+            ledgerEntryParams('credit', amount, LEDGER_STATUS.ACKED, details)
+          );
+          innerTx.executeSql(SELECT_BALANCE, [], (_tx, balanceResult) => {
+            newBalance = balanceResult.rows.item(0).balance;
+          });
+        }
+      );
+    });
+
+    if (replayed) {
+      const error = new Error('Payment token already received');
+      error.code = TOKEN_REPLAYED;
+      throw error;
+    }
+    if (capped) {
+      const error = new Error(`Offline balance cap exceeded. Current balance: ${formatRupees(newBalance)}, Cap: ${formatRupees(maxBalance)}`);
+      error.code = OFFLINE_BALANCE_CAP_EXCEEDED;
+      error.balance = newBalance;
+      throw error;
+    }
+
+    console.log(`Credited received token: ${amount}. New balance: ${newBalance}`);
+    return newBalance;
+  } catch (error) {
+    console.error('Error crediting received token:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete seen-token entries issued before the given time
+ * Tokens that old are rejected as expired, so their entries are no longer needed
+ * @param {number} issuedBefore - Cutoff issue time (unix ms)
+ * @returns {Promise<number>} Number of entries removed
+ */
+export const pruneReceivedTokens = async (issuedBefore) => {
+  try {
+    // Ensure database is initialized before operations
+    if (!db) {
+      await initDatabase();
+    }
+
+    const [result] = await db.executeSql(
+      'DELETE FROM received_tokens WHERE issued_at < ?',
+      [issuedBefore]
     );
+    return result.rowsAffected;
+  } catch (error) {
+    console.error('Error pruning received tokens:', error);
+    throw error;
+  }
+};
+
+/**
+ * Record a sent payment whose outcome is unknown (no ACK before timeout)
+ * The balance is not debited; the ledger entry stays pending until the payment is reconciled
+ * @param {number} amount - Token amount in paise
+ * @param {LedgerDetails} details - Ledger details of the sent token (tokenId is required)
+ * @returns {Promise<boolean>} True if recorded
+ */
+export const recordPendingPayment = async (amount, details) => {
+  try {
+    // Ensure database is initialized before operations
+    if (!db) {
+      await initDatabase();
+    }
+
+    if (!details?.tokenId) {
+      throw new Error('Pending payment requires a token id');
+    }
 
-    // Log the debit transaction in transactions table
+    // A token is recorded at most once (unique token_id)
     await db.executeSql(
-      'INSERT INTO transactions (type, amount) VALUES (?, ?)',
-      ['debit', amount]
+      INSERT_LEDGER_ENTRY_ONCE,
+      ledgerEntryParams('debit', amount, LEDGER_STATUS.PENDING, details)
     );
+    console.log(`Recorded payment of ${amount} paise as pending`);
+    return true;
+  } catch (error) {
+    console.error('Error recording pending payment:', error);
+    throw error;
+  }
+};
 
-    console.log(`Deducted ${amount} from wallet. New balance: ${newBalance}`);
-    return newBalance;
+/**
+ * Get all sent payments whose outcome is still unknown, most recent first
+ * @returns {Promise<Array>} Array of pending ledger entries
+ */
+export const getPendingPayments = async () => {
+  try {
+    // Ensure database is initialized before querying
+    if (!db) {
+      await initDatabase();
+    }
+
+    const [result] = await db.executeSql(
+      "SELECT * FROM transactions WHERE type = 'debit' AND status = ? ORDER BY timestamp DESC",
+      [LEDGER_STATUS.PENDING]
+    );
+
+    const payments = [];
+    for (let i = 0; i < result.rows.length; i++) {
+      payments.push(result.rows.item(i));
+    }
+
+    return payments;
   } catch (error) {
-    console.error('Error deducting money:', error);
+    console.error('Error getting pending payments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get recent offline spending, as input for the spending policy
+ * Counts sent payments including pending ones (the money may be gone) but not
+ * payments the bank reversed. Windows are rolling, in the ledger's UTC timestamps.
+ * @returns {Promise<Object>} {spentLastDay, spentLastWeek, unsyncedPayments} amounts in paise
+ */
+export const getSpendingUsage = async () => {
+  try {
+    // Ensure database is initialized before querying
+    if (!db) {
+      await initDatabase();
+    }
+
+    const [result] = await db.executeSql(
+      `SELECT
+         COALESCE(SUM(CASE WHEN timestamp >= datetime('now', '-1 day') THEN amount END), 0) AS spent_day,
+         COALESCE(SUM(CASE WHEN timestamp >= datetime('now', '-7 days') THEN amount END), 0) AS spent_week,
+         COUNT(CASE WHEN sync_state = ? THEN 1 END) AS unsynced
+       FROM transactions
+       WHERE type = 'debit' AND token IS NOT NULL AND status != ?`,
+      [SYNC_STATE.UNSYNCED, LEDGER_STATUS.DISPUTED]
+    );
+
+    const row = result.rows.item(0);
+    return {
+      spentLastDay: row.spent_day,
+      spentLastWeek: row.spent_week,
+      unsyncedPayments: row.unsynced,
+    };
+  } catch (error) {
+    console.error('Error getting spending usage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get ledger entries that carry a token and have not been synced, oldest first
+ * @param {number} afterId - Only return entries with a larger id (paging cursor)
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Array of ledger entries
+ */
+export const getUnsyncedLedgerEntries = async (afterId, limit) => {
+  try {
+    // Ensure database is initialized before querying
+    if (!db) {
+      await initDatabase();
+    }
+
+    const [result] = await db.executeSql(
+      `SELECT * FROM transactions
+       WHERE sync_state = ? AND token IS NOT NULL AND id > ?
+       ORDER BY id ASC LIMIT ?`,
+      [SYNC_STATE.UNSYNCED, afterId, limit]
+    );
+
+    const entries = [];
+    for (let i = 0; i < result.rows.length; i++) {
+      entries.push(result.rows.item(i));
+    }
+
+    return entries;
+  } catch (error) {
+    console.error('Error getting unsynced ledger entries:', error);
+    throw error;
+  }
+};
+
+/**
+ * Queue the statements that apply one backend verdict to a ledger entry
+ * @param {Object} tx - SQLite transaction
+ * @param {Object} entry - Unsynced ledger entry
+ * @param {string} verdict - One of SYNC_VERDICT
+ * @returns {boolean} True if the entry is reversed
+ */
+const queueSyncVerdict = (tx, entry, verdict) => {
+  const signedAmount = entry.type === 'credit' ? entry.amount : -entry.amount;
+  // A pending debit the backend decided on takes effect now
+  let balanceChange = entry.status === LEDGER_STATUS.PENDING ? signedAmount : 0;
+  const reverse = verdict !== SYNC_VERDICT.SETTLED;
+
+  if (reverse) {
+    balanceChange -= signedAmount;
+    tx.executeSql(
+      `INSERT INTO transactions (
+         type, amount, status, sync_state, verdict, reversal_of, synced_at,
+         channel, counterparty_device_id, counterparty_pubkey
+       ) VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?, ?)`,
+      [
+        entry.type === 'credit' ? 'debit' : 'credit',
+        entry.amount,
+        LEDGER_STATUS.SETTLED,
+        SYNC_STATE.SYNCED,
+        verdict,
+        entry.id,
+        entry.channel,
+        entry.counterparty_device_id,
+        entry.counterparty_pubkey,
+      ]
+    );
+  }
+
+  tx.executeSql(
+    'UPDATE transactions SET status = ?, verdict = ?, sync_state = ?, synced_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [reverse ? LEDGER_STATUS.DISPUTED : LEDGER_STATUS.SETTLED, verdict, SYNC_STATE.SYNCED, entry.id]
+  );
+  if (balanceChange !== 0) {
+    tx.executeSql(
+      `UPDATE offline_wallet SET balance = balance + ?, last_updated = CURRENT_TIMESTAMP WHERE id = ${CURRENT_WALLET_ID}`,
+      [balanceChange]
+    );
+  }
+  return reverse;
+};
+
+/**
+ * Apply backend verdicts to the ledger and balance, atomically ("backend wins")
+ * - settled: the entry becomes settled
+ * - rejected / counter_reuse: the entry becomes disputed and a reversing entry
+ *   undoes its effect on the balance
+ * A pending debit the backend decided on is applied to the balance first, so a
+ * settled one is debited and a rejected one nets to zero. The balance may go
+ * negative when a credit that was already spent is reversed.
+ * Entries that are already synced are left alone.
+ * @param {Array<Object>} verdicts - [{entryId: number, verdict: string}] with verdict one of SYNC_VERDICT
+ * @returns {Promise<Object>} {settled: number, reversed: number, balance: number} balance in paise
+ */
+export const applySyncVerdicts = async (verdicts) => {
+  try {
+    // Ensure database is initialized before operations
+    if (!db) {
+      await initDatabase();
+    }
+
+    // Lookups may all run before any update, so each entry must appear once
+    const verdictByEntry = new Map(verdicts.map(({entryId, verdict}) => [entryId, verdict]));
+
+    let settled = 0;
+    let reversed = 0;
+    let balance = null;
+
+    await db.transaction((tx) => {
+      const selectBalance = (balanceTx) =>
+        balanceTx.executeSql(SELECT_BALANCE, [], (_tx, result) => {
+          balance = result.rows.item(0).balance;
+        });
+
+      if (verdictByEntry.size === 0) {
+        selectBalance(tx);
+        return;
+      }
+
+      // Statements queued in a callback run after everything queued before them,
+      // so the balance is read from the last lookup, after every update
+      let remaining = verdictByEntry.size;
+      for (const [entryId, verdict] of verdictByEntry) {
+        tx.executeSql(
+          'SELECT * FROM transactions WHERE id = ? AND sync_state = ?',
+          [entryId, SYNC_STATE.UNSYNCED],
+          (innerTx, result) => {
+            if (result.rows.length > 0) {
+              if (queueSyncVerdict(innerTx, result.rows.item(0), verdict)) {
+                reversed += 1;
+              } else {
+                settled += 1;
+              }
+            }
+            remaining -= 1;
+            if (remaining === 0) {
+              selectBalance(innerTx);
+            }
+          }
+        );
+      }
+    });
+
+    console.log(`Applied sync verdicts: ${settled} settled, ${reversed} reversed. Balance: ${balance} paise`);
+    return {settled, reversed, balance};
+  } catch (error) {
+    console.error('Error applying sync verdicts:', error);
     throw error;
   }
 };
@@ -0,0 +1,226 @@
+import Config from './config';
+import {getDeviceIdentity} from './deviceIdentity';
+import {signBankRequest} from './bankClient';
+import {getUnsyncedLedgerEntries, applySyncVerdicts, SYNC_VERDICT} from './sqliteWallet';
+
+/**
+ * Backend Reconciliation Sync
+ * Uploads unsynced ledger entries with their signed tokens when online and
+ * applies the backend's verdicts to the local wallet (threatModel.md §9).
+ * The backend is the final authority: on conflict its verdict wins, even if
+ * that reverses a payment this wallet already accepted or made.
+ *
+ * Request: POST {endpoint}/api/sync, signed with the wallet key (bankClient.signBankRequest),
+ * so the device must be registered with the bank
+ * {
+ *   version: number,
+ *   device_id: string,
+ *   entries: [{
+ *     token_id: string,         // Token signature (base64)
+ *     type: 'credit' | 'debit', // credit = received, debit = sent
+ *     amount: number,           // Paise
+ *     status: string,           // Local ledger status (pending or acked)
+ *     channel: string | null,
+ *     counterparty_device_id: string | null,
+ *     counterparty_pubkey: string | null,
+ *     token: string,            // Serialized signed token
+ *     recorded_at: string       // Local ledger timestamp
+ *   }],
+ *   signed_at: number,          // Unix ms
+ *   nonce: string,              // Random, base64
+ *   signature: string           // Wallet key signature (base64)
+ * }
+ *
+ * Response:
+ * {
+ *   results: [{
+ *     token_id: string,
+ *     verdict: 'settled' | 'rejected' | 'counter_reuse' | 'undecided'
+ *   }]
+ * }
+ * Entries without a final verdict (undecided or missing) stay unsynced and are
+ * uploaded again on the next sync.
+ */
+
+const SYNC_PROTOCOL_VERSION = 1;
+
+export const SYNC_BATCH_SIZE = 50;
+const DEFAULT_MAX_ATTEMPTS = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 15 * 1000;
+
+const FINAL_VERDICTS = Object.values(SYNC_VERDICT);
+
+// Only one sync runs at a time; concurrent callers share its result
+let syncInFlight = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Exponential backoff with jitter for a retry attempt
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number} baseDelayMs - Delay after the first failure
+ * @returns {number} Delay before the next attempt (ms)
+ */
+const getRetryDelay = (attempt, baseDelayMs) => {
+  const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  // Spread retries of many wallets coming online at once
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+/**
+ * Build the upload form of a ledger entry
+ * @param {Object} entry - Ledger row from sqliteWallet
+ * @returns {Object} Entry as sent to the backend
+ */
+const toUploadEntry = (entry) => ({
+  token_id: entry.token_id,
+  type: entry.type,
+  amount: entry.amount,
+  status: entry.status,
+  channel: entry.channel,
+  counterparty_device_id: entry.counterparty_device_id,
+  counterparty_pubkey: entry.counterparty_pubkey,
+  token: entry.token,
+  recorded_at: entry.timestamp,
+});
+
+/**
+ * POST one batch to the backend, retrying network failures and 5xx/429 responses
+ * Every attempt is signed afresh: the backend refuses a nonce it has seen.
+ * @param {string} endpoint - Backend base URL
+ * @param {Object} body - Request body, unsigned
+ * @param {Object} retry - Retry policy
+ * @param {number} retry.maxAttempts - Attempts before giving up
+ * @param {number} retry.baseDelayMs - Backoff after the first failure
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {Error} If every attempt failed or the backend refused the batch
+ */
+const uploadBatch = async (endpoint, body, {maxAttempts, baseDelayMs}) => {
+  for (let attempt = 1; ; attempt++) {
+    let retryable = true;
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`${endpoint}/api/sync`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(await signBankRequest('/api/sync', body)),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        retryable = response.status >= 500 || response.status === 429;
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.message || `Sync failed with status ${response.status}`);
+      }
+
+      const result = await response.json();
+      if (!result || !Array.isArray(result.results)) {
+        retryable = false;
+        throw new Error('Malformed sync response');
+      }
+      return result;
+    } catch (error) {
+      if (!retryable || attempt >= maxAttempts) {
+        throw error;
+      }
+      console.log(`[Sync] Attempt ${attempt} failed (${error.message}), retrying`);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    await sleep(getRetryDelay(attempt, baseDelayMs));
+  }
+};
+
+/**
+ * Upload all unsynced ledger entries in batches and apply the verdicts
+ * @param {Object} options - Sync options
+ * @returns {Promise<Object>} Sync summary
+ */
+const runSync = async ({
+  endpoint = Config.BACKEND_ENDPOINT,
+  batchSize = SYNC_BATCH_SIZE,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+}) => {
+  if (!endpoint) {
+    throw new Error('Backend endpoint not configured');
+  }
+
+  const {deviceId} = await getDeviceIdentity();
+  const summary = {uploaded: 0, settled: 0, reversed: 0, undecided: 0, balance: null};
+
+  // Undecided entries stay unsynced, so page by id instead of re-querying from the start
+  let afterId = 0;
+  for (;;) {
+    const entries = await getUnsyncedLedgerEntries(afterId, batchSize);
+    if (entries.length === 0) {
+      break;
+    }
+
+    const response = await uploadBatch(
+      endpoint,
+      {
+        version: SYNC_PROTOCOL_VERSION,
+        device_id: deviceId,
+        entries: entries.map(toUploadEntry),
+      },
+      {maxAttempts, baseDelayMs}
+    );
+
+    const entryIdByToken = new Map(entries.map((entry) => [entry.token_id, entry.id]));
+    const verdicts = [];
+    for (const {token_id: tokenId, verdict} of response.results) {
+      // Ignore results for tokens not in this batch and non-final verdicts
+      if (entryIdByToken.has(tokenId) && FINAL_VERDICTS.includes(verdict)) {
+        verdicts.push({entryId: entryIdByToken.get(tokenId), verdict});
+      }
+    }
+
+    if (verdicts.length > 0) {
+      const applied = await applySyncVerdicts(verdicts);
+      summary.settled += applied.settled;
+      summary.reversed += applied.reversed;
+      summary.balance = applied.balance;
+    }
+    summary.uploaded += entries.length;
+    summary.undecided += entries.length - verdicts.length;
+
+    afterId = entries[entries.length - 1].id;
+    if (entries.length < batchSize) {
+      break;
+    }
+  }
+
+  console.log(
+    `[Sync] Uploaded ${summary.uploaded} entries: ${summary.settled} settled, ` +
+      `${summary.reversed} reversed, ${summary.undecided} undecided`
+  );
+  return summary;
+};
+
+/**
+ * Reconcile the local ledger with the backend
+ * Batches are applied as they complete, so a failure part-way keeps earlier results.
+ * @param {Object} options - Sync options (defaults suit the app)
+ * @param {string} options.endpoint - Backend base URL
+ * @param {number} options.batchSize - Entries per upload
+ * @param {number} options.maxAttempts - Attempts per batch before giving up
+ * @param {number} options.baseDelayMs - Backoff after the first failed attempt
+ * @returns {Promise<Object>} {uploaded, settled, reversed, undecided, balance} balance in paise, null if no verdict was applied
+ * @throws {Error} If the backend cannot be reached or refuses a batch
+ */
+export const syncLedger = (options = {}) => {
+  if (!syncInFlight) {
+    syncInFlight = runSync(options).finally(() => {
+      syncInFlight = null;
+    });
+  }
+  return syncInFlight;
+};
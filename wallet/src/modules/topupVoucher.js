@@ -0,0 +1,68 @@
+import nacl from 'tweetnacl';
+import {decode as decodeBase64} from 'base64-arraybuffer';
+import Config from './config';
+import {canonicalBytes} from './canonicalJson';
+import {isOwnWalletKey} from './offlineToken';
+import {getDeviceIdentity} from './deviceIdentity';
+import {isValidPaise} from './money';
+
+/**
+ * Bank top-up vouchers
+ * The only way to load the offline subwallet: the bank issues a voucher signed
+ * with its key, bound to this wallet's public key and device. The wallet checks
+ * it against the pinned bank key and credits each serial at most once.
+ *
+ * Voucher structure:
+ * {
+ *   version: number,        // Voucher format version
+ *   serial: string,         // Unique per voucher (base64, 128 bits)
+ *   device_id: string,      // Device the voucher was issued to
+ *   wallet_pubkey: string,  // Wallet key the voucher is bound to (base64)
+ *   amount: number,         // Paise
+ *   issued_at: number,      // Unix seconds
+ *   signature: string       // Bank Ed25519 over canonical JSON of all other fields
+ * }
+ */
+
+export const TOPUP_VOUCHER_VERSION = 1;
+
+/**
+ * Verify a top-up voucher before crediting it
+ * @param {Object} voucher - Voucher as returned by the bank
+ * @param {string} bankPublicKey - Pinned bank key (base64)
+ * @returns {Promise<Object>} {valid: boolean, error: string}
+ */
+export const verifyTopupVoucher = async (voucher, bankPublicKey = Config.BANK_PUBLIC_KEY) => {
+  try {
+    if (!voucher || typeof voucher !== 'object' || voucher.version !== TOPUP_VOUCHER_VERSION) {
+      return {valid: false, error: 'Unsupported top-up voucher'};
+    }
+    if (typeof voucher.serial !== 'string' || voucher.serial.length === 0) {
+      return {valid: false, error: 'Top-up voucher has no serial'};
+    }
+    if (!isValidPaise(voucher.amount)) {
+      return {valid: false, error: 'Top-up voucher amount is invalid'};
+    }
+
+    const {signature, ...unsigned} = voucher;
+    const isSigned = nacl.sign.detached.verify(
+      canonicalBytes(unsigned),
+      new Uint8Array(decodeBase64(signature)),
+      new Uint8Array(decodeBase64(bankPublicKey))
+    );
+    if (!isSigned) {
+      return {valid: false, error: 'Top-up voucher is not signed by the bank'};
+    }
+
+    // A voucher issued to another wallet cannot be redeemed here
+    const {deviceId} = await getDeviceIdentity();
+    if (!(await isOwnWalletKey(voucher.wallet_pubkey)) || voucher.device_id !== deviceId) {
+      return {valid: false, error: 'Top-up voucher was issued to another wallet'};
+    }
+
+    return {valid: true, error: ''};
+  } catch (error) {
+    console.error('Error verifying top-up voucher:', error);
+    return {valid: false, error: 'Top-up voucher is malformed'};
+  }
+};
@@ -1,16 +1,165 @@
-import {getBalance, initDatabase, deductMoney, addMoney} from './sqliteWallet';
-import {generateToken, verifyToken} from './offlineToken';
-import {scanAndConnect, sendToken as bleTransferToken, disconnect, requestBlePermissions} from './bleTransport';
+import {
+  getBalance,
+  initDatabase,
+  deductMoney,
+  creditReceivedToken,
+  pruneReceivedTokens,
+  recordPendingPayment,
+  getPendingPayments,
+  verifyLedger,
+  creditTopupVoucher,
+  getSpendingUsage,
+  TOKEN_REPLAYED,
+  VOUCHER_REDEEMED,
+  OFFLINE_BALANCE_CAP_EXCEEDED,
+  LEDGER_CHANNEL,
+} from './sqliteWallet';
+import {
+  generateToken,
+  verifyToken,
+  serializeToken,
+  getTokenIssuedAt,
+  getTokenAmountPaise,
+  getPayerCertificate,
+  storePayerCertificate,
+  rotateWalletKey as replaceWalletKey,
+  TOKEN_VALIDITY_WINDOW_MS,
+} from './offlineToken';
+import {
+  scanAndConnect,
+  authenticateReceiver,
+  sendToken as bleTransferToken,
+  waitForAck,
+  disconnect,
+  requestBlePermissions,
+  ACK_TIMEOUT,
+} from './bleTransport';
+import {parseRupeesToPaise, formatRupees} from './money';
+import {createPaymentAck, verifyPaymentAck, encodeAckBytes, ACK_STATUS} from './paymentAck';
+import {sendMessage} from './blePeripheral';
+import {startSenderSession, sealMessage, answerHello, getSessionTag} from './secureChannel';
+import {isQrNonceOutstanding} from './qrNonceRegistry';
+import {syncLedger} from './syncEngine';
+import {verifyTopupVoucher} from './topupVoucher';
+import {requestTopupVoucher, fetchSpendingPolicy, fetchRevocationList, registerDevice} from './bankClient';
+import {getSpendingPolicy, installSpendingPolicy, checkPayment, checkTopup} from './spendingPolicy';
+import {getRevokedKeys, installRevocationList} from './keyRevocation';
+import {getDeviceIdentity} from './deviceIdentity';
+
+// Result code for a sent payment whose ACK never arrived
+export const PAYMENT_UNKNOWN = 'PAYMENT_UNKNOWN';
+
+// Result code for a payment attempted without a valid bank certificate for the wallet key
+export const PAYER_UNCERTIFIED = 'PAYER_UNCERTIFIED';
+
+// Result code for a received token made out to another device
+export const WRONG_PAYEE = 'WRONG_PAYEE';
+
+// Keep seen-token entries a little past the validity window to absorb clock adjustments
+const SEEN_TOKEN_PRUNE_MARGIN_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Ledger details of a token sent or received over BLE
+ * @param {Object} token - Payment token
+ * @param {Object} counterparty - The other wallet
+ * @param {string|null} counterparty.deviceId - Its device ID
+ * @param {string|null} counterparty.pubkey - Its wallet public key (base64), if known
+ * @returns {Object} Ledger details for sqliteWallet
+ */
+const getTokenLedgerDetails = (token, {deviceId, pubkey}) => ({
+  channel: LEDGER_CHANNEL.BLE,
+  counterpartyDeviceId: deviceId ?? null,
+  counterpartyPubkey: pubkey ?? null,
+  tokenId: token.signature,
+  tokenCounter: token.counter,
+  tokenNonce: token.nonce ?? null,
+  token: serializeToken(token),
+});
+
+/**
+ * Fetch and install the bank's latest spending policy
+ * Best effort: the stored (or default) policy stays in force if this fails.
+ * @returns {Promise<void>}
+ */
+const refreshSpendingPolicy = async () => {
+  try {
+    const {success, message} = await installSpendingPolicy(await fetchSpendingPolicy());
+    if (!success) {
+      console.error('Spending policy not installed:', message);
+    }
+  } catch (error) {
+    console.error('Error refreshing spending policy:', error);
+  }
+};
+
+/**
+ * Register the wallet key with the bank and store the renewed payer certificate
+ * Best effort: the stored certificate stays in use until it expires.
+ * @returns {Promise<void>}
+ */
+const refreshPayerCertificate = async () => {
+  try {
+    const {certificate} = await registerDevice();
+    await storePayerCertificate(certificate);
+  } catch (error) {
+    console.error('Error refreshing payer certificate:', error);
+  }
+};
+
+/**
+ * Fetch and install the bank's latest list of revoked wallet keys
+ * Best effort: the stored list stays in force if this fails.
+ * @returns {Promise<void>}
+ */
+const refreshRevocationList = async () => {
+  try {
+    const {success, message} = await installRevocationList(await fetchRevocationList());
+    if (!success) {
+      console.error('Revocation list not installed:', message);
+    }
+  } catch (error) {
+    console.error('Error refreshing revocation list:', error);
+  }
+};
+
+/**
+ * Replace the wallet key and register the new key with the bank
+ * The rotation itself is local; if the bank cannot be reached the new key is
+ * registered (and certified) on the next sync.
+ * @returns {Promise<Object>} {success: boolean, message: string}
+ */
+export const rotateWalletKey = async () => {
+  try {
+    const {key_version: keyVersion} = await replaceWalletKey();
+    try {
+      const {certificate} = await registerDevice();
+      await storePayerCertificate(certificate);
+    } catch (error) {
+      console.error('Error registering rotated wallet key:', error);
+      return {
+        success: true,
+        message: `Wallet key rotated to version ${keyVersion}. Sync the wallet to certify it before paying offline`,
+      };
+    }
+    return {success: true, message: `Wallet key rotated to version ${keyVersion}`};
+  } catch (error) {
+    console.error('Error rotating wallet key:', error);
+    return {success: false, message: error.message || 'Key rotation failed'};
+  }
+};
 
 /**
  * Initialize wallet and return current balance
  * Centralizes initialization and balance fetching logic
- * @returns {Promise<number>} Current wallet balance
+ * @returns {Promise<number>} Current wallet balance in paise
  */
 export const initializeAndGetBalance = async () => {
   try {
     // Initialize database with tables if not already done
     await initDatabase();
+
+    // Check the stored balance against the ledger (a mismatch is logged)
+    await verifyLedger();
     
     // Fetch and return current balance
     const balance = await getBalance();
@@ -22,62 +171,145 @@ export const initializeAndGetBalance = async () => {
 };
 
 /**
- * Refresh wallet balance
- * Reusable utility to fetch current balance without re-initialization
- * @returns {Promise<number>} Current wallet balance
+ * Reconcile the wallet with the bank backend
+ * Uploads unsynced payments and applies the backend's verdicts (backend wins)
+ * @returns {Promise<Object>} {success: boolean, message: string, balance: number|null} balance in paise
  */
-export const refreshBalance = async () => {
+export const syncWallet = async () => {
   try {
-    // Fetch current balance from database
-    const balance = await getBalance();
-    return balance;
+    // Registering first lets the bank check the signed upload, also after a key rotation
+    await refreshPayerCertificate();
+    const {uploaded, settled, reversed, undecided, balance} = await syncLedger();
+    await refreshSpendingPolicy();
+    await refreshRevocationList();
+    const parts = [`${settled} settled`];
+    if (reversed > 0) {
+      parts.push(`${reversed} reversed by the bank`);
+    }
+    if (undecided > 0) {
+      parts.push(`${undecided} awaiting the bank`);
+    }
+    return {
+      success: true,
+      message: uploaded === 0 ? 'Nothing to sync' : `Synced ${uploaded} payments: ${parts.join(', ')}`,
+      balance,
+    };
   } catch (error) {
-    console.error('Error refreshing balance:', error);
-    throw new Error('Failed to refresh balance');
+    console.error('Error syncing wallet:', error);
+    return {
+      success: false,
+      message: error.message || 'Sync failed',
+      balance: null,
+    };
   }
 };
 
 /**
- * Validate amount input for transactions
- * Centralizes amount validation logic
- * @param {string} amountString - Amount as string from input
- * @returns {Object} {valid: boolean, amount: number, error: string}
+ * Credit a bank top-up voucher to the offline wallet
+ * Verifies the bank signature and wallet binding; each serial is credited once.
+ * @param {Object} voucher - Signed top-up voucher
+ * @returns {Promise<Object>} {success: boolean, code: string|null, message: string, newBalance: number|null}
+ *   code is null on success, otherwise INVALID_VOUCHER, OFFLINE_BALANCE_CAP_EXCEEDED, VOUCHER_REDEEMED or CREDIT_FAILED
  */
-export const validateTransactionAmount = (amountString) => {
-  // Check if amount is entered
-  if (!amountString || amountString.trim() === '') {
+export const redeemTopupVoucher = async (voucher) => {
+  const verification = await verifyTopupVoucher(voucher);
+  if (!verification.valid) {
+    return {success: false, code: 'INVALID_VOUCHER', message: verification.error, newBalance: null};
+  }
+
+  const limits = await getSpendingPolicy();
+  try {
+    // The balance cap is checked inside the credit's SQL transaction
+    const newBalance = await creditTopupVoucher(
+      {
+        serial: voucher.serial,
+        amount: voucher.amount,
+        voucher: JSON.stringify(voucher),
+      },
+      limits.max_offline_balance
+    );
     return {
-      valid: false,
-      amount: 0,
-      error: 'Please enter an amount',
+      success: true,
+      code: null,
+      message: `Loaded ${formatRupees(voucher.amount)} into the offline wallet`,
+      newBalance,
+    };
+  } catch (error) {
+    if (error.code === OFFLINE_BALANCE_CAP_EXCEEDED) {
+      const policyCheck = checkTopup(limits, voucher.amount, error.balance);
+      return {success: false, code: OFFLINE_BALANCE_CAP_EXCEEDED, message: policyCheck.message, newBalance: null};
+    }
+    const redeemed = error.code === VOUCHER_REDEEMED;
+    return {
+      success: false,
+      code: redeemed ? VOUCHER_REDEEMED : 'CREDIT_FAILED',
+      message: redeemed
+        ? 'This top-up voucher was already used'
+        : error.message || 'Failed to load offline balance',
+      newBalance: null,
     };
   }
+};
 
-  // Parse amount to number
-  const amount = parseFloat(amountString);
+/**
+ * Load offline balance from the bank (requires connectivity)
+ * Orchestrates: refresh limits and certificate → check balance cap → request voucher → verify against the pinned bank key → credit once
+ * @param {number} amount - Amount to load in paise
+ * @returns {Promise<Object>} Result of redeemTopupVoucher
+ */
+export const loadOfflineBalance = async (amount) => {
+  let voucher;
+  try {
+    // Refuse before the bank issues a voucher the wallet could not credit;
+    // redeemTopupVoucher enforces the cap again, atomically with the credit
+    await refreshSpendingPolicy();
+    await refreshPayerCertificate();
+    const policyCheck = checkTopup(await getSpendingPolicy(), amount, await getBalance());
+    if (!policyCheck.allowed) {
+      return {success: false, code: policyCheck.code, message: policyCheck.message, newBalance: null};
+    }
 
-  // Check if amount is a valid number
-  if (isNaN(amount)) {
+    voucher = await requestTopupVoucher(amount);
+  } catch (error) {
+    console.error('Error requesting top-up voucher:', error);
     return {
-      valid: false,
-      amount: 0,
-      error: 'Please enter a valid number',
+      success: false,
+      code: 'TOPUP_REQUEST_FAILED',
+      message: error.message || 'Could not reach the bank',
+      newBalance: null,
     };
   }
+  return redeemTopupVoucher(voucher);
+};
 
-  // Check if amount is greater than 0
-  if (amount <= 0) {
-    return {
-      valid: false,
-      amount: 0,
-      error: 'Amount must be greater than 0',
-    };
+/**
+ * Refresh wallet balance
+ * Reusable utility to fetch current balance without re-initialization
+ * @returns {Promise<number>} Current wallet balance in paise
+ */
+export const refreshBalance = async () => {
+  try {
+    // Fetch current balance from database
+    const balance = await getBalance();
+    return balance;
+  } catch (error) {
+    console.error('Error refreshing balance:', error);
+    throw new Error('Failed to refresh balance');
   }
+};
 
+/**
+ * Validate amount input for transactions
+ * Centralizes amount validation logic: at most 2 decimals, positive, within MAX_AMOUNT_PAISE
+ * @param {string} amountString - Rupee amount as string from input
+ * @returns {Object} {valid: boolean, amount: number, error: string} amount is in paise
+ */
+export const validateTransactionAmount = (amountString) => {
+  const {valid, paise, error} = parseRupeesToPaise(amountString);
   return {
-    valid: true,
-    amount,
-    error: '',
+    valid,
+    amount: paise,
+    error,
   };
 };
 
@@ -85,7 +317,9 @@ export const validateTransactionAmount = (amountString) => {
  * Validate QR code payload for wallet transactions
  * Verifies signature and extracts device ID from signed QR
  * @param {string} qrString - JSON string from QR code
- * @returns {Object} {valid: boolean, deviceId: string, deviceName: string, bleServiceUuid: string, error: string}
+ * QRs without a BLE session key (before 2.3) are refused: the token is only sent encrypted
+ * QRs without a bank-certified merchant (before 2.5) are refused: anyone can sign those
+ * @returns {Object} {valid: boolean, deviceId: string, deviceName: string, bleServiceUuid: string, sessionPublicKey: string, qrNonce: string, merchantName: string, error: string}
  */
 export const validateQrPayload = (qrString) => {
   try {
@@ -101,25 +335,30 @@ export const validateQrPayload = (qrString) => {
         deviceId: '',
         deviceName: '',
         bleServiceUuid: '',
+        sessionPublicKey: '',
+        qrNonce: '',
+        merchantName: '',
         error: `Invalid QR: ${verification.message}`,
       };
     }
 
-    // Extract validated fields from payload (supports v1 and v2 schemas)
+    // Extract validated fields from payload (supports v1 flat and v2 nested layouts)
     const payload = verification.payload;
 
     let device_id;
     let device_name;
     let ble_service_uuid;
+    let session_public_key;
 
-    if (payload?.version === '2.0') {
-      device_id = payload.conn?.device_id;
-      device_name = payload.conn?.device_name;
-      ble_service_uuid = payload.conn?.ble_service_uuid;
-    } else {
+    if (payload?.version === '1.0') {
       device_id = payload?.device_id;
       device_name = payload?.device_name;
       ble_service_uuid = payload?.ble_service_uuid;
+    } else {
+      device_id = payload.conn?.device_id;
+      device_name = payload.conn?.device_name;
+      ble_service_uuid = payload.conn?.ble_service_uuid;
+      session_public_key = payload.conn?.session_public_key;
     }
 
     if (!device_id || !device_name || !ble_service_uuid) {
@@ -128,15 +367,48 @@ export const validateQrPayload = (qrString) => {
         deviceId: '',
         deviceName: '',
         bleServiceUuid: '',
+        sessionPublicKey: '',
+        qrNonce: '',
+        merchantName: '',
         error: 'Invalid QR: missing required connection fields',
       };
     }
 
+    // Only a bank-certified merchant QR (2.5+) proves who is asking to be paid
+    if (!verification.merchant) {
+      return {
+        valid: false,
+        deviceId: '',
+        deviceName: '',
+        bleServiceUuid: '',
+        sessionPublicKey: '',
+        qrNonce: '',
+        merchantName: '',
+        error: 'Invalid QR: receiver is not a certified merchant, ask them to update TokPay',
+      };
+    }
+
+    if (!session_public_key) {
+      return {
+        valid: false,
+        deviceId: '',
+        deviceName: '',
+        bleServiceUuid: '',
+        sessionPublicKey: '',
+        qrNonce: '',
+        merchantName: '',
+        error: 'Invalid QR: receiver does not support encrypted transfer, ask them to update TokPay',
+      };
+    }
+
     return {
       valid: true,
       deviceId: device_id,
       deviceName: device_name,
       bleServiceUuid: ble_service_uuid,
+      sessionPublicKey: session_public_key,
+      qrNonce: payload.tx.nonce,
+      merchantName: verification.merchant.merchantName,
       error: '',
     };
   } catch (error) {
@@ -145,21 +417,55 @@ export const validateQrPayload = (qrString) => {
       deviceId: '',
       deviceName: '',
       bleServiceUuid: '',
+      sessionPublicKey: '',
+      qrNonce: '',
+      merchantName: '',
       error: `Invalid QR: ${error.message || 'Failed to parse QR code'}`,
     };
   }
 };
 /**
  * Process offline payment with token generation and BLE transfer
- * Orchestrates: token generation → BLE connection → token transmission → wallet deduction
+ * Orchestrates: spending policy check → token generation → BLE connection → session handshake → token transmission → wait for ACK → wallet deduction
+ * The debit is only committed once the receiver returns a signed ACK for this token.
+ * Once any of the token may have reached the receiver, a payment without a verified
+ * outcome is recorded as pending/unknown instead of being lost, and an ACKed debit
+ * that cannot be applied is recorded as pending too. Pending payments hold their
+ * amount back from later payments until the bank decides them.
+ * Token and ACK travel encrypted in a session bound to the receiver's QR key and nonce;
+ * only the device advertising that session is connected, and it must prove it holds the key.
  * Keeps business logic out of UI components
- * @param {number} amount - Payment amount
- * @param {string} payeeDeviceId - Recipient's device ID
- * @returns {Promise<Object>} {success: boolean, message: string, token: Object}
+ * @param {number} amount - Payment amount in paise
+ * @param {Object} payee - Fields from the verified receive QR (see validateQrPayload)
+ * @param {string} payee.deviceId - Recipient's device ID
+ * @param {string} payee.bleServiceUuid - conn.ble_service_uuid from the QR, advertised by the receiver
+ * @param {string} payee.sessionPublicKey - conn.session_public_key from the QR
+ * @param {string} payee.qrNonce - tx.nonce from the QR, consumed once by the receiver
+ * @returns {Promise<Object>} {success: boolean, pending: boolean, code: string|null, message: string, token: Object}
  */
-export const processOfflinePayment = async (amount, payeeDeviceId) => {
+export const processOfflinePayment = async (amount, payee) => {
+  const {deviceId: payeeDeviceId, bleServiceUuid, sessionPublicKey, qrNonce} = payee;
   let connectedDevice = null;
-  
+  let ackWait = null;
+  // Set once the token may have reached the receiver, until its outcome is known
+  let unresolvedToken = null;
+
+  // The receiver may have credited the token; do not debit or retry blindly
+  // The receiver's wallet key is unknown without its ACK
+  const recordUnknownOutcome = async (token) => {
+    await recordPendingPayment(
+      amount,
+      getTokenLedgerDetails(token, {deviceId: payeeDeviceId, pubkey: null})
+    );
+    return {
+      success: false,
+      pending: true,
+      code: PAYMENT_UNKNOWN,
+      message: 'No confirmation from the receiver. Payment status is unknown and has been saved as pending.',
+      token: token,
+    };
+  };
+
   try {
     // Step 1: Request BLE permissions before any BLE operations
     const hasPermission = await requestBlePermissions();
@@ -167,31 +473,115 @@ export const processOfflinePayment = async (amount, payeeDeviceId) => {
       throw new Error('Bluetooth permissions are required for offline payments');
     }
 
+    // Derive the encrypted session from the key advertised in the receiver's QR
+    const session = startSenderSession(sessionPublicKey, qrNonce);
+
+    // Debit happens after the ACK, so check funds before anything is sent
+    // Pending payments are not debited yet but may still settle, so their money is spoken for
+    const balance = await getBalance();
+    const pendingPayments = await getPendingPayments();
+    const reserved = pendingPayments.reduce((total, payment) => total + payment.amount, 0);
+    if (balance - reserved < amount) {
+      throw new Error('Insufficient balance');
+    }
+
+    // Offline limits bound what a compromised wallet can spend before the bank sees it
+    const policyCheck = checkPayment(await getSpendingPolicy(), amount, await getSpendingUsage());
+    if (!policyCheck.allowed) {
+      return {
+        success: false,
+        pending: false,
+        code: policyCheck.code,
+        message: policyCheck.message,
+        token: null,
+      };
+    }
+
+    // Receivers reject tokens from wallets the bank has not certified
+    if (!(await getPayerCertificate())) {
+      return {
+        success: false,
+        pending: false,
+        code: PAYER_UNCERTIFIED,
+        message: 'This wallet is not certified by the bank. Sync the wallet while online, then pay.',
+        token: null,
+      };
+    }
+
     // Step 2: Generate signed offline token with cryptographic signature
+    // The payee's certified merchant_id is its device ID
     console.log('Generating offline payment token...');
     const token = await generateToken(amount, payeeDeviceId);
 
-    // Step 3: Scan and auto-connect to payee's BLE device
+    // Step 3: Scan and auto-connect to the device advertising the QR's session
     console.log('Scanning for payee device via BLE...');
-    connectedDevice = await scanAndConnect(payeeDeviceId);
+    connectedDevice = await scanAndConnect(bleServiceUuid, getSessionTag(session.sessionId));
+
+    // Step 4: Both sides prove they hold the QR session before any token is sent
+    console.log('Verifying the payee holds the scanned QR...');
+    await authenticateReceiver(session, connectedDevice);
 
-    // Step 4: Send token via BLE to payee device
+    // Step 5: Subscribe for the ACK before sending so it cannot be missed
+    ackWait = waitForAck(session, ack => verifyPaymentAck(ack, token), ACK_TIMEOUT, connectedDevice);
+
+    // Step 6: Send token via BLE to payee device
+    // A transfer that fails part-way may still have delivered the token
     console.log('Transmitting token via BLE...');
-    await bleTransferToken(token, connectedDevice);
+    unresolvedToken = token;
+    await bleTransferToken(token, session, connectedDevice);
+
+    // Step 7: Wait for the receiver's signed ACK/NACK
+    console.log('Waiting for payment ACK...');
+    const ack = await ackWait.ack;
+    ackWait = null;
+
+    if (!ack) {
+      unresolvedToken = null;
+      const result = await recordUnknownOutcome(token);
+      await disconnect();
+      return result;
+    }
+    unresolvedToken = null;
+
+    if (ack.status !== ACK_STATUS.ACK) {
+      await disconnect();
+
+      return {
+        success: false,
+        pending: false,
+        code: ack.code,
+        message: `Payment rejected by receiver${ack.code ? ` (${ack.code})` : ''}`,
+        token: null,
+      };
+    }
 
-    // Step 5: Deduct amount from local SQLite wallet and log transaction
+    // Step 8: Receiver confirmed the credit, deduct from local SQLite wallet
+    // The receiver has been paid, so the debit is kept even if it cannot be applied now;
+    // as a pending entry it holds the amount back and is debited once the bank settles it
     console.log('Updating local wallet...');
-    await deductMoney(amount);
+    const debitDetails = getTokenLedgerDetails(token, {deviceId: payeeDeviceId, pubkey: ack.receiver_pubkey});
+    try {
+      await deductMoney(amount, debitDetails);
+    } catch (error) {
+      console.error('Acknowledged payment not debited, recording it as pending:', error);
+      await recordPendingPayment(amount, debitDetails);
+    }
 
-    // Step 6: Disconnect from BLE device
+    // Step 9: Disconnect from BLE device
     await disconnect();
 
     return {
       success: true,
-      message: `Payment of ₹${amount.toFixed(2)} sent successfully`,
+      pending: false,
+      code: null,
+      message: `Payment of ${formatRupees(amount)} sent successfully`,
       token: token,
     };
   } catch (error) {
+    if (ackWait) {
+      ackWait.cancel();
+    }
+
     // Cleanup: Disconnect if connection was established
     if (connectedDevice) {
       await disconnect().catch(err => console.error('Disconnect error:', err));
@@ -199,40 +589,75 @@ export const processOfflinePayment = async (amount, payeeDeviceId) => {
 
     console.error('Offline payment error:', error);
 
+    if (unresolvedToken) {
+      try {
+        return await recordUnknownOutcome(unresolvedToken);
+      } catch (recordError) {
+        console.error('Error recording payment with unknown outcome:', recordError);
+      }
+    }
+
     // Return detailed error message
     return {
       success: false,
+      pending: false,
+      code: null,
       message: error.message || 'Payment failed',
       token: null,
     };
   }
 };
 
+/**
+ * Check that a received token is made out to this device
+ * The payee (merchant_id) is signed into the token, so a token for another
+ * device is refused before it uses up a QR nonce or is credited here.
+ * @param {Object} token - Received payment token
+ * @returns {Promise<boolean>} True if the token names this device as payee
+ */
+export const isTokenForThisDevice = async (token) => {
+  const {deviceId} = await getDeviceIdentity();
+  return typeof token?.merchant_id === 'string' && token.merchant_id === deviceId;
+};
+
 /**
  * Validate and process received offline token
- * Orchestrates: token verification → wallet credit → transaction log
+ * Orchestrates: payee check → token verification → wallet credit → transaction log
  * @param {Object} token - Received payment token
- * @returns {Promise<Object>} {success: boolean, message: string, amount: number}
+ * @returns {Promise<Object>} {success: boolean, code: string|null, message: string, amount: number} amount is in paise
+ *   code is null on success, otherwise WRONG_PAYEE or INVALID_TOKEN
  */
 export const processReceivedToken = async (token) => {
   try {
-    // Step 1: Verify token signature and validity
+    // Step 1: Only tokens made out to this device can be credited here
+    if (!(await isTokenForThisDevice(token))) {
+      console.error('Received token is made out to another device');
+      return {
+        success: false,
+        code: WRONG_PAYEE,
+        message: 'This payment is addressed to another device',
+        amount: 0,
+      };
+    }
+
+    // Step 2: Verify token signature and validity
     console.log('Verifying received token...');
-    const isValid = await verifyToken(token);
+    const isValid = await verifyToken(token, {revokedKeys: await getRevokedKeys()});
 
     if (!isValid) {
       throw new Error('Invalid token signature or expired token');
     }
 
-    // Step 2: Extract amount from verified token
-    const amount = token.amount;
+    // Step 3: Extract amount from verified token (paise, converted for older token versions)
+    const amount = getTokenAmountPaise(token);
 
-    // Step 3: Credit amount to local SQLite wallet (handled in ReceiveScreen)
-    // Note: addMoney should be called by the screen, not here to avoid double-credit
+    // Step 4: Credit amount to local SQLite wallet (handled in ReceiveScreen)
+    // Note: applyReceivedPaymentToken credits it, not here, to avoid double-credit
 
     return {
       success: true,
-      message: `Received ₹${amount.toFixed(2)}`,
+      code: null,
+      message: `Received ${formatRupees(amount)}`,
       amount: amount,
     };
   } catch (error) {
@@ -240,6 +665,7 @@ export const processReceivedToken = async (token) => {
     
     return {
       success: false,
+      code: 'INVALID_TOKEN',
       message: error.message || 'Failed to process received token',
       amount: 0,
     };
@@ -248,38 +674,124 @@ export const processReceivedToken = async (token) => {
 
 /**
  * Apply a received payment token to the local wallet.
- * Orchestrates: verify token -> credit SQLite wallet.
+ * Orchestrates: check payee -> verify token -> record as seen + credit SQLite wallet
+ * (atomically, within the offline balance cap).
+ * The ledger entry links the credit to the token and its payer.
  * Keeps business logic out of screens; screens only handle UI.
  *
  * @param {Object} token - Received payment token
- * @returns {Promise<{success: boolean, message: string, amount: number, newBalance: number}>}
+ * @returns {Promise<{success: boolean, code: string|null, message: string, amount: number, newBalance: number}>}
+ *   amount and newBalance are in paise
+ *   code is null on success, otherwise WRONG_PAYEE, INVALID_TOKEN, TOKEN_REPLAYED,
+ *   OFFLINE_BALANCE_CAP_EXCEEDED or CREDIT_FAILED
  */
 export const applyReceivedPaymentToken = async (token) => {
+  const limits = await getSpendingPolicy();
   try {
     const result = await processReceivedToken(token);
     if (!result.success) {
       return {
         success: false,
+        code: result.code,
         message: result.message,
         amount: 0,
         newBalance: 0,
       };
     }
 
-    const newBalance = await addMoney(result.amount);
+    // Entries older than the validity window can no longer pass verification
+    await pruneReceivedTokens(Date.now() - TOKEN_VALIDITY_WINDOW_MS - SEEN_TOKEN_PRUNE_MARGIN_MS);
+
+    const newBalance = await creditReceivedToken(
+      {
+        payerPubkey: token.payer_pubkey,
+        counter: token.counter,
+        nonce: token.nonce ?? null,
+        issuedAt: getTokenIssuedAt(token),
+      },
+      result.amount,
+      limits.max_offline_balance,
+      // payer_device_id is informational (not signed); payer_pubkey is authoritative
+      getTokenLedgerDetails(token, {deviceId: token.payer_device_id, pubkey: token.payer_pubkey})
+    );
     return {
       success: true,
-      message: `Received ₹${result.amount.toFixed(2)}`,
+      code: null,
+      message: `Received ${formatRupees(result.amount)}`,
       amount: result.amount,
       newBalance,
     };
   } catch (error) {
     console.error('Error applying received token:', error);
+    if (error.code === OFFLINE_BALANCE_CAP_EXCEEDED) {
+      // Nothing was credited; the sender gets a NACK and keeps its money
+      return {
+        success: false,
+        code: OFFLINE_BALANCE_CAP_EXCEEDED,
+        message: checkTopup(limits, getTokenAmountPaise(token), error.balance).message,
+        amount: 0,
+        newBalance: 0,
+      };
+    }
+    const replayed = error.code === TOKEN_REPLAYED;
     return {
       success: false,
-      message: error.message || 'Failed to apply received payment',
+      code: replayed ? TOKEN_REPLAYED : 'CREDIT_FAILED',
+      message: replayed
+        ? 'This payment token was already received'
+        : error.message || 'Failed to apply received payment',
       amount: 0,
       newBalance: 0,
     };
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Answer a sender's handshake hello on the receiver side
+ * Only a hello bound to the nonce of an outstanding QR of the same session is
+ * answered; the nonce itself is consumed later, with the token.
+ * @param {Object} opened - Hello accepted by secureChannel.acceptSenderMessage
+ * @returns {Promise<boolean>} True if the reply was sent
+ */
+export const answerPaymentHandshake = async (opened) => {
+  try {
+    const {session, data: challenge, qrNonce} = opened;
+    if (!isQrNonceOutstanding(qrNonce, session.sessionId)) {
+      console.error('Ignoring handshake for an unknown or used QR');
+      return false;
+    }
+
+    await sendMessage(answerHello(session, challenge));
+    return true;
+  } catch (error) {
+    console.error('Error answering payment handshake:', error);
+    return false;
+  }
+};
+
+/**
+ * Send the signed ACK/NACK for a received token back to the sender
+ * A replayed token counts as credited: the sender's earlier payment already landed.
+ * @param {Object} token - Received payment token
+ * @param {Object} result - Result of applyReceivedPaymentToken
+ * @param {Object} session - Secure session the token arrived on
+ * @returns {Promise<boolean>} True if the ACK was sent
+ */
+export const acknowledgeReceivedToken = async (token, result, session) => {
+  try {
+    if (!token?.signature) {
+      // Nothing to bind an ACK to
+      return false;
+    }
+
+    const ack = await createPaymentAck(token, {
+      credited: result.success || result.code === TOKEN_REPLAYED,
+      code: result.code,
+    });
+    await sendMessage(sealMessage(session, encodeAckBytes(ack)));
+    return true;
+  } catch (error) {
+    console.error('Error sending payment ACK:', error);
+    return false;
+  }
+};
@@ -9,6 +9,7 @@ import {
   Alert,
 } from 'react-native';
 import {initializeAndGetBalance, refreshBalance} from '../modules/walletHelpers';
+import {formatRupees} from '../modules/money';
 
 const HomeScreen = ({navigation}) => {
   const [balance, setBalance] = useState(0);
@@ -103,7 +104,7 @@ const HomeScreen = ({navigation}) => {
       {/* Balance Display Card */}
       <View style={styles.balanceCard}>
         <Text style={styles.balanceLabel}>Available Balance</Text>
-        <Text style={styles.balanceAmount}>₹{balance.toFixed(2)}</Text>
+        <Text style={styles.balanceAmount}>{formatRupees(balance)}</Text>
         <TouchableOpacity onPress={handleRefreshBalance}>
           <Text style={styles.refreshText}>🔄 Refresh</Text>
         </TouchableOpacity>
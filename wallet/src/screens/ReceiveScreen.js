@@ -1,4 +1,4 @@
-import React, {useState, useRef, useCallback} from 'react';
+import React, {useState, useRef, useCallback, useEffect} from 'react';
 import {
   View,
   Text,
@@ -6,32 +6,62 @@ import {
   Alert,
   ActivityIndicator,
   ScrollView,
-  TouchableOpacity,
 } from 'react-native';
 import QRCode from 'react-native-qrcode-svg';
 import {useFocusEffect} from '@react-navigation/native';
-import {decode as base64Decode} from 'base64-arraybuffer';
 
 // Import modules for device identity, wallet operations, and BLE communication
 import {getDeviceIdentity} from '../modules/deviceIdentity';
 import {disconnect, requestBlePermissions} from '../modules/bleTransport';
-import {applyReceivedPaymentToken} from '../modules/walletHelpers';
+import {
+  applyReceivedPaymentToken,
+  acknowledgeReceivedToken,
+  answerPaymentHandshake,
+  isTokenForThisDevice,
+  WRONG_PAYEE,
+} from '../modules/walletHelpers';
 import {startAdvertising, stopAdvertising} from '../modules/bleSessionManager';
-import {onDataReceived} from '../modules/blePeripheral';
-import {deserializeToken} from '../modules/offlineToken';
+import {onMessageReceived} from '../modules/blePeripheral';
+import {decodeTokenBytes} from '../modules/offlineToken';
 // Import QR generation utilities (pure functions, no side effects)
-import {generateReceiveQR, isQRExpired as checkQRExpiry} from '../modules/qrGenerator';
-import {decodeUtf8} from '../modules/textEncoding';
+import {generateReceiveQR, getQrIssuedAt} from '../modules/qrGenerator';
+import {
+  getQrExpiresAt,
+  getQrTimeRemaining,
+  getQrTtl,
+  QR_ROTATE_AHEAD_MS,
+} from '../modules/qrExpiryPolicy';
+import {formatRupees} from '../modules/money';
+import {
+  openReceiverSession,
+  acceptSenderMessage,
+  closeReceiverSessions,
+  getAdvertisedSessionTags,
+} from '../modules/secureChannel';
+import {registerQrNonce, consumeQrNonce, clearQrNonces, QR_NONCE_USED} from '../modules/qrNonceRegistry';
+import {getMerchantSigner, enrollMerchant} from '../modules/merchantProfile';
+import {getSessionServiceUuid} from '../modules/bleProtocol';
+
+const FAILURE_ALERT_TITLES = {
+  TOKEN_REPLAYED: 'Payment Already Received',
+  // Crediting the payment would take the wallet over its offline balance cap
+  OFFLINE_BALANCE_CAP_EXCEEDED: 'Offline Wallet Full',
+  WRONG_PAYEE: 'Payment Not For This Device',
+};
 
 /**
  * ReceiveScreen - Display QR and listen for BLE token transfers
  * Responsibilities:
- * - Generate dynamic QR with device ID and ephemeral public key
- * - Start BLE peripheral advertising for incoming connections
- * - Listen for token data via native BLE peripheral events
- * - Parse chunk format and reassemble tokens
+ * - Generate dynamic QR with device ID and BLE session key, signed with the bank-certified merchant key
+ * - Rotate the QR shortly before it expires and show a live countdown
+ * - Start BLE peripheral advertising for incoming connections under the QR's session UUID,
+ *   listing the recent QR sessions
+ * - Receive framed token transfers via the native BLE peripheral (bleTransfer.ts
+ *   resends lost frames) and decrypt them (messages from other sessions are rejected)
+ * - Answer each sender's handshake, proving this device showed the QR it scanned
  * - Verify token signatures using processReceivedToken
  * - Update SQLite wallet and log transactions
+ * - Send a signed ACK/NACK so the sender only debits on a confirmed credit
  * All async operations wrapped in try/catch with Alert error handling
  */
 const ReceiveScreen = ({navigation}) => {
@@ -39,10 +69,14 @@ const ReceiveScreen = ({navigation}) => {
   const [walletId, setWalletId] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [isListening, setIsListening] = useState(false);
-  const [qrTimestamp, setQrTimestamp] = useState(Date.now());
-  
-  // Track received chunks for multi-part token assembly
-  const receivedChunks = useRef({});
+  const [qrExpiresAt, setQrExpiresAt] = useState(0);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const isRotating = useRef(false);
+  // Merchant key and certificate chain, loaded once per visit
+  const merchantSigner = useRef(null);
+  // Service UUID of the QR on screen, advertised for senders to find
+  const sessionServiceUuid = useRef(null);
+
   const tokenProcessed = useRef(false);
 
   const generateDynamicQR = useCallback(async () => {
@@ -50,15 +84,44 @@ const ReceiveScreen = ({navigation}) => {
       // Get device identity (device ID and name)
       const {deviceId, deviceName} = await getDeviceIdentity();
 
+      // Payers only accept QRs signed by a bank-certified merchant; enroll once while online
+      if (!merchantSigner.current) {
+        merchantSigner.current = await getMerchantSigner();
+      }
+      if (!merchantSigner.current) {
+        const enrollment = await enrollMerchant(deviceName);
+        if (!enrollment.success) {
+          throw new Error(`Merchant setup needs a connection to the bank (${enrollment.message})`);
+        }
+        merchantSigner.current = await getMerchantSigner();
+      }
+
+      // Each QR gets its own encrypted BLE session
+      const {sessionId, publicKey: sessionPublicKey} = openReceiverSession();
+      const serviceUuid = getSessionServiceUuid(sessionId);
+
       // Generate signed QR payload using pure function
       const qrString = generateReceiveQR({
         deviceId: deviceId,
         deviceName: deviceName,
+        sessionPublicKey: sessionPublicKey,
+        serviceUuid: serviceUuid,
+        merchant: merchantSigner.current,
       });
 
+      const qrPayload = JSON.parse(qrString);
+      const {tx} = qrPayload;
+      const issuedAt = getQrIssuedAt(qrPayload);
+
+      // The QR's nonce may start exactly one payment, on this QR's session
+      registerQrNonce(tx.nonce, sessionId, issuedAt);
+      sessionServiceUuid.current = serviceUuid;
+
       setQrData(qrString);
       setWalletId(deviceId);
-      setQrTimestamp(Date.now());
+      const expiresAt = getQrExpiresAt(issuedAt, tx.expiry);
+      setQrExpiresAt(expiresAt);
+      setSecondsLeft(Math.ceil(getQrTimeRemaining(expiresAt) / 1000));
       console.log('Dynamic QR generated with signature');
     } catch (error) {
       console.error('Error generating QR:', error);
@@ -66,7 +129,7 @@ const ReceiveScreen = ({navigation}) => {
     }
   }, []);
 
-  const handleTokenReceived = useCallback(async (token) => {
+  const handleTokenReceived = useCallback(async (token, session) => {
     if (tokenProcessed.current) {
       console.log('Token already processed, ignoring');
       return;
@@ -74,12 +137,32 @@ const ReceiveScreen = ({navigation}) => {
     tokenProcessed.current = true;
 
     try {
+      // A token made out to another device must not use up this QR
+      if (!(await isTokenForThisDevice(token))) {
+        tokenProcessed.current = false;
+        await acknowledgeReceivedToken(token, {success: false, code: WRONG_PAYEE}, session);
+        Alert.alert(FAILURE_ALERT_TITLES[WRONG_PAYEE], 'This payment is addressed to another device.');
+        return;
+      }
+
+      // Each QR can start only one payment: reject reused or unknown QR nonces
+      if (!consumeQrNonce(session.qrNonce, session.sessionId)) {
+        tokenProcessed.current = false;
+        await acknowledgeReceivedToken(token, {success: false, code: QR_NONCE_USED}, session);
+        Alert.alert('QR Already Used', 'Ask the sender to scan the current QR code and try again.');
+        return;
+      }
+
       console.log('Complete token received, verifying...');
 
       const result = await applyReceivedPaymentToken(token);
+
+      // Tell the sender whether to commit its debit (signed ACK or NACK)
+      await acknowledgeReceivedToken(token, result, session);
+
       if (!result.success) {
         tokenProcessed.current = false;
-        Alert.alert('Invalid Token', result.message);
+        Alert.alert(FAILURE_ALERT_TITLES[result.code] || 'Invalid Token', result.message);
         return;
       }
 
@@ -88,7 +171,7 @@ const ReceiveScreen = ({navigation}) => {
       // Show success alert with payment details
       Alert.alert(
         'Payment Received',
-        `Successfully received ${result.amount.toFixed(2)}\nFrom: ${token.payer_device_id?.substring(0, 8)}...\nNew balance: ${result.newBalance.toFixed(2)}`,
+        `Successfully received ${formatRupees(result.amount)}\nFrom: ${token.payer_device_id?.substring(0, 8)}...\nNew balance: ${formatRupees(result.newBalance)}`,
         [
           {
             text: 'OK',
@@ -107,84 +190,40 @@ const ReceiveScreen = ({navigation}) => {
   }, [navigation]);
 
   /**
-   * Process incoming BLE data chunks
-   * Format: base64(index/total:tokendata)
+   * Process a complete message from a sender: a handshake hello or the sealed token envelope
    */
-  const handleBleDataReceived = useCallback((event) => {
+  const handleBleMessage = useCallback((message) => {
     try {
-      console.log(`[BLE Receive] Got data from ${event.deviceId}, ${event.length} bytes`);
-      
-      // Decode outer base64 wrapper
-      const rawBytes = base64Decode(event.data);
-      const rawString = decodeUtf8(new Uint8Array(rawBytes));
-      
-      console.log('[BLE Receive] Raw string:', rawString.substring(0, 100));
+      console.log(`[BLE Receive] Got message, ${message.byteLength} bytes`);
 
-      // Parse chunk format: "index/total:data"
-      const colonIdx = rawString.indexOf(':');
-      if (colonIdx === -1) {
-        console.error('[BLE Receive] Invalid chunk format - no colon separator');
+      // Decrypt; fails for plaintext, tampered data or sessions this device did not open
+      const opened = acceptSenderMessage(message);
+      if (!opened) {
+        console.error('[BLE Receive] Rejected message: not from an open session');
         return;
       }
 
-      const header = rawString.substring(0, colonIdx);
-      const tokenData = rawString.substring(colonIdx + 1);
-
-      const slashIdx = header.indexOf('/');
-      if (slashIdx === -1) {
-        console.error('[BLE Receive] Invalid chunk header format');
+      // Hellos come first: prove we hold the QR session before the sender sends its token
+      if (opened.type === 'hello') {
+        console.log('[BLE Receive] Answering sender handshake');
+        answerPaymentHandshake(opened);
         return;
       }
 
-      const chunkIndex = parseInt(header.substring(0, slashIdx), 10);
-      const totalChunks = parseInt(header.substring(slashIdx + 1), 10);
+      // Decode the complete token
+      console.log('[BLE Receive] Decoding token...');
+      const token = decodeTokenBytes(opened.data);
 
-      console.log(`[BLE Receive] Chunk ${chunkIndex + 1}/${totalChunks}`);
-
-      // Store chunk
-      if (!receivedChunks.current.total) {
-        receivedChunks.current = {
-          total: totalChunks,
-          chunks: {},
-          deviceId: event.deviceId,
-        };
+      if (!token) {
+        console.error('[BLE Receive] Failed to deserialize token');
+        Alert.alert('Error', 'Received invalid token data');
+        return;
       }
 
-      receivedChunks.current.chunks[chunkIndex] = tokenData;
-
-      // Check if all chunks received
-      const receivedCount = Object.keys(receivedChunks.current.chunks).length;
-      if (receivedCount === totalChunks) {
-        console.log('[BLE Receive] All chunks received, assembling token...');
-
-        // Reassemble token data
-        let fullTokenBase64 = '';
-        for (let i = 0; i < totalChunks; i++) {
-          if (!receivedChunks.current.chunks[i]) {
-            console.error(`[BLE Receive] Missing chunk ${i}`);
-            return;
-          }
-          fullTokenBase64 += receivedChunks.current.chunks[i];
-        }
-
-        // Reset chunks for next potential transfer
-        receivedChunks.current = {};
-
-        // Deserialize the complete token
-        console.log('[BLE Receive] Deserializing token...');
-        const token = deserializeToken(fullTokenBase64);
-        
-        if (!token) {
-          console.error('[BLE Receive] Failed to deserialize token');
-          Alert.alert('Error', 'Received invalid token data');
-          return;
-        }
-
-        console.log('[BLE Receive] Token deserialized successfully');
-        handleTokenReceived(token);
-      }
+      console.log('[BLE Receive] Token deserialized successfully');
+      handleTokenReceived(token, opened.session);
     } catch (error) {
-      console.error('[BLE Receive] Error processing data:', error);
+      console.error('[BLE Receive] Error processing message:', error);
     }
   }, [handleTokenReceived]);
 
@@ -195,8 +234,9 @@ const ReceiveScreen = ({navigation}) => {
       throw new Error('Bluetooth permissions required for receiving payments');
     }
 
+    // Senders find this device by the sessions of the QRs it shows
     console.log('Starting BLE advertising (Native Peripheral mode)...');
-    await startAdvertising();
+    await startAdvertising(sessionServiceUuid.current, getAdvertisedSessionTags());
     setIsListening(true);
     console.log('BLE advertising started - device now discoverable');
   }, []);
@@ -204,8 +244,9 @@ const ReceiveScreen = ({navigation}) => {
   const cleanupBle = useCallback(async () => {
     try {
       setIsListening(false);
-      receivedChunks.current = {};
       tokenProcessed.current = false;
+      closeReceiverSessions();
+      clearQrNonces();
 
       await stopAdvertising();
       console.log('BLE advertising stopped');
@@ -228,14 +269,15 @@ const ReceiveScreen = ({navigation}) => {
         try {
           setIsLoading(true);
           
-          // Generate QR and start advertising
-          await Promise.all([generateDynamicQR(), startAdvertisingFlow()]);
+          // Generate QR, then advertise its session
+          await generateDynamicQR();
+          await startAdvertisingFlow();
           
           if (!isMounted) return;
           
-          // Subscribe to native peripheral data events
-          unsubscribeData = onDataReceived(handleBleDataReceived);
-          console.log('Subscribed to BLE data events');
+          // Subscribe to complete messages reassembled from the sender's frames
+          unsubscribeData = onMessageReceived(handleBleMessage);
+          console.log('Subscribed to BLE messages');
           
           setIsLoading(false);
         } catch (error) {
@@ -259,33 +301,43 @@ const ReceiveScreen = ({navigation}) => {
         
         cleanupBle();
       };
-    }, [generateDynamicQR, startAdvertisingFlow, handleBleDataReceived, cleanupBle])
+    }, [generateDynamicQR, startAdvertisingFlow, handleBleMessage, cleanupBle])
   );
 
   /**
-   * Check if QR code has expired (older than 5 minutes)
-   * Returns true if QR needs refresh
-   * Uses helper function from qrGenerator module
-   */
-  const isQrExpired = () => {
-    return checkQRExpiry(qrTimestamp);
-  };
-
-  /**
-   * Refresh QR code manually
-   * Generates new QR with updated timestamp and public key
+   * Drive the countdown and rotate the QR shortly before it expires
+   * Only runs while listening, so no sessions are opened after leaving receive mode.
+   * A failed rotation is retried on the next tick; meanwhile the QR shows as expired.
    */
-  const handleRefreshQR = async () => {
-    try {
-      setIsLoading(true);
-      await generateDynamicQR();
-      setIsLoading(false);
-      Alert.alert('QR Refreshed', 'New QR code generated');
-    } catch (error) {
-      setIsLoading(false);
-      Alert.alert('Refresh Failed', error.message || 'Failed to refresh QR');
+  useEffect(() => {
+    if (!isListening || !qrExpiresAt) {
+      return undefined;
     }
-  };
+
+    const tick = async () => {
+      const remaining = getQrTimeRemaining(qrExpiresAt);
+      setSecondsLeft(Math.ceil(remaining / 1000));
+
+      if (remaining > QR_ROTATE_AHEAD_MS || isRotating.current) {
+        return;
+      }
+
+      isRotating.current = true;
+      try {
+        await generateDynamicQR();
+        // Advertise the new QR's session next to the ones still accepted
+        await startAdvertising(sessionServiceUuid.current, getAdvertisedSessionTags());
+      } catch (error) {
+        console.error('Error rotating QR:', error);
+      } finally {
+        isRotating.current = false;
+      }
+    };
+
+    tick();
+    const intervalId = setInterval(tick, 1000);
+    return () => clearInterval(intervalId);
+  }, [isListening, qrExpiresAt, generateDynamicQR]);
 
   if (isLoading) {
     return (
@@ -297,7 +349,7 @@ const ReceiveScreen = ({navigation}) => {
   }
 
   // Calculate QR expiry status for UI display
-  const qrExpired = isQrExpired();
+  const qrExpired = qrExpiresAt > 0 && secondsLeft === 0;
 
   return (
     <ScrollView style={styles.container} contentContainerStyle={styles.contentContainer}>
@@ -332,13 +384,10 @@ const ReceiveScreen = ({navigation}) => {
         )}
       </View>
 
-      {/* Refresh QR Button */}
-      <TouchableOpacity 
-        style={styles.refreshButton} 
-        onPress={handleRefreshQR}
-        disabled={isLoading}>
-        <Text style={styles.refreshButtonText}>�� Refresh QR</Text>
-      </TouchableOpacity>
+      {/* Rotation Countdown */}
+      <Text style={styles.countdownText}>
+        {qrExpired ? 'Generating new QR...' : `New QR in ${secondsLeft}s`}
+      </Text>
 
       {/* Wallet ID Display */}
       <View style={styles.walletIdContainer}>
@@ -354,7 +403,7 @@ const ReceiveScreen = ({navigation}) => {
           • Payment token sent via BLE{'\n'}
           • Token verified automatically{'\n'}
           • Amount credited to your wallet{'\n'}
-          • QR expires after 5 minutes
+          • QR refreshes every {Math.round(getQrTtl() / 1000)} seconds
         </Text>
       </View>
     </ScrollView>
@@ -460,22 +509,11 @@ const styles = StyleSheet.create({
     paddingVertical: 10,
     borderRadius: 8,
   },
-  refreshButton: {
+  countdownText: {
     marginTop: 15,
-    backgroundColor: '#4CAF50',
-    paddingHorizontal: 20,
-    paddingVertical: 12,
-    borderRadius: 25,
-    elevation: 3,
-    shadowColor: '#000',
-    shadowOffset: {width: 0, height: 2},
-    shadowOpacity: 0.2,
-    shadowRadius: 3,
-  },
-  refreshButtonText: {
-    color: '#FFF',
     fontSize: 16,
     fontWeight: '600',
+    color: '#555',
   },
   errorText: {
     fontSize: 16,
@@ -13,6 +13,15 @@ import {
 } from 'react-native';
 // Use centralized validation and payment processing helpers - no business logic in UI
 import {validateTransactionAmount, processOfflinePayment} from '../modules/walletHelpers';
+import {POLICY_VIOLATION} from '../modules/spendingPolicy';
+
+// Alert titles for payments refused by the offline spending policy
+const POLICY_ALERT_TITLES = {
+  [POLICY_VIOLATION.TRANSACTION_LIMIT]: 'Over Payment Limit',
+  [POLICY_VIOLATION.DAILY_LIMIT]: 'Daily Limit Reached',
+  [POLICY_VIOLATION.WEEKLY_LIMIT]: 'Weekly Limit Reached',
+  [POLICY_VIOLATION.SYNC_REQUIRED]: 'Sync Required',
+};
 
 const SendAmountScreen = ({navigation, route}) => {
   const [amount, setAmount] = useState('');
@@ -21,6 +30,13 @@ const SendAmountScreen = ({navigation, route}) => {
 
   // Extract walletId from navigation params - validates at entry point
   const walletId = route.params?.walletId;
+  // Merchant name certified by the bank (verified with the QR)
+  const merchantName = route.params?.merchantName;
+  // Receiver's BLE session key and QR nonce from the scanned QR (bound into the encrypted session)
+  const sessionPublicKey = route.params?.sessionPublicKey;
+  const qrNonce = route.params?.qrNonce;
+  // Per-session service UUID the receiver advertises
+  const bleServiceUuid = route.params?.bleServiceUuid;
   
   /**
    * Validate navigation params on mount
@@ -65,9 +81,14 @@ const SendAmountScreen = ({navigation, route}) => {
       setIsLoading(true);
       setStatusMessage('Generating payment token...');
 
-      // Process offline payment: generate token → scan BLE → send token → update wallet
+      // Process offline payment: generate token → scan BLE → send token → await ACK → update wallet
       // All business logic is in processOfflinePayment helper function
-      const result = await processOfflinePayment(validation.amount, walletId);
+      const result = await processOfflinePayment(validation.amount, {
+        deviceId: walletId,
+        bleServiceUuid,
+        sessionPublicKey,
+        qrNonce,
+      });
 
       setIsLoading(false);
       setStatusMessage('');
@@ -76,7 +97,7 @@ const SendAmountScreen = ({navigation, route}) => {
         // Show success message with payment details
         Alert.alert(
           'Payment Sent',
-          `${result.message} to ${walletId}\n\nToken transmitted via BLE`,
+          `${result.message} to ${merchantName || walletId}\n\nToken transmitted via BLE`,
           [
             {
               text: 'OK',
@@ -90,6 +111,22 @@ const SendAmountScreen = ({navigation, route}) => {
             },
           ]
         );
+      } else if (result.pending) {
+        // No ACK from the receiver: nothing was debited, the payment is kept as pending
+        Alert.alert('Payment Pending', result.message, [
+          {
+            text: 'OK',
+            onPress: () => {
+              navigation.reset({
+                index: 0,
+                routes: [{name: 'Home'}],
+              });
+            },
+          },
+        ]);
+      } else if (POLICY_ALERT_TITLES[result.code]) {
+        // Refused by the offline limits before anything was sent
+        Alert.alert(POLICY_ALERT_TITLES[result.code], `${result.message}\n\nCode: ${result.code}`);
       } else {
         // Show failure message with error details
         Alert.alert('Payment Failed', result.message);
@@ -125,6 +162,9 @@ const SendAmountScreen = ({navigation, route}) => {
         {/* Recipient Info Card */}
         <View style={styles.recipientCard}>
           <Text style={styles.recipientLabel}>Sending to:</Text>
+          {merchantName ? (
+            <Text style={styles.merchantName}>✓ {merchantName}</Text>
+          ) : null}
           <Text style={styles.recipientId}>{walletId}</Text>
         </View>
 
@@ -226,6 +266,12 @@ const styles = StyleSheet.create({
     textTransform: 'uppercase',
     fontWeight: '600',
   },
+  merchantName: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#2E7D32',
+    marginBottom: 4,
+  },
   recipientId: {
     fontSize: 18,
     fontWeight: 'bold',
@@ -123,7 +123,10 @@ const SendScanScreen = ({navigation}) => {
         walletId: validation.deviceId,
         deviceId: validation.deviceId,
         deviceName: validation.deviceName,
+        merchantName: validation.merchantName,
         bleServiceUuid: validation.bleServiceUuid,
+        sessionPublicKey: validation.sessionPublicKey,
+        qrNonce: validation.qrNonce,
       });
     },
   });
@@ -10,12 +10,22 @@ import {
 } from 'react-native';
 // Only import wallet operations from sqliteWallet - no direct DB access
 import {
-  addMoney,
   deductMoney,
   getTransactions,
 } from '../modules/sqliteWallet';
 // Use centralized helpers for initialization and balance refresh
-import {initializeAndGetBalance, refreshBalance} from '../modules/walletHelpers';
+import {
+  initializeAndGetBalance,
+  refreshBalance,
+  syncWallet,
+  loadOfflineBalance,
+  rotateWalletKey,
+} from '../modules/walletHelpers';
+import {formatRupees, PAISE_PER_RUPEE} from '../modules/money';
+
+// Test amounts in paise
+const TEST_LOAD_AMOUNT = 500 * PAISE_PER_RUPEE;
+const TEST_DEDUCT_AMOUNT = 200 * PAISE_PER_RUPEE;
 
 const WalletTestScreen = () => {
   const [balance, setBalance] = useState(0);
@@ -44,18 +54,16 @@ const WalletTestScreen = () => {
   }, []);
 
   /**
-   * Add ₹500 to wallet
-   * Wraps async wallet mutation in try/catch with Alert error handling
+   * Load ₹500 from the bank as a signed top-up voucher
+   * The wallet only credits vouchers signed by the pinned bank key
    */
-  const handleAddMoney = async () => {
-    try {
-      // Call exported function from sqliteWallet - no direct DB access
-      const newBalance = await addMoney(500);
-      setBalance(newBalance);
-      Alert.alert('Success', `Added ₹500. New balance: ₹${newBalance.toFixed(2)}`);
-    } catch (error) {
-      // Surface all errors using Alert
-      Alert.alert('Error', error.message || 'Failed to add money');
+  const handleLoadBalance = async () => {
+    const result = await loadOfflineBalance(TEST_LOAD_AMOUNT);
+    if (result.success) {
+      setBalance(result.newBalance);
+      Alert.alert('Success', `${result.message}. New balance: ${formatRupees(result.newBalance)}`);
+    } else {
+      Alert.alert('Error', result.message);
     }
   };
 
@@ -66,9 +74,9 @@ const WalletTestScreen = () => {
   const handleDeductMoney = async () => {
     try {
       // Call exported function from sqliteWallet - validates sufficient funds internally
-      const newBalance = await deductMoney(200);
+      const newBalance = await deductMoney(TEST_DEDUCT_AMOUNT);
       setBalance(newBalance);
-      Alert.alert('Success', `Deducted ₹200. New balance: ₹${newBalance.toFixed(2)}`);
+      Alert.alert('Success', `Deducted ${formatRupees(TEST_DEDUCT_AMOUNT)}. New balance: ${formatRupees(newBalance)}`);
     } catch (error) {
       // Surface errors (e.g., insufficient funds) using Alert
       Alert.alert('Error', error.message || 'Failed to deduct money');
@@ -84,13 +92,33 @@ const WalletTestScreen = () => {
       // Use centralized refreshBalance utility instead of direct getBalance
       const currentBalance = await refreshBalance();
       setBalance(currentBalance);
-      Alert.alert('Current Balance', `₹${currentBalance.toFixed(2)}`);
+      Alert.alert('Current Balance', formatRupees(currentBalance));
     } catch (error) {
       // Surface errors using Alert
       Alert.alert('Error', error.message || 'Failed to fetch balance');
     }
   };
 
+  /**
+   * Upload payments to the bank and apply its verdicts
+   * Reversed payments change the balance, so it is refreshed afterwards
+   */
+  const handleSync = async () => {
+    const result = await syncWallet();
+    if (result.balance !== null) {
+      setBalance(result.balance);
+    }
+    Alert.alert(result.success ? 'Sync Complete' : 'Sync Failed', result.message);
+  };
+
+  /**
+   * Replace the wallet key and register the new one with the bank
+   */
+  const handleRotateKey = async () => {
+    const result = await rotateWalletKey();
+    Alert.alert(result.success ? 'Key Rotated' : 'Rotation Failed', result.message);
+  };
+
   /**
    * Fetch and display all transactions
    * Wraps async operation in try/catch with Alert error handling
@@ -122,12 +150,12 @@ const WalletTestScreen = () => {
     <ScrollView style={styles.container}>
       <View style={styles.header}>
         <Text style={styles.title}>Wallet Test Screen</Text>
-        <Text style={styles.balanceText}>Current Balance: ₹{balance.toFixed(2)}</Text>
+        <Text style={styles.balanceText}>Current Balance: {formatRupees(balance)}</Text>
       </View>
 
       <View style={styles.buttonContainer}>
-        <TouchableOpacity style={styles.button} onPress={handleAddMoney}>
-          <Text style={styles.buttonText}>Add Money ₹500</Text>
+        <TouchableOpacity style={styles.button} onPress={handleLoadBalance}>
+          <Text style={styles.buttonText}>Load ₹500 from Bank</Text>
         </TouchableOpacity>
 
         <TouchableOpacity style={styles.button} onPress={handleDeductMoney}>
@@ -141,6 +169,14 @@ const WalletTestScreen = () => {
         <TouchableOpacity style={styles.button} onPress={handleShowTransactions}>
           <Text style={styles.buttonText}>Show Transactions</Text>
         </TouchableOpacity>
+
+        <TouchableOpacity style={styles.button} onPress={handleSync}>
+          <Text style={styles.buttonText}>Sync with Bank</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.button} onPress={handleRotateKey}>
+          <Text style={styles.buttonText}>Rotate Wallet Key</Text>
+        </TouchableOpacity>
       </View>
 
       {/* Display transactions list */}
@@ -160,12 +196,17 @@ const WalletTestScreen = () => {
                       ? styles.creditAmount
                       : styles.debitAmount,
                   ]}>
-                  ₹{transaction.amount.toFixed(2)}
+                  {formatRupees(transaction.amount)}
                 </Text>
               </View>
               <Text style={styles.transactionTimestamp}>
                 {new Date(transaction.timestamp).toLocaleString()}
               </Text>
+              <Text style={styles.transactionTimestamp}>
+                {transaction.channel
+                  ? `${transaction.channel.toUpperCase()} · ${transaction.status}`
+                  : transaction.status}
+              </Text>
             </View>
           ))}
         </View>